@@ -0,0 +1,113 @@
+const RedisManager = require("../redis/RedisManager");
+
+/**
+ * TokenDenylist - Révocation des access tokens avant leur expiration
+ *
+ * Stratégie :
+ * - Un access token révoqué est identifié par son jti
+ *   Clé: user-service:auth:denylist:{jti} (TTL = durée de vie restante du token)
+ * - "Déconnexion partout" : horodatage de coupure par utilisateur
+ *   Clé: user-service:auth:revoked_before:{matricule} (secondes epoch)
+ *   Tout token dont le claim "iat" (secondes) est antérieur est refusé
+ *
+ * Écrit par auth-user-service, lu par chat-file-service (HTTP + Socket.IO).
+ * Si Redis est indisponible, la vérification est ignorée (mode dégradé).
+ */
+class TokenDenylist {
+  constructor(options = {}) {
+    this.prefix = options.prefix || "user-service:auth:";
+    this.cutoffTTL = options.cutoffTTL || 24 * 3600; // > durée de vie d'un access token
+    this.redis = null;
+  }
+
+  /**
+   * Initialise la denylist avec le client Redis
+   * @param {Object} [client] - Client Redis (par défaut : client principal du RedisManager)
+   */
+  async initialize(client = null) {
+    this.redis = client || RedisManager?.clients?.main;
+
+    if (!this.redis) {
+      console.warn("⚠️ [TokenDenylist] Redis non disponible");
+      return false;
+    }
+
+    console.log("✅ [TokenDenylist] Initialisé avec succès");
+    return true;
+  }
+
+  _denyKey(jti) {
+    return `${this.prefix}denylist:${jti}`;
+  }
+
+  _cutoffKey(matricule) {
+    return `${this.prefix}revoked_before:${matricule}`;
+  }
+
+  /**
+   * Révoque un access token jusqu'à son expiration
+   * @param {string} jti - Identifiant du token
+   * @param {number} exp - Expiration du token (secondes epoch, claim "exp")
+   */
+  async deny(jti, exp) {
+    if (!this.redis || !jti) return;
+
+    const ttl = exp ? exp - Math.floor(Date.now() / 1000) : this.cutoffTTL;
+    if (ttl <= 0) return;
+
+    try {
+      await this.redis.set(this._denyKey(jti), "1", { EX: ttl });
+    } catch (error) {
+      console.error(`❌ [TokenDenylist] Erreur deny ${jti}:`, error.message);
+    }
+  }
+
+  /**
+   * Révoque tous les tokens émis jusqu'à maintenant pour un utilisateur
+   * @param {string} matricule
+   */
+  async revokeAllBefore(matricule) {
+    if (!this.redis || !matricule) return;
+
+    try {
+      // Même unité que le claim "iat" (secondes)
+      const cutoff = Math.floor(Date.now() / 1000).toString();
+      await this.redis.set(this._cutoffKey(matricule), cutoff, {
+        EX: this.cutoffTTL,
+      });
+    } catch (error) {
+      console.error(
+        `❌ [TokenDenylist] Erreur revokeAllBefore ${matricule}:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Indique si un payload JWT décodé a été révoqué
+   * @param {Object} payload - Payload vérifié (jti, iat, matricule)
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(payload) {
+    if (!this.redis || !payload) return false;
+
+    try {
+      const [denied, cutoff] = await this.redis.mGet([
+        this._denyKey(payload.jti || "none"),
+        this._cutoffKey(payload.matricule || "none"),
+      ]);
+
+      if (denied) return true;
+      if (cutoff && payload.iat && payload.iat < parseInt(cutoff, 10)) {
+        return true;
+      }
+      return false;
+    } catch (error) {
+      console.error(`❌ [TokenDenylist] Erreur isRevoked:`, error.message);
+      return false;
+    }
+  }
+}
+
+// Export singleton
+module.exports = new TokenDenylist();
@@ -0,0 +1,15 @@
+const TokenDenylist = require("./TokenDenylist");
+const GatewayIdentity = require("./GatewayIdentity");
+const JwksClient = require("./JwksClient");
+const SessionRevocation = require("./SessionRevocation");
+const Permissions = require("./permissions");
+
+module.exports = {
+  TokenDenylist,
+  GatewayIdentity,
+  JwksClient,
+  SessionRevocation,
+  Permissions,
+  requirePermission: Permissions.requirePermission,
+  requireSocketPermission: Permissions.requireSocketPermission,
+};
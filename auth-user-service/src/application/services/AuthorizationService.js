@@ -0,0 +1,42 @@
+const { Permissions } = require("../../../shared");
+
+const { ROLES } = Permissions;
+
+/**
+ * AuthorizationService - Rôles et permissions d'un agent (claims du token)
+ *
+ * { roles, permissions, adminMinistere } : "agent" toujours présent,
+ * permissions déduites des rôles, ministère administré pour ministry_admin.
+ */
+class AuthorizationService {
+  constructor(roleRepository) {
+    this.roleRepository = roleRepository;
+  }
+
+  async resolve(matricule) {
+    let assignments = [];
+    try {
+      assignments = await this.roleRepository.findByMatricule(matricule);
+    } catch (error) {
+      // Base indisponible : droits minimaux plutôt qu'un échec de connexion
+      console.error(
+        `❌ [AuthorizationService] Rôles de ${matricule}:`,
+        error.message,
+      );
+    }
+
+    const roles = [
+      ...new Set([ROLES.AGENT, ...assignments.map((a) => a.role)]),
+    ];
+
+    return {
+      roles,
+      permissions: Permissions.permissionsFor(roles),
+      adminMinistere:
+        assignments.find((a) => a.role === ROLES.MINISTRY_ADMIN)?.ministere ||
+        null,
+    };
+  }
+}
+
+module.exports = AuthorizationService;
@@ -1,43 +1,60 @@
 const jwt = require("jsonwebtoken");
+const { SUPPORTED_ALGORITHMS } = require("./SigningKeyService");
 
 class JwtService {
-  constructor(secret) {
-    this.secret = secret;
-    console.log(
-      "🔐 JWT Secret initialisé:",
-      this.secret ? "✅ Défini" : "❌ Manquant"
-    );
+  /**
+   * @param {SigningKeyService} signingKeyService - Clés asymétriques (RS256 / ES256)
+   */
+  constructor(signingKeyService) {
+    this.signingKeys = signingKeyService;
+  }
+
+  _sign(payload, expiresIn) {
+    const key = this.signingKeys.getSigningKey();
+    if (!key) {
+      throw new Error("Aucune clé de signature JWT active");
+    }
+
+    return jwt.sign(payload, key.privateKey, {
+      expiresIn,
+      algorithm: key.alg,
+      keyid: key.kid, // ✅ Les vérificateurs choisissent la clé publique du JWKS
+    });
   }
 
   generateToken(payload, expiresIn = "15m") {
-    // ✅ AJOUTER DES LOGS POUR DEBUG
     console.log("🔑 Génération access token:", {
       matricule: payload.matricule,
       expiresIn,
-      secretUsed: this.secret ? "✅ Défini" : "❌ Manquant",
     });
 
-    return jwt.sign(payload, this.secret, {
-      expiresIn,
-      algorithm: "HS256", // ✅ SPÉCIFIER L'ALGORITHME
-    });
+    return this._sign(payload, expiresIn);
   }
 
   generateRefreshToken(payload, expiresIn = "7d") {
     console.log("🔑 Génération refresh token:", {
       matricule: payload.matricule,
       expiresIn,
-      secretUsed: this.secret ? "✅ Défini" : "❌ Manquant",
     });
 
-    return jwt.sign(payload, this.secret, {
-      expiresIn,
-      algorithm: "HS256",
-    });
+    return this._sign(payload, expiresIn);
   }
 
   verifyToken(token) {
-    return jwt.verify(token, this.secret, { algorithms: ["HS256"] });
+    const decoded = jwt.decode(token, { complete: true });
+    const publicKey =
+      decoded && this.signingKeys.getVerificationKey(decoded.header.kid);
+
+    if (!publicKey) {
+      throw new jwt.JsonWebTokenError("Clé de signature inconnue");
+    }
+
+    return jwt.verify(token, publicKey, { algorithms: SUPPORTED_ALGORITHMS });
+  }
+
+  // Lecture du payload sans vérification (exp/jti d'un token que l'on vient d'émettre)
+  decodeToken(token) {
+    return jwt.decode(token);
   }
 }
 
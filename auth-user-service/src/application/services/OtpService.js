@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+
+/**
+ * OtpService - Codes à usage unique (enrôlement, réinitialisation)
+ *
+ * - Le code n'est jamais stocké en clair : seul son hash SHA-256 est gardé dans Redis
+ * - Clé: user-service:auth:otp:{purpose}:{matricule} (TTL = durée de validité)
+ * - Le code est invalidé après maxAttempts essais erronés
+ * - L'envoi est délégué à un sender interchangeable (console, fichier, SMS...)
+ */
+class OtpService {
+  constructor(redisClient, sender, options = {}) {
+    this.redis = redisClient;
+    this.sender = sender;
+    this.prefix = options.prefix || "user-service:auth:otp";
+    this.ttlSeconds = options.ttlSeconds || 600;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.resendCooldownSeconds = options.resendCooldownSeconds || 60;
+    this.codeLength = options.codeLength || 6;
+  }
+
+  _key(purpose, matricule) {
+    return `${this.prefix}:${purpose}:${matricule}`;
+  }
+
+  _hash(code) {
+    return crypto.createHash("sha256").update(String(code)).digest("hex");
+  }
+
+  _generateCode() {
+    const max = 10 ** this.codeLength;
+    return String(crypto.randomInt(0, max)).padStart(this.codeLength, "0");
+  }
+
+  _ensureRedis() {
+    if (!this.redis) {
+      const error = new Error("Service de codes à usage unique indisponible");
+      error.code = "OTP_UNAVAILABLE";
+      error.status = 503;
+      throw error;
+    }
+  }
+
+  /**
+   * Génère, stocke et envoie un nouveau code
+   * Pendant le délai de renvoi, rien n'est envoyé mais la réponse est la même
+   * (une erreur dédiée révélerait que le matricule existe)
+   * @returns {Promise<{expiresIn: number}>}
+   */
+  async issue(purpose, user) {
+    this._ensureRedis();
+    const key = this._key(purpose, user.matricule);
+
+    const existing = await this.redis.hGetAll(key);
+    if (existing && existing.issuedAt) {
+      const elapsed = (Date.now() - parseInt(existing.issuedAt, 10)) / 1000;
+      if (elapsed < this.resendCooldownSeconds) {
+        console.warn(
+          `⚠️ [OtpService] Code ${purpose} déjà envoyé à ${user.matricule}, renvoi ignoré`,
+        );
+        return { expiresIn: this.ttlSeconds };
+      }
+    }
+
+    const code = this._generateCode();
+    await this.redis.hSet(key, {
+      hash: this._hash(code),
+      attempts: "0",
+      issuedAt: Date.now().toString(),
+    });
+    await this.redis.expire(key, this.ttlSeconds);
+
+    await this.sender.send({
+      matricule: user.matricule,
+      user,
+      code,
+      purpose,
+      expiresInSeconds: this.ttlSeconds,
+    });
+
+    return { expiresIn: this.ttlSeconds };
+  }
+
+  /**
+   * Vérifie un code ; il est consommé en cas de succès
+   * @returns {Promise<boolean>}
+   */
+  async verify(purpose, matricule, code) {
+    this._ensureRedis();
+    const key = this._key(purpose, matricule);
+    const entry = await this.redis.hGetAll(key);
+
+    if (!entry || !entry.hash || !code) {
+      return false;
+    }
+
+    const expected = Buffer.from(entry.hash, "hex");
+    const received = Buffer.from(this._hash(code), "hex");
+    const isValid =
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received);
+
+    if (isValid) {
+      await this.redis.del(key);
+      return true;
+    }
+
+    const attempts = await this.redis.hIncrBy(key, "attempts", 1);
+    if (attempts >= this.maxAttempts) {
+      await this.redis.del(key);
+      console.warn(
+        `⚠️ [OtpService] Code ${purpose} invalidé pour ${matricule} après ${attempts} essais`,
+      );
+    }
+    return false;
+  }
+}
+
+module.exports = OtpService;
@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+
+class PasswordService {
+  constructor(options = {}) {
+    this.saltRounds = options.saltRounds || 12;
+    this.minLength = options.minLength || 8;
+  }
+
+  async hash(password) {
+    return bcrypt.hash(password, this.saltRounds);
+  }
+
+  async compare(password, passwordHash) {
+    if (!password || !passwordHash) return false;
+    return bcrypt.compare(password, passwordHash);
+  }
+
+  /**
+   * Hash d'un secret aléatoire, au même coût que les vrais mots de passe :
+   * comparer contre lui prend autant de temps qu'une vraie vérification
+   */
+  async dummyHash() {
+    if (!this._dummyHash) {
+      this._dummyHash = this.hash(crypto.randomBytes(32).toString("hex"));
+    }
+    return this._dummyHash;
+  }
+
+  /**
+   * Vérifie la politique minimale : longueur, au moins une lettre et un chiffre
+   * @returns {string|null} Message d'erreur ou null si valide
+   */
+  validatePolicy(password, matricule) {
+    if (!password || typeof password !== "string") {
+      return "Le mot de passe est requis";
+    }
+    if (password.length < this.minLength) {
+      return `Le mot de passe doit contenir au moins ${this.minLength} caractères`;
+    }
+    if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+      return "Le mot de passe doit contenir au moins une lettre et un chiffre";
+    }
+    if (
+      matricule &&
+      password.toLowerCase().includes(String(matricule).toLowerCase())
+    ) {
+      return "Le mot de passe ne doit pas contenir le matricule";
+    }
+    return null;
+  }
+}
+
+module.exports = PasswordService;
@@ -0,0 +1,221 @@
+const crypto = require("crypto");
+
+const SUPPORTED_ALGORITHMS = ["RS256", "ES256"];
+const DAY_MS = 24 * 3600 * 1000;
+
+/**
+ * SigningKeyService - Clés asymétriques de signature des JWT (RS256 / ES256)
+ *
+ * - Chaque clé porte un kid, repris dans l'en-tête des tokens
+ * - Rotation planifiée : une nouvelle clé est publiée dans le JWKS
+ *   `activationDelayMs` avant de signer (les vérificateurs l'ont déjà en cache)
+ * - Les anciennes clés restent publiées `retentionMs` après leur remplacement
+ *   (durée de vie d'un refresh token) puis sont supprimées
+ * - Entre instances : verrou Redis pour la rotation, rechargement périodique
+ */
+class SigningKeyService {
+  constructor(signingKeyStore, redisClient = null, options = {}) {
+    this.store = signingKeyStore;
+    this.redis = redisClient;
+    this.algorithm = options.algorithm || "RS256";
+    this.rotationIntervalMs = options.rotationIntervalMs || 30 * DAY_MS;
+    this.activationDelayMs = options.activationDelayMs || 15 * 60 * 1000;
+    this.retentionMs = options.retentionMs || 8 * DAY_MS;
+    this.reloadIntervalMs = options.reloadIntervalMs || 60 * 1000;
+    this.lockKey = `${options.prefix || "user-service:auth:"}signing_keys:rotation_lock`;
+
+    if (!SUPPORTED_ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(`Algorithme JWT non supporté: ${this.algorithm}`);
+    }
+
+    this.keys = new Map(); // kid → { kid, alg, privateKey, publicKey, jwk, createdAt, activatesAt }
+    this.timer = null;
+  }
+
+  async initialize() {
+    for (let attempt = 0; attempt < 5 && !this.getSigningKey(); attempt++) {
+      await this.reload();
+      if (this.getSigningKey()) break;
+
+      // Première clé : active immédiatement
+      const created = await this.rotate({ immediate: true });
+      if (!created) {
+        // Une autre instance la génère
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+    }
+
+    if (!this.getSigningKey()) {
+      throw new Error("Aucune clé de signature JWT disponible");
+    }
+
+    this.timer = setInterval(
+      () =>
+        this.maintain().catch((error) =>
+          console.error("❌ Maintenance des clés JWT:", error.message),
+        ),
+      this.reloadIntervalMs,
+    );
+    this.timer.unref?.();
+
+    const current = this.getSigningKey();
+    console.log(
+      `🔐 Clés JWT chargées: ${this.keys.size} (signature ${current.alg}, kid ${current.kid})`,
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async reload() {
+    const records = await this.store.list();
+    const keys = new Map();
+
+    for (const record of records) {
+      const publicKey = crypto.createPublicKey(record.privateKey);
+      keys.set(record.kid, {
+        ...record,
+        publicKey: publicKey.export({ type: "spki", format: "pem" }),
+        jwk: {
+          ...publicKey.export({ format: "jwk" }),
+          kid: record.kid,
+          alg: record.alg,
+          use: "sig",
+        },
+      });
+    }
+
+    this.keys = keys;
+  }
+
+  /**
+   * Rechargement, rotation si due, purge des clés expirées
+   */
+  async maintain() {
+    await this.reload();
+    if (this._rotationDue()) {
+      await this.rotate();
+    }
+    await this.prune();
+  }
+
+  _newest() {
+    return [...this.keys.values()].sort(
+      (a, b) => b.activatesAt - a.activatesAt,
+    )[0];
+  }
+
+  _rotationDue() {
+    const newest = this._newest();
+    return (
+      !newest ||
+      newest.alg !== this.algorithm ||
+      Date.now() - newest.createdAt >= this.rotationIntervalMs
+    );
+  }
+
+  async _acquireLock() {
+    if (!this.redis) return true;
+    try {
+      return (
+        (await this.redis.set(this.lockKey, process.pid.toString(), {
+          NX: true,
+          EX: 60,
+        })) === "OK"
+      );
+    } catch (error) {
+      console.warn("⚠️ Verrou de rotation JWT indisponible:", error.message);
+      return true;
+    }
+  }
+
+  /**
+   * Génère et enregistre une nouvelle clé
+   * @param {Object} [options]
+   * @param {boolean} [options.immediate=false] - Signer immédiatement (sinon après activationDelayMs)
+   * @returns {Promise<Object|null>} Clé créée, null si une autre instance s'en charge
+   */
+  async rotate({ immediate = false } = {}) {
+    if (!(await this._acquireLock())) return null;
+
+    await this.reload();
+    if (!this._rotationDue() && !immediate) return null;
+
+    const now = Date.now();
+    const { privateKey } =
+      this.algorithm === "ES256"
+        ? crypto.generateKeyPairSync("ec", { namedCurve: "P-256" })
+        : crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+    const record = {
+      kid: `${new Date(now).toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString("hex")}`,
+      alg: this.algorithm,
+      privateKey: privateKey.export({ type: "pkcs8", format: "pem" }),
+      createdAt: now,
+      activatesAt: immediate ? now : now + this.activationDelayMs,
+    };
+
+    await this.store.save(record);
+    await this.reload();
+
+    console.log(
+      `🔑 Nouvelle clé JWT ${record.kid} (${record.alg}), active ${immediate ? "immédiatement" : `le ${new Date(record.activatesAt).toISOString()}`}`,
+    );
+    return record;
+  }
+
+  /**
+   * Supprime les clés remplacées depuis plus de retentionMs
+   */
+  async prune() {
+    const sorted = [...this.keys.values()].sort(
+      (a, b) => a.activatesAt - b.activatesAt,
+    );
+    const now = Date.now();
+
+    for (let i = 0; i < sorted.length - 1; i++) {
+      const retiredAt = sorted[i + 1].activatesAt;
+      if (retiredAt <= now && now - retiredAt > this.retentionMs) {
+        await this.store.remove(sorted[i].kid);
+        this.keys.delete(sorted[i].kid);
+        console.log(`🗑️ Clé JWT ${sorted[i].kid} retirée du JWKS`);
+      }
+    }
+  }
+
+  /**
+   * Clé courante de signature (la plus récente déjà active)
+   */
+  getSigningKey() {
+    const now = Date.now();
+    return (
+      [...this.keys.values()]
+        .filter((key) => key.activatesAt <= now)
+        .sort((a, b) => b.activatesAt - a.activatesAt)[0] || null
+    );
+  }
+
+  /**
+   * Clé publique (PEM) d'un kid, null si inconnu
+   */
+  getVerificationKey(kid) {
+    return this.keys.get(kid)?.publicKey || null;
+  }
+
+  /**
+   * JWKS publié sur /.well-known/jwks.json (clés publiques uniquement)
+   */
+  getJwks() {
+    return {
+      keys: [...this.keys.values()]
+        .sort((a, b) => b.activatesAt - a.activatesAt)
+        .map((key) => key.jwk),
+    };
+  }
+}
+
+SigningKeyService.SUPPORTED_ALGORITHMS = SUPPORTED_ALGORITHMS;
+
+module.exports = SigningKeyService;
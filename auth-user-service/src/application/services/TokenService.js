@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+
+/**
+ * TokenService - Émission et révocation des paires access/refresh
+ *
+ * - Chaque token porte un jti ; les deux tokens d'une paire partagent le sid (session)
+ * - Le refresh token porte type "refresh" et n'est pas accepté comme access token
+ * - Rôles et permissions relus à chaque émission (login et refresh)
+ * - Révoquer une session invalide son refresh token, met son access token en denylist
+ *   et demande à chat-file-service de fermer les sockets de l'appareil (pub/sub)
+ */
+class TokenService {
+  constructor(
+    jwtService,
+    refreshTokenStore,
+    tokenDenylist,
+    authorizationService,
+    sessionRevocation = null,
+    options = {},
+  ) {
+    this.jwtService = jwtService;
+    this.refreshTokenStore = refreshTokenStore;
+    this.tokenDenylist = tokenDenylist;
+    this.authorizationService = authorizationService;
+    this.sessionRevocation = sessionRevocation;
+    this.accessExpiresIn = options.accessExpiresIn || "15m";
+    this.refreshExpiresIn = options.refreshExpiresIn || "7d";
+  }
+
+  _fail(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = 401;
+    return error;
+  }
+
+  /**
+   * Émet une nouvelle paire de tokens
+   * @param {Object} user - { matricule, id }
+   * @param {string} [sessionId] - sid existant (rotation) ou nouveau
+   * @param {Object} [context] - Appareil à l'origine de la demande : { device, platform, userAgent, ip }
+   */
+  async issue(user, sessionId = null, context = {}) {
+    const sid = sessionId || crypto.randomUUID();
+    const authorization = await this.authorizationService.resolve(
+      user.matricule,
+    );
+    const claims = {
+      matricule: user.matricule,
+      id: user.id,
+      sid,
+      ...authorization, // roles, permissions, adminMinistere
+    };
+
+    const accessJti = crypto.randomUUID();
+    const refreshJti = crypto.randomUUID();
+
+    const accessToken = this.jwtService.generateToken(
+      { ...claims, jti: accessJti },
+      this.accessExpiresIn,
+    );
+    const refreshToken = this.jwtService.generateRefreshToken(
+      { ...claims, jti: refreshJti, type: "refresh" },
+      this.refreshExpiresIn,
+    );
+
+    await this.refreshTokenStore.save({
+      jti: refreshJti,
+      sid,
+      matricule: user.matricule,
+      accessJti,
+      accessExp: this.jwtService.decodeToken(accessToken).exp,
+      exp: this.jwtService.decodeToken(refreshToken).exp,
+      context,
+    });
+
+    return { accessToken, refreshToken, sessionId: sid };
+  }
+
+  /**
+   * Vérifie un access token (signature, type, denylist)
+   * @returns {Promise<Object>} Payload décodé
+   */
+  async verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = this.jwtService.verifyToken(token);
+    } catch (error) {
+      throw this._fail("Token invalide ou expiré", "INVALID_TOKEN");
+    }
+
+    if (payload.type === "refresh") {
+      throw this._fail("Token invalide ou expiré", "INVALID_TOKEN");
+    }
+
+    if (await this.tokenDenylist.isRevoked(payload)) {
+      throw this._fail("Token révoqué", "TOKEN_REVOKED");
+    }
+
+    return payload;
+  }
+
+  /**
+   * Révoque une session : refresh token courant + dernier access token émis,
+   * puis fermeture des sockets ouverts par cette session
+   * @param {string} sid
+   * @param {string} [reason="revoked"] - logout, reuse_detected, revoked...
+   */
+  async revokeSession(sid, reason = "revoked") {
+    const family = await this.refreshTokenStore.revokeFamily(sid);
+
+    if (family?.accessJti) {
+      await this.tokenDenylist.deny(
+        family.accessJti,
+        parseInt(family.accessExp, 10) || null,
+      );
+    }
+
+    if (family && this.sessionRevocation) {
+      await this.sessionRevocation.publish({
+        sid,
+        matricule: family.matricule,
+        reason,
+      });
+    }
+
+    return family;
+  }
+}
+
+module.exports = TokenService;
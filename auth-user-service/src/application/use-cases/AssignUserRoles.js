@@ -0,0 +1,84 @@
+const { Permissions } = require("../../../shared");
+
+const { ROLES } = Permissions;
+
+/**
+ * AssignUserRoles - Attribution des rôles de plateforme (super_admin uniquement,
+ * via la permission roles:manage vérifiée sur la route)
+ *
+ * - "agent" est implicite et toujours conservé
+ * - ministry_admin exige le ministère administré (adminMinistere)
+ * - Un super_admin ne peut pas se retirer son propre rôle
+ * - Les nouveaux rôles figurent dans le token au prochain refresh
+ */
+class AssignUserRoles {
+  constructor(userRepository, roleRepository) {
+    this.userRepository = userRepository;
+    this.roleRepository = roleRepository;
+  }
+
+  _fail(message, code, status = 400) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+
+  async execute(matricule, { roles = [], adminMinistere = null }, actor) {
+    const user = await this.userRepository.findByMatricule(matricule);
+    if (!user) {
+      throw this._fail("Utilisateur non trouvé", "USER_NOT_FOUND", 404);
+    }
+
+    const requested = [...new Set(roles)].filter((r) => r !== ROLES.AGENT);
+    const unknown = requested.filter((r) => !Object.values(ROLES).includes(r));
+    if (unknown.length > 0) {
+      throw this._fail(
+        `Rôle(s) inconnu(s): ${unknown.join(", ")}`,
+        "INVALID_ROLE",
+      );
+    }
+
+    if (requested.includes(ROLES.MINISTRY_ADMIN) && !adminMinistere) {
+      throw this._fail(
+        "adminMinistere requis pour le rôle ministry_admin",
+        "MISSING_MINISTERE",
+      );
+    }
+
+    if (
+      actor?.matricule === matricule &&
+      !requested.includes(ROLES.SUPER_ADMIN)
+    ) {
+      throw this._fail(
+        "Impossible de retirer son propre rôle super_admin",
+        "SELF_DEMOTION",
+        409,
+      );
+    }
+
+    await this.roleRepository.replaceRoles(
+      matricule,
+      requested.map((role) => ({
+        role,
+        ministere: role === ROLES.MINISTRY_ADMIN ? adminMinistere : null,
+      })),
+      actor?.matricule,
+    );
+
+    console.log(
+      `🛡️ [AssignUserRoles] ${matricule} → [${requested.join(", ") || ROLES.AGENT}] par ${actor?.matricule}`,
+    );
+
+    return {
+      matricule,
+      roles: [ROLES.AGENT, ...requested],
+      permissions: Permissions.permissionsFor([ROLES.AGENT, ...requested]),
+      adminMinistere: requested.includes(ROLES.MINISTRY_ADMIN)
+        ? adminMinistere
+        : null,
+    };
+  }
+}
+
+module.exports = AssignUserRoles;
@@ -1,6 +1,11 @@
+const { Permissions } = require("../../../shared");
+
 /**
  * CreateUser - Use case pour créer un nouvel utilisateur
  *
+ * Autorisation: permission users:create (route) + portée ministérielle
+ * (un ministry_admin ne crée que dans son ministère)
+ *
  * Actions:
  * 1. Création en base de données (source de vérité)
  * 2. Mise en cache Redis partagé
@@ -13,7 +18,17 @@ class CreateUser {
     this.redisClient = redisClient;
   }
 
-  async execute(userData) {
+  async execute(userData, actor = null) {
+    if (
+      actor &&
+      !Permissions.canAdministerMinistry(actor, userData.ministere)
+    ) {
+      const error = new Error("Création hors de votre ministère non autorisée");
+      error.code = "FORBIDDEN";
+      error.status = 403;
+      throw error;
+    }
+
     // 1. Création en base de données
     // NOTE: À adapter selon votre implémentation de création
     // const user = await this.userRepository.create(userData);
@@ -1,6 +1,10 @@
+const { Permissions } = require("../../../shared");
+
 /**
  * DeleteUser - Use case pour supprimer un utilisateur
  *
+ * Autorisation: permission users:delete (route) + portée ministérielle
+ *
  * Actions:
  * 1. Suppression en base de données (source de vérité)
  * 2. Invalidation du cache Redis
@@ -13,7 +17,7 @@ class DeleteUser {
     this.redisClient = redisClient;
   }
 
-  async execute(userId) {
+  async execute(userId, actor = null) {
     // 1. Vérifier que l'utilisateur existe
     const user = await this.userRepository.findById(userId);
 
@@ -21,6 +25,15 @@ class DeleteUser {
       throw new Error("Utilisateur non trouvé");
     }
 
+    if (actor && !Permissions.canAdministerMinistry(actor, user.ministere)) {
+      const error = new Error(
+        "Suppression hors de votre ministère non autorisée",
+      );
+      error.code = "FORBIDDEN";
+      error.status = 403;
+      throw error;
+    }
+
     // 2. Suppression en base de données
     // NOTE: À adapter selon votre implémentation
     // await this.userRepository.delete(userId);
@@ -0,0 +1,71 @@
+/**
+ * EnrolUser - Première connexion : définition du mot de passe
+ *
+ * Actions:
+ * 1. Vérification du code à usage unique "enrolment"
+ * 2. Validation de la politique de mot de passe
+ * 3. Stockage du hash puis émission des tokens (connexion immédiate)
+ */
+class EnrolUser {
+  constructor(
+    userRepository,
+    credentialRepository,
+    passwordService,
+    otpService,
+    loginUserUseCase,
+  ) {
+    this.userRepository = userRepository;
+    this.credentialRepository = credentialRepository;
+    this.passwordService = passwordService;
+    this.otpService = otpService;
+    this.loginUserUseCase = loginUserUseCase;
+  }
+
+  async execute({ matricule, code, password }, context = {}) {
+    const user = await this.userRepository.findByMatricule(matricule);
+    if (!user) {
+      const error = new Error("Code invalide ou expiré");
+      error.code = "INVALID_CODE";
+      error.status = 401;
+      throw error;
+    }
+
+    const credential =
+      await this.credentialRepository.findByMatricule(matricule);
+    if (credential?.password_hash) {
+      const error = new Error("Ce compte possède déjà un mot de passe");
+      error.code = "ALREADY_ENROLLED";
+      error.status = 409;
+      throw error;
+    }
+
+    const policyError = this.passwordService.validatePolicy(
+      password,
+      matricule,
+    );
+    if (policyError) {
+      const error = new Error(policyError);
+      error.code = "WEAK_PASSWORD";
+      error.status = 400;
+      throw error;
+    }
+
+    const isValid = await this.otpService.verify("enrolment", matricule, code);
+    if (!isValid) {
+      const error = new Error("Code invalide ou expiré");
+      error.code = "INVALID_CODE";
+      error.status = 401;
+      throw error;
+    }
+
+    const passwordHash = await this.passwordService.hash(password);
+    await this.credentialRepository.setPassword(matricule, passwordHash);
+    await this.credentialRepository.registerSuccessfulLogin(matricule);
+
+    console.log(`✅ [EnrolUser] Mot de passe défini pour ${matricule}`);
+
+    return this.loginUserUseCase.issueTokens(user, context);
+  }
+}
+
+module.exports = EnrolUser;
@@ -0,0 +1,43 @@
+/**
+ * ListSessions - Sessions actives (appareils) d'un utilisateur
+ *
+ * Une session = une famille de refresh tokens ouverte par un login.
+ * La dernière activité correspond à la dernière rotation du refresh token
+ * (au plus la durée de vie d'un access token pour un client actif).
+ */
+class ListSessions {
+  constructor(refreshTokenStore) {
+    this.refreshTokenStore = refreshTokenStore;
+  }
+
+  _date(ms) {
+    const value = parseInt(ms, 10);
+    return value ? new Date(value).toISOString() : null;
+  }
+
+  /**
+   * @param {string} matricule
+   * @param {string} [currentSessionId] - sid du token présenté (marqué current)
+   */
+  async execute(matricule, currentSessionId = null) {
+    const families = await this.refreshTokenStore.listSessions(matricule);
+
+    return families
+      .map((family) => ({
+        sessionId: family.sid,
+        device: family.device || null,
+        platform: family.platform || "unknown",
+        userAgent: family.userAgent || null,
+        ip: family.ip || null,
+        createdAt: this._date(family.createdAt),
+        lastActivityAt: this._date(family.lastActivityAt || family.updatedAt),
+        expiresAt: this._date(parseInt(family.refreshExp, 10) * 1000),
+        current: family.sid === currentSessionId,
+      }))
+      .sort((a, b) =>
+        (b.lastActivityAt || "").localeCompare(a.lastActivityAt || ""),
+      );
+  }
+}
+
+module.exports = ListSessions;
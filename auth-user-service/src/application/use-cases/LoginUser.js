@@ -1,19 +1,119 @@
+/**
+ * LoginUser - Authentification par matricule + mot de passe
+ *
+ * Actions:
+ * 1. Vérification du mot de passe haché (bcrypt)
+ * 2. Vérification du verrouillage (trop d'échecs successifs)
+ * 3. Si aucun mot de passe n'existe encore : code d'enrôlement envoyé (canal OTP)
+ * 4. Mise en cache du profil et ouverture d'une session (paire access/refresh)
+ *    rattachée à l'appareil (device, platform, IP)
+ *
+ * Matricule inconnu, compte non enrôlé ou verrouillé, mot de passe faux :
+ * même réponse 401 INVALID_CREDENTIALS (pas d'énumération des matricules).
+ */
 class LoginUser {
-  constructor(userRepository, jwtService, userCache, redisClient) {
+  constructor(
+    userRepository,
+    tokenService,
+    userCache,
+    redisClient,
+    credentialRepository,
+    passwordService,
+    otpService,
+    options = {},
+  ) {
     this.userRepository = userRepository;
-    this.jwtService = jwtService;
+    this.tokenService = tokenService;
     this.userCache = userCache;
     this.redisClient = redisClient;
+    this.credentialRepository = credentialRepository;
+    this.passwordService = passwordService;
+    this.otpService = otpService;
+    this.maxAttempts =
+      options.maxAttempts || parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+    this.lockoutMinutes =
+      options.lockoutMinutes ||
+      parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) ||
+      15;
   }
 
-  async execute(matricule) {
+  _invalidCredentials() {
+    const error = new Error("Identifiants invalides");
+    error.code = "INVALID_CREDENTIALS";
+    error.status = 401;
+    return error;
+  }
+
+  // Le code d'enrôlement part par le canal OTP : la réponse HTTP reste la même
+  async _sendEnrolmentCode(user) {
+    try {
+      await this.otpService.issue("enrolment", user);
+    } catch (error) {
+      console.warn(
+        `⚠️ [LoginUser] Code d'enrôlement non envoyé à ${user.matricule}:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * @param {string} matricule
+   * @param {string} password
+   * @param {Object} [context] - Appareil : { device, platform, userAgent, ip }
+   */
+  async execute(matricule, password, context = {}) {
     const user = await this.userRepository.findByMatricule(matricule);
+    const credential = user
+      ? await this.credentialRepository.findByMatricule(matricule)
+      : null;
+
+    // ✅ Toujours un bcrypt.compare (hash factice si aucun mot de passe) :
+    // le temps de réponse ne révèle pas si le matricule existe
+    const isValid = await this.passwordService.compare(
+      password,
+      credential?.password_hash || (await this.passwordService.dummyHash()),
+    );
 
-    console.log("LoginUser: Utilisateur trouvé:", user);
     if (!user) {
-      throw new Error("Utilisateur non trouvé");
+      console.warn(`⚠️ [LoginUser] Matricule inconnu: ${matricule}`);
+      throw this._invalidCredentials();
+    }
+
+    if (
+      credential?.locked_until &&
+      new Date(credential.locked_until) > new Date()
+    ) {
+      console.warn(
+        `🔒 [LoginUser] ${matricule} verrouillé jusqu'à ${new Date(credential.locked_until).toISOString()}`,
+      );
+      throw this._invalidCredentials();
     }
 
+    // ✅ Premier login : aucun mot de passe défini → enrôlement obligatoire
+    if (!credential?.password_hash) {
+      console.warn(`⚠️ [LoginUser] ${matricule} non enrôlé`);
+      await this._sendEnrolmentCode(user);
+      throw this._invalidCredentials();
+    }
+
+    if (!isValid) {
+      const state = await this.credentialRepository.registerFailedAttempt(
+        matricule,
+        this.maxAttempts,
+        this.lockoutMinutes,
+      );
+      console.warn(
+        `⚠️ [LoginUser] Échec ${state?.failed_attempts}/${this.maxAttempts} pour ${matricule}`,
+      );
+      throw this._invalidCredentials();
+    }
+
+    await this.credentialRepository.registerSuccessfulLogin(matricule);
+
+    return this.issueTokens(user, context);
+  }
+
+  async issueTokens(user, context = {}) {
     // ✅ Mise en cache du profil lors du login (cache warming)
     if (this.userCache) {
       await this.userCache.set({
@@ -29,13 +129,15 @@ class LoginUser {
       console.log(`🔥 [LoginUser] Profil mis en cache: ${user.matricule}`);
     }
 
-    // Seul le matricule est nécessaire pour générer les tokens
-    const payload = { matricule: user.matricule, id: user.id };
-
-    const accessToken = this.jwtService.generateToken(payload, "15m");
-    const refreshToken = this.jwtService.generateRefreshToken(payload, "7d");
+    // Seuls le matricule et l'id sont nécessaires pour générer les tokens
+    const { accessToken, refreshToken, sessionId } =
+      await this.tokenService.issue(
+        { matricule: user.matricule, id: user.id },
+        null,
+        context,
+      );
 
-    return { user, accessToken, refreshToken };
+    return { user, accessToken, refreshToken, sessionId };
   }
 }
 
@@ -0,0 +1,43 @@
+/**
+ * LogoutAllSessions - Déconnexion de tous les appareils
+ *
+ * Révoque toutes les familles de refresh tokens de l'utilisateur et
+ * refuse tout access token émis avant maintenant (horodatage de coupure).
+ * Tous les sockets de l'utilisateur sont fermés, y compris ceux ouverts
+ * avec un token sans session (sid).
+ */
+class LogoutAllSessions {
+  constructor(
+    refreshTokenStore,
+    tokenService,
+    tokenDenylist,
+    sessionRevocation = null,
+  ) {
+    this.refreshTokenStore = refreshTokenStore;
+    this.tokenService = tokenService;
+    this.tokenDenylist = tokenDenylist;
+    this.sessionRevocation = sessionRevocation;
+  }
+
+  /**
+   * @param {string} matricule
+   * @param {string} [reason="logout_all"] - ex. "password_reset"
+   */
+  async execute(matricule, reason = "logout_all") {
+    const sessionIds = await this.refreshTokenStore.listFamilies(matricule);
+
+    for (const sid of sessionIds) {
+      await this.tokenService.revokeSession(sid, reason);
+    }
+    await this.tokenDenylist.revokeAllBefore(matricule);
+    await this.sessionRevocation?.publish({ matricule, reason });
+
+    console.log(
+      `👋 [LogoutAllSessions] ${sessionIds.length} session(s) révoquée(s) pour ${matricule}`,
+    );
+
+    return { success: true, revokedSessions: sessionIds.length };
+  }
+}
+
+module.exports = LogoutAllSessions;
@@ -0,0 +1,27 @@
+/**
+ * LogoutUser - Déconnexion de la session courante
+ *
+ * Révoque la famille de refresh tokens de la session et
+ * place l'access token présenté en denylist jusqu'à son expiration.
+ */
+class LogoutUser {
+  constructor(tokenService, tokenDenylist) {
+    this.tokenService = tokenService;
+    this.tokenDenylist = tokenDenylist;
+  }
+
+  async execute(accessPayload) {
+    if (accessPayload.sid) {
+      await this.tokenService.revokeSession(accessPayload.sid, "logout");
+    }
+    await this.tokenDenylist.deny(accessPayload.jti, accessPayload.exp);
+
+    console.log(
+      `👋 [LogoutUser] Session ${accessPayload.sid || "legacy"} fermée pour ${accessPayload.matricule}`,
+    );
+
+    return { success: true };
+  }
+}
+
+module.exports = LogoutUser;
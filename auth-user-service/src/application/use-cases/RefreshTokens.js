@@ -0,0 +1,71 @@
+/**
+ * RefreshTokens - Rotation du refresh token
+ *
+ * Actions:
+ * 1. Vérification de la signature et du type "refresh"
+ * 2. Consommation du jti (usage unique)
+ * 3. Réutilisation d'un jti déjà consommé → la famille entière est révoquée
+ * 4. Émission d'une nouvelle paire dans la même session (sid), dernière activité mise à jour
+ */
+class RefreshTokens {
+  constructor(jwtService, refreshTokenStore, tokenService) {
+    this.jwtService = jwtService;
+    this.refreshTokenStore = refreshTokenStore;
+    this.tokenService = tokenService;
+  }
+
+  _fail(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = 401;
+    return error;
+  }
+
+  async execute(refreshToken, context = {}) {
+    let payload;
+    try {
+      payload = this.jwtService.verifyToken(refreshToken);
+    } catch (error) {
+      throw this._fail(
+        "Refresh token invalide ou expiré",
+        "INVALID_REFRESH_TOKEN",
+      );
+    }
+
+    if (payload.type !== "refresh" || !payload.jti || !payload.sid) {
+      throw this._fail(
+        "Refresh token invalide ou expiré",
+        "INVALID_REFRESH_TOKEN",
+      );
+    }
+
+    const result = await this.refreshTokenStore.consume(payload.jti);
+
+    if (result.status === "reused") {
+      // ✅ Un refresh token déjà utilisé revient : vol probable → révoquer toute la famille
+      console.warn(
+        `🚨 [RefreshTokens] Réutilisation détectée pour ${payload.matricule} (session ${payload.sid}), famille révoquée`,
+      );
+      await this.tokenService.revokeSession(
+        result.sid || payload.sid,
+        "reuse_detected",
+      );
+      throw this._fail(
+        "Refresh token déjà utilisé, session révoquée",
+        "REFRESH_TOKEN_REUSED",
+      );
+    }
+
+    if (result.status === "revoked") {
+      throw this._fail("Session révoquée", "TOKEN_REVOKED");
+    }
+
+    return this.tokenService.issue(
+      { matricule: payload.matricule, id: payload.id },
+      payload.sid,
+      context,
+    );
+  }
+}
+
+module.exports = RefreshTokens;
@@ -0,0 +1,56 @@
+/**
+ * RequestOneTimeCode - Envoi d'un code à usage unique
+ *
+ * Usages:
+ * - "enrolment" : première connexion, l'agent n'a pas encore de mot de passe
+ * - "reset"     : mot de passe oublié ou compte verrouillé
+ *
+ * La réponse est identique que le matricule existe ou non (pas d'énumération).
+ */
+const PURPOSES = ["enrolment", "reset"];
+
+class RequestOneTimeCode {
+  constructor(userRepository, credentialRepository, otpService) {
+    this.userRepository = userRepository;
+    this.credentialRepository = credentialRepository;
+    this.otpService = otpService;
+  }
+
+  async execute(matricule, purpose) {
+    if (!PURPOSES.includes(purpose)) {
+      throw new Error(`Usage de code invalide: ${purpose}`);
+    }
+
+    const response = { expiresIn: this.otpService.ttlSeconds };
+
+    const user = await this.userRepository.findByMatricule(matricule);
+    if (!user) {
+      console.warn(`⚠️ [RequestOneTimeCode] Matricule inconnu: ${matricule}`);
+      return response;
+    }
+
+    const credential =
+      await this.credentialRepository.findByMatricule(matricule);
+    const hasPassword = !!credential?.password_hash;
+
+    if (purpose === "enrolment" && hasPassword) {
+      console.warn(
+        `⚠️ [RequestOneTimeCode] ${matricule} déjà enrôlé, code non envoyé`,
+      );
+      return response;
+    }
+
+    if (purpose === "reset" && !hasPassword) {
+      console.warn(
+        `⚠️ [RequestOneTimeCode] ${matricule} non enrôlé, réinitialisation ignorée`,
+      );
+      return response;
+    }
+
+    return this.otpService.issue(purpose, user);
+  }
+}
+
+RequestOneTimeCode.PURPOSES = PURPOSES;
+
+module.exports = RequestOneTimeCode;
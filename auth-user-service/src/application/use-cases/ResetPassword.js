@@ -0,0 +1,56 @@
+/**
+ * ResetPassword - Réinitialisation du mot de passe par code à usage unique
+ *
+ * Le nouveau mot de passe remplace l'ancien et lève le verrouillage éventuel.
+ * Toutes les sessions sont ensuite révoquées (refresh tokens, access tokens,
+ * sockets) : un tiers connecté avec l'ancien mot de passe est déconnecté.
+ */
+class ResetPassword {
+  constructor(
+    credentialRepository,
+    passwordService,
+    otpService,
+    logoutAllSessionsUseCase,
+  ) {
+    this.credentialRepository = credentialRepository;
+    this.passwordService = passwordService;
+    this.otpService = otpService;
+    this.logoutAllSessionsUseCase = logoutAllSessionsUseCase;
+  }
+
+  async execute({ matricule, code, newPassword }) {
+    const policyError = this.passwordService.validatePolicy(
+      newPassword,
+      matricule,
+    );
+    if (policyError) {
+      const error = new Error(policyError);
+      error.code = "WEAK_PASSWORD";
+      error.status = 400;
+      throw error;
+    }
+
+    const isValid = await this.otpService.verify("reset", matricule, code);
+    if (!isValid) {
+      const error = new Error("Code invalide ou expiré");
+      error.code = "INVALID_CODE";
+      error.status = 401;
+      throw error;
+    }
+
+    const passwordHash = await this.passwordService.hash(newPassword);
+    await this.credentialRepository.setPassword(matricule, passwordHash);
+    const { revokedSessions } = await this.logoutAllSessionsUseCase.execute(
+      matricule,
+      "password_reset",
+    );
+
+    console.log(
+      `✅ [ResetPassword] Mot de passe réinitialisé pour ${matricule} (${revokedSessions} session(s) révoquée(s))`,
+    );
+
+    return { success: true, matricule };
+  }
+}
+
+module.exports = ResetPassword;
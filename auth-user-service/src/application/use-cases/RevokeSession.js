@@ -0,0 +1,35 @@
+/**
+ * RevokeSession - Fermeture d'une session (appareil) par son propriétaire
+ *
+ * Le refresh token de la session est invalidé, son dernier access token
+ * est mis en denylist et les sockets de l'appareil sont déconnectés
+ * (commande pub/sub écoutée par chat-file-service).
+ */
+class RevokeSession {
+  constructor(refreshTokenStore, tokenService) {
+    this.refreshTokenStore = refreshTokenStore;
+    this.tokenService = tokenService;
+  }
+
+  async execute(matricule, sessionId) {
+    const family = await this.refreshTokenStore.getFamily(sessionId);
+
+    // Session d'un autre utilisateur : même réponse qu'une session inconnue
+    if (!family || family.matricule !== String(matricule)) {
+      const error = new Error("Session introuvable");
+      error.code = "SESSION_NOT_FOUND";
+      error.status = 404;
+      throw error;
+    }
+
+    await this.tokenService.revokeSession(sessionId, "revoked");
+
+    console.log(
+      `🔒 [RevokeSession] Session ${sessionId} (${family.device || family.platform || "appareil inconnu"}) révoquée pour ${matricule}`,
+    );
+
+    return { success: true, sessionId };
+  }
+}
+
+module.exports = RevokeSession;
@@ -3,14 +3,27 @@ const chalk = require("chalk");
 const cors = require("cors");
 const path = require("path");
 const cookieParser = require("cookie-parser");
-const { testConnection } = require("./infrastructure/config/database");
+const {
+  sequelize,
+  testConnection,
+} = require("./infrastructure/config/database");
 const redisConfig = require("./infrastructure/redis/redisConfig");
+const RefreshTokenStore = require("./infrastructure/redis/RefreshTokenStore");
+const SigningKeyStore = require("./infrastructure/security/SigningKeyStore");
 
 // Repositories
 const UserRepository = require("./infrastructure/repositories/UserRepository");
+const CredentialRepository = require("./infrastructure/repositories/CredentialRepository");
+const RoleRepository = require("./infrastructure/repositories/RoleRepository");
 
 // Services
 const JwtService = require("./application/services/JwtService");
+const SigningKeyService = require("./application/services/SigningKeyService");
+const PasswordService = require("./application/services/PasswordService");
+const OtpService = require("./application/services/OtpService");
+const TokenService = require("./application/services/TokenService");
+const AuthorizationService = require("./application/services/AuthorizationService");
+const { createOtpSender } = require("./infrastructure/services/otp");
 
 // ✅ SMART CACHE PREWARMER
 const SmartCachePrewarmer = require("./infrastructure/services/SmartCachePrewarmer");
@@ -23,6 +36,15 @@ const BatchGetUsers = require("./application/use-cases/BatchGetUsers");
 const UpdateUserProfile = require("./application/use-cases/UpdateUserProfile");
 const CreateUser = require("./application/use-cases/CreateUser");
 const DeleteUser = require("./application/use-cases/DeleteUser");
+const RequestOneTimeCode = require("./application/use-cases/RequestOneTimeCode");
+const EnrolUser = require("./application/use-cases/EnrolUser");
+const ResetPassword = require("./application/use-cases/ResetPassword");
+const RefreshTokens = require("./application/use-cases/RefreshTokens");
+const LogoutUser = require("./application/use-cases/LogoutUser");
+const LogoutAllSessions = require("./application/use-cases/LogoutAllSessions");
+const AssignUserRoles = require("./application/use-cases/AssignUserRoles");
+const ListSessions = require("./application/use-cases/ListSessions");
+const RevokeSession = require("./application/use-cases/RevokeSession");
 
 // Controllers
 const UserController = require("./interfaces/http/controllers/UserController");
@@ -31,14 +53,23 @@ const AuthController = require("./interfaces/http/controllers/AuthController");
 // Routes
 const createUserRoutes = require("./interfaces/http/routes/userRoutes");
 const createAuthRoutes = require("./interfaces/http/routes/authRoutes");
+const createAuthMiddleware = require("./interfaces/http/middleware/authMiddleware");
 const shared = require("../shared");
 
 // ✅ SHARED MODULE - Cache utilisateur partagé
-let UserCache, UserStreamConsumer, RedisManager;
+let UserCache,
+  UserStreamConsumer,
+  RedisManager,
+  TokenDenylist,
+  GatewayIdentity,
+  SessionRevocation;
 try {
   UserCache = shared.UserCache;
   UserStreamConsumer = shared.UserStreamConsumer;
   RedisManager = shared.RedisManager;
+  TokenDenylist = shared.TokenDenylist;
+  GatewayIdentity = shared.GatewayIdentity;
+  SessionRevocation = shared.SessionRevocation;
 } catch (error) {
   console.warn("⚠️ Module shared non disponible, cache utilisateur désactivé");
 }
@@ -49,6 +80,8 @@ const app = express();
 app.use(express.json());
 app.use(cors());
 app.use(cookieParser());
+// IP client relayée par le gateway (X-Forwarded-For) pour le suivi des sessions
+app.set("trust proxy", "loopback, linklocal, uniquelocal");
 
 const PORT = process.env.AUTH_USER_SERVICE_PORT || 8001;
 
@@ -117,18 +150,111 @@ const startServer = async () => {
       }
     }
 
+    // ✅ Denylist des access tokens (partagée avec chat-file-service)
+    if (TokenDenylist && redisClient) {
+      await TokenDenylist.initialize(redisClient);
+      // Révocation de session → déconnexion des sockets (chat-file-service)
+      await SessionRevocation?.initialize(redisClient);
+    } else {
+      console.warn(
+        "⚠️ Redis indisponible : rotation et révocation des tokens désactivées",
+      );
+    }
+
     // Initialisation des dépendances
     const userRepository = new UserRepository();
-    const jwtService = new JwtService(process.env.JWT_SECRET);
+    const credentialRepository = new CredentialRepository();
+    await credentialRepository.ensureTable();
+    const roleRepository = new RoleRepository();
+    await roleRepository.ensureTable();
+
+    // Amorçage des super administrateurs (les autres rôles s'attribuent via l'API)
+    const superAdmins = (process.env.SUPER_ADMIN_MATRICULES || "")
+      .split(",")
+      .map((m) => m.trim())
+      .filter(Boolean);
+    if (superAdmins.length > 0) {
+      await roleRepository.ensureRole(superAdmins, "super_admin");
+      console.log(`🛡️ Super administrateurs: ${superAdmins.join(", ")}`);
+    }
+    const authorizationService = new AuthorizationService(roleRepository);
+
+    // Clés asymétriques de signature (rotation planifiée, publiées en JWKS)
+    const signingKeyService = new SigningKeyService(
+      new SigningKeyStore(
+        process.env.JWT_KEYS_DIR || path.join(__dirname, "../keys"),
+      ),
+      redisClient,
+      {
+        algorithm: process.env.JWT_ALGORITHM || "RS256",
+        rotationIntervalMs:
+          (parseInt(process.env.JWT_KEY_ROTATION_DAYS, 10) || 30) *
+          24 *
+          3600 *
+          1000,
+      },
+    );
+    await signingKeyService.initialize();
+    const jwtService = new JwtService(signingKeyService);
+    const passwordService = new PasswordService();
+    const refreshTokenStore = new RefreshTokenStore(redisClient);
+    const tokenService = new TokenService(
+      jwtService,
+      refreshTokenStore,
+      TokenDenylist,
+      authorizationService,
+      SessionRevocation,
+    );
+    const otpService = new OtpService(redisClient, createOtpSender(), {
+      ttlSeconds: parseInt(process.env.OTP_TTL_SECONDS, 10) || 600,
+    });
 
     // Use Cases
     const getAllUsersUseCase = new GetAllUsers(userRepository);
     const getUserByIdUseCase = new GetUserById(userRepository);
     const loginUserUseCase = new LoginUser(
       userRepository,
-      jwtService,
+      tokenService,
       UserCache,
       redisClient,
+      credentialRepository,
+      passwordService,
+      otpService,
+    );
+    const requestOneTimeCodeUseCase = new RequestOneTimeCode(
+      userRepository,
+      credentialRepository,
+      otpService,
+    );
+    const enrolUserUseCase = new EnrolUser(
+      userRepository,
+      credentialRepository,
+      passwordService,
+      otpService,
+      loginUserUseCase,
+    );
+    const refreshTokensUseCase = new RefreshTokens(
+      jwtService,
+      refreshTokenStore,
+      tokenService,
+    );
+    const logoutUserUseCase = new LogoutUser(tokenService, TokenDenylist);
+    const logoutAllSessionsUseCase = new LogoutAllSessions(
+      refreshTokenStore,
+      tokenService,
+      TokenDenylist,
+      SessionRevocation,
+    );
+    const listSessionsUseCase = new ListSessions(refreshTokenStore);
+    const revokeSessionUseCase = new RevokeSession(
+      refreshTokenStore,
+      tokenService,
+    );
+    const resetPasswordUseCase = new ResetPassword(
+      credentialRepository,
+      passwordService,
+      otpService,
+      logoutAllSessionsUseCase,
     );
     const batchGetUsersUseCase = new BatchGetUsers(userRepository);
     const updateUserProfileUseCase = new UpdateUserProfile(
@@ -146,6 +272,10 @@ const startServer = async () => {
       UserCache,
       redisClient,
     );
+    const assignUserRolesUseCase = new AssignUserRoles(
+      userRepository,
+      roleRepository,
+    );
 
     // Controllers
     const userController = new UserController(
@@ -155,8 +285,21 @@ const startServer = async () => {
       updateUserProfileUseCase,
       createUserUseCase,
       deleteUserUseCase,
+      assignUserRolesUseCase,
+      authorizationService,
+    );
+    const authController = new AuthController(
+      loginUserUseCase,
+      requestOneTimeCodeUseCase,
+      enrolUserUseCase,
+      resetPasswordUseCase,
+      refreshTokensUseCase,
+      logoutUserUseCase,
+      logoutAllSessionsUseCase,
+      listSessionsUseCase,
+      revokeSessionUseCase,
     );
-    const authController = new AuthController(loginUserUseCase);
+    const authMiddleware = createAuthMiddleware(tokenService, GatewayIdentity);
 
     // ===============================
     // 3. PRÉ-CHAUFFAGE CACHE UTILISATEUR
@@ -179,9 +322,35 @@ const startServer = async () => {
       }
     }
 
-    // Routes
-    app.use("/", createUserRoutes(userController));
-    app.use("/", createAuthRoutes(authController, jwtService));
+    // Santé (sondée par le gateway) : avant les routes "/:id"
+    app.get("/health", async (req, res) => {
+      const checks = {
+        database: await sequelize
+          .authenticate()
+          .then(() => "UP")
+          .catch(() => "DOWN"),
+        redis: redisClient?.isReady ? "UP" : "DEGRADED",
+      };
+      const isUp = checks.database === "UP";
+
+      res.status(isUp ? 200 : 503).json({
+        status: isUp ? "UP" : "DOWN",
+        service: "auth-user-service",
+        checks,
+        uptime: process.uptime(),
+        timestamp: new Date().toISOString(),
+      });
+    });
+
+    // Clés publiques de vérification des JWT (gateway, chat-file)
+    app.get("/.well-known/jwks.json", (req, res) => {
+      res.set("Cache-Control", "public, max-age=300");
+      res.json(signingKeyService.getJwks());
+    });
+
+    // Routes (auth d'abord : /sessions ne doit pas être capturé par "/:id")
+    app.use("/", createAuthRoutes(authController, authMiddleware));
+    app.use("/", createUserRoutes(userController, authMiddleware));
 
     app.listen(PORT, () => {
       console.log(
@@ -0,0 +1,180 @@
+/**
+ * RefreshTokenStore - Suivi des refresh tokens dans Redis
+ *
+ * Chaque connexion ouvre une "famille" (session) identifiée par un sid.
+ * Chaque refresh token émis porte un jti unique, utilisable une seule fois.
+ *
+ * Clés:
+ * - user-service:auth:refresh:{jti}          → { sid, matricule } (TTL = expiration du token)
+ * - user-service:auth:refresh_used:{jti}     → sid (marqueur de consommation, détection de réutilisation)
+ * - user-service:auth:family:{sid}           → hash { matricule, currentJti, accessJti, accessExp,
+ *                                               device, platform, userAgent, ip, lastActivityAt, ... }
+ * - user-service:auth:user_families:{matricule} → set des sid actifs
+ */
+class RefreshTokenStore {
+  constructor(redisClient, options = {}) {
+    this.redis = redisClient;
+    this.prefix = options.prefix || "user-service:auth:";
+    this.usedMarkerTTL = options.usedMarkerTTL || 7 * 24 * 3600;
+  }
+
+  _tokenKey(jti) {
+    return `${this.prefix}refresh:${jti}`;
+  }
+
+  _usedKey(jti) {
+    return `${this.prefix}refresh_used:${jti}`;
+  }
+
+  _familyKey(sid) {
+    return `${this.prefix}family:${sid}`;
+  }
+
+  _userFamiliesKey(matricule) {
+    return `${this.prefix}user_families:${matricule}`;
+  }
+
+  /**
+   * Enregistre le refresh token courant d'une famille
+   * @param {Object} params
+   * @param {string} params.jti - jti du refresh token
+   * @param {string} params.sid - Identifiant de famille (session)
+   * @param {string} params.matricule
+   * @param {string} params.accessJti - jti de l'access token émis avec lui
+   * @param {number} params.accessExp - Expiration de l'access token (secondes epoch)
+   * @param {number} params.exp - Expiration du refresh token (secondes epoch)
+   * @param {Object} [params.context] - Appareil : { device, platform, userAgent, ip }
+   */
+  async save({ jti, sid, matricule, accessJti, accessExp, exp, context = {} }) {
+    if (!this.redis) return;
+
+    const ttl = Math.max(1, exp - Math.floor(Date.now() / 1000));
+    const familyKey = this._familyKey(sid);
+    const userFamiliesKey = this._userFamiliesKey(matricule);
+    const now = Date.now().toString();
+
+    // Champs d'appareil : renseignés au login, l'IP suit les rotations
+    const device = Object.fromEntries(
+      ["device", "platform", "userAgent", "ip"]
+        .filter((field) => context[field])
+        .map((field) => [field, String(context[field]).slice(0, 255)]),
+    );
+
+    await this.redis
+      .multi()
+      .set(this._tokenKey(jti), JSON.stringify({ sid, matricule }), {
+        EX: ttl,
+      })
+      .hSetNX(familyKey, "createdAt", now)
+      .hSet(familyKey, {
+        matricule: String(matricule),
+        currentJti: jti,
+        accessJti: accessJti || "",
+        accessExp: String(accessExp || 0),
+        refreshExp: String(exp),
+        updatedAt: now,
+        lastActivityAt: now,
+        ...device,
+      })
+      .expire(familyKey, ttl)
+      .sAdd(userFamiliesKey, sid)
+      .expire(userFamiliesKey, ttl)
+      .exec();
+  }
+
+  /**
+   * Consomme un refresh token (usage unique)
+   * Sans Redis, l'usage unique ne peut pas être garanti : le refresh est refusé
+   * @param {string} jti
+   * @returns {Promise<{status: "active"|"reused"|"revoked", sid?: string}>}
+   * @throws {Error} REFRESH_UNAVAILABLE (503) si Redis est indisponible
+   */
+  async consume(jti) {
+    if (!this.redis) {
+      const error = new Error("Renouvellement de session indisponible");
+      error.code = "REFRESH_UNAVAILABLE";
+      error.status = 503;
+      throw error;
+    }
+
+    const raw = await this.redis.get(this._tokenKey(jti));
+    const record = raw ? JSON.parse(raw) : null;
+
+    // ✅ SET NX : un seul appel peut consommer un jti donné
+    const marked = await this.redis.set(this._usedKey(jti), record?.sid || "", {
+      NX: true,
+      EX: this.usedMarkerTTL,
+    });
+
+    if (marked === null) {
+      const sid = await this.redis.get(this._usedKey(jti));
+      return { status: "reused", sid: sid || null };
+    }
+
+    if (!record) {
+      return { status: "revoked" };
+    }
+
+    await this.redis.del(this._tokenKey(jti));
+    return { status: "active", sid: record.sid };
+  }
+
+  async getFamily(sid) {
+    if (!this.redis || !sid) return null;
+
+    const family = await this.redis.hGetAll(this._familyKey(sid));
+    return family && Object.keys(family).length > 0 ? family : null;
+  }
+
+  async listFamilies(matricule) {
+    if (!this.redis) return [];
+    return this.redis.sMembers(this._userFamiliesKey(matricule));
+  }
+
+  /**
+   * Sessions actives d'un utilisateur (les sid expirés sont retirés de l'index)
+   * @returns {Promise<Array<Object>>} Familles avec leur sid
+   */
+  async listSessions(matricule) {
+    const sids = await this.listFamilies(matricule);
+    const sessions = [];
+    const stale = [];
+
+    for (const sid of sids) {
+      const family = await this.getFamily(sid);
+      if (family) {
+        sessions.push({ sid, ...family });
+      } else {
+        stale.push(sid);
+      }
+    }
+
+    if (stale.length > 0) {
+      await this.redis.sRem(this._userFamiliesKey(matricule), stale);
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Révoque une famille : le refresh token courant devient inutilisable
+   * @returns {Promise<Object|null>} La famille révoquée (pour révoquer l'access token associé)
+   */
+  async revokeFamily(sid) {
+    const family = await this.getFamily(sid);
+    if (!family) return null;
+
+    const multi = this.redis.multi().del(this._familyKey(sid));
+    if (family.currentJti) {
+      multi.del(this._tokenKey(family.currentJti));
+    }
+    if (family.matricule) {
+      multi.sRem(this._userFamiliesKey(family.matricule), sid);
+    }
+    await multi.exec();
+
+    return family;
+  }
+}
+
+module.exports = RefreshTokenStore;
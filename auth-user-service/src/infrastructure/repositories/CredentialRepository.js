@@ -0,0 +1,92 @@
+const { sequelize } = require("../config/database");
+
+/**
+ * CredentialRepository - Identifiants de connexion des agents
+ *
+ * Les mots de passe sont stockés (hachés) dans la table personnel_credentials,
+ * à côté de la table personnel, avec le compteur d'échecs et le verrouillage.
+ */
+class CredentialRepository {
+  async ensureTable() {
+    await sequelize.query(
+      `CREATE TABLE IF NOT EXISTS personnel_credentials (
+         matricule VARCHAR(32) PRIMARY KEY,
+         password_hash VARCHAR(255),
+         failed_attempts INTEGER NOT NULL DEFAULT 0,
+         locked_until TIMESTAMPTZ,
+         password_updated_at TIMESTAMPTZ,
+         last_login_at TIMESTAMPTZ,
+         created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+         updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+       )`,
+    );
+  }
+
+  async findByMatricule(matricule) {
+    const [credential] = await sequelize.query(
+      `SELECT matricule, password_hash, failed_attempts, locked_until, password_updated_at, last_login_at
+       FROM personnel_credentials
+       WHERE matricule = :matricule`,
+      {
+        replacements: { matricule },
+        type: sequelize.QueryTypes.SELECT,
+      },
+    );
+
+    return credential || null;
+  }
+
+  async setPassword(matricule, passwordHash) {
+    await sequelize.query(
+      `INSERT INTO personnel_credentials (matricule, password_hash, password_updated_at)
+       VALUES (:matricule, :passwordHash, NOW())
+       ON CONFLICT (matricule) DO UPDATE
+       SET password_hash = :passwordHash,
+           password_updated_at = NOW(),
+           failed_attempts = 0,
+           locked_until = NULL,
+           updated_at = NOW()`,
+      { replacements: { matricule, passwordHash } },
+    );
+  }
+
+  /**
+   * Incrémente le compteur d'échecs et verrouille le compte au-delà du seuil
+   * Un verrouillage expiré repart de zéro : le compteur recommence à 1
+   * @returns {Promise<Object>} Ligne mise à jour (failed_attempts, locked_until)
+   */
+  async registerFailedAttempt(matricule, maxAttempts, lockoutMinutes) {
+    const attempts = `CASE
+             WHEN personnel_credentials.locked_until < NOW() THEN 1
+             ELSE personnel_credentials.failed_attempts + 1
+           END`;
+    const [rows] = await sequelize.query(
+      `INSERT INTO personnel_credentials (matricule, failed_attempts)
+       VALUES (:matricule, 1)
+       ON CONFLICT (matricule) DO UPDATE
+       SET failed_attempts = ${attempts},
+           locked_until = CASE
+             WHEN ${attempts} >= :maxAttempts
+             THEN NOW() + make_interval(mins => :lockoutMinutes)
+             WHEN personnel_credentials.locked_until < NOW() THEN NULL
+             ELSE personnel_credentials.locked_until
+           END,
+           updated_at = NOW()
+       RETURNING failed_attempts, locked_until`,
+      { replacements: { matricule, maxAttempts, lockoutMinutes } },
+    );
+
+    return rows[0];
+  }
+
+  async registerSuccessfulLogin(matricule) {
+    await sequelize.query(
+      `UPDATE personnel_credentials
+       SET failed_attempts = 0, locked_until = NULL, last_login_at = NOW(), updated_at = NOW()
+       WHERE matricule = :matricule`,
+      { replacements: { matricule } },
+    );
+  }
+}
+
+module.exports = CredentialRepository;
@@ -0,0 +1,83 @@
+const { sequelize } = require("../config/database");
+
+/**
+ * RoleRepository - Rôles de plateforme attribués aux agents
+ *
+ * Table personnel_roles : une ligne par rôle attribué. Le rôle "agent" est
+ * implicite (tout matricule) et n'est pas stocké. Pour ministry_admin, la
+ * colonne ministere porte le ministère administré.
+ */
+class RoleRepository {
+  async ensureTable() {
+    await sequelize.query(
+      `CREATE TABLE IF NOT EXISTS personnel_roles (
+         matricule VARCHAR(32) NOT NULL,
+         role VARCHAR(32) NOT NULL,
+         ministere VARCHAR(255),
+         granted_by VARCHAR(32),
+         created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+         PRIMARY KEY (matricule, role)
+       )`,
+    );
+  }
+
+  /**
+   * @returns {Promise<Array<{role: string, ministere: string|null}>>}
+   */
+  async findByMatricule(matricule) {
+    return sequelize.query(
+      `SELECT role, ministere FROM personnel_roles WHERE matricule = :matricule`,
+      {
+        replacements: { matricule },
+        type: sequelize.QueryTypes.SELECT,
+      },
+    );
+  }
+
+  /**
+   * Remplace l'ensemble des rôles d'un agent
+   * @param {string} matricule
+   * @param {Array<{role: string, ministere: string|null}>} assignments
+   * @param {string} grantedBy - Matricule de l'administrateur
+   */
+  async replaceRoles(matricule, assignments, grantedBy) {
+    await sequelize.transaction(async (transaction) => {
+      await sequelize.query(
+        `DELETE FROM personnel_roles WHERE matricule = :matricule`,
+        { replacements: { matricule }, transaction },
+      );
+
+      for (const { role, ministere } of assignments) {
+        await sequelize.query(
+          `INSERT INTO personnel_roles (matricule, role, ministere, granted_by)
+           VALUES (:matricule, :role, :ministere, :grantedBy)`,
+          {
+            replacements: {
+              matricule,
+              role,
+              ministere: ministere || null,
+              grantedBy: grantedBy || null,
+            },
+            transaction,
+          },
+        );
+      }
+    });
+  }
+
+  /**
+   * Amorçage : garantit un rôle à une liste de matricules (ex: SUPER_ADMIN_MATRICULES)
+   */
+  async ensureRole(matricules, role) {
+    for (const matricule of matricules) {
+      await sequelize.query(
+        `INSERT INTO personnel_roles (matricule, role)
+         VALUES (:matricule, :role)
+         ON CONFLICT (matricule, role) DO NOTHING`,
+        { replacements: { matricule, role } },
+      );
+    }
+  }
+}
+
+module.exports = RoleRepository;
@@ -0,0 +1,54 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * SigningKeyStore - Clés privées de signature des JWT (un fichier par clé)
+ *
+ * Répertoire: JWT_KEYS_DIR (volume monté uniquement dans auth-user-service,
+ * partagé entre ses instances). Jamais dans Redis : les autres services y
+ * ont accès.
+ *
+ * Fichier: {kid}.json → { kid, alg, privateKey (PEM PKCS#8), createdAt, activatesAt }
+ */
+class SigningKeyStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  _file(kid) {
+    return path.join(this.directory, `${kid}.json`);
+  }
+
+  async list() {
+    await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+    const files = (await fs.readdir(this.directory)).filter((f) =>
+      f.endsWith(".json"),
+    );
+
+    const keys = [];
+    for (const file of files) {
+      try {
+        const raw = await fs.readFile(path.join(this.directory, file), "utf8");
+        keys.push(JSON.parse(raw));
+      } catch (error) {
+        console.warn(`⚠️ Clé de signature illisible ${file}:`, error.message);
+      }
+    }
+    return keys;
+  }
+
+  async save(key) {
+    await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+
+    // Écriture atomique : une autre instance peut lire le répertoire en parallèle
+    const tmp = `${this._file(key.kid)}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(key), { mode: 0o600 });
+    await fs.rename(tmp, this._file(key.kid));
+  }
+
+  async remove(kid) {
+    await fs.rm(this._file(kid), { force: true });
+  }
+}
+
+module.exports = SigningKeyStore;
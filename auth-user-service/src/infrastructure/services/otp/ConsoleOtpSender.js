@@ -0,0 +1,18 @@
+const chalk = require("chalk");
+
+/**
+ * ConsoleOtpSender - Affiche les codes dans la console (développement uniquement)
+ */
+class ConsoleOtpSender {
+  async send({ matricule, code, purpose, expiresInSeconds }) {
+    console.log(
+      chalk.magenta(
+        `🔑 [OTP:${purpose}] ${matricule} → ${code} (valide ${Math.round(
+          expiresInSeconds / 60,
+        )} min)`,
+      ),
+    );
+  }
+}
+
+module.exports = ConsoleOtpSender;
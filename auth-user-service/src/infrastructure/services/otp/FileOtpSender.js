@@ -0,0 +1,26 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * FileOtpSender - Ajoute les codes dans un fichier JSON Lines (tests, recette)
+ */
+class FileOtpSender {
+  constructor(filePath) {
+    this.filePath = filePath || path.join(process.cwd(), "otp-outbox.log");
+  }
+
+  async send({ matricule, code, purpose, expiresInSeconds }) {
+    const line = JSON.stringify({
+      matricule,
+      code,
+      purpose,
+      expiresAt: new Date(Date.now() + expiresInSeconds * 1000).toISOString(),
+      sentAt: new Date().toISOString(),
+    });
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${line}\n`, "utf8");
+  }
+}
+
+module.exports = FileOtpSender;
@@ -0,0 +1,19 @@
+const ConsoleOtpSender = require("./ConsoleOtpSender");
+const FileOtpSender = require("./FileOtpSender");
+
+/**
+ * Sélectionne le sender de codes à usage unique selon OTP_SENDER
+ * (console | file). Un sender SMS/email doit exposer la même méthode send().
+ */
+const createOtpSender = (type = process.env.OTP_SENDER || "console") => {
+  switch (type) {
+    case "file":
+      return new FileOtpSender(process.env.OTP_FILE_PATH);
+    case "console":
+      return new ConsoleOtpSender();
+    default:
+      throw new Error(`Sender OTP inconnu: ${type}`);
+  }
+};
+
+module.exports = { createOtpSender, ConsoleOtpSender, FileOtpSender };
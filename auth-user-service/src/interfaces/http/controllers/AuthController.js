@@ -1,17 +1,75 @@
 class AuthController {
-  constructor(loginUserUseCase) {
+  constructor(
+    loginUserUseCase,
+    requestOneTimeCodeUseCase,
+    enrolUserUseCase,
+    resetPasswordUseCase,
+    refreshTokensUseCase,
+    logoutUserUseCase,
+    logoutAllSessionsUseCase,
+    listSessionsUseCase,
+    revokeSessionUseCase,
+  ) {
     this.loginUserUseCase = loginUserUseCase;
+    this.requestOneTimeCodeUseCase = requestOneTimeCodeUseCase;
+    this.enrolUserUseCase = enrolUserUseCase;
+    this.resetPasswordUseCase = resetPasswordUseCase;
+    this.refreshTokensUseCase = refreshTokensUseCase;
+    this.logoutUserUseCase = logoutUserUseCase;
+    this.logoutAllSessionsUseCase = logoutAllSessionsUseCase;
+    this.listSessionsUseCase = listSessionsUseCase;
+    this.revokeSessionUseCase = revokeSessionUseCase;
+  }
+
+  // Appareil à l'origine de la requête (en-têtes X-Device-* envoyés par les clients,
+  // sinon déduit du User-Agent : Flutter/Dart → mobile, navigateur → web)
+  _sessionContext(req) {
+    const userAgent = req.get("user-agent") || "";
+    const platform =
+      req.get("x-device-platform") ||
+      (/android/i.test(userAgent)
+        ? "android"
+        : /iphone|ipad|ios/i.test(userAgent)
+          ? "ios"
+          : /dart/i.test(userAgent)
+            ? "mobile"
+            : userAgent
+              ? "web"
+              : "unknown");
+
+    return {
+      device: req.get("x-device-name") || req.body?.device || null,
+      platform: platform.toLowerCase(),
+      userAgent,
+      ip: req.ip,
+    };
+  }
+
+  _sendError(res, error, context) {
+    console.error(`Erreur ${context}:`, error.message);
+
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : "Erreur serveur",
+      code: error.code || "INTERNAL_ERROR",
+    });
   }
 
   async login(req, res) {
     try {
-      const { matricule } = req.body;
+      const { matricule, password } = req.body;
 
-      if (!matricule) {
-        return res.status(400).json({ message: "Le matricule est requis" });
+      if (!matricule || !password) {
+        return res.status(400).json({
+          message: "Le matricule et le mot de passe sont requis",
+          code: "MISSING_CREDENTIALS",
+        });
       }
 
-      const result = await this.loginUserUseCase.execute(matricule);
+      const result = await this.loginUserUseCase.execute(
+        matricule,
+        password,
+        this._sessionContext(req),
+      );
 
       // Définir des cookies httpOnly pour protéger les tokens côté client
       res.json({
@@ -20,8 +78,187 @@ class AuthController {
         refreshToken: result.refreshToken, // optionnel pour mobile
       });
     } catch (error) {
-      console.error("Erreur lors de la connexion:", error);
-      res.status(401).json({ message: error.message });
+      this._sendError(res, error, "lors de la connexion");
+    }
+  }
+
+  async requestEnrolmentCode(req, res) {
+    return this._requestCode(req, res, "enrolment");
+  }
+
+  async requestPasswordResetCode(req, res) {
+    return this._requestCode(req, res, "reset");
+  }
+
+  async _requestCode(req, res, purpose) {
+    try {
+      const { matricule } = req.body;
+
+      if (!matricule) {
+        return res.status(400).json({ message: "Le matricule est requis" });
+      }
+
+      const result = await this.requestOneTimeCodeUseCase.execute(
+        matricule,
+        purpose,
+      );
+
+      res.status(202).json({
+        message: "Si le matricule est valide, un code a été envoyé",
+        expiresIn: result.expiresIn,
+      });
+    } catch (error) {
+      this._sendError(res, error, `demande de code (${purpose})`);
+    }
+  }
+
+  async enrol(req, res) {
+    try {
+      const { matricule, code, password } = req.body;
+
+      if (!matricule || !code || !password) {
+        return res.status(400).json({
+          message: "Le matricule, le code et le mot de passe sont requis",
+          code: "MISSING_FIELDS",
+        });
+      }
+
+      const result = await this.enrolUserUseCase.execute(
+        { matricule, code, password },
+        this._sessionContext(req),
+      );
+
+      res.status(201).json({
+        user: result.user,
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
+      });
+    } catch (error) {
+      this._sendError(res, error, "lors de l'enrôlement");
+    }
+  }
+
+  async resetPassword(req, res) {
+    try {
+      const { matricule, code, newPassword } = req.body;
+
+      if (!matricule || !code || !newPassword) {
+        return res.status(400).json({
+          message: "Le matricule, le code et le nouveau mot de passe sont requis",
+          code: "MISSING_FIELDS",
+        });
+      }
+
+      await this.resetPasswordUseCase.execute({
+        matricule,
+        code,
+        newPassword,
+      });
+
+      res.json({ message: "Mot de passe réinitialisé" });
+    } catch (error) {
+      this._sendError(res, error, "lors de la réinitialisation");
+    }
+  }
+
+  // Rotation : refresh token (httpOnly cookie ou body fallback) → nouvelle paire
+  async refresh(req, res) {
+    try {
+      const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+
+      if (!refreshToken) {
+        return res.status(401).json({
+          message: "Refresh token manquant",
+          code: "MISSING_REFRESH_TOKEN",
+        });
+      }
+
+      const result = await this.refreshTokensUseCase.execute(
+        refreshToken,
+        this._sessionContext(req),
+      );
+
+      res
+        .cookie("accessToken", result.accessToken, {
+          httpOnly: true,
+          secure: true,
+          sameSite: "Strict",
+          maxAge: 15 * 60 * 1000,
+        })
+        .cookie("refreshToken", result.refreshToken, {
+          httpOnly: true,
+          secure: true,
+          sameSite: "Strict",
+          maxAge: 7 * 24 * 60 * 60 * 1000,
+        })
+        .json({
+          accessToken: result.accessToken,
+          refreshToken: result.refreshToken,
+        });
+    } catch (error) {
+      this._sendError(res, error, "lors du rafraîchissement");
+    }
+  }
+
+  async logout(req, res) {
+    try {
+      await this.logoutUserUseCase.execute(req.tokenPayload);
+
+      res
+        .clearCookie("accessToken")
+        .clearCookie("refreshToken")
+        .json({ message: "Déconnexion réussie" });
+    } catch (error) {
+      this._sendError(res, error, "lors de la déconnexion");
+    }
+  }
+
+  async logoutAll(req, res) {
+    try {
+      const result = await this.logoutAllSessionsUseCase.execute(
+        req.user.matricule,
+      );
+
+      res
+        .clearCookie("accessToken")
+        .clearCookie("refreshToken")
+        .json({
+          message: "Toutes les sessions ont été fermées",
+          revokedSessions: result.revokedSessions,
+        });
+    } catch (error) {
+      this._sendError(res, error, "lors de la déconnexion globale");
+    }
+  }
+
+  async listSessions(req, res) {
+    try {
+      const sessions = await this.listSessionsUseCase.execute(
+        req.user.matricule,
+        req.user.sessionId,
+      );
+
+      res.json({ sessions, count: sessions.length });
+    } catch (error) {
+      this._sendError(res, error, "lors de la liste des sessions");
+    }
+  }
+
+  async revokeSession(req, res) {
+    try {
+      const result = await this.revokeSessionUseCase.execute(
+        req.user.matricule,
+        req.params.sessionId,
+      );
+
+      // Session courante : le client est déconnecté comme pour /logout
+      if (req.params.sessionId === req.user.sessionId) {
+        res.clearCookie("accessToken").clearCookie("refreshToken");
+      }
+
+      res.json({ message: "Session révoquée", sessionId: result.sessionId });
+    } catch (error) {
+      this._sendError(res, error, "lors de la révocation de session");
     }
   }
 }
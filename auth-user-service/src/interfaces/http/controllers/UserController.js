@@ -5,7 +5,9 @@ class UserController {
     batchGetUsersUseCase,
     updateUserProfileUseCase,
     createUserUseCase,
-    deleteUserUseCase
+    deleteUserUseCase,
+    assignUserRolesUseCase,
+    authorizationService
   ) {
     this.getAllUsersUseCase = getAllUsersUseCase;
     this.getUserUseCase = getUserUseCase;
@@ -13,6 +15,8 @@ class UserController {
     this.updateUserProfileUseCase = updateUserProfileUseCase;
     this.createUserUseCase = createUserUseCase;
     this.deleteUserUseCase = deleteUserUseCase;
+    this.assignUserRolesUseCase = assignUserRolesUseCase;
+    this.authorizationService = authorizationService;
   }
 
   async getAllUsers(req, res) {
@@ -115,11 +119,18 @@ class UserController {
         });
       }
 
-      const user = await this.createUserUseCase.execute(userData);
+      const user = await this.createUserUseCase.execute(userData, req.user);
 
       res.status(201).json(user);
     } catch (error) {
       console.error("Erreur création utilisateur:", error);
+
+      if (error.code === "FORBIDDEN") {
+        return res
+          .status(403)
+          .json({ message: error.message, code: error.code });
+      }
+
       res.status(500).json({ message: "Erreur serveur" });
     }
   }
@@ -134,7 +145,7 @@ class UserController {
         });
       }
 
-      const result = await this.deleteUserUseCase.execute(userId);
+      const result = await this.deleteUserUseCase.execute(userId, req.user);
 
       res.status(200).json(result);
     } catch (error) {
@@ -144,6 +155,47 @@ class UserController {
         return res.status(404).json({ message: error.message });
       }
 
+      if (error.code === "FORBIDDEN") {
+        return res
+          .status(403)
+          .json({ message: error.message, code: error.code });
+      }
+
+      res.status(500).json({ message: "Erreur serveur" });
+    }
+  }
+
+  async getUserRoles(req, res) {
+    try {
+      const { matricule } = req.params;
+      const authorization = await this.authorizationService.resolve(matricule);
+
+      res.json({ matricule, ...authorization });
+    } catch (error) {
+      console.error("Erreur lecture rôles:", error);
+      res.status(500).json({ message: "Erreur serveur" });
+    }
+  }
+
+  async assignUserRoles(req, res) {
+    try {
+      const { matricule } = req.params;
+      const result = await this.assignUserRolesUseCase.execute(
+        matricule,
+        req.body || {},
+        req.user
+      );
+
+      res.json(result);
+    } catch (error) {
+      console.error("Erreur attribution rôles:", error);
+
+      if (error.status) {
+        return res
+          .status(error.status)
+          .json({ message: error.message, code: error.code });
+      }
+
       res.status(500).json({ message: "Erreur serveur" });
     }
   }
@@ -0,0 +1,91 @@
+const { requirePermission } = require("../../../../shared");
+
+/**
+ * Middleware d'authentification
+ * - authenticate : access token Bearer ou cookie (signature, type, denylist via TokenService)
+ * - trustGateway : identité signée relayée par le gateway (JWT déjà vérifié en amont),
+ *   sinon access token éventuel (appel direct au service)
+ * - requirePermission : permissions du token (voir shared/auth/permissions)
+ */
+const extractToken = (req) => {
+  const authHeader = req.headers.authorization;
+  const bearerToken =
+    authHeader && authHeader.startsWith("Bearer ")
+      ? authHeader.substring(7)
+      : null;
+
+  return bearerToken || req.cookies?.accessToken || null;
+};
+
+const toUser = (claims) => ({
+  id: claims.id || claims.matricule,
+  matricule: claims.matricule,
+  roles: claims.roles || [],
+  permissions: claims.permissions || [],
+  adminMinistere: claims.adminMinistere || null,
+  sessionId: claims.sid || null,
+});
+
+const createAuthMiddleware = (tokenService, gatewayIdentity) => {
+  const authenticate = async (req, res, next) => {
+    const token = extractToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        message: "Token d'authentification requis",
+        code: "MISSING_TOKEN",
+      });
+    }
+
+    try {
+      const payload = await tokenService.verifyAccessToken(token);
+      req.user = toUser(payload);
+      req.tokenPayload = payload;
+      return next();
+    } catch (error) {
+      return res.status(error.status || 401).json({
+        message: error.message,
+        code: error.code || "INVALID_TOKEN",
+      });
+    }
+  };
+
+  // Renseigne req.user depuis l'identité du gateway (ou le token d'un appel direct) ;
+  // refuse une identité falsifiée
+  const trustGateway = async (req, res, next) => {
+    let identity;
+    try {
+      identity = gatewayIdentity?.verify(req.headers);
+    } catch (error) {
+      return res.status(401).json({
+        message: error.message,
+        code: error.code || "INVALID_IDENTITY",
+      });
+    }
+
+    if (identity) {
+      req.user = toUser(identity);
+      return next();
+    }
+
+    const token = extractToken(req);
+    if (token) {
+      try {
+        req.user = toUser(await tokenService.verifyAccessToken(token));
+      } catch (error) {
+        // Token invalide : requête anonyme (les routes protégées refuseront)
+      }
+    }
+    return next();
+  };
+
+  return {
+    authenticate,
+    trustGateway,
+    requirePermission,
+    verify: (token) => tokenService.verifyAccessToken(token),
+  };
+};
+
+module.exports = createAuthMiddleware;
+module.exports.extractToken = extractToken;
@@ -1,12 +1,30 @@
 const express = require("express");
 
-const createAuthRoutes = (authController, jwtService) => {
+const createAuthRoutes = (authController, authMiddleware) => {
   const router = express.Router();
 
   router.post("/login", (req, res) => {
     authController.login(req, res);
   });
 
+  // Première connexion : demande de code puis définition du mot de passe
+  router.post("/enrolment/code", (req, res) => {
+    authController.requestEnrolmentCode(req, res);
+  });
+
+  router.post("/enrolment", (req, res) => {
+    authController.enrol(req, res);
+  });
+
+  // Mot de passe oublié / compte verrouillé
+  router.post("/password/reset/code", (req, res) => {
+    authController.requestPasswordResetCode(req, res);
+  });
+
+  router.post("/password/reset", (req, res) => {
+    authController.resetPassword(req, res);
+  });
+
   router.post("/validate", async (req, res) => {
     const { token } = req.body;
 
@@ -15,45 +33,45 @@ const createAuthRoutes = (authController, jwtService) => {
     }
 
     try {
-      const decoded = jwtService.verifyToken(token);
+      const decoded = await authMiddleware.verify(token);
       res.status(200).json({
         matricule: decoded.matricule,
         id: decoded.id, // optionnel si présent dans le token
       });
     } catch (error) {
-      res.status(401).json({ message: "Token invalide" });
+      res.status(401).json({ message: "Token invalide", code: error.code });
     }
   });
 
-  // Rafraîchir l'access token à partir du refresh token (httpOnly cookie ou body fallback)
-  router.post("/refresh", async (req, res) => {
-    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+  // Rotation du refresh token (usage unique, réutilisation → session révoquée)
+  router.post("/refresh", (req, res) => {
+    authController.refresh(req, res);
+  });
 
-    if (!refreshToken) {
-      return res.status(401).json({ error: "Refresh token manquant" });
-    }
+  // Déconnexion de la session courante
+  router.post("/logout", authMiddleware.authenticate, (req, res) => {
+    authController.logout(req, res);
+  });
 
-    try {
-      const payload = jwtService.verifyToken(refreshToken);
-
-      const accessToken = jwtService.generateToken(
-        { matricule: payload.matricule },
-        "15m"
-      );
-
-      res
-        .cookie("accessToken", accessToken, {
-          httpOnly: true,
-          secure: true,
-          sameSite: "Strict",
-          maxAge: 15 * 60 * 1000,
-        })
-        .json({ accessToken });
-    } catch (error) {
-      res.status(401).json({ error: "Refresh token invalide ou expiré" });
-    }
+  // Déconnexion de tous les appareils
+  router.post("/logout-all", authMiddleware.authenticate, (req, res) => {
+    authController.logoutAll(req, res);
+  });
+
+  // Sessions actives (appareils) de l'utilisateur
+  router.get("/sessions", authMiddleware.authenticate, (req, res) => {
+    authController.listSessions(req, res);
   });
 
+  // Révocation d'une session : refresh token invalidé, sockets de l'appareil fermés
+  router.delete(
+    "/sessions/:sessionId",
+    authMiddleware.authenticate,
+    (req, res) => {
+      authController.revokeSession(req, res);
+    },
+  );
+
   return router;
 };
 
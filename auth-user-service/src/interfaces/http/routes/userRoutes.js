@@ -1,8 +1,15 @@
 const express = require("express");
+const { Permissions } = require("../../../../shared");
 
-const createUserRoutes = (userController) => {
+const { PERMISSIONS } = Permissions;
+
+const createUserRoutes = (userController, authMiddleware) => {
   const router = express.Router();
 
+  // Identité relayée par le gateway (authentification centralisée)
+  router.use(authMiddleware.trustGateway);
+  const { requirePermission } = authMiddleware;
+
   // Route pour obtenir tous les utilisateurs
   router.get("/all", (req, res) => {
     userController.getAllUsers(req, res);
@@ -18,8 +25,8 @@ const createUserRoutes = (userController) => {
     userController.batchGetUsers(req, res);
   });
 
-  // Route pour créer un utilisateur (POST)
-  router.post("/", (req, res) => {
+  // Route pour créer un utilisateur (POST) - admin ministère ou plateforme
+  router.post("/", requirePermission(PERMISSIONS.USERS_CREATE), (req, res) => {
     userController.createUser(req, res);
   });
 
@@ -28,10 +35,31 @@ const createUserRoutes = (userController) => {
     userController.updateUserProfile(req, res);
   });
 
-  // Route pour supprimer un utilisateur
-  router.delete("/:id", (req, res) => {
-    userController.deleteUser(req, res);
-  });
+  // Route pour supprimer un utilisateur - admin ministère ou plateforme
+  router.delete(
+    "/:id",
+    requirePermission(PERMISSIONS.USERS_DELETE),
+    (req, res) => {
+      userController.deleteUser(req, res);
+    },
+  );
+
+  // Rôles de plateforme d'un agent
+  router.get(
+    "/matricule/:matricule/roles",
+    requirePermission(PERMISSIONS.ROLES_MANAGE),
+    (req, res) => {
+      userController.getUserRoles(req, res);
+    },
+  );
+
+  router.put(
+    "/matricule/:matricule/roles",
+    requirePermission(PERMISSIONS.ROLES_MANAGE),
+    (req, res) => {
+      userController.assignUserRoles(req, res);
+    },
+  );
 
   // Route pour obtenir un utilisateur par matricule
   router.get("/matricule/:matricule", (req, res) => {
@@ -0,0 +1,155 @@
+const RefreshTokens = require("../../../src/application/use-cases/RefreshTokens");
+const RefreshTokenStore = require("../../../src/infrastructure/redis/RefreshTokenStore");
+
+// Redis en mémoire : GET / SET (NX) / DEL suffisent à consume()
+const fakeRedis = () => {
+  const data = new Map();
+  return {
+    data,
+    get: jest.fn(async (key) => (data.has(key) ? data.get(key) : null)),
+    set: jest.fn(async (key, value, options = {}) => {
+      if (options.NX && data.has(key)) return null;
+      data.set(key, value);
+      return "OK";
+    }),
+    del: jest.fn(async (key) => (data.delete(key) ? 1 : 0)),
+  };
+};
+
+const PAYLOADS = {
+  "refresh-1": {
+    type: "refresh",
+    jti: "jti-1",
+    sid: "sid-1",
+    matricule: "570479H",
+    id: "570479H",
+  },
+  "access-1": { type: "access", jti: "jti-a", matricule: "570479H" },
+};
+
+const setup = () => {
+  const redis = fakeRedis();
+  const store = new RefreshTokenStore(redis);
+  // Refresh token courant de la famille sid-1 (comme après un login)
+  redis.data.set(
+    store._tokenKey("jti-1"),
+    JSON.stringify({ sid: "sid-1", matricule: "570479H" }),
+  );
+
+  const jwtService = {
+    verifyToken: jest.fn((token) => {
+      if (!PAYLOADS[token]) throw new Error("jwt malformed");
+      return PAYLOADS[token];
+    }),
+  };
+  const tokenService = {
+    issue: jest.fn().mockResolvedValue({
+      accessToken: "access-2",
+      refreshToken: "refresh-2",
+    }),
+    revokeSession: jest.fn().mockResolvedValue(undefined),
+  };
+
+  return {
+    redis,
+    store,
+    tokenService,
+    useCase: new RefreshTokens(jwtService, store, tokenService),
+  };
+};
+
+describe("RefreshTokens", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("rotation : nouvelle paire dans la même session", async () => {
+    const { useCase, tokenService } = setup();
+    const context = { ip: "10.0.0.1" };
+
+    const tokens = await useCase.execute("refresh-1", context);
+
+    expect(tokens.refreshToken).toBe("refresh-2");
+    expect(tokenService.issue).toHaveBeenCalledWith(
+      { matricule: "570479H", id: "570479H" },
+      "sid-1",
+      context,
+    );
+    expect(tokenService.revokeSession).not.toHaveBeenCalled();
+  });
+
+  it("réutilisation d'un refresh token consommé : famille révoquée", async () => {
+    const { useCase, tokenService } = setup();
+    await useCase.execute("refresh-1");
+
+    const error = await useCase.execute("refresh-1").catch((e) => e);
+
+    expect(error.code).toBe("REFRESH_TOKEN_REUSED");
+    expect(error.status).toBe(401);
+    expect(tokenService.revokeSession).toHaveBeenCalledWith(
+      "sid-1",
+      "reuse_detected",
+    );
+    expect(tokenService.issue).toHaveBeenCalledTimes(1);
+  });
+
+  it("deux rotations simultanées du même token : une seule réussit", async () => {
+    const { useCase, tokenService } = setup();
+
+    const results = await Promise.allSettled([
+      useCase.execute("refresh-1"),
+      useCase.execute("refresh-1"),
+    ]);
+
+    expect(results.filter((r) => r.status === "fulfilled")).toHaveLength(1);
+    const [rejected] = results.filter((r) => r.status === "rejected");
+    expect(rejected.reason.code).toBe("REFRESH_TOKEN_REUSED");
+    expect(tokenService.revokeSession).toHaveBeenCalledWith(
+      "sid-1",
+      "reuse_detected",
+    );
+  });
+
+  it("famille révoquée (logout) : TOKEN_REVOKED sans nouvelle paire", async () => {
+    const { useCase, redis, store, tokenService } = setup();
+    redis.data.delete(store._tokenKey("jti-1"));
+
+    const error = await useCase.execute("refresh-1").catch((e) => e);
+
+    expect(error.code).toBe("TOKEN_REVOKED");
+    expect(tokenService.issue).not.toHaveBeenCalled();
+    expect(tokenService.revokeSession).not.toHaveBeenCalled();
+  });
+
+  it("Redis indisponible : refresh refusé en 503", async () => {
+    const { tokenService } = setup();
+    const store = new RefreshTokenStore(null);
+    const useCase = new RefreshTokens(
+      { verifyToken: () => PAYLOADS["refresh-1"] },
+      store,
+      tokenService,
+    );
+
+    const error = await useCase.execute("refresh-1").catch((e) => e);
+
+    expect(error.code).toBe("REFRESH_UNAVAILABLE");
+    expect(error.status).toBe(503);
+    expect(tokenService.issue).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ["signature invalide", "forged"],
+    ["access token présenté comme refresh", "access-1"],
+  ])("%s : INVALID_REFRESH_TOKEN", async (_, token) => {
+    const { useCase, redis } = setup();
+
+    const error = await useCase.execute(token).catch((e) => e);
+
+    expect(error.code).toBe("INVALID_REFRESH_TOKEN");
+    expect(redis.set).not.toHaveBeenCalled();
+  });
+});
@@ -1,6 +1,7 @@
 // Configuration
 const CONFIG = {
   SERVER_URL: "http://localhost:8003",
+  VISIBILITY_API_URL: "http://localhost:8000/api/visibility", // via le gateway
   RECONNECT_ATTEMPTS: 5,
   RECONNECT_DELAY: 2000,
   PING_INTERVAL: 30000, // Intervalle de 30 secondes pour les pings
@@ -135,6 +136,14 @@ function setupSocketEvents() {
     );
   });
 
+  // Session fermée depuis un autre appareil (le serveur coupe ensuite le socket)
+  socket.on("session_revoked", (data) => {
+    log("🔒 Session révoquée", "warning", data);
+    isAuthenticated = false;
+    currentUser = null;
+    updateAuthStatus(`🔒 ${data.message} (${data.reason})`, "error");
+  });
+
   // ========================================
   // ÉVÉNEMENTS DE MESSAGES AMÉLIORÉS
   // ========================================
@@ -492,6 +501,73 @@ function setupSocketEvents() {
     alert(`Erreur: ${data.error}`);
   });
 
+  // ========================================
+  // ✅ ÉVÉNEMENTS DEMANDES DE CONTACT
+  // ========================================
+
+  const showContactRequest = (title, data, type = "message") => {
+    const request = data.request || {};
+    addReceivedMessage(type, title, data, {
+      requestId: request._id,
+      de: request.requesterId,
+      à: request.targetId,
+      motif: request.motive || "—",
+      statut: request.status,
+      ...(data.conversation && { conversationId: data.conversation.id }),
+    });
+    const statusDiv = document.getElementById("contactRequestStatus");
+    if (statusDiv) statusDiv.textContent = `${title} (${request._id})`;
+  };
+
+  socket.on("contact_request:received", (data) => {
+    log("📨 Demande de contact reçue", "info", data);
+    showContactRequest("📨 Demande de Contact Reçue", data);
+    const requestInput = document.getElementById("contactRequestId");
+    if (requestInput) requestInput.value = data.request?._id || "";
+  });
+
+  socket.on("contact_request:sent", (data) => {
+    log("✅ Demande de contact envoyée", "success", data);
+    showContactRequest("📤 Demande de Contact Envoyée", data);
+  });
+
+  socket.on("contact_request:accepted", (data) => {
+    log("🤝 Demande de contact acceptée", "success", data);
+    showContactRequest("🤝 Demande de Contact Acceptée", data);
+  });
+
+  socket.on("contact_request:declined", (data) => {
+    log("🙅 Demande de contact refusée", "warning", data);
+    showContactRequest("🙅 Demande de Contact Refusée", data);
+  });
+
+  socket.on("contact_request:expired", (data) => {
+    log("⏰ Demande de contact expirée", "warning", data);
+    showContactRequest("⏰ Demande de Contact Expirée", data);
+  });
+
+  socket.on("contact_request:list", (data) => {
+    log(`📋 ${data.requests?.length || 0} demande(s) de contact`, "info", data);
+    (data.requests || []).forEach((request) =>
+      showContactRequest(
+        data.direction === "outgoing"
+          ? "📤 Demande Envoyée"
+          : "📥 Demande Reçue",
+        { request },
+      ),
+    );
+  });
+
+  socket.on("contact_request:error", (data) => {
+    log("❌ Erreur demande de contact", "error", data);
+    addReceivedMessage("error", "❌ Erreur Demande de Contact", data, {
+      error: data.error,
+      code: data.code,
+    });
+    const statusDiv = document.getElementById("contactRequestStatus");
+    if (statusDiv) statusDiv.textContent = `❌ ${data.error} (${data.code})`;
+  });
+
   // ========================================
   // ✅ ÉVÉNEMENTS GESTION PARTICIPANTS
   // ========================================
@@ -770,6 +846,154 @@ function createGroup() {
   socket.emit("createGroup", data);
 }
 
+function sendContactRequest() {
+  const targetId = document.getElementById("contactTargetId")?.value?.trim();
+  const motive = document.getElementById("contactMotive")?.value?.trim();
+
+  if (!targetId) {
+    alert("Veuillez saisir le matricule de l'agent à contacter");
+    return;
+  }
+
+  const data = { targetId, motive: motive || undefined };
+  log("📤 Émission sendContactRequest", "info", data);
+  socket.emit("sendContactRequest", data);
+}
+
+function respondContactRequest(accept) {
+  const requestId = document.getElementById("contactRequestId")?.value?.trim();
+
+  if (!requestId) {
+    alert("Veuillez saisir l'ID de la demande");
+    return;
+  }
+
+  log("📤 Émission respondContactRequest", "info", { requestId, accept });
+  socket.emit("respondContactRequest", { requestId, accept });
+}
+
+function getContactRequests(direction = "incoming") {
+  log("📤 Émission getContactRequests", "info", { direction });
+  socket.emit("getContactRequests", { direction });
+}
+
+// ========================================
+// ORGANIGRAMME (sélecteur de contacts)
+// ========================================
+
+async function fetchOrgChart(path) {
+  const token = getCookie("token");
+  const res = await fetch(`${CONFIG.VISIBILITY_API_URL}/org-chart${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  const data = await res.json().catch(() => ({}));
+
+  if (!res.ok || !data.success) {
+    throw new Error(data.message || `HTTP ${res.status}`);
+  }
+  return data;
+}
+
+async function loadOrgChart() {
+  const container = document.getElementById("orgChartTree");
+  if (!container) return;
+
+  container.innerHTML =
+    '<div class="loading">⏳ Chargement de l\'organigramme...</div>';
+
+  try {
+    const { units } = await fetchOrgChart("/units?depth=0");
+    container.innerHTML = "";
+    units.forEach((unit) => container.appendChild(renderOrgUnit(unit)));
+    updateStatus("orgChartStatus", `✅ ${units.length} unité(s)`, "success");
+  } catch (error) {
+    container.innerHTML = "";
+    log("❌ Erreur chargement organigramme", "error", error.message);
+    updateStatus("orgChartStatus", `❌ ${error.message}`, "error");
+  }
+}
+
+function renderOrgUnit(unit) {
+  const node = document.createElement("div");
+  node.className = "org-unit";
+
+  const label = document.createElement("div");
+  label.className = "org-unit-label";
+  label.textContent = `${unit.childCount > 0 ? "📂" : "📁"} ${
+    unit.acronyme ? `${unit.acronyme} — ` : ""
+  }${unit.name} (${unit.memberCount})`;
+
+  const body = document.createElement("div");
+  body.className = "org-unit-body";
+  body.hidden = true;
+
+  label.onclick = () => toggleOrgUnit(unit, body);
+  node.append(label, body);
+  return node;
+}
+
+// Sous-unités et membres chargés au premier dépliage
+async function toggleOrgUnit(unit, body) {
+  if (body.dataset.loaded) {
+    body.hidden = !body.hidden;
+    return;
+  }
+
+  try {
+    const [tree, { members }] = await Promise.all([
+      unit.childCount > 0
+        ? fetchOrgChart(`/units?root=${encodeURIComponent(unit.id)}&depth=1`)
+        : null,
+      fetchOrgChart(`/units/${encodeURIComponent(unit.id)}/members`),
+    ]);
+
+    members.forEach((member) => body.appendChild(renderOrgMember(member)));
+    (tree?.units[0]?.children || []).forEach((child) =>
+      body.appendChild(renderOrgUnit(child)),
+    );
+
+    body.dataset.loaded = "true";
+    body.hidden = false;
+  } catch (error) {
+    log(`❌ Erreur chargement unité ${unit.id}`, "error", error.message);
+    updateStatus("orgChartStatus", `❌ ${error.message}`, "error");
+  }
+}
+
+function renderOrgMember(member) {
+  const item = document.createElement("div");
+  item.className = "org-member";
+  item.textContent = `${member.isHead ? "⭐" : "👤"} ${member.prenom || ""} ${
+    member.nom || ""
+  } — ${member.role || "—"} (${member.matricule})`;
+  item.onclick = () => selectOrgChartAgent(member);
+  return item;
+}
+
+// Remplit le champ choisi : destinataire, membres (ajout à la liste) ou demande de contact
+function selectOrgChartAgent(member) {
+  const targetId = document.getElementById("orgChartTarget")?.value;
+  const input = targetId && document.getElementById(targetId);
+  if (!input) return;
+
+  if (targetId === "groupReceiverIds") {
+    const ids = input.value
+      .split(",")
+      .map((id) => id.trim())
+      .filter((id) => id);
+    if (!ids.includes(member.matricule)) ids.push(member.matricule);
+    input.value = ids.join(", ");
+  } else {
+    input.value = member.matricule;
+  }
+
+  updateStatus(
+    "orgChartStatus",
+    `✅ ${member.prenom || ""} ${member.nom || ""} (${member.matricule}) sélectionné`,
+    "success",
+  );
+}
+
 function createBroadcast() {
   const name = document.getElementById("broadcastName")?.value?.trim();
   const receiverIds = document
@@ -0,0 +1,113 @@
+const RedisManager = require("../redis/RedisManager");
+
+/**
+ * SessionRevocation - Commande de déconnexion des sockets d'une session révoquée
+ *
+ * Canal pub/sub : user-service:auth:sessions:revoked
+ * Message : { type: "SESSION_REVOKED", sid, matricule, reason, timestamp }
+ * - sid renseigné : seuls les sockets de cette session (appareil) sont fermés
+ * - sid null      : tous les sockets de l'utilisateur (déconnexion partout)
+ *
+ * Publié par auth-user-service, écouté par chat-file-service (ChatHandler).
+ * Pub/sub sans persistance : un access token révoqué reste de toute façon
+ * refusé par la TokenDenylist à la prochaine authentification.
+ */
+class SessionRevocation {
+  constructor(options = {}) {
+    this.channel = options.channel || "user-service:auth:sessions:revoked";
+    this.redis = null;
+    this.subscriber = null;
+  }
+
+  /**
+   * Initialise la publication avec le client Redis
+   * @param {Object} [client] - Client Redis (par défaut : client principal du RedisManager)
+   */
+  async initialize(client = null) {
+    this.redis = client || RedisManager?.clients?.main;
+
+    if (!this.redis) {
+      console.warn("⚠️ [SessionRevocation] Redis non disponible");
+      return false;
+    }
+
+    console.log("✅ [SessionRevocation] Initialisé avec succès");
+    return true;
+  }
+
+  /**
+   * Publie la révocation d'une session (ou de toutes les sessions si sid est null)
+   * @param {Object} params
+   * @param {string|null} params.sid
+   * @param {string} params.matricule
+   * @param {string} [params.reason="revoked"]
+   */
+  async publish({ sid = null, matricule, reason = "revoked" }) {
+    if (!this.redis || (!sid && !matricule)) return;
+
+    try {
+      await this.redis.publish(
+        this.channel,
+        JSON.stringify({
+          type: "SESSION_REVOKED",
+          sid,
+          matricule: matricule ? String(matricule) : null,
+          reason,
+          timestamp: new Date().toISOString(),
+        }),
+      );
+    } catch (error) {
+      console.error(
+        `❌ [SessionRevocation] Erreur publication ${sid || matricule}:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * S'abonne aux révocations (client dédié, dupliqué du client fourni)
+   * @param {Object} client - Client Redis connecté
+   * @param {Function} handler - (message) => void
+   */
+  async subscribe(client, handler) {
+    if (!client) {
+      console.warn("⚠️ [SessionRevocation] Abonnement impossible sans Redis");
+      return false;
+    }
+
+    this.subscriber = client.duplicate();
+    await this.subscriber.connect();
+
+    await this.subscriber.subscribe(this.channel, async (raw) => {
+      try {
+        await handler(JSON.parse(raw));
+      } catch (error) {
+        console.error(
+          "❌ [SessionRevocation] Erreur traitement révocation:",
+          error.message,
+        );
+      }
+    });
+
+    console.log(`✅ [SessionRevocation] Abonné à ${this.channel}`);
+    return true;
+  }
+
+  async unsubscribe() {
+    if (!this.subscriber) return;
+
+    try {
+      await this.subscriber.unsubscribe(this.channel);
+      await this.subscriber.quit();
+    } catch (error) {
+      console.warn(
+        "⚠️ [SessionRevocation] Erreur désabonnement:",
+        error.message,
+      );
+    }
+    this.subscriber = null;
+  }
+}
+
+// Export singleton
+module.exports = new SessionRevocation();
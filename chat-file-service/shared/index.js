@@ -12,6 +12,9 @@ const resilience = require("./resilience");
 // User
 const user = require("./user");
 
+// Auth
+const auth = require("./auth");
+
 module.exports = {
   // Redis exports
 
@@ -24,6 +27,8 @@ module.exports = {
   OnlineUserManager: redis.OnlineUserManager,
   RoomManager: redis.RoomManager,
   UnreadMessageManager: redis.UnreadMessageManager,
+  MentionUnreadManager: redis.MentionUnreadManager,
+  RateLimiter: redis.RateLimiter,
 
   // Resilience exports
   CircuitBreaker: resilience.CircuitBreaker,
@@ -37,13 +42,24 @@ module.exports = {
   DLQMonitorWorker: redis.DLQMonitorWorker,
   MemoryMonitorWorker: redis.MemoryMonitorWorker,
   StreamMonitorWorker: redis.StreamMonitorWorker,
+  ScheduledMessageWorker: redis.ScheduledMessageWorker,
 
   // ✅ USER CACHE & STREAMS
   UserCache: user.UserCache,
   UserStreamConsumer: user.UserStreamConsumer,
 
+  // ✅ AUTH (révocation des tokens)
+  TokenDenylist: auth.TokenDenylist,
+  GatewayIdentity: auth.GatewayIdentity,
+  JwksClient: auth.JwksClient,
+  SessionRevocation: auth.SessionRevocation,
+  Permissions: auth.Permissions,
+  requirePermission: auth.requirePermission,
+  requireSocketPermission: auth.requireSocketPermission,
+
   // Namespaces
   redis,
   resilience,
   user,
+  auth,
 };
@@ -18,6 +18,8 @@ const CacheService = require("./managers/CacheService");
 const OnlineUserManager = require("./managers/OnlineUserManager");
 const RoomManager = require("./managers/RoomManager");
 const UnreadMessageManager = require("./managers/UnreadMessageManager");
+const MentionUnreadManager = require("./managers/MentionUnreadManager");
+const RateLimiter = require("./managers/RateLimiter");
 
 // Workers
 const RetryWorker = require("./workers/RetryWorker");
@@ -26,6 +28,7 @@ const WALRecoveryWorker = require("./workers/WALRecoveryWorker");
 const DLQMonitorWorker = require("./workers/DLQMonitorWorker");
 const MemoryMonitorWorker = require("./workers/MemoryMonitorWorker");
 const StreamMonitorWorker = require("./workers/StreamMonitorWorker");
+const ScheduledMessageWorker = require("./workers/ScheduledMessageWorker");
 const WorkerManager = require("./workers/WorkerManager");
 
 module.exports = {
@@ -41,6 +44,8 @@ module.exports = {
   OnlineUserManager,
   RoomManager,
   UnreadMessageManager,
+  MentionUnreadManager,
+  RateLimiter,
 
   // Résilience
   CircuitBreaker,
@@ -53,5 +58,6 @@ module.exports = {
   DLQMonitorWorker,
   MemoryMonitorWorker,
   StreamMonitorWorker,
+  ScheduledMessageWorker,
   WorkerManager,
 };
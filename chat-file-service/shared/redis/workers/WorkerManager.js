@@ -11,6 +11,7 @@ const WALRecoveryWorker = require("./WALRecoveryWorker");
 const DLQMonitorWorker = require("./DLQMonitorWorker");
 const MemoryMonitorWorker = require("./MemoryMonitorWorker");
 const StreamMonitorWorker = require("./StreamMonitorWorker");
+const ScheduledMessageWorker = require("./ScheduledMessageWorker");
 
 class WorkerManager {
   constructor(streamManager, redisClient, options = {}) {
@@ -84,6 +85,55 @@ class WorkerManager {
     );
   }
 
+  /**
+   * Messages programmés : worker d'échéances + RetryWorker pour les rejeux
+   * (handler "scheduled"). Utilisable sans initialize() ; si les workers
+   * tournent déjà, les nouveaux sont démarrés aussitôt.
+   * @param {Object} callbacks - dispatchScheduled(id, { attempt, final }),
+   *   save, publish, dlq, notify
+   */
+  initializeScheduledMessages(callbacks = {}) {
+    const maxRetries = this.options.maxRetries || 5;
+
+    if (!this.workers.retry) {
+      this.workers.retry = new RetryWorker(this.streamManager, {
+        maxRetries,
+        batchSize: this.options.batchSize || 10,
+        processingDelayMs: this.options.retryIntervalMs || 1000,
+        saveCallback: callbacks.save,
+        publishCallback: callbacks.publish,
+        dlqCallback: callbacks.dlq,
+        notifyCallback: callbacks.notify,
+      });
+    }
+
+    // attempt du RetryWorker = numéro du rejeu, le premier envoi est le n°1
+    this.workers.retry.registerHandler("scheduled", (data, attempt) =>
+      callbacks.dispatchScheduled(data.scheduledMessageId, {
+        attempt: attempt + 1,
+        final: attempt >= maxRetries,
+      })
+    );
+
+    this.workers.scheduled = new ScheduledMessageWorker(this.redis, {
+      key: this.options.scheduledKey,
+      batchSize: this.options.scheduledBatchSize || 20,
+      processingDelayMs: this.options.scheduledIntervalMs || 5000,
+      dispatchCallback: callbacks.dispatchScheduled,
+      retryCallback: (data, attempt, error) =>
+        this.workers.retry.addRetry(data, attempt, error, "scheduled"),
+      dlqCallback: callbacks.dlq,
+    });
+
+    if (this.isRunning) {
+      for (const name of ["retry", "scheduled"]) {
+        if (!this.workers[name].isRunning) this.workers[name].start();
+      }
+    }
+
+    console.log("✅ WorkerManager: messages programmés activés");
+  }
+
   /**
    * Démarrer tous les workers
    */
@@ -38,7 +38,9 @@ class CircuitBreaker {
           console.warn("⚠️ Circuit ouvert, utilisation du fallback");
           return await this.fallback();
         }
-        throw new Error("Circuit breaker ouvert");
+        const error = new Error("Circuit breaker ouvert");
+        error.code = "CIRCUIT_OPEN";
+        throw error;
       }
     }
 
@@ -47,12 +49,18 @@ class CircuitBreaker {
 
       if (this.state === "HALF_OPEN") {
         this._changeState("CLOSED");
-        this.failureCount = 0;
       }
+      // Seuls les échecs consécutifs ouvrent le circuit
+      this.failureCount = 0;
 
       this.metrics.successfulCalls++;
       return result;
     } catch (error) {
+      // Erreur métier (4xx, ex. VISIBILITY_DENIED) : le service protégé répond bien
+      if (error.status >= 400 && error.status < 500) {
+        throw error;
+      }
+
       this.failureCount++;
       this.lastFailureTime = Date.now();
       this.metrics.failedCalls++;
@@ -68,6 +76,14 @@ class CircuitBreaker {
     }
   }
 
+  /**
+   * Temps restant avant la prochaine tentative (circuit ouvert), en ms
+   */
+  getRetryAfter() {
+    if (this.state !== "OPEN" || !this.lastFailureTime) return 0;
+    return Math.max(0, this.resetTimeout - (Date.now() - this.lastFailureTime));
+  }
+
   /**
    * Changer l'état du circuit
    */
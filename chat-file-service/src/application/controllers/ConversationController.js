@@ -1,15 +1,19 @@
+const ErrorHandler = require("../../config/errorHandler");
+
 class ConversationController {
   constructor(
     getConversationsUseCase,
     getConversationUseCase,
     redisClient = null,
     cacheService = null,
-    searchOccurrencesUseCase = null
+    searchOccurrencesUseCase = null,
+    forwardMessageUseCase = null
   ) {
     this.getConversationsUseCase = getConversationsUseCase;
     this.getConversationUseCase = getConversationUseCase;
     this.redisClient = redisClient;
     this.searchOccurrencesUseCase = searchOccurrencesUseCase;
+    this.forwardMessageUseCase = forwardMessageUseCase;
   }
 
   // ✅ MÉTHODE PRINCIPALE POUR RÉCUPÉRER LES CONVERSATIONS (SANS CACHE CONTROLLER)
@@ -24,6 +28,7 @@ class ConversationController {
         includeArchived = false,
         cursor = null,
         direction = "newer",
+        onBehalfOf = null,
       } = req.query;
 
       console.log(
@@ -59,6 +64,7 @@ class ConversationController {
         cursor,
         direction,
         useCache: !cursor, // Cache seulement première page
+        onBehalfOf,
       });
 
       const processingTime = Date.now() - startTime;
@@ -85,6 +91,7 @@ class ConversationController {
         },
         metadata: {
           userId: userId,
+          delegation: result.delegation || null,
           processingTime: `${processingTime}ms`,
           timestamp: new Date().toISOString(),
           pagination: result.pagination || {
@@ -110,6 +117,15 @@ class ConversationController {
       const processingTime = Date.now() - startTime;
       console.error("❌ Erreur getConversations:", error);
 
+      // Délégation de boîte absente ou inactive
+      if (error.code && error.status && error.status < 500) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Erreur lors de la récupération des conversations",
@@ -309,6 +325,32 @@ class ConversationController {
     }
   }
 
+  // ✅ PUT /conversations/:conversationId/settings/forwarding { allowed }
+  async updateForwardingSetting(req, res) {
+    try {
+      const result = await this.forwardMessageUseCase.setForwardingAllowed({
+        conversationId: req.params.conversationId,
+        userId: req.user?.id,
+        allowed: req.body?.allowed,
+      });
+
+      res.json({
+        success: true,
+        data: result,
+        message: result.allowForwarding
+          ? "Transfert des messages autorisé"
+          : "Transfert des messages interdit",
+      });
+    } catch (error) {
+      ErrorHandler.handleControllerError(
+        error,
+        req,
+        res,
+        "updateForwardingSetting"
+      );
+    }
+  }
+
   // ✅ VERSION INTERNE POUR WEBSOCKET (sans cache controller)
   async getConversationsInternal(userId, options = {}) {
     const { page = 1, limit = 20, includeArchived = false } = options;
@@ -1,4 +1,5 @@
 const CacheService = require("../../infrastructure/redis/CacheService");
+const ErrorHandler = require("../../config/errorHandler");
 
 class MessageController {
   constructor(
@@ -7,13 +8,21 @@ class MessageController {
     updateMessageStatusUseCase,
     redisClient = null,
     getMessageByIdUseCase = null,
-    searchOccurrencesUseCase = null
+    searchOccurrencesUseCase = null,
+    reactToMessageUseCase = null,
+    getMessageThreadUseCase = null,
+    forwardMessageUseCase = null,
+    mentionUnreadManager = null
   ) {
     this.sendMessageUseCase = sendMessageUseCase;
     this.getMessagesUseCase = getMessagesUseCase;
     this.updateMessageStatusUseCase = updateMessageStatusUseCase;
     this.getMessageByIdUseCase = getMessageByIdUseCase;
     this.searchOccurrencesUseCase = searchOccurrencesUseCase;
+    this.reactToMessageUseCase = reactToMessageUseCase;
+    this.getMessageThreadUseCase = getMessageThreadUseCase;
+    this.forwardMessageUseCase = forwardMessageUseCase;
+    this.mentionUnreadManager = mentionUnreadManager;
   }
 
   async sendMessage(req, res) {
@@ -27,6 +36,8 @@ class MessageController {
         conversationId,
         type = "TEXT",
         metadata = {},
+        onBehalfOf = null,
+        replyTo = null,
       } = req.body;
 
       // Validation
@@ -64,6 +75,8 @@ class MessageController {
         conversationId,
         type,
         metadata: enrichedMetadata,
+        onBehalfOf,
+        replyTo,
       });
 
       const processingTime = Date.now() - startTime;
@@ -83,6 +96,17 @@ class MessageController {
       const processingTime = Date.now() - startTime;
       console.error("❌ Erreur envoi message:", error);
 
+      // Erreur métier typée (ex. 403 VISIBILITY_DENIED, 503 VISIBILITY_UNAVAILABLE,
+      // délégation de boîte refusée : INBOX_DELEGATION_REQUIRED, REPLY_NOT_ALLOWED...)
+      if (error.status && error.code) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          ...(error.deniedIds && { deniedIds: error.deniedIds }),
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Erreur lors de l'envoi du message",
@@ -104,7 +128,12 @@ class MessageController {
 
     try {
       const { conversationId } = req.query;
-      const { cursor = null, limit = 50, direction = "older" } = req.query;
+      const {
+        cursor = null,
+        limit = 50,
+        direction = "older",
+        onBehalfOf = null,
+      } = req.query;
       const userId = req.user?.id || req.headers["user-id"];
 
       console.log(
@@ -126,6 +155,7 @@ class MessageController {
         direction,
         userId,
         useCache: !cursor, // Cache seulement première page
+        onBehalfOf,
       });
 
       const processingTime = Date.now() - startTime;
@@ -153,6 +183,14 @@ class MessageController {
       const processingTime = Date.now() - startTime;
       console.error("❌ Erreur récupération messages:", error);
 
+      if (error.code && error.status && error.status < 500) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Erreur lors de la récupération des messages",
@@ -352,26 +390,119 @@ class MessageController {
     }
   }
 
+  // ✅ POST /messages/:messageId/reactions { emoji, toggle }
   async addReaction(req, res) {
     try {
       const { messageId } = req.params;
-      const { emoji } = req.body;
+      const { emoji, toggle = false } = req.body;
+
+      const result = await this.reactToMessageUseCase.execute({
+        messageId,
+        userId: req.user?.id,
+        emoji,
+        mode: toggle === true || toggle === "true" ? "toggle" : "add",
+      });
 
       res.json({
         success: true,
-        data: {
-          messageId,
-          emoji,
-          userId: req.user?.id,
-          timestamp: new Date().toISOString(),
-        },
-        message: "Réaction ajoutée",
+        data: result,
+        message: result.emoji ? "Réaction enregistrée" : "Réaction retirée",
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: error.message,
+      ErrorHandler.handleControllerError(error, req, res, "addReaction");
+    }
+  }
+
+  // ✅ DELETE /messages/:messageId/reactions
+  async removeReaction(req, res) {
+    try {
+      const result = await this.reactToMessageUseCase.execute({
+        messageId: req.params.messageId,
+        userId: req.user?.id,
+        mode: "remove",
+      });
+
+      res.json({
+        success: true,
+        data: result,
+        message: "Réaction retirée",
       });
+    } catch (error) {
+      ErrorHandler.handleControllerError(error, req, res, "removeReaction");
+    }
+  }
+
+  // ✅ GET /messages/:messageId/thread?cursor=&limit=&direction=
+  async getThread(req, res) {
+    try {
+      const {
+        cursor = null,
+        limit = 50,
+        direction = "newer",
+        onBehalfOf = null,
+      } = req.query;
+
+      const result = await this.getMessageThreadUseCase.execute({
+        messageId: req.params.messageId,
+        userId: req.user?.id,
+        cursor,
+        limit,
+        direction,
+        onBehalfOf,
+      });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      ErrorHandler.handleControllerError(error, req, res, "getThread");
+    }
+  }
+
+  // ✅ POST /messages/forward { messageIds, targetConversationIds }
+  async forwardMessages(req, res) {
+    try {
+      const { messageIds, targetConversationIds } = req.body;
+
+      const result = await this.forwardMessageUseCase.execute({
+        messageIds,
+        targetConversationIds,
+        userId: req.user?.id,
+      });
+
+      if (result.forwarded.length === 0) {
+        return res.status(500).json({
+          success: false,
+          message: "Aucun message n'a pu être transféré",
+          code: "FORWARD_FAILED",
+          data: result,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: result,
+        message: `${result.forwarded.length} message(s) transféré(s)`,
+      });
+    } catch (error) {
+      ErrorHandler.handleControllerError(error, req, res, "forwardMessages");
+    }
+  }
+
+  // ✅ GET /messages/mentions/unread
+  async getMentionCounts(req, res) {
+    try {
+      const counts = this.mentionUnreadManager
+        ? await this.mentionUnreadManager.getUserMentionCounts(req.user?.id)
+        : { total: 0, conversations: {} };
+
+      res.json({
+        success: true,
+        data: counts,
+      });
+    } catch (error) {
+      ErrorHandler.handleControllerError(error, req, res, "getMentionCounts");
     }
   }
 
@@ -1,3 +1,5 @@
+const SyncUnitGroups = require("./SyncUnitGroups");
+
 /**
  * AddParticipant - Ajoute un participant à une conversation (groupe)
  * Publie l'événement conversation.participant.added dans Redis Streams
@@ -7,13 +9,27 @@ class AddParticipant {
     conversationRepository,
     resilientMessageService = null,
     userCacheService = null,
+    visibilityPolicy = null,
   ) {
     this.conversationRepository = conversationRepository;
     this.resilientMessageService = resilientMessageService;
     this.userCacheService = userCacheService;
+    this.visibilityPolicy = visibilityPolicy;
   }
 
-  async execute({ conversationId, participantId, addedBy }) {
+  /**
+   * @param {Object} params
+   * @param {boolean} [params.auto=false] - ajout par la synchronisation d'un
+   *   groupe d'unité : ni contrôle d'appartenance, d'invitation ou de visibilité
+   * @param {Object} [params.details] - contexte ajouté à l'audit (ex. unitId)
+   */
+  async execute({
+    conversationId,
+    participantId,
+    addedBy,
+    auto = false,
+    details = {},
+  }) {
     if (!conversationId || !participantId || !addedBy) {
       throw new Error("conversationId, participantId et addedBy requis");
     }
@@ -32,16 +48,20 @@ class AddParticipant {
       );
     }
 
-    // Vérifier que l'utilisateur qui ajoute est membre
-    if (!conversation.participants.includes(addedBy)) {
-      throw new Error("Seul un membre peut ajouter des participants");
-    }
+    if (!auto) {
+      SyncUnitGroups.assertManualChangeAllowed(conversation);
+
+      // Vérifier que l'utilisateur qui ajoute est membre
+      if (!conversation.participants.includes(addedBy)) {
+        throw new Error("Seul un membre peut ajouter des participants");
+      }
 
-    // Vérifier les permissions d'invitation (si invitations désactivées)
-    const allowInvites = conversation.settings?.allowInvites !== false;
-    const isAdmin = conversation.createdBy === addedBy;
-    if (!allowInvites && !isAdmin) {
-      throw new Error("Seul l'admin peut ajouter des participants");
+      // Vérifier les permissions d'invitation (si invitations désactivées)
+      const allowInvites = conversation.settings?.allowInvites !== false;
+      const isAdmin = conversation.createdBy === addedBy;
+      if (!allowInvites && !isAdmin) {
+        throw new Error("Seul l'admin peut ajouter des participants");
+      }
     }
 
     // Vérifier que le participant n'est pas déjà membre
@@ -49,6 +69,13 @@ class AddParticipant {
       throw new Error("Participant déjà membre du groupe");
     }
 
+    // Vérifier que le nouveau participant est visible par celui qui l'ajoute
+    if (this.visibilityPolicy && !auto) {
+      await this.visibilityPolicy.assertCanReach(addedBy, [participantId], {
+        action: "ADD_PARTICIPANT",
+      });
+    }
+
     // Récupérer les infos du nouveau participant
     let participantInfo = null;
     if (this.userCacheService) {
@@ -108,7 +135,7 @@ class AddParticipant {
         action: "PARTICIPANT_ADDED",
         userId: addedBy,
         timestamp: new Date(),
-        details: { participantId },
+        details: { ...details, participantId, ...(auto && { auto: true }) },
         metadata: { source: "AddParticipant-UseCase" },
       });
     }
@@ -147,23 +174,26 @@ class AddParticipant {
     // Publier notification système
     if (this.resilientMessageService) {
       try {
-        const addedByInfo = this.userCacheService
-          ? (await this.userCacheService.fetchUsersInfo([addedBy]))[0]
-          : null;
+        const addedByInfo =
+          this.userCacheService && !auto
+            ? (await this.userCacheService.fetchUsersInfo([addedBy]))[0]
+            : null;
+        const participantName = participantInfo?.name || participantId;
 
         await this.resilientMessageService.publishSystemMessage({
           conversationId: conversationId.toString(),
           type: "SYSTEM",
           subType: "PARTICIPANT_ADDED",
           senderId: addedBy,
-          senderName: addedByInfo?.name || "Un membre",
-          content: `${addedByInfo?.name || "Un membre"} a ajouté ${
-            participantInfo?.name || participantId
-          }`,
+          senderName: auto ? "Système" : addedByInfo?.name || "Un membre",
+          content: auto
+            ? `${participantName} a rejoint l'unité`
+            : `${addedByInfo?.name || "Un membre"} a ajouté ${participantName}`,
           participants: conversation.participants,
           metadata: {
             participantId,
             participantName: participantInfo?.name,
+            auto,
           },
         });
       } catch (err) {
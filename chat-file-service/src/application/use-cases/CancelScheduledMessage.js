@@ -0,0 +1,36 @@
+/**
+ * CancelScheduledMessage - Annulation d'un message programmé par son auteur,
+ * tant qu'il n'est pas parti
+ */
+class CancelScheduledMessage {
+  constructor(scheduledMessageRepository, notifier = null) {
+    this.scheduledMessageRepository = scheduledMessageRepository;
+    this.notifier = notifier;
+  }
+
+  async execute({ scheduledMessageId, userId }) {
+    const scheduled =
+      await this.scheduledMessageRepository.findById(scheduledMessageId);
+    if (!scheduled || !scheduled.belongsTo(userId)) {
+      const error = new Error("Message programmé introuvable");
+      error.code = "SCHEDULED_MESSAGE_NOT_FOUND";
+      error.status = 404;
+      throw error;
+    }
+
+    const cancelled =
+      await this.scheduledMessageRepository.cancelPending(scheduledMessageId);
+    if (!cancelled) {
+      const error = new Error("Le message programmé n'est plus annulable");
+      error.code = "SCHEDULED_MESSAGE_NOT_PENDING";
+      error.status = 409;
+      throw error;
+    }
+
+    console.log(`🚫 Message programmé ${scheduledMessageId} annulé`);
+    this.notifier?.cancelled(cancelled);
+    return cancelled;
+  }
+}
+
+module.exports = CancelScheduledMessage;
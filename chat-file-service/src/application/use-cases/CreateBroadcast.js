@@ -5,10 +5,12 @@ class CreateBroadcast {
     conversationRepository,
     resilientMessageService = null,
     userCacheService = null,
+    visibilityPolicy = null,
   ) {
     this.conversationRepository = conversationRepository;
     this.resilientMessageService = resilientMessageService;
     this.userCacheService = userCacheService || new UserCacheService();
+    this.visibilityPolicy = visibilityPolicy;
   }
 
   async execute({ broadcastId, name, adminIds, recipientIds }) {
@@ -59,6 +61,13 @@ class CreateBroadcast {
       );
     }
 
+    // ✅ VISIBILITÉ : le créateur (premier admin) doit voir admins et destinataires
+    if (this.visibilityPolicy) {
+      await this.visibilityPolicy.assertCanReach(adminIds[0], participants, {
+        action: "CREATE_BROADCAST",
+      });
+    }
+
     // ✅ CRÉER userMetadata AVEC LES INFOS UTILISATEURS
     const unreadCounts = {};
     const userMetadata = participants.map((participantId) => {
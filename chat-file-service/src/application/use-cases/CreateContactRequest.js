@@ -0,0 +1,127 @@
+const UserCacheService = require("../../infrastructure/services/UserCacheService");
+const ContactRequest = require("../../domain/entities/ContactRequest");
+
+const fail = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const snapshot = (user) => ({
+  nom: user?.nom || null,
+  prenom: user?.prenom || null,
+  avatar: user?.avatar || null,
+  ministere: user?.ministere || null,
+});
+
+/**
+ * CreateContactRequest - Demande formelle de mise en relation avec un agent
+ * hors de son périmètre de visibilité (au lieu d'un refus silencieux).
+ */
+class CreateContactRequest {
+  constructor(
+    contactRequestRepository,
+    conversationRepository,
+    userCacheService = null,
+    notifier = null,
+  ) {
+    this.contactRequestRepository = contactRequestRepository;
+    this.conversationRepository = conversationRepository;
+    this.userCacheService = userCacheService || new UserCacheService();
+    this.notifier = notifier;
+  }
+
+  async execute({ requesterId, targetId, motive = null }) {
+    if (!requesterId || !targetId) {
+      throw fail("requesterId et targetId requis", "MISSING_PARAMS", 400);
+    }
+    if (String(requesterId) === String(targetId)) {
+      throw fail(
+        "Impossible de s'adresser une demande à soi-même",
+        "INVALID_TARGET",
+        400,
+      );
+    }
+    if (motive && String(motive).trim().length > 500) {
+      throw fail(
+        "Le motif ne peut pas dépasser 500 caractères",
+        "MOTIVE_TOO_LONG",
+        400,
+      );
+    }
+
+    const [requester, target] = await this.userCacheService.fetchUsersInfo([
+      requesterId,
+      targetId,
+    ]);
+    if (
+      !target ||
+      target.name === "Utilisateur inconnu" ||
+      (!target.nom && !target.name)
+    ) {
+      throw fail(`Utilisateur ${targetId} introuvable`, "USER_NOT_FOUND", 404);
+    }
+
+    // Déjà en relation : la demande n'a pas lieu d'être
+    const existing = await this.conversationRepository.findPrivateBetween(
+      requesterId,
+      targetId,
+    );
+    if (existing) {
+      const error = fail(
+        "Une conversation existe déjà avec cet utilisateur",
+        "CONVERSATION_EXISTS",
+        409,
+      );
+      error.conversationId = String(existing._id);
+      throw error;
+    }
+
+    // Libérer les demandes échues du couple avant de vérifier l'unicité
+    const expired = await this.contactRequestRepository.expireOverdue({
+      filter: {
+        $or: [
+          { requesterId, targetId },
+          { requesterId: targetId, targetId: requesterId },
+        ],
+      },
+    });
+    expired.forEach((request) => this.notifier?.expired(request));
+
+    const pending = await this.contactRequestRepository.findPendingBetween(
+      requesterId,
+      targetId,
+    );
+    if (pending) {
+      const error = fail(
+        String(pending.requesterId) === String(requesterId)
+          ? "Une demande de contact est déjà en attente"
+          : "Cet utilisateur vous a déjà adressé une demande de contact",
+        "CONTACT_REQUEST_PENDING",
+        409,
+      );
+      error.requestId = pending._id;
+      throw error;
+    }
+
+    const saved = await this.contactRequestRepository.save(
+      new ContactRequest({
+        requesterId,
+        targetId,
+        motive,
+        requester: snapshot(requester),
+        target: snapshot(target),
+      }),
+    );
+
+    console.log(
+      `📨 Demande de contact ${saved._id}: ${requesterId} → ${targetId}`,
+    );
+    this.notifier?.requested(saved);
+
+    return saved;
+  }
+}
+
+module.exports = CreateContactRequest;
@@ -5,10 +5,12 @@ class CreateGroup {
     conversationRepository,
     resilientMessageService = null,
     userCacheService = null,
+    visibilityPolicy = null,
   ) {
     this.conversationRepository = conversationRepository;
     this.resilientMessageService = resilientMessageService;
     this.userCacheService = userCacheService || new UserCacheService();
+    this.visibilityPolicy = visibilityPolicy;
   }
 
   async execute({ groupId, name, adminId, members }) {
@@ -53,6 +55,13 @@ class CreateGroup {
       );
     }
 
+    // ✅ VISIBILITÉ : l'admin ne peut ajouter que des membres qu'il voit
+    if (this.visibilityPolicy) {
+      await this.visibilityPolicy.assertCanReach(adminId, members, {
+        action: "CREATE_GROUP",
+      });
+    }
+
     // ✅ CRÉER userMetadata AVEC LES INFOS UTILISATEURS
     const unreadCounts = {};
     const userMetadata = participants.map((participantId) => {
@@ -124,6 +124,29 @@ class DeleteMessage {
       }
     }
 
+    // ✅ RÉPONSE SUPPRIMÉE : recalculer le fil du message parent
+    if (deleteType === "FOR_EVERYONE" && message.replyTo) {
+      try {
+        const parent = await this.messageRepository.refreshThreadSummary(
+          String(message.replyTo),
+        );
+        if (
+          parent &&
+          this.resilientMessageService &&
+          this.conversationRepository
+        ) {
+          const conversation =
+            await this.conversationRepository.findById(conversationId);
+          await this.resilientMessageService.publishThreadUpdate(
+            parent,
+            conversation?.participants || [],
+          );
+        }
+      } catch (threadErr) {
+        console.error("❌ Erreur mise à jour du fil:", threadErr.message);
+      }
+    }
+
     // Mettre à jour lastMessage de la conversation si c'était le dernier
     if (
       this.conversationRepository &&
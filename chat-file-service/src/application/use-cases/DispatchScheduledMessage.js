@@ -0,0 +1,106 @@
+const fail = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+/**
+ * DispatchScheduledMessage - Envoi d'un message programmé arrivé à échéance,
+ * appelé par le ScheduledMessageWorker (premier essai) puis par le
+ * RetryWorker (rejeux, handler "scheduled").
+ * - refus métier (4xx : plus participant, conversation supprimée…) :
+ *   FAILED aussitôt, erreur retryable = false → DLQ sans rejeu
+ * - erreur technique : rejetée pour rejeu, FAILED au dernier essai
+ */
+class DispatchScheduledMessage {
+  constructor(
+    scheduledMessageRepository,
+    conversationRepository,
+    sendMessageUseCase,
+    notifier = null,
+  ) {
+    this.scheduledMessageRepository = scheduledMessageRepository;
+    this.conversationRepository = conversationRepository;
+    this.sendMessageUseCase = sendMessageUseCase;
+    this.notifier = notifier;
+  }
+
+  /**
+   * @param {string} scheduledMessageId
+   * @param {Object} [options]
+   * @param {number} [options.attempt=1] - 1 pour le premier envoi
+   * @param {boolean} [options.final=false] - dernier essai avant DLQ
+   * @returns {Promise<ScheduledMessage|null>} null si rien à envoyer
+   *   (annulé, reprogrammé, déjà pris par une autre instance)
+   */
+  async execute(scheduledMessageId, { attempt = 1, final = false } = {}) {
+    const scheduled = await this.scheduledMessageRepository.claim(
+      scheduledMessageId,
+      attempt,
+    );
+    if (!scheduled) {
+      console.log(
+        `⏭️ Message programmé ${scheduledMessageId} ignoré (essai ${attempt})`,
+      );
+      return null;
+    }
+
+    let result;
+    try {
+      await this.assertStillParticipant(scheduled);
+      result = await this.sendMessageUseCase.execute({
+        content: scheduled.content,
+        senderId: scheduled.senderId,
+        conversationId: scheduled.conversationId,
+        type: scheduled.type,
+        ...(scheduled.replyTo && { replyTo: scheduled.replyTo }),
+      });
+    } catch (error) {
+      const rejected = error.status >= 400 && error.status < 500;
+      const failed = await this.scheduledMessageRepository.recordFailure(
+        scheduledMessageId,
+        error.message,
+        rejected || final,
+      );
+      if (failed && (rejected || final)) {
+        this.notifier?.failed(failed);
+      }
+      if (rejected) error.retryable = false;
+      throw error;
+    }
+
+    const sent = await this.scheduledMessageRepository.markSent(
+      scheduledMessageId,
+      String(result.message.id),
+    );
+    console.log(
+      `📨 Message programmé ${scheduledMessageId} envoyé: ${result.message.id}`,
+    );
+    if (sent) this.notifier?.sent(sent);
+    return sent;
+  }
+
+  // La conversation a pu être supprimée, ou l'auteur retiré, depuis la
+  // programmation
+  async assertStillParticipant(scheduled) {
+    const conversation = await this.conversationRepository.findById(
+      scheduled.conversationId,
+    );
+    if (!conversation) {
+      throw fail("Conversation non trouvée", "CONVERSATION_NOT_FOUND", 404);
+    }
+    const participants = (conversation.participants || []).map((p) =>
+      String(p.userId || p),
+    );
+    if (!participants.includes(String(scheduled.senderId))) {
+      throw fail(
+        "L'auteur ne participe plus à cette conversation",
+        "NOT_PARTICIPANT",
+        403,
+      );
+    }
+  }
+}
+
+module.exports = DispatchScheduledMessage;
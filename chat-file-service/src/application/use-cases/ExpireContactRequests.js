@@ -0,0 +1,28 @@
+/**
+ * ExpireContactRequests - Balayage périodique des demandes de contact échues
+ * (CONTACT_REQUEST_TTL_DAYS, 7 jours par défaut) avec notification des deux parties
+ */
+class ExpireContactRequests {
+  constructor(contactRequestRepository, notifier = null) {
+    this.contactRequestRepository = contactRequestRepository;
+    this.notifier = notifier;
+  }
+
+  async execute() {
+    let total = 0;
+    let expired;
+
+    do {
+      expired = await this.contactRequestRepository.expireOverdue();
+      expired.forEach((request) => this.notifier?.expired(request));
+      total += expired.length;
+    } while (expired.length > 0);
+
+    if (total > 0) {
+      console.log(`⏰ ${total} demande(s) de contact expirée(s)`);
+    }
+    return total;
+  }
+}
+
+module.exports = ExpireContactRequests;
@@ -0,0 +1,291 @@
+const fail = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const MAX_MESSAGES = 20;
+const MAX_TARGETS = 10;
+const ADMIN_TYPES = ["GROUP", "BROADCAST", "CHANNEL"];
+
+/**
+ * ForwardMessage - Transfert de messages vers d'autres conversations
+ * - l'utilisateur doit participer aux conversations source et cibles
+ * - settings.allowForwarding = false interdit de transférer hors de la source
+ * - un message fichier réutilise le même File (fileId), sans nouvel upload
+ * - forwardedFrom garde l'origine première en cas de transferts successifs
+ * Chaque copie passe par SendMessage (stream, lastMessage, non-lus).
+ */
+class ForwardMessage {
+  constructor(
+    messageRepository,
+    conversationRepository,
+    sendMessageUseCase,
+    fileRepository = null,
+    userCacheService = null,
+  ) {
+    this.messageRepository = messageRepository;
+    this.conversationRepository = conversationRepository;
+    this.sendMessageUseCase = sendMessageUseCase;
+    this.fileRepository = fileRepository;
+    this.userCacheService = userCacheService;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string|string[]} params.messageIds
+   * @param {string|string[]} params.targetConversationIds
+   * @param {string} params.userId
+   * @returns {Promise<Object>} { forwarded: [...], failed: [...] }
+   */
+  async execute({ messageIds, targetConversationIds, userId }) {
+    const sourceIds = this.normalizeIds(messageIds);
+    const targetIds = this.normalizeIds(targetConversationIds);
+
+    if (!userId || sourceIds.length === 0 || targetIds.length === 0) {
+      throw fail(
+        "messageIds, targetConversationIds et userId requis",
+        "MISSING_PARAMS",
+        400,
+      );
+    }
+    if (sourceIds.length > MAX_MESSAGES || targetIds.length > MAX_TARGETS) {
+      throw fail(
+        `Maximum ${MAX_MESSAGES} messages vers ${MAX_TARGETS} conversations`,
+        "FORWARD_LIMIT_EXCEEDED",
+        400,
+      );
+    }
+
+    // Tout est vérifié avant le premier envoi : pas de transfert partiel
+    // pour une raison de droits
+    const conversations = new Map();
+    const sources = [];
+    for (const messageId of sourceIds) {
+      sources.push(
+        await this.loadForwardable(messageId, userId, conversations),
+      );
+    }
+    sources.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    for (const source of sources) {
+      source.forwardedFrom = await this.buildForwardedFrom(source);
+    }
+
+    for (const conversationId of targetIds) {
+      await this.loadParticipatingConversation(
+        conversationId,
+        userId,
+        conversations,
+      );
+    }
+
+    const forwarded = [];
+    const failed = [];
+    for (const conversationId of targetIds) {
+      for (const source of sources) {
+        try {
+          const result = await this.sendMessageUseCase.execute({
+            content: source.content,
+            senderId: String(userId),
+            conversationId,
+            type: source.type,
+            ...(source.fileId && { fileId: source.fileId }),
+            forwardedFrom: source.forwardedFrom,
+          });
+          forwarded.push({
+            sourceMessageId: String(source._id),
+            conversationId,
+            message: result.message,
+          });
+        } catch (error) {
+          console.error(
+            `❌ Transfert ${source._id} → ${conversationId}:`,
+            error.message,
+          );
+          failed.push({
+            sourceMessageId: String(source._id),
+            conversationId,
+            error: error.message,
+            code: error.code || "FORWARD_FAILED",
+          });
+        }
+      }
+    }
+
+    console.log(
+      `↪️ Transfert par ${userId}: ${forwarded.length} envoyé(s), ${failed.length} échec(s)`,
+    );
+
+    return { forwarded, failed };
+  }
+
+  /**
+   * Active ou interdit le transfert des messages de la conversation.
+   * Créateur pour un groupe, une diffusion ou un canal ; tout participant
+   * pour une conversation privée.
+   */
+  async setForwardingAllowed({ conversationId, userId, allowed }) {
+    if (!conversationId || !userId || typeof allowed !== "boolean") {
+      throw fail(
+        "conversationId, userId et allowed (booléen) requis",
+        "MISSING_PARAMS",
+        400,
+      );
+    }
+
+    const conversation = await this.loadParticipatingConversation(
+      conversationId,
+      userId,
+    );
+    if (
+      ADMIN_TYPES.includes(conversation.type) &&
+      String(conversation.createdBy) !== String(userId)
+    ) {
+      throw fail(
+        "Seul l'admin peut modifier le transfert des messages",
+        "NOT_ADMIN",
+        403,
+      );
+    }
+
+    conversation.settings = {
+      ...(conversation.settings || {}),
+      allowForwarding: allowed,
+    };
+    conversation.metadata = conversation.metadata || {};
+    conversation.metadata.auditLog = conversation.metadata.auditLog || [];
+    conversation.metadata.auditLog.push({
+      action: "SETTINGS_UPDATED",
+      userId: String(userId),
+      timestamp: new Date(),
+      details: { allowForwarding: allowed },
+    });
+    conversation.updatedAt = new Date();
+
+    await this.conversationRepository.save(conversation);
+    return { conversationId: String(conversationId), allowForwarding: allowed };
+  }
+
+  normalizeIds(ids) {
+    const list = Array.isArray(ids) ? ids : ids ? [ids] : [];
+    return [...new Set(list.filter(Boolean).map(String))];
+  }
+
+  async loadForwardable(messageId, userId, conversations) {
+    let message = null;
+    try {
+      message = await this.messageRepository.findById(messageId);
+    } catch (error) {
+      if (error.name === "CastError") {
+        throw fail("messageId invalide", "INVALID_MESSAGE_ID", 400);
+      }
+      // findById lève « non trouvé » quand le message n'existe pas
+      if (!error.message?.includes("non trouvé")) throw error;
+    }
+    if (!message) {
+      throw fail(`Message ${messageId} introuvable`, "MESSAGE_NOT_FOUND", 404);
+    }
+    if (message.status === "DELETED" || message.deletedAt) {
+      throw fail("Message supprimé", "MESSAGE_DELETED", 409);
+    }
+    if (message.isSystemMessage || message.type === "SYSTEM") {
+      throw fail(
+        "Les messages système ne peuvent pas être transférés",
+        "NOT_FORWARDABLE",
+        400,
+      );
+    }
+
+    const conversation = await this.loadParticipatingConversation(
+      String(message.conversationId),
+      userId,
+      conversations,
+    );
+    if (conversation.settings?.allowForwarding === false) {
+      throw fail(
+        "Le transfert des messages de cette conversation est désactivé",
+        "FORWARDING_DISABLED",
+        403,
+      );
+    }
+
+    if (message.fileId && this.fileRepository) {
+      await this.assertFileAvailable(message.fileId);
+    }
+
+    return message;
+  }
+
+  async loadParticipatingConversation(conversationId, userId, cache = null) {
+    let conversation = cache?.get(String(conversationId));
+    if (!conversation) {
+      conversation = await this.conversationRepository.findById(
+        String(conversationId),
+      );
+      if (!conversation) {
+        throw fail(
+          `Conversation ${conversationId} non trouvée`,
+          "CONVERSATION_NOT_FOUND",
+          404,
+        );
+      }
+      cache?.set(String(conversationId), conversation);
+    }
+
+    const participants = (conversation.participants || []).map((p) =>
+      String(p.userId || p),
+    );
+    if (!participants.includes(String(userId))) {
+      throw fail(
+        "Vous ne participez pas à cette conversation",
+        "NOT_PARTICIPANT",
+        403,
+      );
+    }
+    return conversation;
+  }
+
+  async assertFileAvailable(fileId) {
+    let file = null;
+    try {
+      file = await this.fileRepository.findById(fileId);
+    } catch (error) {
+      // findById lève « non trouvé » quand le fichier n'existe pas
+      if (!error.message?.includes("non trouvé")) throw error;
+    }
+    if (!file || file.status === "DELETED") {
+      throw fail("Fichier joint indisponible", "FILE_UNAVAILABLE", 409);
+    }
+  }
+
+  async buildForwardedFrom(source) {
+    if (source.forwardedFrom?.messageId) {
+      return source.forwardedFrom;
+    }
+
+    let senderName = null;
+    if (this.userCacheService) {
+      try {
+        senderName =
+          (await this.userCacheService.fetchUserInfo(source.senderId))?.name ||
+          null;
+      } catch (error) {
+        console.warn(
+          "⚠️ Nom de l'auteur d'origine indisponible:",
+          error.message,
+        );
+      }
+    }
+
+    return {
+      messageId: String(source._id),
+      senderId: source.senderId,
+      senderName,
+      conversationId: String(source.conversationId),
+      createdAt: source.createdAt,
+    };
+  }
+}
+
+module.exports = ForwardMessage;
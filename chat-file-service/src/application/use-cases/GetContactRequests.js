@@ -0,0 +1,78 @@
+const ContactRequest = require("../../domain/entities/ContactRequest");
+
+const DIRECTIONS = ["incoming", "outgoing"];
+
+/**
+ * GetContactRequests - Demandes reçues (incoming) ou envoyées (outgoing)
+ */
+class GetContactRequests {
+  constructor(contactRequestRepository, notifier = null) {
+    this.contactRequestRepository = contactRequestRepository;
+    this.notifier = notifier;
+  }
+
+  async execute({
+    userId,
+    direction = "incoming",
+    status = null,
+    page = 1,
+    limit = 20,
+  }) {
+    if (!userId) {
+      throw new Error("userId requis");
+    }
+    if (!DIRECTIONS.includes(direction)) {
+      const error = new Error(
+        `direction doit être un de: ${DIRECTIONS.join(", ")}`,
+      );
+      error.code = "INVALID_DIRECTION";
+      error.status = 400;
+      throw error;
+    }
+    const normalizedStatus = status ? String(status).toUpperCase() : null;
+    if (
+      normalizedStatus &&
+      !Object.values(ContactRequest.STATUSES).includes(normalizedStatus)
+    ) {
+      const error = new Error(`Statut invalide: ${status}`);
+      error.code = "INVALID_STATUS";
+      error.status = 400;
+      throw error;
+    }
+
+    const safePage = Math.max(1, parseInt(page, 10) || 1);
+    const safeLimit = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    // Statuts à jour avant lecture (le balayage périodique peut avoir du retard)
+    const expired = await this.contactRequestRepository.expireOverdue({
+      filter:
+        direction === "outgoing"
+          ? { requesterId: userId }
+          : { targetId: userId },
+    });
+    expired.forEach((request) => this.notifier?.expired(request));
+
+    const { requests, total } = await this.contactRequestRepository.findByUser(
+      userId,
+      {
+        direction,
+        status: normalizedStatus,
+        page: safePage,
+        limit: safeLimit,
+      },
+    );
+
+    return {
+      requests: requests.map((request) => request.toObject()),
+      pagination: {
+        page: safePage,
+        limit: safeLimit,
+        total,
+        totalPages: Math.ceil(total / safeLimit),
+        hasMore: safePage * safeLimit < total,
+      },
+    };
+  }
+}
+
+module.exports = GetContactRequests;
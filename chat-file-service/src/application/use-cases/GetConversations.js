@@ -4,11 +4,14 @@ class GetConversations {
     messageRepository,
     cacheService = null,
     onlineUserManager = null,
+    inboxDelegationService = null,
   ) {
     this.conversationRepository = conversationRepository;
     this.messageRepository = messageRepository;
     this.cacheService = cacheService;
     this.onlineUserManager = onlineUserManager;
+    // Lecture « de la part de » (secrétariat)
+    this.inboxDelegationService = inboxDelegationService;
   }
 
   // ✅ HELPER: Extract unread count from userMetadata (authoritative source)
@@ -35,14 +38,33 @@ class GetConversations {
       useCache = true,
       userDepartement = null,
       userMinistere = null,
+      onBehalfOf = null,
     } = options;
 
     try {
+      // ✅ BOÎTE DÉLÉGUÉE : conversations du titulaire, hors fils exclus
+      let delegation = null;
+      if (onBehalfOf && String(onBehalfOf) !== String(userId)) {
+        if (!this.inboxDelegationService) {
+          const error = new Error("Délégation de boîte non disponible");
+          error.code = "INBOX_DELEGATION_REQUIRED";
+          error.status = 403;
+          throw error;
+        }
+        delegation = await this.inboxDelegationService.assertAccess(
+          userId,
+          onBehalfOf,
+        );
+        userId = String(onBehalfOf);
+      }
+
       console.log(
         `🔍 GetConversations: userId=${userId}, page=${page}, limit=${limit}, cursor=${cursor}, useCache=${useCache}`,
       );
 
       // ✅ APPEL REPOSITORY avec cursor ET cache
+      // Fils exclus de la délégation retirés dans la requête : pagination et
+      // totaux ne trahissent pas leur nombre
       const result = await this.conversationRepository.findByParticipant(
         userId,
         {
@@ -52,6 +74,7 @@ class GetConversations {
           direction,
           includeArchived,
           useCache,
+          excludeIds: delegation ? delegation.excludedConversationIds : [],
         },
       );
 
@@ -175,6 +198,16 @@ class GetConversations {
           ministere: userMinistere,
         },
 
+        // ✅ LECTURE DÉLÉGUÉE (null pour sa propre boîte)
+        delegation: delegation
+          ? {
+              delegationId: delegation._id,
+              ownerId: delegation.ownerId,
+              delegateId: delegation.delegateId,
+              canReply: delegation.canReply,
+            }
+          : null,
+
         pagination: {
           currentPage: parseInt(page),
           totalPages: totalPages,
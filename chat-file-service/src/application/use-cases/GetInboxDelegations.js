@@ -0,0 +1,39 @@
+/**
+ * GetInboxDelegations - Délégations accordées (titulaire) et reçues (délégué)
+ */
+class GetInboxDelegations {
+  constructor(inboxDelegationRepository) {
+    this.inboxDelegationRepository = inboxDelegationRepository;
+  }
+
+  async execute({ userId, includeRevoked = false }) {
+    if (!userId) {
+      throw new Error("userId requis");
+    }
+
+    const [granted, received] = await Promise.all([
+      this.inboxDelegationRepository.findByUser(String(userId), "owner", {
+        includeRevoked,
+      }),
+      this.inboxDelegationRepository.findByUser(String(userId), "delegate", {
+        includeRevoked,
+      }),
+    ]);
+
+    const toView = (delegation) => ({
+      ...delegation.toObject(),
+      isActive: delegation.isActive(),
+    });
+
+    return {
+      granted: granted.map(toView),
+      // Le délégué ne voit pas quels fils lui sont masqués
+      received: received.map((delegation) => {
+        const { excludedConversationIds, ...view } = toView(delegation);
+        return { ...view, excludedCount: excludedConversationIds.length };
+      }),
+    };
+  }
+}
+
+module.exports = GetInboxDelegations;
@@ -0,0 +1,134 @@
+const fail = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const MAX_LIMIT = 100;
+
+/**
+ * GetMessageThread - Message parent et ses réponses (replyTo), pagination par
+ * cursor createdAt : ordre chronologique par défaut (direction "newer").
+ * Lecture « de la part de » possible avec onBehalfOf (boîte déléguée).
+ */
+class GetMessageThread {
+  constructor(
+    messageRepository,
+    conversationRepository,
+    inboxDelegationService = null,
+  ) {
+    this.messageRepository = messageRepository;
+    this.conversationRepository = conversationRepository;
+    this.inboxDelegationService = inboxDelegationService;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.messageId - message parent du fil
+   * @param {string} params.userId
+   * @param {string} [params.cursor] - createdAt (ISO) de la dernière réponse reçue
+   * @param {number} [params.limit]
+   * @param {string} [params.direction] - "newer" ou "older"
+   * @param {string} [params.onBehalfOf] - titulaire de la boîte déléguée
+   * @returns {Promise<Object>} { parent, replies, replyCount, nextCursor, hasMore }
+   */
+  async execute({
+    messageId,
+    userId,
+    cursor = null,
+    limit = 50,
+    direction = "newer",
+    onBehalfOf = null,
+  }) {
+    if (!messageId || !userId) {
+      throw fail("messageId et userId requis", "MISSING_PARAMS", 400);
+    }
+    if (!["newer", "older"].includes(direction)) {
+      throw fail(
+        "direction doit être newer ou older",
+        "INVALID_DIRECTION",
+        400,
+      );
+    }
+    if (cursor && Number.isNaN(new Date(cursor).getTime())) {
+      throw fail("cursor invalide (date ISO attendue)", "INVALID_CURSOR", 400);
+    }
+
+    const parent = await this.loadMessage(messageId);
+
+    const conversation = await this.conversationRepository.findById(
+      String(parent.conversationId),
+    );
+    if (!conversation) {
+      throw fail("Conversation non trouvée", "CONVERSATION_NOT_FOUND", 404);
+    }
+
+    const readerId =
+      onBehalfOf && String(onBehalfOf) !== String(userId)
+        ? await this.assertDelegatedRead(conversation, userId, onBehalfOf)
+        : String(userId);
+    const participants = (conversation.participants || []).map((p) =>
+      String(p.userId || p),
+    );
+    if (!participants.includes(readerId)) {
+      throw fail(
+        "Vous ne participez pas à cette conversation",
+        "NOT_PARTICIPANT",
+        403,
+      );
+    }
+
+    const pageSize = Math.min(
+      Math.max(parseInt(limit, 10) || 50, 1),
+      MAX_LIMIT,
+    );
+    const page = await this.messageRepository.findThread(String(parent._id), {
+      cursor,
+      limit: pageSize,
+      direction,
+    });
+
+    return {
+      parent,
+      replies: page.messages,
+      replyCount: parent.thread?.replyCount || 0,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
+    };
+  }
+
+  async loadMessage(messageId) {
+    let message = null;
+    try {
+      message = await this.messageRepository.findById(messageId);
+    } catch (error) {
+      if (error.name === "CastError") {
+        throw fail("messageId invalide", "INVALID_MESSAGE_ID", 400);
+      }
+      // findById lève « non trouvé » quand le message n'existe pas
+      if (!error.message?.includes("non trouvé")) throw error;
+    }
+    if (!message) {
+      throw fail("Message introuvable", "MESSAGE_NOT_FOUND", 404);
+    }
+    return message;
+  }
+
+  async assertDelegatedRead(conversation, delegateId, ownerId) {
+    if (!this.inboxDelegationService) {
+      throw fail(
+        "Délégation de boîte non disponible",
+        "INBOX_DELEGATION_REQUIRED",
+        403,
+      );
+    }
+
+    await this.inboxDelegationService.assertAccess(delegateId, ownerId, {
+      conversation,
+    });
+    return String(ownerId);
+  }
+}
+
+module.exports = GetMessageThread;
@@ -1,6 +1,13 @@
 class GetMessages {
-  constructor(messageRepository) {
+  constructor(
+    messageRepository,
+    conversationRepository = null,
+    inboxDelegationService = null
+  ) {
     this.messageRepository = messageRepository;
+    // Lecture « de la part de » (secrétariat)
+    this.conversationRepository = conversationRepository;
+    this.inboxDelegationService = inboxDelegationService;
   }
 
   async execute(conversationId, options = {}) {
@@ -11,12 +18,23 @@ class GetMessages {
         direction = "older",
         userId,
         useCache = true,
+        onBehalfOf = null,
       } = options;
 
       if (!conversationId) {
         throw new Error("ID de conversation requis");
       }
 
+      // ✅ BOÎTE DÉLÉGUÉE : conversation du titulaire, non exclue
+      let delegation = null;
+      if (onBehalfOf && String(onBehalfOf) !== String(userId)) {
+        delegation = await this.assertDelegatedRead(
+          conversationId,
+          userId,
+          onBehalfOf
+        );
+      }
+
       console.log(
         `🔍 GetMessages: conversation=${conversationId}, cursor=${cursor}, direction=${direction}, useCache=${useCache}`
       );
@@ -28,7 +46,7 @@ class GetMessages {
           cursor,
           limit: parseInt(limit),
           direction,
-          userId,
+          userId: delegation ? String(onBehalfOf) : userId,
           useCache,
         }
       );
@@ -45,12 +63,42 @@ class GetMessages {
         hasMore: result.hasMore || false,
         fromCache: result.fromCache || false,
         totalCount: result.totalCount || 0,
+        ...(delegation && {
+          delegation: {
+            delegationId: delegation._id,
+            ownerId: delegation.ownerId,
+            canReply: delegation.canReply,
+          },
+        }),
       };
     } catch (error) {
       console.error("❌ Erreur GetMessages use case:", error);
       throw error;
     }
   }
+
+  async assertDelegatedRead(conversationId, delegateId, ownerId) {
+    if (!this.inboxDelegationService || !this.conversationRepository) {
+      const error = new Error("Délégation de boîte non disponible");
+      error.code = "INBOX_DELEGATION_REQUIRED";
+      error.status = 403;
+      throw error;
+    }
+
+    const conversation = await this.conversationRepository.findById(
+      conversationId
+    );
+    if (!conversation) {
+      const error = new Error("Conversation non trouvée");
+      error.code = "CONVERSATION_NOT_FOUND";
+      error.status = 404;
+      throw error;
+    }
+
+    return this.inboxDelegationService.assertAccess(delegateId, ownerId, {
+      conversation,
+    });
+  }
 }
 
 module.exports = GetMessages;
@@ -0,0 +1,59 @@
+const ScheduledMessage = require("../../domain/entities/ScheduledMessage");
+
+/**
+ * GetScheduledMessages - Messages programmés de l'utilisateur, par date
+ * d'envoi croissante
+ */
+class GetScheduledMessages {
+  constructor(scheduledMessageRepository) {
+    this.scheduledMessageRepository = scheduledMessageRepository;
+  }
+
+  async execute({
+    userId,
+    status = null,
+    conversationId = null,
+    page = 1,
+    limit = 20,
+  }) {
+    if (!userId) {
+      throw new Error("userId requis");
+    }
+    const normalizedStatus = status ? String(status).toUpperCase() : null;
+    if (
+      normalizedStatus &&
+      !Object.values(ScheduledMessage.STATUSES).includes(normalizedStatus)
+    ) {
+      const error = new Error(`Statut invalide: ${status}`);
+      error.code = "INVALID_STATUS";
+      error.status = 400;
+      throw error;
+    }
+
+    const safePage = Math.max(1, parseInt(page, 10) || 1);
+    const safeLimit = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const { scheduledMessages, total } =
+      await this.scheduledMessageRepository.findBySender(String(userId), {
+        status: normalizedStatus,
+        conversationId: conversationId ? String(conversationId) : null,
+        page: safePage,
+        limit: safeLimit,
+      });
+
+    return {
+      scheduledMessages: scheduledMessages.map((scheduled) =>
+        scheduled.toObject(),
+      ),
+      pagination: {
+        page: safePage,
+        limit: safeLimit,
+        total,
+        totalPages: Math.ceil(total / safeLimit),
+        hasMore: safePage * safeLimit < total,
+      },
+    };
+  }
+}
+
+module.exports = GetScheduledMessages;
@@ -0,0 +1,108 @@
+const UserCacheService = require("../../infrastructure/services/UserCacheService");
+const InboxDelegation = require("../../domain/entities/InboxDelegation");
+
+const fail = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const snapshot = (user) => ({
+  nom: user?.nom || null,
+  prenom: user?.prenom || null,
+  avatar: user?.avatar || null,
+});
+
+/**
+ * GrantInboxDelegation - Le titulaire (ex. directeur) ouvre sa boîte à un
+ * délégué (ex. secrétaire) : lecture, et réponse « de la part de » si canReply.
+ */
+class GrantInboxDelegation {
+  constructor(
+    inboxDelegationRepository,
+    userCacheService = null,
+    notifier = null,
+    visibilityPolicy = null,
+  ) {
+    this.inboxDelegationRepository = inboxDelegationRepository;
+    this.userCacheService = userCacheService || new UserCacheService();
+    this.notifier = notifier;
+    this.visibilityPolicy = visibilityPolicy;
+  }
+
+  async execute({ ownerId, delegateId, canReply = false, expiresAt = null }) {
+    if (!ownerId || !delegateId) {
+      throw fail("ownerId et delegateId requis", "MISSING_PARAMS", 400);
+    }
+    if (String(ownerId) === String(delegateId)) {
+      throw fail(
+        "Impossible de se déléguer sa propre boîte",
+        "INVALID_DELEGATE",
+        400,
+      );
+    }
+    if (expiresAt && !(new Date(expiresAt).getTime() > Date.now())) {
+      throw fail("expiresAt doit être une date future", "INVALID_EXPIRY", 400);
+    }
+
+    const [owner, delegate] = await this.userCacheService.fetchUsersInfo([
+      ownerId,
+      delegateId,
+    ]);
+    if (
+      !delegate ||
+      delegate.name === "Utilisateur inconnu" ||
+      (!delegate.nom && !delegate.name)
+    ) {
+      throw fail(
+        `Utilisateur ${delegateId} introuvable`,
+        "USER_NOT_FOUND",
+        404,
+      );
+    }
+
+    // Le délégué doit faire partie du périmètre du titulaire
+    if (this.visibilityPolicy) {
+      await this.visibilityPolicy.assertCanReach(ownerId, [delegateId], {
+        action: "INBOX_DELEGATION",
+      });
+    }
+
+    const existing = await this.inboxDelegationRepository.findActive(
+      String(ownerId),
+      String(delegateId),
+    );
+    if (existing) {
+      const error = fail(
+        "Une délégation est déjà active pour cet utilisateur",
+        "INBOX_DELEGATION_EXISTS",
+        409,
+      );
+      error.delegationId = existing._id;
+      throw error;
+    }
+
+    const saved = await this.inboxDelegationRepository.save(
+      new InboxDelegation({
+        ownerId: String(ownerId),
+        delegateId: String(delegateId),
+        canReply: canReply === true,
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        owner: snapshot(owner),
+        delegate: snapshot(delegate),
+      }),
+    );
+
+    console.log(
+      `🗝️ Délégation de boîte ${saved._id}: ${delegateId} lit pour ${ownerId}${
+        saved.canReply ? " (réponse autorisée)" : ""
+      }`,
+    );
+    this.notifier?.granted(saved);
+
+    return saved;
+  }
+}
+
+module.exports = GrantInboxDelegation;
@@ -1,3 +1,5 @@
+const SyncUnitGroups = require("./SyncUnitGroups");
+
 /**
  * LeaveConversation - Un participant quitte volontairement une conversation
  * Publie l'événement conversation.participant.left dans Redis Streams
@@ -29,6 +31,7 @@ class LeaveConversation {
     if (conversation.type !== "GROUP") {
       throw new Error("Seuls les groupes peuvent être quittés");
     }
+    SyncUnitGroups.assertManualChangeAllowed(conversation);
 
     // Vérifier que l'utilisateur est bien membre
     if (!conversation.participants.includes(userId)) {
@@ -0,0 +1,146 @@
+const fail = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const MODES = ["add", "toggle", "remove"];
+const MAX_EMOJI_LENGTH = 32; // séquences ZWJ (familles, drapeaux) comprises
+
+/**
+ * ReactToMessage - Une réaction par participant et par message
+ * - add : pose ou remplace la réaction
+ * - toggle : retire si même emoji, sinon pose ou remplace
+ * - remove : retire la réaction
+ * Les agrégats par emoji (reactionSummary) sont recalculés en base et publiés
+ * sur chat:stream:events:reactions pour tous les participants.
+ */
+class ReactToMessage {
+  constructor(
+    messageRepository,
+    conversationRepository,
+    resilientMessageService = null,
+  ) {
+    this.messageRepository = messageRepository;
+    this.conversationRepository = conversationRepository;
+    this.resilientMessageService = resilientMessageService;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.messageId
+   * @param {string} params.userId
+   * @param {string} [params.emoji] - requis sauf pour remove
+   * @param {string} [params.mode] - "add", "toggle" ou "remove"
+   * @returns {Promise<Object>} { messageId, conversationId, action, emoji, reactions, ... }
+   */
+  async execute({ messageId, userId, emoji = null, mode = "add" }) {
+    if (!messageId || !userId) {
+      throw fail("messageId et userId requis", "MISSING_PARAMS", 400);
+    }
+    if (!MODES.includes(mode)) {
+      throw fail(
+        `mode doit être ${MODES.join(", ")}`,
+        "INVALID_REACTION_MODE",
+        400,
+      );
+    }
+
+    const reaction = mode === "remove" ? null : this.normalizeEmoji(emoji);
+
+    const message = await this.loadMessage(messageId);
+    if (message.status === "DELETED" || message.isDeleted) {
+      throw fail("Message supprimé", "MESSAGE_DELETED", 409);
+    }
+
+    const conversationId = String(message.conversationId);
+    const conversation =
+      await this.conversationRepository.findById(conversationId);
+    const participants = (conversation?.participants || []).map((p) =>
+      String(p.userId || p),
+    );
+    if (!participants.includes(String(userId))) {
+      throw fail(
+        "Vous ne participez pas à cette conversation",
+        "NOT_PARTICIPANT",
+        403,
+      );
+    }
+
+    const previousEmoji =
+      (message.reactions || []).find((r) => r.userId === String(userId))
+        ?.emoji || null;
+
+    const updated = await this.messageRepository.applyReaction(
+      messageId,
+      String(userId),
+      reaction,
+      mode,
+    );
+    if (!updated) {
+      throw fail("Message introuvable", "MESSAGE_NOT_FOUND", 404);
+    }
+
+    const currentEmoji =
+      (updated.reactions || []).find((r) => r.userId === String(userId))
+        ?.emoji || null;
+    const action = this.actionBetween(previousEmoji, currentEmoji);
+    const result = {
+      messageId: String(messageId),
+      conversationId,
+      userId: String(userId),
+      action,
+      emoji: currentEmoji,
+      previousEmoji,
+      reactions: updated.reactionSummary || [],
+    };
+
+    if (action !== "none" && this.resilientMessageService) {
+      await this.resilientMessageService.publishReactionEvent({
+        ...result,
+        participants,
+      });
+    }
+
+    return result;
+  }
+
+  normalizeEmoji(emoji) {
+    const value = typeof emoji === "string" ? emoji.trim() : "";
+    if (!value) {
+      throw fail("emoji requis", "MISSING_PARAMS", 400);
+    }
+    if (value.length > MAX_EMOJI_LENGTH || /\s|^\$/.test(value)) {
+      throw fail("emoji invalide", "INVALID_EMOJI", 400);
+    }
+    return value;
+  }
+
+  async loadMessage(messageId) {
+    let message = null;
+    try {
+      message = await this.messageRepository.findById(messageId);
+    } catch (error) {
+      if (error.name === "CastError") {
+        throw fail("messageId invalide", "INVALID_MESSAGE_ID", 400);
+      }
+      // findById lève « non trouvé » quand le message n'existe pas
+      if (!error.message?.includes("non trouvé")) throw error;
+    }
+    if (!message) {
+      throw fail("Message introuvable", "MESSAGE_NOT_FOUND", 404);
+    }
+    return message;
+  }
+
+  // Changement effectif pour l'utilisateur (rien à publier si identique)
+  actionBetween(previousEmoji, currentEmoji) {
+    if (previousEmoji === currentEmoji) return "none";
+    if (!previousEmoji) return "add";
+    if (!currentEmoji) return "remove";
+    return "replace";
+  }
+}
+
+module.exports = ReactToMessage;
@@ -1,3 +1,5 @@
+const SyncUnitGroups = require("./SyncUnitGroups");
+
 /**
  * RemoveParticipant - Retire un participant d'une conversation (groupe)
  * Publie l'événement conversation.participant.removed dans Redis Streams
@@ -13,7 +15,19 @@ class RemoveParticipant {
     this.userCacheService = userCacheService;
   }
 
-  async execute({ conversationId, participantId, removedBy }) {
+  /**
+   * @param {Object} params
+   * @param {boolean} [params.auto=false] - retrait par la synchronisation d'un
+   *   groupe d'unité (départ ou mutation), audité AUTO_PARTICIPANT_REMOVED
+   * @param {Object} [params.details] - contexte ajouté à l'audit (ex. unitId)
+   */
+  async execute({
+    conversationId,
+    participantId,
+    removedBy,
+    auto = false,
+    details = {},
+  }) {
     if (!conversationId || !participantId || !removedBy) {
       throw new Error("conversationId, participantId et removedBy requis");
     }
@@ -34,10 +48,14 @@ class RemoveParticipant {
 
     // Vérifier que l'utilisateur qui retire est l'admin ou le participant lui-même
     const isAdmin = conversation.createdBy === removedBy;
-    const isSelf = participantId === removedBy;
+    const isSelf = !auto && participantId === removedBy;
+
+    if (!auto) {
+      SyncUnitGroups.assertManualChangeAllowed(conversation);
 
-    if (!isAdmin && !isSelf) {
-      throw new Error("Seul l'admin ou le participant lui-même peut retirer");
+      if (!isAdmin && !isSelf) {
+        throw new Error("Seul l'admin ou le participant lui-même peut retirer");
+      }
     }
 
     // Vérifier que le participant est bien membre
@@ -92,10 +110,14 @@ class RemoveParticipant {
     // Ajouter dans l'audit log
     if (conversation.metadata?.auditLog) {
       conversation.metadata.auditLog.push({
-        action: isSelf ? "PARTICIPANT_LEFT" : "PARTICIPANT_REMOVED",
+        action: auto
+          ? "AUTO_PARTICIPANT_REMOVED"
+          : isSelf
+            ? "PARTICIPANT_LEFT"
+            : "PARTICIPANT_REMOVED",
         userId: removedBy,
         timestamp: new Date(),
-        details: { participantId },
+        details: { ...details, participantId },
         metadata: { source: "RemoveParticipant-UseCase" },
       });
     }
@@ -133,26 +155,28 @@ class RemoveParticipant {
     // Publier notification système
     if (this.resilientMessageService) {
       try {
-        const removedByInfo = this.userCacheService
-          ? (await this.userCacheService.fetchUsersInfo([removedBy]))[0]
-          : null;
+        const removedByInfo =
+          this.userCacheService && !auto
+            ? (await this.userCacheService.fetchUsersInfo([removedBy]))[0]
+            : null;
+        const participantName = participantInfo?.name || participantId;
+        let content = `${removedByInfo?.name || "Un admin"} a retiré ${participantName}`;
+        if (isSelf) content = `${participantName} a quitté le groupe`;
+        if (auto) content = `${participantName} ne fait plus partie de l'unité`;
 
         await this.resilientMessageService.publishSystemMessage({
           conversationId: conversationId.toString(),
           type: "SYSTEM",
           subType: "PARTICIPANT_REMOVED",
           senderId: removedBy,
-          senderName: removedByInfo?.name || "Un membre",
-          content: isSelf
-            ? `${participantInfo?.name || participantId} a quitté le groupe`
-            : `${removedByInfo?.name || "Un admin"} a retiré ${
-                participantInfo?.name || participantId
-              }`,
+          senderName: auto ? "Système" : removedByInfo?.name || "Un membre",
+          content,
           participants: [...conversation.participants, participantId],
           metadata: {
             participantId,
             participantName: participantInfo?.name,
             isSelf,
+            auto,
           },
         });
       } catch (err) {
@@ -0,0 +1,221 @@
+const UserCacheService = require("../../infrastructure/services/UserCacheService");
+const ContactRequest = require("../../domain/entities/ContactRequest");
+
+const { STATUSES } = ContactRequest;
+
+const fail = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+/**
+ * RespondToContactRequest - Le destinataire accepte ou refuse une demande de contact
+ * Acceptation : création de la conversation PRIVATE (même _id que la demande,
+ * donc une nouvelle tentative ne crée pas de doublon).
+ */
+class RespondToContactRequest {
+  constructor(
+    contactRequestRepository,
+    conversationRepository,
+    userCacheService = null,
+    notifier = null,
+    resilientMessageService = null,
+  ) {
+    this.contactRequestRepository = contactRequestRepository;
+    this.conversationRepository = conversationRepository;
+    this.userCacheService = userCacheService || new UserCacheService();
+    this.notifier = notifier;
+    this.resilientMessageService = resilientMessageService;
+  }
+
+  async execute({ requestId, userId, accept }) {
+    if (!requestId || !userId || typeof accept !== "boolean") {
+      throw fail("requestId, userId et accept requis", "MISSING_PARAMS", 400);
+    }
+
+    const request = await this.contactRequestRepository.findById(requestId);
+    if (!request || !request.involves(userId)) {
+      throw fail(
+        "Demande de contact introuvable",
+        "CONTACT_REQUEST_NOT_FOUND",
+        404,
+      );
+    }
+    if (String(request.targetId) !== String(userId)) {
+      throw fail(
+        "Seul le destinataire peut répondre à la demande",
+        "NOT_REQUEST_TARGET",
+        403,
+      );
+    }
+
+    if (request.isPending() && request.isExpired()) {
+      const expired = await this.contactRequestRepository.transitionFromPending(
+        request._id,
+        STATUSES.EXPIRED,
+      );
+      if (expired) this.notifier?.expired(expired);
+      throw fail(
+        "La demande de contact a expiré",
+        "CONTACT_REQUEST_EXPIRED",
+        410,
+      );
+    }
+    if (!request.isPending()) {
+      const error = fail(
+        "La demande de contact a déjà reçu une réponse",
+        "CONTACT_REQUEST_ALREADY_ANSWERED",
+        409,
+      );
+      error.requestStatus = request.status;
+      throw error;
+    }
+
+    if (!accept) {
+      const declined =
+        await this.contactRequestRepository.transitionFromPending(
+          request._id,
+          STATUSES.DECLINED,
+          { respondedAt: new Date() },
+        );
+      if (!declined) {
+        throw fail(
+          "La demande de contact a déjà reçu une réponse",
+          "CONTACT_REQUEST_ALREADY_ANSWERED",
+          409,
+        );
+      }
+
+      console.log(`🙅 Demande de contact ${request._id} refusée`);
+      this.notifier?.declined(declined);
+      return { request: declined, conversation: null };
+    }
+
+    const conversation = await this.createConversation(request);
+
+    const accepted = await this.contactRequestRepository.transitionFromPending(
+      request._id,
+      STATUSES.ACCEPTED,
+      { respondedAt: new Date(), conversationId: String(conversation._id) },
+    );
+    if (!accepted) {
+      throw fail(
+        "La demande de contact a déjà reçu une réponse",
+        "CONTACT_REQUEST_ALREADY_ANSWERED",
+        409,
+      );
+    }
+
+    console.log(
+      `🤝 Demande de contact ${request._id} acceptée → conversation ${conversation._id}`,
+    );
+    this.notifier?.accepted(accepted, conversation);
+
+    return { request: accepted, conversation };
+  }
+
+  async createConversation(request) {
+    const { requesterId, targetId } = request;
+
+    // Conversation apparue entre-temps (ex. créée par un administrateur)
+    const existing = await this.conversationRepository.findPrivateBetween(
+      requesterId,
+      targetId,
+    );
+    if (existing) return existing;
+
+    const participants = [requesterId, targetId];
+    const usersInfo = await this.userCacheService.fetchUsersInfo(participants);
+
+    const userMetadata = participants.map((participantId) => {
+      const userInfo = usersInfo.find((u) => u.userId === participantId) || {};
+
+      return {
+        userId: participantId,
+        unreadCount: 0,
+        lastReadAt: null,
+        isMuted: false,
+        isPinned: false,
+        customName: null,
+        notificationSettings: {
+          enabled: true,
+          sound: true,
+          vibration: true,
+        },
+        nom: userInfo.nom || null,
+        prenom: userInfo.prenom || null,
+        sexe: userInfo.sexe || null,
+        avatar: userInfo.avatar || null,
+        departement: userInfo.departement || null,
+        ministere: userInfo.ministere || null,
+      };
+    });
+
+    const conversation = await this.conversationRepository.save({
+      _id: request._id,
+      name: `Conversation ${requesterId} - ${targetId}`,
+      type: "PRIVATE",
+      participants,
+      createdBy: requesterId,
+      isPrivate: true,
+      userMetadata,
+      unreadCounts: { [requesterId]: 0, [targetId]: 0 },
+      metadata: {
+        autoCreated: true,
+        createdFrom: "RespondToContactRequest",
+        version: 1,
+        tags: [],
+        auditLog: [
+          {
+            action: "CREATED",
+            userId: targetId,
+            timestamp: new Date(),
+            details: {
+              trigger: "contact_request_accepted",
+              contactRequestId: request._id,
+              motive: request.motive,
+            },
+            metadata: { source: "RespondToContactRequest-UseCase" },
+          },
+        ],
+      },
+      settings: {
+        allowInvites: true,
+        isPublic: false,
+        maxParticipants: 2,
+        messageRetention: 0,
+        autoDeleteAfter: 0,
+      },
+    });
+
+    // ✅ PUBLIER ÉVÉNEMENT CONVERSATION CRÉÉE (même flux que SendMessage)
+    if (this.resilientMessageService) {
+      try {
+        await this.resilientMessageService.addToStream(
+          "chat:stream:events:conversation:created",
+          {
+            event: "conversation.created",
+            conversationId: String(conversation._id),
+            type: "PRIVATE",
+            createdBy: requesterId,
+            participants: JSON.stringify(participants),
+            name: conversation.name,
+            participantCount: participants.length.toString(),
+            timestamp: Date.now().toString(),
+          },
+        );
+      } catch (streamErr) {
+        console.error(
+          "❌ Erreur publication conversation créée:",
+          streamErr.message,
+        );
+      }
+    }
+
+    return conversation;
+  }
+}
+
+module.exports = RespondToContactRequest;
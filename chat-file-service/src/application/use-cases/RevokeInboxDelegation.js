@@ -0,0 +1,39 @@
+/**
+ * RevokeInboxDelegation - Fin de délégation, par le titulaire ou par le délégué
+ */
+class RevokeInboxDelegation {
+  constructor(inboxDelegationRepository, notifier = null) {
+    this.inboxDelegationRepository = inboxDelegationRepository;
+    this.notifier = notifier;
+  }
+
+  async execute({ delegationId, userId }) {
+    const delegation =
+      await this.inboxDelegationRepository.findById(delegationId);
+    if (!delegation || !delegation.involves(userId)) {
+      const error = new Error("Délégation introuvable");
+      error.code = "INBOX_DELEGATION_NOT_FOUND";
+      error.status = 404;
+      throw error;
+    }
+
+    const revoked = await this.inboxDelegationRepository.revoke(
+      delegationId,
+      String(userId),
+    );
+    if (!revoked) {
+      const error = new Error("La délégation est déjà révoquée");
+      error.code = "INBOX_DELEGATION_INACTIVE";
+      error.status = 409;
+      throw error;
+    }
+
+    console.log(
+      `🔒 Délégation de boîte ${delegationId} révoquée par ${userId}`,
+    );
+    this.notifier?.revoked(revoked);
+    return revoked;
+  }
+}
+
+module.exports = RevokeInboxDelegation;
@@ -0,0 +1,110 @@
+const ScheduledMessage = require("../../domain/entities/ScheduledMessage");
+
+const fail = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const MAX_PENDING_PER_USER = 100;
+
+/**
+ * ScheduleMessage - Programme un message pour plus tard (ex. annonce
+ * préparée la veille pour 8h). Stocké en MongoDB et indexé dans Redis ;
+ * le ScheduledMessageWorker l'envoie via SendMessage à l'échéance.
+ */
+class ScheduleMessage {
+  constructor(
+    scheduledMessageRepository,
+    conversationRepository,
+    notifier = null,
+  ) {
+    this.scheduledMessageRepository = scheduledMessageRepository;
+    this.conversationRepository = conversationRepository;
+    this.notifier = notifier;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.userId
+   * @param {string} params.conversationId - conversation existante
+   * @param {string} params.content
+   * @param {string} params.scheduledAt - date ISO (avec fuseau)
+   * @param {string} [params.replyTo] - message cité, vérifié à l'envoi
+   * @returns {Promise<ScheduledMessage>}
+   */
+  async execute({
+    userId,
+    conversationId,
+    content,
+    scheduledAt,
+    replyTo = null,
+  }) {
+    const text = typeof content === "string" ? content.trim() : "";
+    if (!userId || !conversationId || !text || !scheduledAt) {
+      throw fail(
+        "conversationId, content et scheduledAt requis",
+        "MISSING_PARAMS",
+        400,
+      );
+    }
+    if (text.length > 10000) {
+      throw fail(
+        "Le message ne peut pas dépasser 10000 caractères",
+        "CONTENT_TOO_LONG",
+        400,
+      );
+    }
+    const windowError = ScheduledMessage.scheduleWindowError(scheduledAt);
+    if (windowError) {
+      throw fail(windowError, "INVALID_SCHEDULED_AT", 400);
+    }
+
+    const conversation = await this.conversationRepository.findById(
+      String(conversationId),
+    );
+    if (!conversation) {
+      throw fail("Conversation non trouvée", "CONVERSATION_NOT_FOUND", 404);
+    }
+    const participants = (conversation.participants || []).map((p) =>
+      String(p.userId || p),
+    );
+    if (!participants.includes(String(userId))) {
+      throw fail(
+        "Vous ne participez pas à cette conversation",
+        "NOT_PARTICIPANT",
+        403,
+      );
+    }
+
+    const pendingCount = await this.scheduledMessageRepository.countPending(
+      String(userId),
+    );
+    if (pendingCount >= MAX_PENDING_PER_USER) {
+      throw fail(
+        `Maximum ${MAX_PENDING_PER_USER} messages programmés en attente`,
+        "SCHEDULE_LIMIT_REACHED",
+        409,
+      );
+    }
+
+    const scheduled = await this.scheduledMessageRepository.save(
+      new ScheduledMessage({
+        senderId: String(userId),
+        conversationId: String(conversationId),
+        content: text,
+        replyTo: replyTo ? String(replyTo) : null,
+        scheduledAt,
+      }),
+    );
+
+    console.log(
+      `⏰ Message programmé ${scheduled._id} par ${userId} pour ${scheduled.scheduledAt.toISOString()}`,
+    );
+    this.notifier?.created(scheduled);
+    return scheduled;
+  }
+}
+
+module.exports = ScheduleMessage;
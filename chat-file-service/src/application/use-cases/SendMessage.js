@@ -1,5 +1,17 @@
 const UserCacheService = require("../../infrastructure/services/UserCacheService");
 
+const fail = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const QUOTE_LENGTH = 200; // extrait du message cité
+// @matricule ou @all, hors adresses e-mail (pas de caractère de mot avant le @)
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9][A-Za-z0-9_-]{0,31})/g;
+const MENTION_ALL = "all";
+
 class SendMessage {
   constructor(
     messageRepository,
@@ -7,6 +19,9 @@ class SendMessage {
     cacheService = null,
     resilientService = null,
     userCacheService = null,
+    visibilityPolicy = null,
+    inboxDelegationService = null,
+    mentionUnreadManager = null,
   ) {
     this.messageRepository = messageRepository;
     this.conversationRepository = conversationRepository;
@@ -14,6 +29,12 @@ class SendMessage {
     this.resilientService = resilientService;
     // ✅ Service intelligent avec Redis cache + fallback HTTP
     this.userCacheService = userCacheService || new UserCacheService();
+    // Visibilité organisationnelle (conversations privées uniquement)
+    this.visibilityPolicy = visibilityPolicy;
+    // Réponses « de la part de » (secrétariat)
+    this.inboxDelegationService = inboxDelegationService;
+    // Compteurs de mentions non lues (chat:cache:mentions:{userId})
+    this.mentionUnreadManager = mentionUnreadManager;
   }
 
   // ✅ MODIFIER LA MÉTHODE execute() - RETIRER KAFKA
@@ -21,6 +42,16 @@ class SendMessage {
     const startTime = Date.now();
 
     try {
+      // ✅ RÉPONSE DÉLÉGUÉE : le message part au nom du titulaire
+      let sentOnBehalfOf = null;
+      if (
+        messageData.onBehalfOf &&
+        String(messageData.onBehalfOf) !== String(messageData.senderId)
+      ) {
+        sentOnBehalfOf = await this.resolveDelegatedReply(messageData);
+        messageData = { ...messageData, senderId: sentOnBehalfOf.ownerId };
+      }
+
       const {
         content,
         senderId,
@@ -34,6 +65,8 @@ class SendMessage {
         fileUrl = null,
         fileSize = null,
         mimeType = null,
+        replyTo = null,
+        forwardedFrom = null,
       } = messageData;
 
       if (!content || !senderId) {
@@ -94,6 +127,13 @@ class SendMessage {
           throw new Error("receiverId doit être différent du senderId");
         }
 
+        // ✅ VISIBILITÉ : seul un destinataire visible peut être contacté
+        if (this.visibilityPolicy) {
+          await this.visibilityPolicy.assertCanReach(senderId, [receiverId], {
+            action: "PRIVATE_CHAT",
+          });
+        }
+
         console.log(
           `🆕 Création automatique conversation privée: ${conversationId}`,
         );
@@ -183,6 +223,18 @@ class SendMessage {
         );
       }
 
+      // ✅ RÉPONSE : le message cité doit appartenir à la même conversation
+      const quotedMessage = replyTo
+        ? await this.resolveReplyTarget(replyTo, conversation)
+        : null;
+
+      // ✅ MENTIONS : seuls les participants sont retenus
+      const mentions = await this.resolveMentions(
+        content,
+        conversation,
+        senderId,
+      );
+
       console.log(`✅ Conversation validée pour traitement:`, {
         id: conversation._id,
         type: conversation.type,
@@ -232,9 +284,18 @@ class SendMessage {
         ...(fileSize && { fileSize }),
         ...(mimeType && { mimeType }),
         ...(duration && { duration }),
+        ...(quotedMessage && {
+          replyTo: quotedMessage.messageId,
+          quotedMessage,
+        }),
+        ...(forwardedFrom && { forwardedFrom }),
         timestamp: new Date(),
         metadata: {
           conversationName,
+          ...(sentOnBehalfOf && { sentOnBehalfOf }),
+          ...(mentions.stored.length > 0 && {
+            contentMetadata: { mentions: mentions.stored },
+          }),
           technical: {
             source: "SendMessage-UseCase",
             clientTimestamp: messageData.timestamp || new Date().toISOString(),
@@ -345,6 +406,16 @@ class SendMessage {
         // ✅ NE PAS FAIRE ÉCHOUER LE MESSAGE SI LA MISE À JOUR ÉCHOUE
       }
 
+      // ✅ ÉTAPE 5 : FIL DE RÉPONSES DU MESSAGE CITÉ
+      if (quotedMessage) {
+        await this.updateThread(quotedMessage.messageId, conversation);
+      }
+
+      // ✅ ÉTAPE 6 : NOTIFIER LES MENTIONNÉS (même en sourdine)
+      if (mentions.userIds.length > 0) {
+        await this.notifyMentions(savedMessage, conversation, mentions);
+      }
+
       // ✅ RETOURNER LE RÉSULTAT (SANS KAFKA)
       const result = {
         success: true,
@@ -357,6 +428,14 @@ class SendMessage {
           status: savedMessage.status,
           timestamp: savedMessage.timestamp,
           createdAt: savedMessage.createdAt,
+          ...(sentOnBehalfOf && { sentOnBehalfOf }),
+          ...(quotedMessage && {
+            replyTo: quotedMessage.messageId,
+            quotedMessage,
+          }),
+          ...(forwardedFrom && { forwardedFrom }),
+          ...(savedMessage.fileId && { fileId: savedMessage.fileId }),
+          ...(mentions.stored.length > 0 && { mentions: mentions.stored }),
         },
         conversation: {
           id: conversation._id || conversation.id,
@@ -392,6 +471,214 @@ class SendMessage {
     }
   }
 
+  /**
+   * Vérifie la délégation du titulaire (conversation existante, non exclue,
+   * droit de réponse) et retourne la marque metadata.sentOnBehalfOf.
+   */
+  async resolveDelegatedReply({ senderId, onBehalfOf, conversationId }) {
+    if (!this.inboxDelegationService) {
+      throw fail(
+        "Délégation de boîte non disponible",
+        "INBOX_DELEGATION_REQUIRED",
+        403,
+      );
+    }
+
+    // Pas de création de conversation au nom du titulaire
+    const conversation = conversationId
+      ? await this.conversationRepository.findById(conversationId)
+      : null;
+    if (!conversation) {
+      throw fail(
+        "Une réponse déléguée doit viser une conversation existante",
+        "CONVERSATION_REQUIRED",
+        400,
+      );
+    }
+
+    const delegation = await this.inboxDelegationService.assertAccess(
+      senderId,
+      onBehalfOf,
+      { conversation, action: "REPLY" },
+    );
+
+    console.log(
+      `✍️ Réponse déléguée: ${senderId} pour ${onBehalfOf} dans ${conversationId}`,
+    );
+
+    return {
+      ownerId: String(onBehalfOf),
+      delegateId: String(senderId),
+      delegationId: String(delegation._id),
+      delegateName:
+        [delegation.delegate?.prenom, delegation.delegate?.nom]
+          .filter(Boolean)
+          .join(" ") || null,
+    };
+  }
+
+  /**
+   * Message auquel on répond : même conversation, non supprimé.
+   * Retourne l'extrait cité (quotedMessage) embarqué dans la réponse.
+   */
+  async resolveReplyTarget(replyTo, conversation) {
+    let parent = null;
+    try {
+      parent = await this.messageRepository.findById(String(replyTo));
+    } catch (error) {
+      if (error.name === "CastError") {
+        throw fail("replyTo invalide", "INVALID_REPLY_TARGET", 400);
+      }
+      // findById lève « non trouvé » quand le message n'existe pas
+      if (!error.message?.includes("non trouvé")) throw error;
+    }
+
+    if (
+      !parent ||
+      String(parent.conversationId) !==
+        String(conversation._id || conversation.id)
+    ) {
+      throw fail(
+        "Message cité introuvable dans cette conversation",
+        "REPLY_TARGET_NOT_FOUND",
+        404,
+      );
+    }
+    if (parent.deletedAt || parent.status === "DELETED") {
+      throw fail("Message cité supprimé", "REPLY_TARGET_DELETED", 409);
+    }
+
+    let senderName = null;
+    try {
+      senderName =
+        (await this.userCacheService.fetchUserInfo(parent.senderId))?.name ||
+        null;
+    } catch (error) {
+      console.warn("⚠️ Nom de l'auteur cité indisponible:", error.message);
+    }
+
+    return {
+      messageId: String(parent._id),
+      senderId: parent.senderId,
+      senderName,
+      type: parent.type,
+      content: (parent.content || "").substring(0, QUOTE_LENGTH),
+      createdAt: parent.createdAt,
+    };
+  }
+
+  /**
+   * Extrait les mentions du contenu : @all vise tous les autres participants,
+   * @matricule est rapproché de l'identifiant ou du matricule d'un participant.
+   * Les mentions inconnues (texte ordinaire, non-participants) sont ignorées.
+   * @returns {Promise<Object>} { stored: ["all"?, ...userIds], userIds: destinataires, all }
+   */
+  async resolveMentions(content, conversation, senderId) {
+    const tokens = new Set(
+      [...content.matchAll(MENTION_PATTERN)].map((m) => m[2].toUpperCase()),
+    );
+    if (tokens.size === 0) return { stored: [], userIds: [], all: false };
+
+    const others = conversation.participants
+      .map(String)
+      .filter((p) => p !== String(senderId));
+    const all = tokens.delete(MENTION_ALL.toUpperCase());
+
+    const byToken = new Map(others.map((p) => [p.toUpperCase(), p]));
+    const unmatched = [...tokens].filter((t) => !byToken.has(t));
+    if (unmatched.length > 0) {
+      try {
+        const users = await this.userCacheService.fetchUsersInfo(others);
+        for (const user of users || []) {
+          if (user?.matricule && user.userId) {
+            byToken.set(String(user.matricule).toUpperCase(), user.userId);
+          }
+        }
+      } catch (error) {
+        console.warn(
+          "⚠️ Matricules des participants indisponibles:",
+          error.message,
+        );
+      }
+    }
+
+    const explicit = [
+      ...new Set(
+        [...tokens]
+          .map((t) => byToken.get(t))
+          .filter(Boolean)
+          .map(String),
+      ),
+    ];
+
+    return {
+      stored: [...(all ? [MENTION_ALL] : []), ...explicit],
+      userIds: all ? others : explicit,
+      all,
+    };
+  }
+
+  /**
+   * Compteur de mentions non lues + notification « mention » à chaque
+   * mentionné, que la conversation soit en sourdine ou non
+   */
+  async notifyMentions(savedMessage, conversation, mentions) {
+    const conversationId = String(conversation._id || conversation.id);
+    const messageId = String(savedMessage._id || savedMessage.id);
+
+    for (const userId of mentions.userIds) {
+      try {
+        const mentionCount = this.mentionUnreadManager
+          ? await this.mentionUnreadManager.incrementMentionCount(
+              conversationId,
+              userId,
+            )
+          : null;
+        const muted = !!(conversation.userMetadata || []).find(
+          (m) => String(m.userId) === userId,
+        )?.isMuted;
+
+        if (this.resilientService) {
+          await this.resilientService.publishMentionNotification({
+            userId,
+            messageId,
+            conversationId,
+            conversationName: conversation.name || null,
+            senderId: savedMessage.senderId,
+            content: savedMessage.content,
+            all: mentions.all && !mentions.stored.includes(userId),
+            mentionCount,
+            conversationMuted: muted,
+          });
+        }
+      } catch (error) {
+        console.error(
+          `❌ Erreur notification mention ${userId}:`,
+          error.message,
+        );
+      }
+    }
+  }
+
+  /**
+   * Recalcule replyCount / lastReply du parent et publie thread.updated
+   * (un échec n'annule pas la réponse déjà enregistrée)
+   */
+  async updateThread(parentId, conversation) {
+    try {
+      const parent =
+        await this.messageRepository.refreshThreadSummary(parentId);
+      if (parent && this.resilientService) {
+        await this.resilientService.publishThreadUpdate(
+          parent,
+          conversation.participants,
+        );
+      }
+    } catch (error) {
+      console.error(`❌ Erreur mise à jour du fil ${parentId}:`, error.message);
+    }
+  }
+
   // ✅ MÉTHODE CORRIGÉE POUR CRÉER LA CONVERSATION
   async createConversationIfNotExists(
     conversationId,
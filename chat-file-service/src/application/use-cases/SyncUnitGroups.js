@@ -0,0 +1,478 @@
+const mongoose = require("mongoose");
+const UserCacheService = require("../../infrastructure/services/UserCacheService");
+const { Permissions } = require("../../../shared");
+
+const fail = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Auteur des changements automatiques (audit, messages système)
+const SYSTEM_USER = "system";
+const SOURCE = "SyncUnitGroups";
+
+/**
+ * SyncUnitGroups - Groupes de conversation rattachés aux unités organisationnelles.
+ * Les membres suivent le graphe de visibility-service : arrivées, départs et
+ * mutations passent par AddParticipant / RemoveParticipant en mode auto.
+ * Tant que le groupe est géré, les ajouts, retraits et départs manuels sont refusés.
+ *
+ * Portée : un ministry_admin ne gère que les unités de son ministère (ministère
+ * des membres de l'unité) ; super_admin partout, sans acteur (système) aucun contrôle.
+ */
+class SyncUnitGroups {
+  constructor(
+    conversationRepository,
+    visibilityClient,
+    addParticipantUseCase,
+    removeParticipantUseCase,
+    userCacheService = null,
+    resilientMessageService = null,
+  ) {
+    this.conversationRepository = conversationRepository;
+    this.visibilityClient = visibilityClient;
+    this.addParticipantUseCase = addParticipantUseCase;
+    this.removeParticipantUseCase = removeParticipantUseCase;
+    this.userCacheService = userCacheService || new UserCacheService();
+    this.resilientMessageService = resilientMessageService;
+  }
+
+  static assertManualChangeAllowed(conversation) {
+    if (conversation?.metadata?.unitGroup?.managed) {
+      throw fail(
+        "Les membres de ce groupe suivent l'organigramme de l'unité",
+        "UNIT_GROUP_MANAGED",
+        403,
+      );
+    }
+  }
+
+  /**
+   * @param {Object|null} actor - req.user { roles, adminMinistere }
+   * @param {string[]} matricules - membres de l'unité
+   */
+  async assertCanManage(actor, matricules) {
+    if (!actor || (actor.roles || []).includes(Permissions.ROLES.SUPER_ADMIN)) {
+      return;
+    }
+
+    const usersInfo =
+      matricules.length > 0
+        ? await this.userCacheService.fetchUsersInfo(matricules)
+        : [];
+    const ministeres = [
+      ...new Set(usersInfo.map((user) => user.ministere).filter(Boolean)),
+    ];
+    // Ministère inconnu : seul un super_admin peut trancher
+    if (
+      ministeres.length === 0 ||
+      !ministeres.every((ministere) =>
+        Permissions.canAdministerMinistry(actor, ministere),
+      )
+    ) {
+      throw fail(
+        "Gestion d'une unité hors de votre ministère non autorisée",
+        "FORBIDDEN",
+        403,
+      );
+    }
+  }
+
+  /**
+   * Activer le groupe d'une unité (création, ou reprise d'un groupe désactivé)
+   * @param {Object} [params.actor] - administrateur (portée ministérielle)
+   */
+  async enable({ unitId, enabledBy, actor = null }) {
+    if (!unitId || !enabledBy) {
+      throw fail("unitId et enabledBy requis", "MISSING_PARAMS", 400);
+    }
+    const id = String(unitId);
+
+    const existing = await this.conversationRepository.findUnitGroup(id);
+    if (existing?.metadata?.unitGroup?.managed) {
+      throw fail(
+        `Un groupe existe déjà pour l'unité ${id}`,
+        "UNIT_GROUP_EXISTS",
+        409,
+      );
+    }
+
+    const org = await this.loadUnit(id);
+    if (!org) {
+      throw fail(`Unité ${id} introuvable`, "UNIT_NOT_FOUND", 404);
+    }
+    await this.assertCanManage(actor, org.matricules);
+
+    if (existing) {
+      existing.isArchived = false;
+      existing.metadata.unitGroup = {
+        ...existing.metadata.unitGroup,
+        managed: true,
+        enabledBy,
+        enabledAt: new Date(),
+      };
+      existing.metadata.auditLog = existing.metadata.auditLog || [];
+      existing.metadata.auditLog.push({
+        action: "SETTINGS_UPDATED",
+        userId: enabledBy,
+        timestamp: new Date(),
+        details: { unitId: id, managed: true },
+        metadata: { source: SOURCE },
+      });
+      existing.updatedAt = new Date();
+      await this.conversationRepository.save(existing);
+
+      await this.syncGroup(existing, org);
+      return this.conversationRepository.findById(String(existing._id));
+    }
+
+    return this.create(org, enabledBy);
+  }
+
+  /**
+   * Désactiver : le groupe est conservé mais ses membres redeviennent manuels
+   * @param {Object} [params.actor] - administrateur (portée ministérielle)
+   */
+  async disable({ unitId, disabledBy, actor = null }) {
+    if (!unitId || !disabledBy) {
+      throw fail("unitId et disabledBy requis", "MISSING_PARAMS", 400);
+    }
+
+    const conversation = await this.conversationRepository.findUnitGroup(
+      String(unitId),
+    );
+    if (!conversation?.metadata?.unitGroup?.managed) {
+      throw fail(
+        `Aucun groupe géré pour l'unité ${unitId}`,
+        "UNIT_GROUP_NOT_FOUND",
+        404,
+      );
+    }
+    // Groupe géré : ses participants sont les membres de l'unité
+    await this.assertCanManage(actor, conversation.participants.map(String));
+
+    conversation.metadata.unitGroup.managed = false;
+    conversation.metadata.auditLog = conversation.metadata.auditLog || [];
+    conversation.metadata.auditLog.push({
+      action: "SETTINGS_UPDATED",
+      userId: disabledBy,
+      timestamp: new Date(),
+      details: { unitId: String(unitId), managed: false },
+      metadata: { source: SOURCE },
+    });
+    conversation.updatedAt = new Date();
+
+    return this.conversationRepository.save(conversation);
+  }
+
+  async list({ managedOnly = false } = {}) {
+    const conversations = await this.conversationRepository.findUnitGroups({
+      managedOnly,
+    });
+    return conversations.map((conversation) => ({
+      conversationId: String(conversation._id),
+      name: conversation.name,
+      participantCount: conversation.participants?.length || 0,
+      isArchived: !!conversation.isArchived,
+      ...conversation.metadata.unitGroup,
+    }));
+  }
+
+  /**
+   * Synchroniser le groupe géré d'une unité (mutation signalée, resynchro manuelle)
+   * @param {string} unitId
+   * @param {Object} [actor] - administrateur (resynchro manuelle), null pour le système
+   * @returns {Promise<Object|null>} rapport, null si l'unité n'a pas de groupe géré
+   */
+  async syncUnit(unitId, actor = null) {
+    const conversation = await this.conversationRepository.findUnitGroup(
+      String(unitId),
+    );
+    if (!conversation?.metadata?.unitGroup?.managed) return null;
+    await this.assertCanManage(actor, conversation.participants.map(String));
+
+    return this.syncGroup(conversation, await this.loadUnit(String(unitId)));
+  }
+
+  /**
+   * Balayage périodique de tous les groupes gérés
+   */
+  async execute() {
+    const conversations = await this.conversationRepository.findUnitGroups({
+      managedOnly: true,
+    });
+    const reports = [];
+
+    for (const conversation of conversations) {
+      const { unitId } = conversation.metadata.unitGroup;
+      try {
+        reports.push(
+          await this.syncGroup(conversation, await this.loadUnit(unitId)),
+        );
+      } catch (error) {
+        // visibility-service indisponible : on garde les membres actuels
+        console.error(
+          `❌ Synchronisation groupe d'unité ${unitId}:`,
+          error.message,
+        );
+        reports.push({ unitId, error: error.message });
+      }
+    }
+
+    const changed = reports.filter(
+      (report) =>
+        report.added?.length || report.removed?.length || report.archived,
+    );
+    if (changed.length > 0) {
+      console.log(
+        `🏢 ${changed.length}/${reports.length} groupe(s) d'unité synchronisé(s)`,
+      );
+    }
+    return reports;
+  }
+
+  /**
+   * @returns {Promise<{unit: Object, matricules: string[]}|null>}
+   */
+  async loadUnit(unitId) {
+    const result = await this.visibilityClient.getUnitMembers(unitId);
+    if (!result) return null;
+
+    return {
+      unit: result.unit || { id: unitId },
+      matricules: [
+        ...new Set(result.members.map((member) => String(member.matricule))),
+      ],
+    };
+  }
+
+  async create(org, enabledBy) {
+    const { unit, matricules } = org;
+    if (matricules.length === 0) {
+      throw fail(`L'unité ${unit.id} n'a aucun membre`, "UNIT_EMPTY", 422);
+    }
+
+    const usersInfo = await this.userCacheService.fetchUsersInfo(matricules);
+    const unreadCounts = {};
+    const userMetadata = matricules.map((userId) => {
+      const info = usersInfo.find((user) => user.userId === userId) || {};
+      unreadCounts[userId] = 0;
+
+      return {
+        userId,
+        unreadCount: 0,
+        lastReadAt: null,
+        isMuted: false,
+        isPinned: false,
+        customName: null,
+        notificationSettings: { enabled: true, sound: true, vibration: true },
+        nom: info.nom || null,
+        prenom: info.prenom || null,
+        sexe: info.sexe || null,
+        avatar: info.avatar || null,
+        departement: info.departement || null,
+        ministere: info.ministere || null,
+      };
+    });
+
+    const now = new Date();
+    const name = unit.name || `Unité ${unit.id}`;
+    const saved = await this.conversationRepository.save({
+      _id: new mongoose.Types.ObjectId().toString(),
+      name,
+      type: "GROUP",
+      participants: matricules,
+      createdBy: SYSTEM_USER,
+      createdAt: now,
+      updatedAt: now,
+      lastMessage: null,
+      isActive: true,
+      unreadCounts,
+      userMetadata,
+      totalRecipients: matricules.length,
+      metadata: {
+        autoCreated: true,
+        createdFrom: SOURCE,
+        version: 1,
+        tags: ["unit-group"],
+        unitGroup: {
+          unitId: String(unit.id),
+          unitName: unit.name || null,
+          managed: true,
+          enabledBy,
+          enabledAt: now,
+        },
+        auditLog: [
+          {
+            action: "AUTO_CREATED",
+            userId: enabledBy,
+            timestamp: now,
+            details: { unitId: String(unit.id), members: matricules.length },
+            metadata: { source: SOURCE },
+          },
+        ],
+        stats: {
+          totalMessages: 0,
+          totalFiles: 0,
+          totalParticipants: matricules.length,
+          lastActivity: now,
+        },
+      },
+      settings: {
+        allowInvites: false,
+        isPublic: false,
+        maxParticipants: Math.max(200, matricules.length),
+        messageRetention: 0,
+        autoDeleteAfter: 0,
+      },
+    });
+
+    if (this.resilientMessageService) {
+      try {
+        await this.resilientMessageService.addToStream(
+          "chat:stream:events:conversations",
+          {
+            event: "conversation.created",
+            conversationId: String(saved._id),
+            type: "GROUP",
+            createdBy: SYSTEM_USER,
+            participants: JSON.stringify(matricules),
+            name,
+            participantCount: matricules.length.toString(),
+            unitId: String(unit.id),
+            timestamp: Date.now().toString(),
+          },
+        );
+        await this.resilientMessageService.publishSystemMessage(
+          {
+            conversationId: String(saved._id),
+            type: "SYSTEM",
+            subType: "GROUP_CREATED",
+            senderId: SYSTEM_USER,
+            senderName: "Système",
+            content: `Groupe de l'unité "${name}" : les membres suivent l'organigramme`,
+            participants: matricules,
+            metadata: {
+              event: "unit_group_created",
+              groupName: name,
+              groupId: String(saved._id),
+              unitId: String(unit.id),
+              participantCount: matricules.length,
+              timestamp: now.toISOString(),
+            },
+          },
+          {
+            eventType: "GROUP_CREATED",
+            stream: "chat:stream:messages:group",
+          },
+        );
+      } catch (error) {
+        console.warn(
+          "⚠️ Erreur publication création groupe d'unité:",
+          error.message,
+        );
+      }
+    }
+
+    console.log(
+      `🏢 Groupe d'unité créé: ${name} (${matricules.length} membre(s))`,
+    );
+    return saved;
+  }
+
+  /**
+   * Aligne les participants sur les membres de l'unité ; unité disparue du
+   * graphe : groupe archivé et plus géré
+   */
+  async syncGroup(conversation, org) {
+    const conversationId = String(conversation._id);
+    const { unitId, unitName } = conversation.metadata.unitGroup;
+    const report = {
+      unitId,
+      conversationId,
+      added: [],
+      removed: [],
+      failed: [],
+      archived: false,
+    };
+
+    if (!org) {
+      conversation.isArchived = true;
+      conversation.metadata.unitGroup.managed = false;
+      conversation.metadata.auditLog = conversation.metadata.auditLog || [];
+      conversation.metadata.auditLog.push({
+        action: "AUTO_ARCHIVED",
+        userId: SYSTEM_USER,
+        timestamp: new Date(),
+        details: { unitId, reason: "unit_not_found" },
+        metadata: { source: SOURCE },
+      });
+      conversation.updatedAt = new Date();
+      await this.conversationRepository.save(conversation);
+
+      console.warn(`🗄️ Unité ${unitId} absente du graphe : groupe archivé`);
+      report.archived = true;
+      return report;
+    }
+
+    const expected = new Set(org.matricules);
+    const current = new Set(conversation.participants.map(String));
+    const details = { unitId, trigger: "unit_sync" };
+
+    // Retraits d'abord : une mutation libère la place avant les arrivées
+    for (const participantId of current) {
+      if (expected.has(participantId)) continue;
+      try {
+        await this.removeParticipantUseCase.execute({
+          conversationId,
+          participantId,
+          removedBy: SYSTEM_USER,
+          auto: true,
+          details,
+        });
+        report.removed.push(participantId);
+      } catch (error) {
+        report.failed.push({ participantId, error: error.message });
+      }
+    }
+
+    for (const participantId of expected) {
+      if (current.has(participantId)) continue;
+      try {
+        await this.addParticipantUseCase.execute({
+          conversationId,
+          participantId,
+          addedBy: SYSTEM_USER,
+          auto: true,
+          details,
+        });
+        report.added.push(participantId);
+      } catch (error) {
+        report.failed.push({ participantId, error: error.message });
+      }
+    }
+
+    // Unité renommée : le groupe suit tant qu'il porte l'ancien nom
+    const newName = org.unit.name;
+    if (newName && newName !== unitName) {
+      const latest =
+        (await this.conversationRepository.findById(conversationId)) ||
+        conversation;
+      if (!latest.name || latest.name === unitName) latest.name = newName;
+      latest.metadata.unitGroup.unitName = newName;
+      latest.updatedAt = new Date();
+      await this.conversationRepository.save(latest);
+    }
+
+    if (report.failed.length > 0) {
+      console.warn(
+        `⚠️ Groupe d'unité ${unitId}: ${report.failed.length} membre(s) non synchronisé(s)`,
+      );
+    }
+    return report;
+  }
+}
+
+module.exports = SyncUnitGroups;
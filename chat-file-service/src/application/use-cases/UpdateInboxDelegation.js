@@ -0,0 +1,124 @@
+const fail = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+/**
+ * UpdateInboxDelegation - Réglages d'une délégation par son titulaire :
+ * droit de réponse, échéance et conversations exclues.
+ */
+class UpdateInboxDelegation {
+  constructor(
+    inboxDelegationRepository,
+    conversationRepository,
+    notifier = null,
+  ) {
+    this.inboxDelegationRepository = inboxDelegationRepository;
+    this.conversationRepository = conversationRepository;
+    this.notifier = notifier;
+  }
+
+  async _loadOwned(delegationId, userId) {
+    const delegation =
+      await this.inboxDelegationRepository.findById(delegationId);
+    if (!delegation || !delegation.involves(userId)) {
+      throw fail("Délégation introuvable", "INBOX_DELEGATION_NOT_FOUND", 404);
+    }
+    if (String(delegation.ownerId) !== String(userId)) {
+      throw fail(
+        "Seul le titulaire peut modifier la délégation",
+        "NOT_DELEGATION_OWNER",
+        403,
+      );
+    }
+    if (!delegation.isActive()) {
+      throw fail(
+        "La délégation n'est plus active",
+        "INBOX_DELEGATION_INACTIVE",
+        409,
+      );
+    }
+    return delegation;
+  }
+
+  async execute({ delegationId, userId, canReply, expiresAt }) {
+    await this._loadOwned(delegationId, userId);
+
+    const fields = {};
+    if (typeof canReply === "boolean") fields.canReply = canReply;
+    if (expiresAt !== undefined) {
+      if (expiresAt && !(new Date(expiresAt).getTime() > Date.now())) {
+        throw fail(
+          "expiresAt doit être une date future",
+          "INVALID_EXPIRY",
+          400,
+        );
+      }
+      fields.expiresAt = expiresAt ? new Date(expiresAt) : null;
+    }
+    if (Object.keys(fields).length === 0) {
+      throw fail("Aucune modification fournie", "MISSING_PARAMS", 400);
+    }
+
+    const updated = await this.inboxDelegationRepository.update(
+      delegationId,
+      fields,
+    );
+    if (!updated) {
+      throw fail(
+        "La délégation n'est plus active",
+        "INBOX_DELEGATION_INACTIVE",
+        409,
+      );
+    }
+
+    this.notifier?.updated(updated);
+    return updated;
+  }
+
+  /**
+   * Exclut (ou réintègre) une conversation sensible
+   */
+  async setExclusion({ delegationId, userId, conversationId, excluded }) {
+    if (!conversationId) {
+      throw fail("conversationId requis", "MISSING_PARAMS", 400);
+    }
+    await this._loadOwned(delegationId, userId);
+
+    if (excluded) {
+      const conversation =
+        await this.conversationRepository.findById(conversationId);
+      if (
+        !conversation ||
+        !(conversation.participants || []).map(String).includes(String(userId))
+      ) {
+        throw fail("Conversation introuvable", "CONVERSATION_NOT_FOUND", 404);
+      }
+    }
+
+    const updated = await this.inboxDelegationRepository.setExclusion(
+      delegationId,
+      conversationId,
+      excluded === true,
+    );
+    if (!updated) {
+      throw fail(
+        "La délégation n'est plus active",
+        "INBOX_DELEGATION_INACTIVE",
+        409,
+      );
+    }
+
+    console.log(
+      `🙈 Délégation ${delegationId}: conversation ${conversationId} ${
+        excluded ? "exclue" : "réintégrée"
+      }`,
+    );
+    this.notifier?.updated(updated);
+    return updated;
+  }
+}
+
+module.exports = UpdateInboxDelegation;
@@ -0,0 +1,75 @@
+const ScheduledMessage = require("../../domain/entities/ScheduledMessage");
+
+const fail = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+/**
+ * UpdateScheduledMessage - Modifie le contenu et/ou la date d'envoi d'un
+ * message programmé, par son auteur, tant qu'il n'est pas parti
+ */
+class UpdateScheduledMessage {
+  constructor(scheduledMessageRepository, notifier = null) {
+    this.scheduledMessageRepository = scheduledMessageRepository;
+    this.notifier = notifier;
+  }
+
+  async execute({ scheduledMessageId, userId, content, scheduledAt }) {
+    const fields = {};
+    if (content !== undefined && content !== null) {
+      const text = typeof content === "string" ? content.trim() : "";
+      if (!text) {
+        throw fail("content ne peut pas être vide", "INVALID_CONTENT", 400);
+      }
+      if (text.length > 10000) {
+        throw fail(
+          "Le message ne peut pas dépasser 10000 caractères",
+          "CONTENT_TOO_LONG",
+          400,
+        );
+      }
+      fields.content = text;
+    }
+    if (scheduledAt !== undefined && scheduledAt !== null) {
+      const windowError = ScheduledMessage.scheduleWindowError(scheduledAt);
+      if (windowError) {
+        throw fail(windowError, "INVALID_SCHEDULED_AT", 400);
+      }
+      fields.scheduledAt = new Date(scheduledAt);
+    }
+    if (Object.keys(fields).length === 0) {
+      throw fail("content ou scheduledAt requis", "MISSING_PARAMS", 400);
+    }
+
+    const scheduled =
+      await this.scheduledMessageRepository.findById(scheduledMessageId);
+    if (!scheduled || !scheduled.belongsTo(userId)) {
+      throw fail(
+        "Message programmé introuvable",
+        "SCHEDULED_MESSAGE_NOT_FOUND",
+        404,
+      );
+    }
+
+    const updated = await this.scheduledMessageRepository.updatePending(
+      scheduledMessageId,
+      fields,
+    );
+    if (!updated) {
+      throw fail(
+        "Le message programmé n'est plus modifiable",
+        "SCHEDULED_MESSAGE_NOT_PENDING",
+        409,
+      );
+    }
+
+    console.log(`✏️ Message programmé ${scheduledMessageId} modifié`);
+    this.notifier?.updated(updated);
+    return updated;
+  }
+}
+
+module.exports = UpdateScheduledMessage;
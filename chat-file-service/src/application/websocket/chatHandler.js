@@ -4,6 +4,11 @@
  * ✅ PAS DE REDIS, PAS DE KAFKA → Déléguer aux Use Cases
  */
 const AuthMiddleware = require("../../interfaces/http/middleware/authMiddleware");
+const {
+  Permissions,
+  requireSocketPermission,
+  SessionRevocation,
+} = require("../../../shared");
 const UserCacheService = require("../../infrastructure/services/UserCacheService");
 
 class ChatHandler {
@@ -31,6 +36,17 @@ class ChatHandler {
     leaveConversationUseCase = null,
     deleteMessageUseCase = null,
     deleteFileUseCase = null,
+    createContactRequestUseCase = null,
+    respondToContactRequestUseCase = null,
+    getContactRequestsUseCase = null,
+    reactToMessageUseCase = null,
+    getMessageThreadUseCase = null,
+    forwardMessageUseCase = null,
+    mentionUnreadManager = null,
+    scheduleMessageUseCase = null,
+    getScheduledMessagesUseCase = null,
+    updateScheduledMessageUseCase = null,
+    cancelScheduledMessageUseCase = null,
   ) {
     this.io = io;
     this.sendMessageUseCase = sendMessageUseCase;
@@ -55,6 +71,17 @@ class ChatHandler {
     this.leaveConversationUseCase = leaveConversationUseCase;
     this.deleteMessageUseCase = deleteMessageUseCase;
     this.deleteFileUseCase = deleteFileUseCase;
+    this.createContactRequestUseCase = createContactRequestUseCase;
+    this.respondToContactRequestUseCase = respondToContactRequestUseCase;
+    this.getContactRequestsUseCase = getContactRequestsUseCase;
+    this.reactToMessageUseCase = reactToMessageUseCase;
+    this.getMessageThreadUseCase = getMessageThreadUseCase;
+    this.forwardMessageUseCase = forwardMessageUseCase;
+    this.mentionUnreadManager = mentionUnreadManager;
+    this.scheduleMessageUseCase = scheduleMessageUseCase;
+    this.getScheduledMessagesUseCase = getScheduledMessagesUseCase;
+    this.updateScheduledMessageUseCase = updateScheduledMessageUseCase;
+    this.cancelScheduledMessageUseCase = cancelScheduledMessageUseCase;
 
     // ✅ LOG DE DEBUG
     console.log(
@@ -234,7 +261,12 @@ class ChatHandler {
             this.onlineUserManager.updateLastActivity(socket.userId, socket);
           }
           try {
-            const { conversationId, cursor = null, limit = 50 } = data;
+            const {
+              conversationId,
+              cursor = null,
+              limit = 50,
+              onBehalfOf = null,
+            } = data;
             const userId = socket.userId;
 
             // ✅ APPEL DIRECT AU USE CASE
@@ -245,6 +277,7 @@ class ChatHandler {
                 limit,
                 userId,
                 useCache: !cursor, // Cache seulement première page
+                onBehalfOf,
               },
             );
 
@@ -256,8 +289,8 @@ class ChatHandler {
           } catch (error) {
             console.error("❌ Erreur messages:fullload:", error);
             socket.emit("messages:error", {
-              error: "Erreur chargement complet",
-              code: "FULLLOAD_FAILED",
+              error: error.status ? error.message : "Erreur chargement complet",
+              code: error.status ? error.code : "FULLLOAD_FAILED",
             });
           }
         });
@@ -314,7 +347,12 @@ class ChatHandler {
             this.onlineUserManager.updateLastActivity(socket.userId, socket);
           }
           try {
-            const { page = 1, limit = 20, cursor = null } = data;
+            const {
+              page = 1,
+              limit = 20,
+              cursor = null,
+              onBehalfOf = null,
+            } = data;
             const userId = socket.userId;
 
             if (!userId) {
@@ -330,6 +368,7 @@ class ChatHandler {
               limit: Math.min(parseInt(limit), 50),
               cursor,
               useCache: !cursor, // Cache seulement première page
+              onBehalfOf,
             });
 
             socket.emit("conversations:full", {
@@ -339,8 +378,10 @@ class ChatHandler {
           } catch (error) {
             console.error("❌ Erreur conversations:fullload:", error);
             socket.emit("conversations:error", {
-              error: "Erreur chargement complet conversations",
-              code: "FULLLOAD_FAILED",
+              error: error.status
+                ? error.message
+                : "Erreur chargement complet conversations",
+              code: error.status ? error.code : "FULLLOAD_FAILED",
             });
           }
         });
@@ -395,7 +436,7 @@ class ChatHandler {
           }
           try {
             const userId = socket.userId;
-            const { page = 1, limit = 20 } = data || {};
+            const { page = 1, limit = 20, onBehalfOf = null } = data || {};
 
             if (!userId) {
               return socket.emit("conversations_error", {
@@ -409,6 +450,7 @@ class ChatHandler {
               page: Math.max(1, parseInt(page)),
               limit: Math.min(parseInt(limit), 50),
               useCache: page === 1, // Cache seulement première page
+              onBehalfOf,
             });
 
             socket.emit("conversationsLoaded", {
@@ -417,13 +459,16 @@ class ChatHandler {
               totalUnreadMessages: result.totalUnreadMessages || 0,
               unreadConversations: result.unreadConversations || 0,
               fromCache: result.fromCache || false,
+              delegation: result.delegation || null,
               timestamp: Date.now(),
             });
           } catch (error) {
             console.error("❌ Erreur getConversations:", error);
             socket.emit("conversations_error", {
-              message: "Erreur lors de la récupération des conversations",
-              code: "GET_CONVERSATIONS_ERROR",
+              message: error.status
+                ? error.message
+                : "Erreur lors de la récupération des conversations",
+              code: error.status ? error.code : "GET_CONVERSATIONS_ERROR",
             });
           }
         });
@@ -570,6 +615,14 @@ class ChatHandler {
             console.log(`✅ Groupe "${name}" créé avec succès: ${group._id}`);
           } catch (error) {
             console.error("❌ Erreur createGroup:", error);
+            if (error.status && error.code) {
+              return socket.emit("group:error", {
+                error: error.message,
+                code: error.code,
+                status: error.status,
+                ...(error.deniedIds && { deniedIds: error.deniedIds }),
+              });
+            }
             socket.emit("group:error", {
               error: "Erreur lors de la création du groupe",
               code: "CREATE_GROUP_FAILED",
@@ -581,152 +634,175 @@ class ChatHandler {
           }
         });
 
-        // ✅ CRÉER UNE LISTE DE DIFFUSION
-        socket.on("createBroadcast", async (data) => {
-          if (this.onlineUserManager && socket.userId) {
-            this.onlineUserManager.updateLastActivity(socket.userId, socket);
-          }
-          try {
-            const userId = socket.userId;
-
-            if (!userId) {
-              return socket.emit("broadcast:error", {
-                error: "Authentification requise",
-                code: "AUTH_REQUIRED",
-              });
-            }
-
-            const { name, recipients, broadcastId, admins = [] } = data;
-
-            // ✅ VALIDATION
-            if (!name || typeof name !== "string" || name.trim().length === 0) {
-              return socket.emit("broadcast:error", {
-                error: "Nom de la diffusion requis",
-                code: "MISSING_BROADCAST_NAME",
-              });
-            }
-
-            if (!Array.isArray(recipients) || recipients.length === 0) {
-              return socket.emit("broadcast:error", {
-                error:
-                  "Liste des destinataires requise (minimum 1 destinataire)",
-                code: "MISSING_RECIPIENTS",
-              });
-            }
+        // ✅ CRÉER UNE LISTE DE DIFFUSION (administrateurs uniquement)
+        socket.on(
+          "createBroadcast",
+          requireSocketPermission(
+            socket,
+            Permissions.PERMISSIONS.BROADCASTS_CREATE,
+            async (data) => {
+              if (this.onlineUserManager && socket.userId) {
+                this.onlineUserManager.updateLastActivity(
+                  socket.userId,
+                  socket,
+                );
+              }
+              try {
+                const userId = socket.userId;
 
-            if (recipients.includes(userId)) {
-              return socket.emit("broadcast:error", {
-                error:
-                  "Vous ne devez pas vous inclure dans la liste des destinataires",
-                code: "ADMIN_IN_RECIPIENTS",
-              });
-            }
+                if (!userId) {
+                  return socket.emit("broadcast:error", {
+                    error: "Authentification requise",
+                    code: "AUTH_REQUIRED",
+                  });
+                }
+
+                const { name, recipients, broadcastId, admins = [] } = data;
+
+                // ✅ VALIDATION
+                if (
+                  !name ||
+                  typeof name !== "string" ||
+                  name.trim().length === 0
+                ) {
+                  return socket.emit("broadcast:error", {
+                    error: "Nom de la diffusion requis",
+                    code: "MISSING_BROADCAST_NAME",
+                  });
+                }
 
-            console.log(
-              `📢 Création diffusion "${name}" par ${userId} avec ${recipients.length} destinataire(s)`,
-            );
+                if (!Array.isArray(recipients) || recipients.length === 0) {
+                  return socket.emit("broadcast:error", {
+                    error:
+                      "Liste des destinataires requise (minimum 1 destinataire)",
+                    code: "MISSING_RECIPIENTS",
+                  });
+                }
 
-            // ✅ GÉNÉRER ID SI NON FOURNI
-            const finalBroadcastId = broadcastId || this.generateObjectId();
-
-            // ✅ PRÉPARER LES ADMINS
-            const finalAdmins =
-              Array.isArray(admins) && admins.length > 0
-                ? [
-                    ...new Set([
-                      userId,
-                      ...admins.filter((id) => id !== userId),
-                    ]),
-                  ]
-                : [userId];
+                if (recipients.includes(userId)) {
+                  return socket.emit("broadcast:error", {
+                    error:
+                      "Vous ne devez pas vous inclure dans la liste des destinataires",
+                    code: "ADMIN_IN_RECIPIENTS",
+                  });
+                }
 
-            // ✅ APPEL USE CASE
-            const broadcast = await this.createBroadcastUseCase.execute({
-              broadcastId: finalBroadcastId,
-              name: name.trim(),
-              adminIds: finalAdmins,
-              recipientIds: recipients.filter(
-                (id) => !finalAdmins.includes(id),
-              ),
-            });
+                console.log(
+                  `📢 Création diffusion "${name}" par ${userId} avec ${recipients.length} destinataire(s)`,
+                );
 
-            // ✅ RÉPONSE SUCCÈS À L'ADMIN
-            socket.emit("broadcast:created", {
-              success: true,
-              broadcast: {
-                id: broadcast._id,
-                name: broadcast.name,
-                type: broadcast.type,
-                participants: broadcast.participants,
-                createdBy: broadcast.createdBy,
-                createdAt: broadcast.createdAt,
-                participantCount: broadcast.participants.length,
-                adminIds: finalAdmins,
-                recipientIds: recipients,
-              },
-              timestamp: new Date().toISOString(),
-            });
+                // ✅ GÉNÉRER ID SI NON FOURNI
+                const finalBroadcastId = broadcastId || this.generateObjectId();
+
+                // ✅ PRÉPARER LES ADMINS
+                const finalAdmins =
+                  Array.isArray(admins) && admins.length > 0
+                    ? [
+                        ...new Set([
+                          userId,
+                          ...admins.filter((id) => id !== userId),
+                        ]),
+                      ]
+                    : [userId];
+
+                // ✅ APPEL USE CASE
+                const broadcast = await this.createBroadcastUseCase.execute({
+                  broadcastId: finalBroadcastId,
+                  name: name.trim(),
+                  adminIds: finalAdmins,
+                  recipientIds: recipients.filter(
+                    (id) => !finalAdmins.includes(id),
+                  ),
+                });
 
-            // ✅ NOTIFIER TOUS LES ADMINS (sauf le créateur)
-            for (const adminId of finalAdmins) {
-              if (adminId !== userId) {
-                const adminRoom = `user_${adminId}`;
-                socket.to(adminRoom).emit("broadcast:admin_added", {
+                // ✅ RÉPONSE SUCCÈS À L'ADMIN
+                socket.emit("broadcast:created", {
+                  success: true,
                   broadcast: {
                     id: broadcast._id,
                     name: broadcast.name,
                     type: broadcast.type,
+                    participants: broadcast.participants,
                     createdBy: broadcast.createdBy,
                     createdAt: broadcast.createdAt,
-                  },
-                  addedBy: {
-                    userId: userId,
-                    matricule: socket.matricule,
+                    participantCount: broadcast.participants.length,
+                    adminIds: finalAdmins,
+                    recipientIds: recipients,
                   },
                   timestamp: new Date().toISOString(),
                 });
-              }
-            }
-
-            // ✅ NOTIFIER TOUS LES DESTINATAIRES
-            for (const recipientId of recipients) {
-              const recipientRoom = `user_${recipientId}`;
 
-              socket.to(recipientRoom).emit("broadcast:subscription", {
-                broadcast: {
-                  id: broadcast._id,
-                  name: broadcast.name,
-                  type: broadcast.type,
-                  createdBy: broadcast.createdBy,
-                  createdAt: broadcast.createdAt,
-                },
-                subscribedBy: {
-                  userId: userId,
-                  matricule: socket.matricule,
-                },
-                timestamp: new Date().toISOString(),
-              });
-            }
+                // ✅ NOTIFIER TOUS LES ADMINS (sauf le créateur)
+                for (const adminId of finalAdmins) {
+                  if (adminId !== userId) {
+                    const adminRoom = `user_${adminId}`;
+                    socket.to(adminRoom).emit("broadcast:admin_added", {
+                      broadcast: {
+                        id: broadcast._id,
+                        name: broadcast.name,
+                        type: broadcast.type,
+                        createdBy: broadcast.createdBy,
+                        createdAt: broadcast.createdAt,
+                      },
+                      addedBy: {
+                        userId: userId,
+                        matricule: socket.matricule,
+                      },
+                      timestamp: new Date().toISOString(),
+                    });
+                  }
+                }
+
+                // ✅ NOTIFIER TOUS LES DESTINATAIRES
+                for (const recipientId of recipients) {
+                  const recipientRoom = `user_${recipientId}`;
+
+                  socket.to(recipientRoom).emit("broadcast:subscription", {
+                    broadcast: {
+                      id: broadcast._id,
+                      name: broadcast.name,
+                      type: broadcast.type,
+                      createdBy: broadcast.createdBy,
+                      createdAt: broadcast.createdAt,
+                    },
+                    subscribedBy: {
+                      userId: userId,
+                      matricule: socket.matricule,
+                    },
+                    timestamp: new Date().toISOString(),
+                  });
+                }
 
-            // ✅ JOINDRE AUTOMATIQUEMENT LA ROOM DE LA DIFFUSION
-            const broadcastRoom = `conversation_${broadcast._id}`;
-            socket.join(broadcastRoom);
+                // ✅ JOINDRE AUTOMATIQUEMENT LA ROOM DE LA DIFFUSION
+                const broadcastRoom = `conversation_${broadcast._id}`;
+                socket.join(broadcastRoom);
 
-            console.log(
-              `✅ Diffusion "${name}" créée avec succès: ${broadcast._id}`,
-            );
-          } catch (error) {
-            console.error("❌ Erreur createBroadcast:", error);
-            socket.emit("broadcast:error", {
-              error: "Erreur lors de la création de la diffusion",
-              code: "CREATE_BROADCAST_FAILED",
-              details:
-                process.env.NODE_ENV === "development"
-                  ? error.message
-                  : undefined,
-            });
-          }
-        });
+                console.log(
+                  `✅ Diffusion "${name}" créée avec succès: ${broadcast._id}`,
+                );
+              } catch (error) {
+                console.error("❌ Erreur createBroadcast:", error);
+                if (error.status && error.code) {
+                  return socket.emit("broadcast:error", {
+                    error: error.message,
+                    code: error.code,
+                    status: error.status,
+                    ...(error.deniedIds && { deniedIds: error.deniedIds }),
+                  });
+                }
+                socket.emit("broadcast:error", {
+                  error: "Erreur lors de la création de la diffusion",
+                  code: "CREATE_BROADCAST_FAILED",
+                  details:
+                    process.env.NODE_ENV === "development"
+                      ? error.message
+                      : undefined,
+                });
+              }
+            },
+            "broadcast:error",
+          ),
+        );
 
         // ✅ REJOINDRE UN GROUPE/DIFFUSION EXISTANT
         socket.on("joinGroup", async (data) => {
@@ -1300,7 +1376,12 @@ class ChatHandler {
                 });
                 results.added.push(pid);
               } catch (err) {
-                results.failed.push({ participantId: pid, error: err.message });
+                results.failed.push({
+                  participantId: pid,
+                  error: err.message,
+                  ...(err.code && { code: err.code }),
+                  ...(err.status && { status: err.status }),
+                });
                 console.warn(
                   `⚠️ Échec ajout participant ${pid}: ${err.message}`,
                 );
@@ -1395,7 +1476,11 @@ class ChatHandler {
                 });
                 results.removed.push(pid);
               } catch (err) {
-                results.failed.push({ participantId: pid, error: err.message });
+                results.failed.push({
+                  participantId: pid,
+                  error: err.message,
+                  ...(err.code && { code: err.code }),
+                });
                 console.warn(
                   `⚠️ Échec retrait participant ${pid}: ${err.message}`,
                 );
@@ -1507,7 +1592,7 @@ class ChatHandler {
             console.error("❌ Erreur leaveConversationPermanent:", error);
             socket.emit("conversation:error", {
               error: error.message,
-              code: "LEAVE_CONVERSATION_FAILED",
+              code: error.code || "LEAVE_CONVERSATION_FAILED",
             });
           }
         });
@@ -1701,6 +1786,431 @@ class ChatHandler {
           }
         });
 
+        // ========================================
+        // ✅ RÉACTIONS AUX MESSAGES
+        // Les participants reçoivent message:reaction via
+        // chat:stream:events:reactions (MessageDeliveryService)
+        // ========================================
+
+        for (const [eventName, mode] of [
+          ["addReaction", "add"],
+          ["toggleReaction", "toggle"],
+          ["removeReaction", "remove"],
+        ]) {
+          socket.on(eventName, async (data) => {
+            try {
+              const userId = socket.userId;
+              if (!userId) {
+                return socket.emit("reaction:error", {
+                  error: "Authentification requise",
+                  code: "AUTH_REQUIRED",
+                });
+              }
+              if (!this.reactToMessageUseCase) {
+                return socket.emit("reaction:error", {
+                  error: "Service non disponible",
+                  code: "SERVICE_UNAVAILABLE",
+                });
+              }
+
+              const result = await this.reactToMessageUseCase.execute({
+                messageId: data?.messageId,
+                userId,
+                emoji: data?.emoji,
+                mode,
+              });
+
+              socket.emit("reaction:updated", {
+                success: true,
+                ...result,
+                timestamp: new Date().toISOString(),
+              });
+            } catch (error) {
+              console.error(`❌ Erreur ${eventName}:`, error.message);
+              socket.emit("reaction:error", {
+                error: error.message,
+                code: error.code || "REACTION_FAILED",
+                messageId: data?.messageId,
+              });
+            }
+          });
+        }
+
+        // ========================================
+        // ✅ FILS DE RÉPONSES (replyTo)
+        // Les compteurs sont poussés via thread:updated
+        // (chat:stream:events:replies)
+        // ========================================
+
+        socket.on("getThread", async (data) => {
+          try {
+            const userId = socket.userId;
+            if (!userId) {
+              return socket.emit("thread:error", {
+                error: "Authentification requise",
+                code: "AUTH_REQUIRED",
+              });
+            }
+            if (!this.getMessageThreadUseCase) {
+              return socket.emit("thread:error", {
+                error: "Service non disponible",
+                code: "SERVICE_UNAVAILABLE",
+              });
+            }
+
+            const {
+              messageId,
+              cursor = null,
+              limit = 50,
+              direction = "newer",
+              onBehalfOf = null,
+            } = data || {};
+
+            const result = await this.getMessageThreadUseCase.execute({
+              messageId,
+              userId,
+              cursor,
+              limit,
+              direction,
+              onBehalfOf,
+            });
+
+            socket.emit("thread:messages", {
+              success: true,
+              messageId,
+              ...result,
+              timestamp: new Date().toISOString(),
+            });
+          } catch (error) {
+            console.error("❌ Erreur getThread:", error.message);
+            socket.emit("thread:error", {
+              error: error.message,
+              code: error.code || "THREAD_FAILED",
+              messageId: data?.messageId,
+            });
+          }
+        });
+
+        // ========================================
+        // ✅ TRANSFERT DE MESSAGES
+        // Les copies arrivent aux destinataires comme tout nouveau message
+        // (forwardedFrom, fileId)
+        // ========================================
+
+        socket.on("forwardMessage", async (data) => {
+          try {
+            const userId = socket.userId;
+            if (!userId) {
+              return socket.emit("forward:error", {
+                error: "Authentification requise",
+                code: "AUTH_REQUIRED",
+              });
+            }
+            if (!this.forwardMessageUseCase) {
+              return socket.emit("forward:error", {
+                error: "Service non disponible",
+                code: "SERVICE_UNAVAILABLE",
+              });
+            }
+
+            const result = await this.forwardMessageUseCase.execute({
+              messageIds: data?.messageIds || data?.messageId,
+              targetConversationIds:
+                data?.targetConversationIds || data?.targetConversationId,
+              userId,
+            });
+
+            socket.emit("message:forwarded", {
+              success: result.forwarded.length > 0,
+              ...result,
+              timestamp: new Date().toISOString(),
+            });
+          } catch (error) {
+            console.error("❌ Erreur forwardMessage:", error.message);
+            socket.emit("forward:error", {
+              error: error.message,
+              code: error.code || "FORWARD_FAILED",
+            });
+          }
+        });
+
+        // ========================================
+        // ✅ MENTIONS NON LUES
+        // Les nouvelles mentions arrivent via "mention" (notifications),
+        // remises à zéro quand la conversation est lue
+        // ========================================
+
+        socket.on("getMentionCounts", async () => {
+          try {
+            const userId = socket.userId;
+            if (!userId) {
+              return socket.emit("mentions:error", {
+                error: "Authentification requise",
+                code: "AUTH_REQUIRED",
+              });
+            }
+
+            const counts = this.mentionUnreadManager
+              ? await this.mentionUnreadManager.getUserMentionCounts(userId)
+              : { total: 0, conversations: {} };
+
+            socket.emit("mentions:counts", {
+              ...counts,
+              timestamp: new Date().toISOString(),
+            });
+          } catch (error) {
+            console.error("❌ Erreur getMentionCounts:", error.message);
+            socket.emit("mentions:error", {
+              error: error.message,
+              code: "MENTIONS_FAILED",
+            });
+          }
+        });
+
+        // ========================================
+        // ✅ DEMANDES DE CONTACT (agents hors périmètre de visibilité)
+        // Les notifications (received/sent/accepted/declined/expired) sont
+        // émises par les use cases dans les rooms user_{id}
+        // ========================================
+
+        socket.on("sendContactRequest", async (data) => {
+          try {
+            const userId = socket.userId;
+            if (!userId) {
+              return socket.emit("contact_request:error", {
+                error: "Authentification requise",
+                code: "AUTH_REQUIRED",
+              });
+            }
+            if (!this.createContactRequestUseCase) {
+              return socket.emit("contact_request:error", {
+                error: "Service non disponible",
+                code: "SERVICE_UNAVAILABLE",
+              });
+            }
+
+            await this.createContactRequestUseCase.execute({
+              requesterId: userId,
+              targetId: data?.targetId,
+              motive: data?.motive,
+            });
+          } catch (error) {
+            console.error("❌ Erreur sendContactRequest:", error.message);
+            socket.emit("contact_request:error", {
+              error: error.message,
+              code: error.code || "CONTACT_REQUEST_FAILED",
+              targetId: data?.targetId,
+              ...(error.conversationId && {
+                conversationId: error.conversationId,
+              }),
+              ...(error.requestId && { requestId: error.requestId }),
+            });
+          }
+        });
+
+        socket.on("respondContactRequest", async (data) => {
+          try {
+            const userId = socket.userId;
+            if (!userId) {
+              return socket.emit("contact_request:error", {
+                error: "Authentification requise",
+                code: "AUTH_REQUIRED",
+              });
+            }
+            if (!this.respondToContactRequestUseCase) {
+              return socket.emit("contact_request:error", {
+                error: "Service non disponible",
+                code: "SERVICE_UNAVAILABLE",
+              });
+            }
+
+            await this.respondToContactRequestUseCase.execute({
+              requestId: data?.requestId,
+              userId,
+              accept: data?.accept === true,
+            });
+          } catch (error) {
+            console.error("❌ Erreur respondContactRequest:", error.message);
+            socket.emit("contact_request:error", {
+              error: error.message,
+              code: error.code || "CONTACT_REQUEST_RESPONSE_FAILED",
+              requestId: data?.requestId,
+            });
+          }
+        });
+
+        socket.on("getContactRequests", async (data) => {
+          try {
+            const userId = socket.userId;
+            if (!userId || !this.getContactRequestsUseCase) {
+              return socket.emit("contact_request:error", {
+                error: userId
+                  ? "Service non disponible"
+                  : "Authentification requise",
+                code: userId ? "SERVICE_UNAVAILABLE" : "AUTH_REQUIRED",
+              });
+            }
+
+            const result = await this.getContactRequestsUseCase.execute({
+              userId,
+              direction: data?.direction,
+              status: data?.status,
+              page: data?.page,
+              limit: data?.limit,
+            });
+
+            socket.emit("contact_request:list", {
+              direction: data?.direction || "incoming",
+              ...result,
+              timestamp: new Date().toISOString(),
+            });
+          } catch (error) {
+            console.error("❌ Erreur getContactRequests:", error.message);
+            socket.emit("contact_request:error", {
+              error: error.message,
+              code: error.code || "GET_CONTACT_REQUESTS_FAILED",
+            });
+          }
+        });
+
+        // ========================================
+        // ✅ MESSAGES PROGRAMMÉS ("envoyer plus tard")
+        // Les confirmations (created/updated/cancelled/sent/failed) sont
+        // émises par les use cases dans la room user_{id} de l'auteur
+        // ========================================
+
+        socket.on("scheduleMessage", async (data) => {
+          try {
+            const userId = socket.userId;
+            if (!userId) {
+              return socket.emit("scheduled:error", {
+                error: "Authentification requise",
+                code: "AUTH_REQUIRED",
+              });
+            }
+            if (!this.scheduleMessageUseCase) {
+              return socket.emit("scheduled:error", {
+                error: "Service non disponible",
+                code: "SERVICE_UNAVAILABLE",
+              });
+            }
+
+            await this.scheduleMessageUseCase.execute({
+              userId,
+              conversationId: data?.conversationId,
+              content: data?.content,
+              scheduledAt: data?.scheduledAt,
+              replyTo: data?.replyTo,
+            });
+          } catch (error) {
+            console.error("❌ Erreur scheduleMessage:", error.message);
+            socket.emit("scheduled:error", {
+              error: error.message,
+              code: error.code || "SCHEDULE_MESSAGE_FAILED",
+              event: "scheduleMessage",
+              conversationId: data?.conversationId,
+            });
+          }
+        });
+
+        socket.on("updateScheduledMessage", async (data) => {
+          try {
+            const userId = socket.userId;
+            if (!userId) {
+              return socket.emit("scheduled:error", {
+                error: "Authentification requise",
+                code: "AUTH_REQUIRED",
+              });
+            }
+            if (!this.updateScheduledMessageUseCase) {
+              return socket.emit("scheduled:error", {
+                error: "Service non disponible",
+                code: "SERVICE_UNAVAILABLE",
+              });
+            }
+
+            await this.updateScheduledMessageUseCase.execute({
+              scheduledMessageId: data?.scheduledMessageId,
+              userId,
+              content: data?.content,
+              scheduledAt: data?.scheduledAt,
+            });
+          } catch (error) {
+            console.error("❌ Erreur updateScheduledMessage:", error.message);
+            socket.emit("scheduled:error", {
+              error: error.message,
+              code: error.code || "UPDATE_SCHEDULED_MESSAGE_FAILED",
+              event: "updateScheduledMessage",
+              scheduledMessageId: data?.scheduledMessageId,
+            });
+          }
+        });
+
+        socket.on("cancelScheduledMessage", async (data) => {
+          try {
+            const userId = socket.userId;
+            if (!userId) {
+              return socket.emit("scheduled:error", {
+                error: "Authentification requise",
+                code: "AUTH_REQUIRED",
+              });
+            }
+            if (!this.cancelScheduledMessageUseCase) {
+              return socket.emit("scheduled:error", {
+                error: "Service non disponible",
+                code: "SERVICE_UNAVAILABLE",
+              });
+            }
+
+            await this.cancelScheduledMessageUseCase.execute({
+              scheduledMessageId: data?.scheduledMessageId,
+              userId,
+            });
+          } catch (error) {
+            console.error("❌ Erreur cancelScheduledMessage:", error.message);
+            socket.emit("scheduled:error", {
+              error: error.message,
+              code: error.code || "CANCEL_SCHEDULED_MESSAGE_FAILED",
+              event: "cancelScheduledMessage",
+              scheduledMessageId: data?.scheduledMessageId,
+            });
+          }
+        });
+
+        socket.on("getScheduledMessages", async (data) => {
+          try {
+            const userId = socket.userId;
+            if (!userId || !this.getScheduledMessagesUseCase) {
+              return socket.emit("scheduled:error", {
+                error: userId
+                  ? "Service non disponible"
+                  : "Authentification requise",
+                code: userId ? "SERVICE_UNAVAILABLE" : "AUTH_REQUIRED",
+              });
+            }
+
+            const result = await this.getScheduledMessagesUseCase.execute({
+              userId,
+              status: data?.status,
+              conversationId: data?.conversationId,
+              page: data?.page,
+              limit: data?.limit,
+            });
+
+            socket.emit("scheduled:list", {
+              ...result,
+              timestamp: new Date().toISOString(),
+            });
+          } catch (error) {
+            console.error("❌ Erreur getScheduledMessages:", error.message);
+            socket.emit("scheduled:error", {
+              error: error.message,
+              code: error.code || "GET_SCHEDULED_MESSAGES_FAILED",
+              event: "getScheduledMessages",
+            });
+          }
+        });
+
         // ✅ METTRE À JOUR automatiquement la présence lors des interactions
         const originalHandlers = {
           joinConversation: this.handleJoinConversation.bind(this),
@@ -1747,76 +2257,62 @@ class ChatHandler {
       );
 
       let userPayload = null;
-      if (data.token) {
-        const token = data.token;
+      if (socket.handshake?.headers?.["x-user-identity"] || data.token) {
         try {
-          const fakeReq = {
-            headers: { authorization: `Bearer ${token}` },
-          };
-          const fakeRes = {}; //
-          await new Promise((resolve, reject) => {
-            AuthMiddleware.authenticate(fakeReq, fakeRes, (err) => {
-              if (err) reject(err);
-              else resolve();
-            });
-          });
-          if (fakeReq.user) {
-            const cacheUserId =
-              fakeReq.user.id || fakeReq.user.userId || fakeReq.user.matricule;
+          // ✅ Identité signée du gateway (handshake), sinon même vérification
+          // que HTTP : signature + denylist (logout / logout-all)
+          let authUser = null;
+          try {
+            authUser = AuthMiddleware.fromGateway(socket.handshake.headers);
+          } catch (identityError) {
+            // Identité expirée (ré-authentification tardive) : le token prend le relais
+            if (!data.token) throw identityError;
+          }
+          if (!authUser) {
+            const decoded = await AuthMiddleware.verifyToken(data.token);
+            authUser = AuthMiddleware.toUser(decoded);
+          }
+          const cacheUserId =
+            authUser.id || authUser.userId || authUser.matricule;
 
-            let cachedUserInfo = null;
-            if (this.userCacheService && cacheUserId) {
-              try {
-                cachedUserInfo =
-                  await this.userCacheService.fetchUserInfo(cacheUserId);
-              } catch (cacheError) {
-                console.warn(
-                  `⚠️ [Auth] Erreur UserCacheService pour ${cacheUserId}:`,
-                  cacheError.message,
-                );
-              }
+          let cachedUserInfo = null;
+          if (this.userCacheService && cacheUserId) {
+            try {
+              cachedUserInfo =
+                await this.userCacheService.fetchUserInfo(cacheUserId);
+            } catch (cacheError) {
+              console.warn(
+                `⚠️ [Auth] Erreur UserCacheService pour ${cacheUserId}:`,
+                cacheError.message,
+              );
             }
-
-            userPayload = {
-              ...fakeReq.user,
-              nom: cachedUserInfo?.nom || fakeReq.user.nom,
-              avatar: cachedUserInfo?.avatar || fakeReq.user.avatar,
-              matricule:
-                fakeReq.user.matricule ||
-                cachedUserInfo?.matricule ||
-                cacheUserId,
-            };
-          } else {
-            socket.emit("auth_error", {
-              message: "Token JWT invalide ou expiré",
-              code: "INVALID_TOKEN",
-            });
-            return;
           }
+
+          userPayload = {
+            ...authUser,
+            nom: cachedUserInfo?.nom,
+            avatar: cachedUserInfo?.avatar,
+            matricule:
+              authUser.matricule || cachedUserInfo?.matricule || cacheUserId,
+          };
         } catch (jwtError) {
+          const known = ["TOKEN_REVOKED", "INVALID_IDENTITY"].includes(
+            jwtError.code,
+          );
           socket.emit("auth_error", {
-            message: "Token JWT invalide ou expiré",
-            code: "INVALID_TOKEN",
+            message: known ? jwtError.message : "Token JWT invalide ou expiré",
+            code: known ? jwtError.code : "INVALID_TOKEN",
           });
           return;
         }
       } else {
-        if (!data.userId && !data.matricule) {
-          socket.emit("auth_error", {
-            message: "Données d'authentification manquantes",
-            code: "MISSING_CREDENTIALS",
-          });
-          return;
-        }
-        userPayload = {
-          id: String(data.matricule),
-          userId: String(data.userId),
-          matricule: String(data.matricule),
-          nom: data.nom || "",
-          prenom: data.prenom || "",
-          ministere: data.ministere || "",
-          departement: data.departement || "",
-        };
+        // Jamais d'identité déclarée par le client (matricule / userId nus) :
+        // elle contournerait signature, JWKS et révocations
+        socket.emit("auth_error", {
+          message: "Authentification requise (token ou identité du gateway)",
+          code: "AUTH_REQUIRED",
+        });
+        return;
       }
 
       const resolvedMatricule =
@@ -1835,6 +2331,12 @@ class ChatHandler {
       socket.avatar = userPayload.avatar || null;
       socket.ministere = userPayload.ministere || "";
       socket.departement = userPayload.departement || "";
+      // Rôles et permissions uniquement issus d'un token ou de l'identité du gateway
+      socket.roles = userPayload.roles || [];
+      socket.permissions = userPayload.permissions || [];
+      socket.adminMinistere = userPayload.adminMinistere || null;
+      // Session (appareil) du token : cible des révocations publiées par auth-user-service
+      socket.sessionId = userPayload.sessionId || null;
       socket.isAuthenticated = true;
 
       const userIdString = socket.matricule;
@@ -1848,6 +2350,9 @@ class ChatHandler {
       };
 
       socket.join(`user_${userIdString}`);
+      if (socket.sessionId) {
+        socket.join(`session_${socket.sessionId}`);
+      }
 
       // ✅ SYNCHRONISATION REDIS EN ARRIÈRE-PLAN (non-bloquante)
       this.syncUserWithRedis(userIdString, userData);
@@ -2172,6 +2677,8 @@ class ChatHandler {
         fileSize,
         mimeType,
         broadcast = false,
+        onBehalfOf = null,
+        replyTo = null,
       } = data;
 
       const userId = socket.userId;
@@ -2277,6 +2784,8 @@ class ChatHandler {
               mimeType,
               conversationName,
               broadcast,
+              onBehalfOf,
+              replyTo,
             }),
           );
         } else {
@@ -2294,10 +2803,23 @@ class ChatHandler {
             mimeType,
             conversationName,
             broadcast,
+            onBehalfOf,
+            replyTo,
           });
         }
       } catch (saveError) {
         console.error("❌ Erreur sendMessageUseCase:", saveError.message);
+        // Erreur métier typée (ex. VISIBILITY_DENIED, VISIBILITY_UNAVAILABLE, INBOX_DELEGATION_REQUIRED)
+        if (saveError.status && saveError.code) {
+          socket.emit("message_error", {
+            message: saveError.message,
+            code: saveError.code,
+            status: saveError.status,
+            ...(saveError.deniedIds && { deniedIds: saveError.deniedIds }),
+            temporaryId: data.temporaryId,
+          });
+          return;
+        }
         socket.emit("message_error", {
           message: "Erreur lors de l'envoi du message",
           code: "SEND_ERROR",
@@ -2660,7 +3182,7 @@ class ChatHandler {
 
   async handleGetMessages(socket, data) {
     try {
-      const { conversationId, page = 1, limit = 50 } = data;
+      const { conversationId, page = 1, limit = 50, onBehalfOf = null } = data;
       const userId = socket.userId;
 
       const normalizedConversationId = this.normalizeMongoId(conversationId);
@@ -2706,6 +3228,7 @@ class ChatHandler {
           page: parseInt(page),
           limit: parseInt(limit),
           userId,
+          onBehalfOf,
         },
       );
 
@@ -2713,8 +3236,10 @@ class ChatHandler {
     } catch (error) {
       console.error("❌ Erreur handleGetMessages:", error);
       socket.emit("messages_error", {
-        message: "Erreur lors de la récupération des messages",
-        code: "GET_MESSAGES_ERROR",
+        message: error.status
+          ? error.message
+          : "Erreur lors de la récupération des messages",
+        code: error.status ? error.code : "GET_MESSAGES_ERROR",
       });
     }
   }
@@ -2813,6 +3338,48 @@ class ChatHandler {
     }
   }
 
+  // ✅ RÉVOCATION DE SESSION (auth-user-service → pub/sub Redis)
+  async listenForSessionRevocations(redisClient) {
+    try {
+      await SessionRevocation.subscribe(redisClient, (message) =>
+        this.handleSessionRevoked(message),
+      );
+    } catch (error) {
+      console.warn(
+        "⚠️ Écoute des révocations de session indisponible:",
+        error.message,
+      );
+    }
+  }
+
+  // Chaque instance reçoit la commande : fermeture de ses seuls sockets locaux
+  async handleSessionRevoked(message) {
+    if (message?.type !== "SESSION_REVOKED") return;
+
+    const room = message.sid
+      ? `session_${message.sid}`
+      : message.matricule && `user_${message.matricule}`;
+    if (!room) return;
+
+    const sockets = await this.io.local.in(room).fetchSockets();
+
+    for (const socket of sockets) {
+      socket.emit("session_revoked", {
+        sessionId: message.sid,
+        reason: message.reason,
+        message: "Session fermée, veuillez vous reconnecter",
+        timestamp: message.timestamp,
+      });
+      socket.disconnect(true);
+    }
+
+    if (sockets.length > 0) {
+      console.log(
+        `🔒 ${sockets.length} socket(s) fermé(s) pour ${message.sid ? `la session ${message.sid}` : message.matricule} (${message.reason})`,
+      );
+    }
+  }
+
   // ✅ DÉCONNEXION - NETTOYER LES RESSOURCES
   async handleDisconnection(socket, reason = "unknown") {
     const userId = socket.userId;
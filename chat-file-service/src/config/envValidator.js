@@ -3,7 +3,7 @@ const path = require("path");
 
 class EnvironmentValidator {
   constructor() {
-    this.requiredVars = ["NODE_ENV", "MONGODB_URI", "PORT", "JWT_SECRET"];
+    this.requiredVars = ["NODE_ENV", "MONGODB_URI", "PORT"];
 
     this.optionalVars = ["REDIS_HOST", "KAFKA_BROKERS", "AUTH_SERVICE_URL"];
 
@@ -79,10 +79,18 @@ class EnvironmentValidator {
   }
 
   checkConsistency() {
-    // Vérifier JWT en production
+    // Vérifier JWT : clés publiques du JWKS d'auth-user-service
+    if (!process.env.JWKS_URL && !process.env.AUTH_USER_SERVICE_URL) {
+      this.errors.push(
+        "❌ JWKS_URL ou AUTH_USER_SERVICE_URL requis pour vérifier les tokens"
+      );
+    }
+
     if (process.env.NODE_ENV === "production") {
-      if (process.env.JWT_SECRET === "CHATAPP_NGOMNA_PRIVATE_KEY") {
-        this.errors.push("❌ JWT_SECRET par défaut en production!");
+      if (process.env.JWT_SECRET) {
+        this.warnings.push(
+          "⚠️ JWT_SECRET n'est plus utilisé (vérification via JWKS), à retirer"
+        );
       }
 
       if (process.env.REDIS_PASSWORD === "") {
@@ -0,0 +1,131 @@
+const STATUSES = {
+  PENDING: "PENDING",
+  ACCEPTED: "ACCEPTED",
+  DECLINED: "DECLINED",
+  EXPIRED: "EXPIRED",
+};
+
+const DEFAULT_TTL_DAYS = 7;
+
+/**
+ * Demande de mise en relation avec un agent hors de son périmètre de
+ * visibilité (ex. CADRE → DIRECTEUR_GENERAL).
+ * PENDING → ACCEPTED (conversation privée créée) | DECLINED | EXPIRED
+ */
+class ContactRequest {
+  constructor({
+    _id,
+    requesterId,
+    targetId,
+    motive = null,
+    status = STATUSES.PENDING,
+    conversationId = null,
+    requester = {},
+    target = {},
+    expiresAt,
+    respondedAt = null,
+    createdAt,
+    updatedAt,
+  }) {
+    this._id = _id;
+    this.requesterId = requesterId;
+    this.targetId = targetId;
+    this.motive = motive ? String(motive).trim() || null : null;
+    this.status = status;
+    this.conversationId = conversationId;
+    // Profils au moment de la demande (affichage sans appel UserCacheService)
+    this.requester = requester;
+    this.target = target;
+    this.createdAt = createdAt || new Date();
+    this.expiresAt = expiresAt || ContactRequest.computeExpiry(this.createdAt);
+    this.respondedAt = respondedAt;
+    this.updatedAt = updatedAt || new Date();
+  }
+
+  static computeExpiry(from = new Date()) {
+    const days =
+      parseInt(process.env.CONTACT_REQUEST_TTL_DAYS, 10) || DEFAULT_TTL_DAYS;
+    return new Date(new Date(from).getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  // Validation de l'entité
+  validate() {
+    const errors = [];
+
+    if (!this.requesterId) {
+      errors.push("requesterId est requis");
+    }
+
+    if (!this.targetId) {
+      errors.push("targetId est requis");
+    }
+
+    if (
+      this.requesterId &&
+      String(this.requesterId) === String(this.targetId)
+    ) {
+      errors.push("targetId doit être différent du requesterId");
+    }
+
+    if (this.motive && this.motive.length > 500) {
+      errors.push("motive ne peut pas dépasser 500 caractères");
+    }
+
+    if (!Object.values(STATUSES).includes(this.status)) {
+      errors.push(
+        `status doit être un de: ${Object.values(STATUSES).join(", ")}`,
+      );
+    }
+
+    if (errors.length > 0) {
+      throw new Error(
+        `Validation ContactRequest échouée: ${errors.join(", ")}`,
+      );
+    }
+
+    return true;
+  }
+
+  isPending() {
+    return this.status === STATUSES.PENDING;
+  }
+
+  isExpired(now = new Date()) {
+    return (
+      this.status === STATUSES.EXPIRED ||
+      (this.isPending() && new Date(this.expiresAt) <= now)
+    );
+  }
+
+  involves(userId) {
+    return [String(this.requesterId), String(this.targetId)].includes(
+      String(userId),
+    );
+  }
+
+  // Conversion vers objet simple
+  toObject() {
+    return {
+      _id: this._id,
+      requesterId: this.requesterId,
+      targetId: this.targetId,
+      motive: this.motive,
+      status: this.status,
+      conversationId: this.conversationId,
+      requester: this.requester,
+      target: this.target,
+      expiresAt: this.expiresAt,
+      respondedAt: this.respondedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  static fromObject(obj) {
+    return new ContactRequest(obj);
+  }
+}
+
+ContactRequest.STATUSES = STATUSES;
+
+module.exports = ContactRequest;
@@ -0,0 +1,121 @@
+const STATUSES = {
+  ACTIVE: "ACTIVE",
+  REVOKED: "REVOKED",
+};
+
+/**
+ * Délégation de boîte de réception (secrétariat) : le délégué lit les
+ * conversations du titulaire et, si canReply, y répond « de la part de ».
+ * Les conversations exclues restent privées au titulaire.
+ */
+class InboxDelegation {
+  constructor({
+    _id,
+    ownerId,
+    delegateId,
+    canReply = false,
+    excludedConversationIds = [],
+    status = STATUSES.ACTIVE,
+    expiresAt = null,
+    owner = {},
+    delegate = {},
+    revokedAt = null,
+    revokedBy = null,
+    createdAt,
+    updatedAt,
+  }) {
+    this._id = _id;
+    this.ownerId = ownerId;
+    this.delegateId = delegateId;
+    this.canReply = canReply === true;
+    this.excludedConversationIds = (excludedConversationIds || []).map(String);
+    this.status = status;
+    this.expiresAt = expiresAt;
+    // Profils au moment de la délégation (affichage)
+    this.owner = owner;
+    this.delegate = delegate;
+    this.revokedAt = revokedAt;
+    this.revokedBy = revokedBy;
+    this.createdAt = createdAt || new Date();
+    this.updatedAt = updatedAt || new Date();
+  }
+
+  // Validation de l'entité
+  validate() {
+    const errors = [];
+
+    if (!this.ownerId) {
+      errors.push("ownerId est requis");
+    }
+
+    if (!this.delegateId) {
+      errors.push("delegateId est requis");
+    }
+
+    if (this.ownerId && String(this.ownerId) === String(this.delegateId)) {
+      errors.push("delegateId doit être différent du ownerId");
+    }
+
+    if (this.expiresAt && isNaN(new Date(this.expiresAt).getTime())) {
+      errors.push("expiresAt doit être une date valide");
+    }
+
+    if (!Object.values(STATUSES).includes(this.status)) {
+      errors.push(
+        `status doit être un de: ${Object.values(STATUSES).join(", ")}`,
+      );
+    }
+
+    if (errors.length > 0) {
+      throw new Error(
+        `Validation InboxDelegation échouée: ${errors.join(", ")}`,
+      );
+    }
+
+    return true;
+  }
+
+  isActive(now = new Date()) {
+    return (
+      this.status === STATUSES.ACTIVE &&
+      (!this.expiresAt || new Date(this.expiresAt) > now)
+    );
+  }
+
+  isExcluded(conversationId) {
+    return this.excludedConversationIds.includes(String(conversationId));
+  }
+
+  involves(userId) {
+    return [String(this.ownerId), String(this.delegateId)].includes(
+      String(userId),
+    );
+  }
+
+  // Conversion vers objet simple
+  toObject() {
+    return {
+      _id: this._id,
+      ownerId: this.ownerId,
+      delegateId: this.delegateId,
+      canReply: this.canReply,
+      excludedConversationIds: this.excludedConversationIds,
+      status: this.status,
+      expiresAt: this.expiresAt,
+      owner: this.owner,
+      delegate: this.delegate,
+      revokedAt: this.revokedAt,
+      revokedBy: this.revokedBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  static fromObject(obj) {
+    return new InboxDelegation(obj);
+  }
+}
+
+InboxDelegation.STATUSES = STATUSES;
+
+module.exports = InboxDelegation;
@@ -16,6 +16,7 @@ class Message {
     editedAt = null,
     replyTo = null,
     reactions = [],
+    reactionSummary = [],
   }) {
     this._id = _id;
     this.conversationId = conversationId;
@@ -31,6 +32,7 @@ class Message {
     this.editedAt = editedAt;
     this.replyTo = replyTo; // ID du message auquel on répond
     this.reactions = reactions; // Array des réactions
+    this.reactionSummary = reactionSummary; // [{ emoji, count }]
   }
 
   // Enrichir les métadonnées avec des informations contextuelles
@@ -214,6 +216,7 @@ class Message {
       timestamp: new Date().toISOString(),
     });
 
+    this.reactionSummary = Message.summarizeReactions(this.reactions);
     this.updatedAt = new Date();
     return this;
   }
@@ -221,10 +224,22 @@ class Message {
   // Supprimer une réaction
   removeReaction(userId) {
     this.reactions = this.reactions.filter((r) => r.userId !== userId);
+    this.reactionSummary = Message.summarizeReactions(this.reactions);
     this.updatedAt = new Date();
     return this;
   }
 
+  // Agrégats par emoji, du plus utilisé au moins utilisé
+  static summarizeReactions(reactions = []) {
+    const counts = new Map();
+    for (const { emoji } of reactions) {
+      counts.set(emoji, (counts.get(emoji) || 0) + 1);
+    }
+    return [...counts.entries()]
+      .map(([emoji, count]) => ({ emoji, count }))
+      .sort((a, b) => b.count - a.count || (a.emoji < b.emoji ? -1 : 1));
+  }
+
   // Éditer le message
   edit(newContent) {
     this.content = newContent;
@@ -273,6 +288,7 @@ class Message {
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       reactions: this.reactions,
+      reactionSummary: this.reactionSummary,
       metadata: {
         ...this.metadata,
         redisMetadata: {
@@ -300,6 +316,7 @@ class Message {
       editedAt: this.editedAt,
       replyTo: this.replyTo,
       reactions: this.reactions,
+      reactionSummary: this.reactionSummary,
     };
   }
 
@@ -0,0 +1,148 @@
+const STATUSES = {
+  PENDING: "PENDING",
+  SENDING: "SENDING",
+  SENT: "SENT",
+  FAILED: "FAILED",
+  CANCELLED: "CANCELLED",
+};
+
+const MIN_DELAY_MS = 60 * 1000;
+const DEFAULT_MAX_DAYS_AHEAD = 30;
+
+/**
+ * Message programmé (« envoyer plus tard »), ex. annonce préparée la veille
+ * pour partir à 8h. Envoyé par le ScheduledMessageWorker via SendMessage.
+ * PENDING → SENDING → SENT | FAILED ; PENDING → CANCELLED
+ */
+class ScheduledMessage {
+  constructor({
+    _id,
+    senderId,
+    conversationId,
+    content,
+    type = "TEXT",
+    replyTo = null,
+    scheduledAt,
+    status = STATUSES.PENDING,
+    attempts = 0,
+    lastError = null,
+    sentMessageId = null,
+    sentAt = null,
+    cancelledAt = null,
+    createdAt,
+    updatedAt,
+  }) {
+    this._id = _id;
+    this.senderId = senderId;
+    this.conversationId = conversationId;
+    this.content = typeof content === "string" ? content.trim() : content;
+    this.type = type;
+    this.replyTo = replyTo;
+    this.scheduledAt = scheduledAt ? new Date(scheduledAt) : null;
+    this.status = status;
+    this.attempts = attempts;
+    this.lastError = lastError;
+    this.sentMessageId = sentMessageId;
+    this.sentAt = sentAt;
+    this.cancelledAt = cancelledAt;
+    this.createdAt = createdAt || new Date();
+    this.updatedAt = updatedAt || new Date();
+  }
+
+  /**
+   * Fenêtre d'envoi autorisée : au moins une minute à l'avance, au plus
+   * SCHEDULED_MESSAGE_MAX_DAYS jours (30 par défaut)
+   * @returns {string|null} message d'erreur, null si la date est valide
+   */
+  static scheduleWindowError(scheduledAt, now = new Date()) {
+    const date = new Date(scheduledAt);
+    if (!scheduledAt || Number.isNaN(date.getTime())) {
+      return "scheduledAt invalide (date ISO attendue)";
+    }
+
+    const maxDays =
+      parseInt(process.env.SCHEDULED_MESSAGE_MAX_DAYS, 10) ||
+      DEFAULT_MAX_DAYS_AHEAD;
+    if (date.getTime() < now.getTime() + MIN_DELAY_MS) {
+      return "scheduledAt doit être au moins une minute dans le futur";
+    }
+    if (date.getTime() > now.getTime() + maxDays * 24 * 60 * 60 * 1000) {
+      return `scheduledAt ne peut pas dépasser ${maxDays} jours`;
+    }
+    return null;
+  }
+
+  // Validation de l'entité
+  validate() {
+    const errors = [];
+
+    if (!this.senderId) {
+      errors.push("senderId est requis");
+    }
+
+    if (!this.conversationId) {
+      errors.push("conversationId est requis");
+    }
+
+    if (!this.content || typeof this.content !== "string") {
+      errors.push("content est requis");
+    } else if (this.content.length > 10000) {
+      errors.push("content ne peut pas dépasser 10000 caractères");
+    }
+
+    if (!this.scheduledAt || Number.isNaN(this.scheduledAt.getTime())) {
+      errors.push("scheduledAt est requis");
+    }
+
+    if (!Object.values(STATUSES).includes(this.status)) {
+      errors.push(
+        `status doit être un de: ${Object.values(STATUSES).join(", ")}`,
+      );
+    }
+
+    if (errors.length > 0) {
+      throw new Error(
+        `Validation ScheduledMessage échouée: ${errors.join(", ")}`,
+      );
+    }
+
+    return true;
+  }
+
+  isPending() {
+    return this.status === STATUSES.PENDING;
+  }
+
+  belongsTo(userId) {
+    return String(this.senderId) === String(userId);
+  }
+
+  // Conversion vers objet simple
+  toObject() {
+    return {
+      _id: this._id,
+      senderId: this.senderId,
+      conversationId: this.conversationId,
+      content: this.content,
+      type: this.type,
+      replyTo: this.replyTo,
+      scheduledAt: this.scheduledAt,
+      status: this.status,
+      attempts: this.attempts,
+      lastError: this.lastError,
+      sentMessageId: this.sentMessageId,
+      sentAt: this.sentAt,
+      cancelledAt: this.cancelledAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  static fromObject(obj) {
+    return new ScheduledMessage(obj);
+  }
+}
+
+ScheduledMessage.STATUSES = STATUSES;
+
+module.exports = ScheduledMessage;
@@ -3,10 +3,16 @@ const Message = require("./Message");
 const Conversation = require("./Conversation");
 const File = require("./File");
 const Event = require("./Event");
+const ContactRequest = require("./ContactRequest");
+const InboxDelegation = require("./InboxDelegation");
+const ScheduledMessage = require("./ScheduledMessage");
 
 module.exports = {
   Message,
   Conversation,
   File,
   Event,
+  ContactRequest,
+  InboxDelegation,
+  ScheduledMessage,
 };
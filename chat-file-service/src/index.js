@@ -29,12 +29,15 @@ const {
   OnlineUserManager,
   RoomManager,
   UnreadMessageManager,
+  MentionUnreadManager,
   CircuitBreaker,
   StreamManager,
   WorkerManager,
   RedisManager,
   UserCache,
   UserStreamConsumer,
+  TokenDenylist,
+  SessionRevocation,
 } = require("../shared");
 
 // Services
@@ -43,6 +46,11 @@ const FileStorageService = require("./infrastructure/services/FileStorageService
 const MediaProcessingService = require("./infrastructure/services/MediaProcessingService");
 const ResilientMessageService = require("./infrastructure/services/ResilientMessageService");
 const UserCacheService = require("./infrastructure/services/UserCacheService");
+const VisibilityPolicyService = require("./infrastructure/services/VisibilityPolicyService");
+const ContactRequestNotifier = require("./infrastructure/services/ContactRequestNotifier");
+const InboxDelegationService = require("./infrastructure/services/InboxDelegationService");
+const InboxDelegationNotifier = require("./infrastructure/services/InboxDelegationNotifier");
+const ScheduledMessageNotifier = require("./infrastructure/services/ScheduledMessageNotifier");
 const SmartCachePrewarmer = require("./infrastructure/services/SmartCachePrewarmer");
 
 // Repositories - Cached
@@ -53,6 +61,7 @@ const CachedFileRepository = require("./infrastructure/repositories/CachedFileRe
 // Redis Services (locaux uniquement)
 const MessageDeliveryService = require("./infrastructure/services/MessageDeliveryService");
 const TypingIndicatorService = require("./infrastructure/services/TypingIndicatorService");
+const OrgEventConsumer = require("./infrastructure/services/OrgEventConsumer");
 
 // Use Cases
 const SendMessage = require("./application/use-cases/SendMessage");
@@ -65,6 +74,9 @@ const UploadFile = require("./application/use-cases/UploadFile");
 const GetConversationIds = require("./application/use-cases/GetConversationIds");
 const GetMessageById = require("./application/use-cases/GetMessageById");
 const UpdateMessageContent = require("./application/use-cases/UpdateMessageContent");
+const ReactToMessage = require("./application/use-cases/ReactToMessage");
+const GetMessageThread = require("./application/use-cases/GetMessageThread");
+const ForwardMessage = require("./application/use-cases/ForwardMessage");
 const DownloadFile = require("./application/use-cases/DownloadFile");
 const CreateGroup = require("./application/use-cases/CreateGroup");
 const CreateBroadcast = require("./application/use-cases/CreateBroadcast");
@@ -75,6 +87,20 @@ const RemoveParticipant = require("./application/use-cases/RemoveParticipant");
 const LeaveConversation = require("./application/use-cases/LeaveConversation");
 const DeleteMessage = require("./application/use-cases/DeleteMessage");
 const DeleteFile = require("./application/use-cases/DeleteFile");
+const CreateContactRequest = require("./application/use-cases/CreateContactRequest");
+const RespondToContactRequest = require("./application/use-cases/RespondToContactRequest");
+const GetContactRequests = require("./application/use-cases/GetContactRequests");
+const ExpireContactRequests = require("./application/use-cases/ExpireContactRequests");
+const GrantInboxDelegation = require("./application/use-cases/GrantInboxDelegation");
+const UpdateInboxDelegation = require("./application/use-cases/UpdateInboxDelegation");
+const RevokeInboxDelegation = require("./application/use-cases/RevokeInboxDelegation");
+const GetInboxDelegations = require("./application/use-cases/GetInboxDelegations");
+const SyncUnitGroups = require("./application/use-cases/SyncUnitGroups");
+const ScheduleMessage = require("./application/use-cases/ScheduleMessage");
+const GetScheduledMessages = require("./application/use-cases/GetScheduledMessages");
+const UpdateScheduledMessage = require("./application/use-cases/UpdateScheduledMessage");
+const CancelScheduledMessage = require("./application/use-cases/CancelScheduledMessage");
+const DispatchScheduledMessage = require("./application/use-cases/DispatchScheduledMessage");
 
 // Controllers
 const FileController = require("./application/controllers/FileController");
@@ -86,6 +112,9 @@ const HealthController = require("./application/controllers/HealthController");
 const MongoMessageRepository = require("./infrastructure/repositories/MongoMessageRepository");
 const MongoConversationRepository = require("./infrastructure/repositories/MongoConversationRepository");
 const MongoFileRepository = require("./infrastructure/repositories/MongoFileRepository");
+const MongoContactRequestRepository = require("./infrastructure/repositories/MongoContactRequestRepository");
+const MongoInboxDelegationRepository = require("./infrastructure/repositories/MongoInboxDelegationRepository");
+const MongoScheduledMessageRepository = require("./infrastructure/repositories/MongoScheduledMessageRepository");
 
 // Routes
 const createConversationRoutes = require("./interfaces/http/routes/conversationRoutes");
@@ -94,6 +123,10 @@ const createFileRoutes = require("./interfaces/http/routes/fileRoutes");
 const createHealthRoutes = require("./interfaces/http/routes/healthRoutes");
 const createGroupRoutes = require("./interfaces/http/routes/groupRoutes");
 const createBroadcastRoutes = require("./interfaces/http/routes/broadcastRoutes");
+const createContactRequestRoutes = require("./interfaces/http/routes/contactRequestRoutes");
+const createInboxDelegationRoutes = require("./interfaces/http/routes/inboxDelegationRoutes");
+const createUnitGroupRoutes = require("./interfaces/http/routes/unitGroupRoutes");
+const createScheduledMessageRoutes = require("./interfaces/http/routes/scheduledMessageRoutes");
 
 // WebSocket Handler
 const ChatHandler = require("./application/websocket/chatHandler");
@@ -129,6 +162,7 @@ const startServer = async () => {
     let redisClient = null;
     let onlineUserManager = null;
     let roomManager = null;
+    let mentionUnreadManager = null;
     let cacheServiceInstance = null;
 
     try {
@@ -150,8 +184,12 @@ const startServer = async () => {
       });
       await cacheServiceInstance.initializeWithClient(redisClient);
 
+      // ✅ Rate limiting distribué (compteurs partagés entre instances)
+      rateLimitMiddleware.initialize(RedisManager);
+
       console.log("✅ Services Redis initialisés:");
       console.log("   ✅ CacheService (shared)");
+      console.log("   ✅ RateLimiter (shared)");
     } catch (err) {
       console.error(
         "❌ Redis distant non disponible, fallback ou mode dégradé",
@@ -235,11 +273,20 @@ const startServer = async () => {
       app.locals.roomManager = roomManager;
       console.log("   ✅ RoomManager (shared)");
 
+      // ✅ Compteurs de mentions non lues (chat:cache:mentions:{userId})
+      mentionUnreadManager = new MentionUnreadManager();
+      mentionUnreadManager.initializeWithClient(redisClient);
+      console.log("   ✅ MentionUnreadManager (shared)");
+
       // ✅ INITIALISER UserCache depuis shared (préfixe chat)
       UserCache.prefix = "chat:cache:users:";
       await UserCache.initialize();
       console.log("   ✅ UserCache (shared) - Cache utilisateur centralisé");
 
+      // ✅ Denylist des tokens révoqués (écrite par auth-user-service)
+      await TokenDenylist.initialize();
+      console.log("   ✅ TokenDenylist (shared) - Révocation des tokens");
+
       // ✅ INITIALISER ET DÉMARRER UserStreamConsumer
       const userStreamConsumer = new UserStreamConsumer({
         streamName: "user-service:stream:events:users",
@@ -328,6 +375,7 @@ const startServer = async () => {
       mongoMessageRepository,
       cacheServiceInstance,
       // ← unreadManager SUPPRIMÉ - intégré dans CachedMessageRepository
+      mentionUnreadManager, // remis à zéro avec les non-lus
     );
 
     const conversationRepository = new CachedConversationRepository(
@@ -415,16 +463,32 @@ const startServer = async () => {
     // 7. INITIALISATION USE CASES
     // ===============================
 
+    // ✅ VISIBILITÉ ORGANISATIONNELLE (mode par ministère : enforce / warn / off)
+    const visibilityPolicyService = new VisibilityPolicyService();
+    app.locals.visibilityPolicyService = visibilityPolicyService;
+
+    // ✅ DÉLÉGATION DE BOÎTE (secrétariat : lecture / réponse « de la part de »)
+    const inboxDelegationRepository = new MongoInboxDelegationRepository();
+    const inboxDelegationService = new InboxDelegationService(
+      inboxDelegationRepository,
+    );
+
     // ✅ PASSER resilientService À SendMessage
     const sendMessageUseCase = new SendMessage(
       messageRepository, // Cached
       conversationRepository, // Cached
       cacheServiceInstance,
       resilientMessageService, // ← NOUVEAU
+      null, // userCacheService
+      visibilityPolicyService,
+      inboxDelegationService,
+      mentionUnreadManager,
     );
 
     const getMessagesUseCase = new GetMessages(
       messageRepository, // Cached
+      conversationRepository, // Cached
+      inboxDelegationService,
     );
 
     const getConversationUseCase = new GetConversation(
@@ -438,6 +502,7 @@ const startServer = async () => {
       messageRepository, // Cached
       cacheServiceInstance,
       onlineUserManager, // ✅ AJOUTÉ pour statuts de présence
+      inboxDelegationService,
     );
 
     const updateMessageStatusUseCase = new UpdateMessageStatus(
@@ -453,6 +518,18 @@ const startServer = async () => {
       resilientMessageService, // ✅ AJOUTÉ pour publication events:messages
     );
 
+    const reactToMessageUseCase = new ReactToMessage(
+      messageRepository, // Cached
+      conversationRepository, // Cached
+      resilientMessageService, // Publication events:reactions
+    );
+
+    const getMessageThreadUseCase = new GetMessageThread(
+      messageRepository, // Cached
+      conversationRepository, // Cached
+      inboxDelegationService, // Lecture « de la part de »
+    );
+
     const uploadFileUseCase = new UploadFile(
       fileRepository, // Cached
       null, // kafkaProducer
@@ -481,10 +558,14 @@ const startServer = async () => {
     const createGroupUseCase = new CreateGroup(
       conversationRepository, // Cached
       resilientMessageService, // Pour publier les notifications système
+      null, // userCacheService
+      visibilityPolicyService,
     );
     const createBroadcastUseCase = new CreateBroadcast(
       conversationRepository, // Cached
       resilientMessageService, // Pour publier les notifications système
+      null, // userCacheService
+      visibilityPolicyService,
     );
 
     const markMessageDeliveredUseCase = new MarkMessageDelivered(
@@ -508,6 +589,7 @@ const startServer = async () => {
       conversationRepository,
       resilientMessageService,
       userCacheService,
+      visibilityPolicyService,
     );
 
     const removeParticipantUseCase = new RemoveParticipant(
@@ -522,6 +604,25 @@ const startServer = async () => {
       userCacheService,
     );
 
+    // ✅ TRANSFERT DE MESSAGES (chaque copie passe par SendMessage)
+    const forwardMessageUseCase = new ForwardMessage(
+      messageRepository, // Cached
+      conversationRepository, // Cached
+      sendMessageUseCase,
+      fileRepository, // Cached - fichier réutilisé sans nouvel upload
+      userCacheService,
+    );
+
+    // ✅ GROUPES D'UNITÉ (membres synchronisés sur l'organigramme)
+    const syncUnitGroupsUseCase = new SyncUnitGroups(
+      conversationRepository, // Cached
+      visibilityPolicyService.visibilityClient,
+      addParticipantUseCase,
+      removeParticipantUseCase,
+      userCacheService,
+      resilientMessageService,
+    );
+
     // ✅ NOUVEAUX USE CASES - Suppression
     const deleteMessageUseCase = new DeleteMessage(
       messageRepository,
@@ -536,6 +637,112 @@ const startServer = async () => {
       resilientMessageService,
     );
 
+    // ✅ DEMANDES DE CONTACT (agents hors périmètre de visibilité)
+    const contactRequestRepository = new MongoContactRequestRepository();
+    const contactRequestNotifier = new ContactRequestNotifier(io);
+
+    const createContactRequestUseCase = new CreateContactRequest(
+      contactRequestRepository,
+      conversationRepository,
+      userCacheService,
+      contactRequestNotifier,
+    );
+
+    const respondToContactRequestUseCase = new RespondToContactRequest(
+      contactRequestRepository,
+      conversationRepository, // Cached
+      userCacheService,
+      contactRequestNotifier,
+      resilientMessageService,
+    );
+
+    const getContactRequestsUseCase = new GetContactRequests(
+      contactRequestRepository,
+      contactRequestNotifier,
+    );
+
+    const expireContactRequestsUseCase = new ExpireContactRequests(
+      contactRequestRepository,
+      contactRequestNotifier,
+    );
+
+    const inboxDelegationNotifier = new InboxDelegationNotifier(io);
+
+    const grantInboxDelegationUseCase = new GrantInboxDelegation(
+      inboxDelegationRepository,
+      userCacheService,
+      inboxDelegationNotifier,
+      visibilityPolicyService,
+    );
+
+    const updateInboxDelegationUseCase = new UpdateInboxDelegation(
+      inboxDelegationRepository,
+      conversationRepository, // Cached
+      inboxDelegationNotifier,
+    );
+
+    const revokeInboxDelegationUseCase = new RevokeInboxDelegation(
+      inboxDelegationRepository,
+      inboxDelegationNotifier,
+    );
+
+    const getInboxDelegationsUseCase = new GetInboxDelegations(
+      inboxDelegationRepository,
+    );
+
+    // ✅ MESSAGES PROGRAMMÉS (MongoDB + sorted set chat:cache:scheduled_messages)
+    const scheduledMessageRepository = new MongoScheduledMessageRepository(
+      redisClient,
+    );
+    const scheduledMessageNotifier = new ScheduledMessageNotifier(io);
+
+    const scheduleMessageUseCase = new ScheduleMessage(
+      scheduledMessageRepository,
+      conversationRepository, // Cached
+      scheduledMessageNotifier,
+    );
+
+    const getScheduledMessagesUseCase = new GetScheduledMessages(
+      scheduledMessageRepository,
+    );
+
+    const updateScheduledMessageUseCase = new UpdateScheduledMessage(
+      scheduledMessageRepository,
+      scheduledMessageNotifier,
+    );
+
+    const cancelScheduledMessageUseCase = new CancelScheduledMessage(
+      scheduledMessageRepository,
+      scheduledMessageNotifier,
+    );
+
+    const dispatchScheduledMessageUseCase = new DispatchScheduledMessage(
+      scheduledMessageRepository,
+      conversationRepository, // Cached
+      sendMessageUseCase,
+      scheduledMessageNotifier,
+    );
+
+    // ✅ WORKER D'ÉCHÉANCES sous le WorkerManager (rejeux via RetryWorker)
+    if (resilientMessageService) {
+      try {
+        resilientMessageService.enableScheduledMessages((id, options) =>
+          dispatchScheduledMessageUseCase.execute(id, options),
+        );
+        const indexed = await scheduledMessageRepository.rebuildIndex();
+        console.log(`   ✅ Messages programmés: ${indexed} en attente indexés`);
+      } catch (error) {
+        console.error(
+          "❌ Erreur initialisation messages programmés:",
+          error.message,
+        );
+      }
+    } else {
+      console.warn(
+        "⚠️ Redis non disponible, messages programmés enregistrés sans envoi",
+      );
+    }
+
     // Rendre disponibles globalement (injection simple pour controllers / handlers)
     app.locals.useCases = app.locals.useCases || {};
     app.locals.useCases.markMessageDelivered = markMessageDeliveredUseCase;
@@ -543,6 +750,7 @@ const startServer = async () => {
     app.locals.useCases.addParticipant = addParticipantUseCase;
     app.locals.useCases.removeParticipant = removeParticipantUseCase;
     app.locals.useCases.leaveConversation = leaveConversationUseCase;
+    app.locals.useCases.syncUnitGroups = syncUnitGroupsUseCase;
     app.locals.useCases.deleteMessage = deleteMessageUseCase;
     app.locals.useCases.deleteFile = deleteFileUseCase;
     app.locals.repositories = {
@@ -568,12 +776,21 @@ const startServer = async () => {
       getMessagesUseCase,
       updateMessageStatusUseCase,
       redisClient,
+      getMessageByIdUseCase,
+      null, // searchOccurrencesUseCase
+      reactToMessageUseCase,
+      getMessageThreadUseCase,
+      forwardMessageUseCase,
+      mentionUnreadManager,
     );
 
     const conversationController = new ConversationController(
       getConversationsUseCase,
       getConversationUseCase,
       redisClient,
+      null, // cacheService
+      null, // searchOccurrencesUseCase
+      forwardMessageUseCase,
     );
 
     const healthController = new HealthController(redisClient);
@@ -592,6 +809,33 @@ const startServer = async () => {
     app.use("/health", createHealthRoutes(healthController));
     app.use("/groups", createGroupRoutes(createGroupUseCase));
     app.use("/broadcasts", createBroadcastRoutes(createBroadcastUseCase));
+    app.use(
+      "/contact-requests",
+      createContactRequestRoutes({
+        createContactRequestUseCase,
+        respondToContactRequestUseCase,
+        getContactRequestsUseCase,
+      }),
+    );
+    app.use(
+      "/inbox-delegations",
+      createInboxDelegationRoutes({
+        grantInboxDelegationUseCase,
+        updateInboxDelegationUseCase,
+        revokeInboxDelegationUseCase,
+        getInboxDelegationsUseCase,
+      }),
+    );
+    app.use("/unit-groups", createUnitGroupRoutes(syncUnitGroupsUseCase));
+    app.use(
+      "/scheduled-messages",
+      createScheduledMessageRoutes({
+        scheduleMessageUseCase,
+        getScheduledMessagesUseCase,
+        updateScheduledMessageUseCase,
+        cancelScheduledMessageUseCase,
+      }),
+    );
 
     // ===============================
     // 10. CONFIGURATION WEBSOCKET
@@ -623,11 +867,27 @@ const startServer = async () => {
       leaveConversationUseCase,
       deleteMessageUseCase,
       deleteFileUseCase,
+      createContactRequestUseCase,
+      respondToContactRequestUseCase,
+      getContactRequestsUseCase,
+      reactToMessageUseCase,
+      getMessageThreadUseCase,
+      forwardMessageUseCase,
+      mentionUnreadManager,
+      scheduleMessageUseCase,
+      getScheduledMessagesUseCase,
+      updateScheduledMessageUseCase,
+      cancelScheduledMessageUseCase,
     );
 
     // ✅ CONFIGURER LES GESTIONNAIRES D'ÉVÉNEMENTS SOCKET.IO
     chatHandler.setupSocketHandlers();
 
+    // ✅ Sessions révoquées (auth-user-service) → fermeture des sockets de l'appareil
+    if (redisClient) {
+      await chatHandler.listenForSessionRevocations(redisClient);
+    }
+
     console.log("✅ ChatHandler configuré avec succès");
 
     // ===============================
@@ -873,6 +1133,66 @@ const startServer = async () => {
       ); // 30 minutes
     }
 
+    // Expiration des demandes de contact
+    setInterval(
+      async () => {
+        try {
+          await expireContactRequestsUseCase.execute();
+        } catch (error) {
+          console.error("❌ Erreur expiration demandes de contact:", error);
+        }
+      },
+      15 * 60 * 1000,
+    ); // 15 minutes
+
+    // Réindexation des messages programmés (perte de l'index Redis,
+    // envois interrompus par un arrêt)
+    if (resilientMessageService) {
+      setInterval(
+        async () => {
+          try {
+            await scheduledMessageRepository.rebuildIndex();
+          } catch (error) {
+            console.error("❌ Erreur réindexation messages programmés:", error);
+          }
+        },
+        10 * 60 * 1000,
+      ); // 10 minutes
+    }
+
+    // Synchronisation des groupes d'unité sur l'organigramme
+    setInterval(
+      async () => {
+        try {
+          await syncUnitGroupsUseCase.execute();
+        } catch (error) {
+          console.error("❌ Erreur synchronisation groupes d'unité:", error);
+        }
+      },
+      (parseInt(process.env.UNIT_GROUP_SYNC_INTERVAL_MINUTES, 10) || 15) *
+        60 *
+        1000,
+    );
+
+    // ✅ ÉVÉNEMENTS ORGANIGRAMME (invalidation ciblée des caches)
+    if (redisClient) {
+      try {
+        const orgEventConsumer = new OrgEventConsumer(redisClient, {
+          visibilityClient: visibilityPolicyService.visibilityClient,
+          userCacheService,
+          conversationRepository,
+          syncUnitGroupsUseCase,
+        });
+        await orgEventConsumer.startConsumer();
+        app.locals.orgEventConsumer = orgEventConsumer;
+      } catch (error) {
+        console.error(
+          "❌ Erreur initialisation OrgEventConsumer:",
+          error.message,
+        );
+      }
+    }
+
     // ===============================
     // 14. DÉMARRAGE SERVEUR
     // ===============================
@@ -986,6 +1306,9 @@ const gracefulShutdown = async () => {
       console.log("✅ ResilientMessageService arrêté");
     }
 
+    // ✅ ARRÊTER L'ÉCOUTE DES RÉVOCATIONS DE SESSION
+    await SessionRevocation.unsubscribe();
+
     // ✅ FERMER LE CLIENT REDIS STREAMS (séparé du client principal)
     if (typeof redisStreamsClient !== "undefined" && redisStreamsClient) {
       try {
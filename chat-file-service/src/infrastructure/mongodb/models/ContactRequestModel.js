@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Profil figé au moment de la demande
+const participantSnapshotSchema = new Schema(
+  {
+    nom: { type: String, default: null },
+    prenom: { type: String, default: null },
+    avatar: { type: String, default: null },
+    ministere: { type: String, default: null },
+  },
+  {
+    _id: false,
+    timestamps: false,
+  },
+);
+
+const contactRequestSchema = new Schema(
+  {
+    requesterId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    targetId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    motive: {
+      type: String,
+      maxlength: 500,
+      trim: true,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["PENDING", "ACCEPTED", "DECLINED", "EXPIRED"],
+      default: "PENDING",
+      index: true,
+    },
+    // Conversation PRIVATE créée à l'acceptation
+    conversationId: {
+      type: String,
+      default: null,
+    },
+    requester: {
+      type: participantSnapshotSchema,
+      default: () => ({}),
+    },
+    target: {
+      type: participantSnapshotSchema,
+      default: () => ({}),
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "contact_requests",
+  },
+);
+
+// Une seule demande en attente par couple demandeur → destinataire
+contactRequestSchema.index(
+  { requesterId: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: "PENDING" } },
+);
+contactRequestSchema.index({ targetId: 1, status: 1, createdAt: -1 });
+contactRequestSchema.index({ requesterId: 1, status: 1, createdAt: -1 });
+
+// Configuration JSON
+contactRequestSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const ContactRequest = mongoose.model("ContactRequest", contactRequestSchema);
+
+module.exports = ContactRequest;
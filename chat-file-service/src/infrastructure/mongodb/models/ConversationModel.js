@@ -243,6 +243,7 @@ const conversationSchema = new Schema(
       maxParticipants: { type: Number, default: 200 },
       messageRetention: { type: Number, default: 0 }, // 0 = illimité
       autoDeleteAfter: { type: Number, default: 0 }, // 0 = jamais
+      allowForwarding: { type: Boolean, default: true }, // transfert des messages hors de la conversation
       // Pour BROADCAST
       broadcastAdmins: [{ type: String }], // IDs des admins/envoyeurs
       broadcastRecipients: [{ type: String }], // IDs des destinataires
@@ -255,6 +256,21 @@ const conversationSchema = new Schema(
       version: { type: Number, default: 1 },
       tags: [{ type: String }],
 
+      // Groupe d'unité : membres synchronisés sur le graphe de visibilité
+      unitGroup: {
+        type: new Schema(
+          {
+            unitId: { type: String, required: true },
+            unitName: { type: String, default: null },
+            managed: { type: Boolean, default: true },
+            enabledBy: { type: String, default: null },
+            enabledAt: { type: Date, default: Date.now },
+          },
+          { _id: false },
+        ),
+        default: null,
+      },
+
       // ✅ AUDIT LOG AVEC ENUM ÉTENDU
       auditLog: {
         type: [auditLogEntrySchema],
@@ -303,6 +319,7 @@ conversationSchema.index({ participants: 1, type: 1 });
 conversationSchema.index({ createdBy: 1, createdAt: -1 });
 conversationSchema.index({ "userMetadata.userId": 1 });
 conversationSchema.index({ isActive: 1, isArchived: 1 });
+conversationSchema.index({ "metadata.unitGroup.unitId": 1 }, { sparse: true });
 
 // ✅ MÉTHODES VIRTUELLES
 conversationSchema.virtual("participantCount").get(function () {
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Profil figé au moment de la délégation
+const userSnapshotSchema = new Schema(
+  {
+    nom: { type: String, default: null },
+    prenom: { type: String, default: null },
+    avatar: { type: String, default: null },
+  },
+  {
+    _id: false,
+    timestamps: false,
+  },
+);
+
+const inboxDelegationSchema = new Schema(
+  {
+    // Titulaire de la boîte (ex. directeur)
+    ownerId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Délégué (ex. secrétaire)
+    delegateId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    canReply: {
+      type: Boolean,
+      default: false,
+    },
+    // Fils sensibles invisibles pour le délégué
+    excludedConversationIds: {
+      type: [String],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["ACTIVE", "REVOKED"],
+      default: "ACTIVE",
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    owner: {
+      type: userSnapshotSchema,
+      default: () => ({}),
+    },
+    delegate: {
+      type: userSnapshotSchema,
+      default: () => ({}),
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "inbox_delegations",
+  },
+);
+
+// Une seule délégation active par couple titulaire → délégué
+inboxDelegationSchema.index(
+  { ownerId: 1, delegateId: 1 },
+  { unique: true, partialFilterExpression: { status: "ACTIVE" } },
+);
+
+// Configuration JSON
+inboxDelegationSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const InboxDelegation = mongoose.model(
+  "InboxDelegation",
+  inboxDelegationSchema,
+);
+
+module.exports = InboxDelegation;
@@ -75,6 +75,14 @@ const messageSchema = new mongoose.Schema(
       },
     ],
 
+    // Fichier joint (File._id est une chaîne) : un transfert réutilise le même
+    // fichier sans nouvel upload
+    fileId: {
+      type: String,
+      ref: "File",
+      default: null,
+    },
+
     // Dates de réception et de lecture (ajout explicite)
     receivedAt: {
       type: Date,
@@ -165,6 +173,14 @@ const messageSchema = new mongoose.Schema(
         },
       },
 
+      // Réponse déléguée : senderId = titulaire, delegateId = auteur réel
+      sentOnBehalfOf: {
+        ownerId: String,
+        delegateId: String,
+        delegationId: String,
+        delegateName: String,
+      },
+
       // Métadonnées spécifiques au contenu
       contentMetadata: {
         originalContent: String, // Pour les messages édités
@@ -192,6 +208,48 @@ const messageSchema = new mongoose.Schema(
       ref: "Message",
       default: null,
     },
+    // Extrait du message cité, figé à l'envoi (affiché même si l'original change)
+    quotedMessage: {
+      type: new mongoose.Schema(
+        {
+          messageId: String,
+          senderId: String,
+          senderName: String,
+          type: String,
+          content: String,
+          createdAt: Date,
+        },
+        { _id: false },
+      ),
+      default: null,
+    },
+    // Origine d'un message transféré (conservée d'un transfert à l'autre)
+    forwardedFrom: {
+      type: new mongoose.Schema(
+        {
+          messageId: String,
+          senderId: String,
+          senderName: String,
+          conversationId: String,
+          createdAt: Date,
+        },
+        { _id: false },
+      ),
+      default: null,
+    },
+    // Fil de réponses (sur le message parent), recalculé à chaque réponse
+    thread: {
+      replyCount: {
+        type: Number,
+        default: 0,
+      },
+      lastReply: {
+        messageId: String,
+        senderId: String,
+        content: String,
+        createdAt: Date,
+      },
+    },
     reactions: [
       {
         userId: {
@@ -208,6 +266,20 @@ const messageSchema = new mongoose.Schema(
         },
       },
     ],
+    // Agrégats par emoji, recalculés à chaque réaction (affichage sans parcourir reactions)
+    reactionSummary: [
+      {
+        _id: false,
+        emoji: {
+          type: String,
+          required: true,
+        },
+        count: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
 
     // Gestion des modifications
     editedAt: {
@@ -243,6 +315,10 @@ const messageSchema = new mongoose.Schema(
 
 // Index composés pour les requêtes courantes
 messageSchema.index({ conversationId: 1, createdAt: -1 }); // Messages par conversation
+messageSchema.index(
+  { replyTo: 1, createdAt: 1 },
+  { partialFilterExpression: { replyTo: { $type: "objectId" } } },
+); // Fils de réponses
 messageSchema.index({ senderId: 1, createdAt: -1 }); // Messages par expéditeur
 messageSchema.index({ receiverId: 1, status: 1 }); // Messages non lus
 messageSchema.index({ "metadata.kafkaMetadata.offset": 1 }); // Événements Kafka
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const scheduledMessageSchema = new Schema(
+  {
+    senderId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    conversationId: {
+      type: String,
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+      maxlength: 10000,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["TEXT"],
+      default: "TEXT",
+    },
+    replyTo: {
+      type: String,
+      default: null,
+    },
+    scheduledAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["PENDING", "SENDING", "SENT", "FAILED", "CANCELLED"],
+      default: "PENDING",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+      maxlength: 500,
+      default: null,
+    },
+    // Message réellement créé par SendMessage
+    sentMessageId: {
+      type: String,
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "scheduled_messages",
+  },
+);
+
+scheduledMessageSchema.index({ senderId: 1, status: 1, scheduledAt: 1 });
+// Reconstruction de l'index Redis au démarrage
+scheduledMessageSchema.index({ status: 1, scheduledAt: 1 });
+
+// Configuration JSON
+scheduledMessageSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const ScheduledMessage = mongoose.model(
+  "ScheduledMessage",
+  scheduledMessageSchema,
+);
+
+module.exports = ScheduledMessage;
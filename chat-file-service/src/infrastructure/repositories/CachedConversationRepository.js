@@ -38,14 +38,17 @@ class CachedConversationRepository {
       cursor = null,
       includeArchived = false,
       useCache = true,
+      excludeIds = [],
     } = options;
+    // Liste filtrée (boîte déléguée) : jamais lue ni écrite dans le cache du titulaire
+    const cacheable = useCache && excludeIds.length === 0;
 
     try {
       // ✅ STRATÉGIE CACHE DIFFÉRENCIÉE
       let cacheKey = null;
       let ttl = this.shortTTL;
 
-      if (useCache && this.cache) {
+      if (cacheable && this.cache) {
         if (cursor) {
           // Pagination avec cursor - cache court
           cacheKey = `${this.cacheKeyPrefix}:user:${userId}:cursor:${cursor}:${limit}`;
@@ -89,6 +92,7 @@ class CachedConversationRepository {
         cursor,
         includeArchived,
         useCache: false,
+        excludeIds,
       });
 
       // ✅ METTRE EN CACHE SELON LA STRATÉGIE
@@ -96,7 +100,7 @@ class CachedConversationRepository {
         `🔍 DEBUG CACHE: useCache=${useCache}, cache=${!!this.cache}, cacheKey=${cacheKey}, conversations=${result.conversations?.length || 0}`,
       );
       if (
-        useCache &&
+        cacheable &&
         this.cache &&
         cacheKey &&
         result.conversations?.length > 0
@@ -123,6 +127,7 @@ class CachedConversationRepository {
         page: 1,
         limit: 20,
         includeArchived: false,
+        excludeIds,
       });
 
       return {
@@ -534,6 +539,25 @@ class CachedConversationRepository {
     }
   }
 
+  /**
+   * ✅ METTRE À JOUR LE PROFIL userMetadata ET INVALIDER LES CONVERSATIONS TOUCHÉES
+   */
+  async updateUserMetadataProfile(userId, fields = {}) {
+    const conversations = await this.primaryStore.updateUserMetadataProfile(
+      userId,
+      fields,
+    );
+
+    for (const conversation of conversations) {
+      await this.invalidateConversationCaches(conversation._id, {
+        participants: conversation.participants,
+        invalidateConversation: true,
+      });
+    }
+
+    return conversations;
+  }
+
   /**
    * ✅ OBTENIR LE lastSeen D'UN UTILISATEUR
    */
@@ -541,6 +565,18 @@ class CachedConversationRepository {
     return await this.primaryStore.getLastSeenForUser(conversationId, userId);
   }
 
+  async findPrivateBetween(userA, userB) {
+    return await this.primaryStore.findPrivateBetween(userA, userB);
+  }
+
+  async findUnitGroup(unitId) {
+    return await this.primaryStore.findUnitGroup(unitId);
+  }
+
+  async findUnitGroups(options = {}) {
+    return await this.primaryStore.findUnitGroups(options);
+  }
+
   // ===== RECHERCHE =====
   async searchConversations(query, options = {}) {
     const { userId, useCache = false } = options;
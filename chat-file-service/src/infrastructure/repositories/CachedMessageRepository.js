@@ -4,10 +4,12 @@
  * ✅ OPTIMISÉ : Cache stratégique intelligent
  */
 class CachedMessageRepository {
-  constructor(messageRepository, cacheService) {
+  constructor(messageRepository, cacheService, mentionUnreadManager = null) {
     this.primaryStore = messageRepository;
     this.cache = cacheService;
     this.redis = cacheService?.redis || null;
+    // Mentions non lues : remises à zéro avec les non-lus de la conversation
+    this.mentionUnreadManager = mentionUnreadManager;
 
     // ✅ Configuration cache optimisée
     this.defaultTTL = 3600; // 1 heure
@@ -320,6 +322,12 @@ class CachedMessageRepository {
       const convKey = `${this.conversationUnreadPrefix}:${conversationId}:${userId}`;
 
       await Promise.all([this.redis.del(userKey), this.redis.del(convKey)]);
+      if (this.mentionUnreadManager) {
+        await this.mentionUnreadManager.resetMentionCount(
+          conversationId,
+          userId,
+        );
+      }
       console.log(`🔄 Unread réinitialisé: ${userId} dans ${conversationId}`);
       return true;
     } catch (error) {
@@ -454,6 +462,37 @@ class CachedMessageRepository {
     }
   }
 
+  async findThread(messageId, options = {}) {
+    return await this.primaryStore.findThread(messageId, options);
+  }
+
+  async refreshThreadSummary(messageId) {
+    const updated = await this.primaryStore.refreshThreadSummary(messageId);
+
+    // Les pages de messages en cache portent le résumé du fil
+    if (updated?.conversationId) {
+      await this.invalidateConversationCaches(updated.conversationId);
+    }
+
+    return updated;
+  }
+
+  async applyReaction(messageId, userId, emoji, mode = "add") {
+    const updated = await this.primaryStore.applyReaction(
+      messageId,
+      userId,
+      emoji,
+      mode,
+    );
+
+    // Les pages de messages en cache portent les réactions
+    if (updated?.conversationId) {
+      await this.invalidateConversationCaches(updated.conversationId);
+    }
+
+    return updated;
+  }
+
   async deleteMessage(messageId) {
     try {
       const result = await this.primaryStore.deleteById(messageId);
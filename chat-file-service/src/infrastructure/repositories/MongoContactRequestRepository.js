@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+const ContactRequestModel = require("../mongodb/models/ContactRequestModel");
+const ContactRequest = require("../../domain/entities/ContactRequest");
+
+const { STATUSES } = ContactRequest;
+
+class MongoContactRequestRepository {
+  _toEntity(doc) {
+    if (!doc) return null;
+    const obj = typeof doc.toObject === "function" ? doc.toObject() : doc;
+    return new ContactRequest({ ...obj, _id: String(obj._id) });
+  }
+
+  async save(contactRequest) {
+    contactRequest.validate();
+    const { _id, ...data } = contactRequest.toObject();
+
+    try {
+      const saved = await ContactRequestModel.create(
+        _id ? { _id, ...data } : data,
+      );
+      return this._toEntity(saved);
+    } catch (error) {
+      // Index partiel unique : demande déjà en attente pour ce couple
+      if (error.code === 11000) {
+        const duplicate = new Error(
+          "Une demande de contact est déjà en attente",
+        );
+        duplicate.code = "CONTACT_REQUEST_PENDING";
+        duplicate.status = 409;
+        throw duplicate;
+      }
+      throw error;
+    }
+  }
+
+  async findById(requestId) {
+    if (!mongoose.isValidObjectId(requestId)) return null;
+    return this._toEntity(await ContactRequestModel.findById(requestId).lean());
+  }
+
+  /**
+   * Demande en attente entre deux agents, dans un sens ou dans l'autre
+   */
+  async findPendingBetween(userA, userB) {
+    const doc = await ContactRequestModel.findOne({
+      status: STATUSES.PENDING,
+      expiresAt: { $gt: new Date() },
+      $or: [
+        { requesterId: userA, targetId: userB },
+        { requesterId: userB, targetId: userA },
+      ],
+    }).lean();
+    return this._toEntity(doc);
+  }
+
+  /**
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {string} [options.direction="incoming"] - incoming | outgoing
+   * @param {string} [options.status] - filtre de statut
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   */
+  async findByUser(
+    userId,
+    { direction = "incoming", status = null, page = 1, limit = 20 } = {},
+  ) {
+    const filter =
+      direction === "outgoing" ? { requesterId: userId } : { targetId: userId };
+    if (status) filter.status = status;
+
+    const [docs, total] = await Promise.all([
+      ContactRequestModel.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ContactRequestModel.countDocuments(filter),
+    ]);
+
+    return { requests: docs.map((doc) => this._toEntity(doc)), total };
+  }
+
+  /**
+   * Transition atomique depuis PENDING (deux réponses simultanées : une seule gagne)
+   * @returns {Promise<ContactRequest|null>} null si la demande n'est plus en attente
+   */
+  async transitionFromPending(requestId, status, fields = {}) {
+    const doc = await ContactRequestModel.findOneAndUpdate(
+      { _id: requestId, status: STATUSES.PENDING },
+      { $set: { status, ...fields } },
+      { new: true },
+    ).lean();
+    return this._toEntity(doc);
+  }
+
+  /**
+   * Passe en EXPIRED les demandes en attente échues
+   * @param {Object} [options]
+   * @param {Object} [options.filter] - restriction (ex. { requesterId, targetId })
+   * @returns {Promise<Array<ContactRequest>>} demandes expirées (pour notification)
+   */
+  async expireOverdue({ now = new Date(), filter = {}, batchSize = 500 } = {}) {
+    const overdue = await ContactRequestModel.find({
+      ...filter,
+      status: STATUSES.PENDING,
+      expiresAt: { $lte: now },
+    })
+      .limit(batchSize)
+      .lean();
+    if (overdue.length === 0) return [];
+
+    await ContactRequestModel.updateMany(
+      { _id: { $in: overdue.map((doc) => doc._id) }, status: STATUSES.PENDING },
+      { $set: { status: STATUSES.EXPIRED } },
+    );
+
+    return overdue.map((doc) =>
+      this._toEntity({ ...doc, status: STATUSES.EXPIRED }),
+    );
+  }
+}
+
+module.exports = MongoContactRequestRepository;
@@ -356,7 +356,13 @@ class MongoConversationRepository {
   }
 
   async findByParticipant(userId, options = {}) {
-    const { page = 1, limit = 20, type = null, useCache = true } = options;
+    const {
+      page = 1,
+      limit = 20,
+      type = null,
+      useCache = true,
+      excludeIds = [],
+    } = options;
     const startTime = Date.now();
 
     try {
@@ -371,6 +377,8 @@ class MongoConversationRepository {
       };
 
       if (type) filter.type = type;
+      // Fils exclus (boîte déléguée) : hors résultats ET hors totaux
+      if (excludeIds.length > 0) filter._id = { $nin: excludeIds.map(String) };
 
       const skip = (page - 1) * limit;
 
@@ -716,6 +724,49 @@ class MongoConversationRepository {
     }
   }
 
+  // Conversation privée existante entre deux utilisateurs
+  async findPrivateBetween(userA, userB) {
+    try {
+      return await Conversation.findOne({
+        type: "PRIVATE",
+        participants: { $all: [userA, userB], $size: 2 },
+      }).lean();
+    } catch (error) {
+      console.error("❌ Erreur findPrivateBetween conversation:", error);
+      throw error;
+    }
+  }
+
+  // Groupe rattaché à une unité organisationnelle
+  async findUnitGroup(unitId) {
+    try {
+      return await Conversation.findOne({
+        type: "GROUP",
+        "metadata.unitGroup.unitId": String(unitId),
+      }).lean();
+    } catch (error) {
+      console.error("❌ Erreur findUnitGroup conversation:", error);
+      throw error;
+    }
+  }
+
+  async findUnitGroups({ managedOnly = false } = {}) {
+    try {
+      const filter = {
+        type: "GROUP",
+        "metadata.unitGroup.unitId": { $exists: true },
+      };
+      if (managedOnly) filter["metadata.unitGroup.managed"] = true;
+
+      return await Conversation.find(filter)
+        .sort({ "metadata.unitGroup.unitName": 1 })
+        .lean();
+    } catch (error) {
+      console.error("❌ Erreur findUnitGroups conversations:", error);
+      throw error;
+    }
+  }
+
   async findAll(options = {}) {
     try {
       const { page = 1, limit = 50 } = options;
@@ -1272,6 +1323,43 @@ class MongoConversationRepository {
     }
   }
 
+  /**
+   * ✅ METTRE À JOUR LE PROFIL D'UN UTILISATEUR DANS SES userMetadata
+   * (departement, ministere) après un événement de l'organigramme
+   * @returns {Array} conversations touchées ({ _id, participants })
+   */
+  async updateUserMetadataProfile(userId, fields = {}) {
+    const $set = {};
+    for (const field of ["departement", "ministere"]) {
+      if (fields[field] !== undefined) {
+        $set[`userMetadata.$[elem].${field}`] =
+          fields[field] === null ? null : String(fields[field]);
+      }
+    }
+    if (Object.keys($set).length === 0) return [];
+
+    const filter = { "userMetadata.userId": String(userId) };
+    const conversations = await Conversation.find(filter, {
+      _id: 1,
+      participants: 1,
+    }).lean();
+    if (conversations.length === 0) return [];
+
+    const result = await Conversation.updateMany(
+      filter,
+      { $set },
+      { arrayFilters: [{ "elem.userId": String(userId) }] },
+    );
+
+    console.log(`✅ Profil userMetadata mis à jour:`, {
+      userId,
+      fields: Object.keys($set),
+      modifiedCount: result.modifiedCount,
+    });
+
+    return conversations;
+  }
+
   /**
    * ✅ OBTENIR LE lastSeen D'UN UTILISATEUR DANS UNE CONVERSATION
    */
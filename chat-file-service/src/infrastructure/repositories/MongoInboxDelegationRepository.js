@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+const InboxDelegationModel = require("../mongodb/models/InboxDelegationModel");
+const InboxDelegation = require("../../domain/entities/InboxDelegation");
+
+const { STATUSES } = InboxDelegation;
+
+class MongoInboxDelegationRepository {
+  _toEntity(doc) {
+    if (!doc) return null;
+    const obj = typeof doc.toObject === "function" ? doc.toObject() : doc;
+    return new InboxDelegation({ ...obj, _id: String(obj._id) });
+  }
+
+  async save(delegation) {
+    delegation.validate();
+    const { _id, ...data } = delegation.toObject();
+
+    try {
+      const saved = await InboxDelegationModel.create(
+        _id ? { _id, ...data } : data,
+      );
+      return this._toEntity(saved);
+    } catch (error) {
+      // Index partiel unique : délégation déjà active pour ce couple
+      if (error.code === 11000) {
+        const duplicate = new Error("Une délégation est déjà active");
+        duplicate.code = "INBOX_DELEGATION_EXISTS";
+        duplicate.status = 409;
+        throw duplicate;
+      }
+      throw error;
+    }
+  }
+
+  async findById(delegationId) {
+    if (!mongoose.isValidObjectId(delegationId)) return null;
+    return this._toEntity(
+      await InboxDelegationModel.findById(delegationId).lean(),
+    );
+  }
+
+  /**
+   * Délégation active (non révoquée) du titulaire vers le délégué.
+   * L'échéance expiresAt est vérifiée par l'appelant (isActive).
+   */
+  async findActive(ownerId, delegateId) {
+    const doc = await InboxDelegationModel.findOne({
+      ownerId,
+      delegateId,
+      status: STATUSES.ACTIVE,
+    }).lean();
+    return this._toEntity(doc);
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} role - "owner" (délégations accordées) | "delegate" (reçues)
+   */
+  async findByUser(userId, role, { includeRevoked = false } = {}) {
+    const filter =
+      role === "delegate" ? { delegateId: userId } : { ownerId: userId };
+    if (!includeRevoked) filter.status = STATUSES.ACTIVE;
+
+    const docs = await InboxDelegationModel.find(filter)
+      .sort({ createdAt: -1 })
+      .lean();
+    return docs.map((doc) => this._toEntity(doc));
+  }
+
+  async update(delegationId, fields) {
+    const doc = await InboxDelegationModel.findOneAndUpdate(
+      { _id: delegationId, status: STATUSES.ACTIVE },
+      { $set: fields },
+      { new: true },
+    ).lean();
+    return this._toEntity(doc);
+  }
+
+  async setExclusion(delegationId, conversationId, excluded) {
+    const doc = await InboxDelegationModel.findOneAndUpdate(
+      { _id: delegationId, status: STATUSES.ACTIVE },
+      excluded
+        ? { $addToSet: { excludedConversationIds: String(conversationId) } }
+        : { $pull: { excludedConversationIds: String(conversationId) } },
+      { new: true },
+    ).lean();
+    return this._toEntity(doc);
+  }
+
+  /**
+   * @returns {Promise<InboxDelegation|null>} null si déjà révoquée
+   */
+  async revoke(delegationId, revokedBy) {
+    const doc = await InboxDelegationModel.findOneAndUpdate(
+      { _id: delegationId, status: STATUSES.ACTIVE },
+      {
+        $set: {
+          status: STATUSES.REVOKED,
+          revokedAt: new Date(),
+          revokedBy,
+        },
+      },
+      { new: true },
+    ).lean();
+    return this._toEntity(doc);
+  }
+}
+
+module.exports = MongoInboxDelegationRepository;
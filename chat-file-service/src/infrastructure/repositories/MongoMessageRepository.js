@@ -288,6 +288,91 @@ class MongoMessageRepository {
     }
   }
 
+  /**
+   * ✅ RÉPONSES À UN MESSAGE, PAGINÉES PAR CURSOR (ordre chronologique par défaut)
+   */
+  async findThread(messageId, options = {}) {
+    const { cursor = null, limit = 50, direction = "newer" } = options;
+
+    try {
+      this.metrics.dbQueries++;
+
+      const filter = {
+        replyTo: new mongoose.Types.ObjectId(messageId),
+        deletedAt: null,
+      };
+      if (cursor) {
+        filter.createdAt =
+          direction === "older"
+            ? { $lt: new Date(cursor) }
+            : { $gt: new Date(cursor) };
+      }
+
+      const messages = await Message.find(filter)
+        .sort({ createdAt: direction === "older" ? -1 : 1 })
+        .limit(limit + 1) // +1 pour détecter hasMore
+        .lean();
+
+      const hasMore = messages.length > limit;
+      const resultMessages = hasMore ? messages.slice(0, limit) : messages;
+      const nextCursor =
+        hasMore && resultMessages.length > 0
+          ? resultMessages[resultMessages.length - 1].createdAt.toISOString()
+          : null;
+
+      return { messages: resultMessages, nextCursor, hasMore };
+    } catch (error) {
+      this.metrics.errors++;
+      console.error(`❌ Erreur findThread ${messageId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * ✅ RECALCULER LE RÉSUMÉ DU FIL (replyCount, lastReply) SUR LE PARENT
+   * Recalcul depuis les réponses : reste juste après une suppression
+   * @returns {Object|null} parent mis à jour (lean)
+   */
+  async refreshThreadSummary(messageId) {
+    try {
+      this.metrics.dbQueries++;
+
+      const filter = {
+        replyTo: new mongoose.Types.ObjectId(messageId),
+        deletedAt: null,
+      };
+      const [replyCount, lastReply] = await Promise.all([
+        Message.countDocuments(filter),
+        Message.findOne(filter).sort({ createdAt: -1 }).lean(),
+      ]);
+
+      const updated = await Message.findByIdAndUpdate(
+        messageId,
+        {
+          $set: {
+            "thread.replyCount": replyCount,
+            "thread.lastReply": lastReply
+              ? {
+                  messageId: String(lastReply._id),
+                  senderId: lastReply.senderId,
+                  content: (lastReply.content || "").substring(0, 200),
+                  createdAt: lastReply.createdAt,
+                }
+              : null,
+          },
+        },
+        { new: true },
+      ).lean();
+
+      console.log(`🧵 Fil ${messageId}: ${replyCount} réponse(s)`);
+      return updated;
+    } catch (error) {
+      this.metrics.errors++;
+      console.error(`❌ Erreur refreshThreadSummary ${messageId}:`, error);
+      throw error;
+    }
+  }
+
   async updateMessageStatus(
     conversationId,
     receiverId,
@@ -454,6 +539,108 @@ class MongoMessageRepository {
     }
   }
 
+  /**
+   * ✅ APPLIQUER UNE RÉACTION (une seule réaction par utilisateur)
+   * Mise à jour atomique en pipeline : reactions puis reactionSummary recalculé
+   * @param {string} mode - "add" (pose ou remplace), "toggle", "remove"
+   * @returns {Object|null} message mis à jour (lean)
+   */
+  async applyReaction(messageId, userId, emoji, mode = "add") {
+    const startTime = Date.now();
+
+    try {
+      this.metrics.dbQueries++;
+
+      const reactions = { $ifNull: ["$reactions", []] };
+      const others = {
+        $filter: {
+          input: reactions,
+          cond: { $ne: ["$$this.userId", { $literal: String(userId) }] },
+        },
+      };
+      const withMine = {
+        $concatArrays: [
+          others,
+          [
+            {
+              userId: { $literal: String(userId) },
+              emoji: { $literal: emoji },
+              timestamp: "$$NOW",
+            },
+          ],
+        ],
+      };
+      const sameEmoji = {
+        $gt: [
+          {
+            $size: {
+              $filter: {
+                input: reactions,
+                cond: {
+                  $and: [
+                    { $eq: ["$$this.userId", { $literal: String(userId) }] },
+                    { $eq: ["$$this.emoji", { $literal: emoji }] },
+                  ],
+                },
+              },
+            },
+          },
+          0,
+        ],
+      };
+
+      const nextReactions = {
+        add: withMine,
+        toggle: { $cond: [sameEmoji, others, withMine] },
+        remove: others,
+      }[mode];
+
+      const updated = await Message.findOneAndUpdate(
+        { _id: messageId },
+        [
+          { $set: { reactions: nextReactions } },
+          {
+            $set: {
+              reactionSummary: {
+                $sortArray: {
+                  input: {
+                    $map: {
+                      input: { $setUnion: ["$reactions.emoji"] },
+                      as: "emoji",
+                      in: {
+                        emoji: "$$emoji",
+                        count: {
+                          $size: {
+                            $filter: {
+                              input: "$reactions",
+                              cond: { $eq: ["$$this.emoji", "$$emoji"] },
+                            },
+                          },
+                        },
+                      },
+                    },
+                  },
+                  sortBy: { count: -1, emoji: 1 },
+                },
+              },
+              updatedAt: "$$NOW",
+            },
+          },
+        ],
+        { new: true },
+      ).lean();
+
+      console.log(
+        `😀 Réaction ${mode} sur ${messageId} par ${userId} (${Date.now() - startTime}ms)`,
+      );
+      return updated;
+    } catch (error) {
+      this.metrics.errors++;
+      console.error(`❌ Erreur réaction message ${messageId}:`, error);
+      throw error;
+    }
+  }
+
   async getUnreadCount(userId, conversationId = null) {
     const startTime = Date.now();
 
@@ -0,0 +1,233 @@
+const mongoose = require("mongoose");
+const ScheduledMessageModel = require("../mongodb/models/ScheduledMessageModel");
+const ScheduledMessage = require("../../domain/entities/ScheduledMessage");
+
+const { STATUSES } = ScheduledMessage;
+
+const DEFAULT_INDEX_KEY = "chat:cache:scheduled_messages";
+
+/**
+ * Messages programmés : MongoDB fait foi, le sorted set Redis
+ * (score = scheduledAt en ms) sert d'index d'échéances au
+ * ScheduledMessageWorker. Index perdu ou Redis indisponible :
+ * rebuildIndex() le reconstruit depuis les PENDING.
+ */
+class MongoScheduledMessageRepository {
+  constructor(redisClient = null, { indexKey = DEFAULT_INDEX_KEY } = {}) {
+    this.redisClient = redisClient;
+    this.indexKey = indexKey;
+  }
+
+  _toEntity(doc) {
+    if (!doc) return null;
+    const obj = typeof doc.toObject === "function" ? doc.toObject() : doc;
+    return new ScheduledMessage({ ...obj, _id: String(obj._id) });
+  }
+
+  async _index(scheduledMessage) {
+    if (!this.redisClient || !scheduledMessage?.isPending()) return;
+
+    try {
+      await this.redisClient.zAdd(this.indexKey, {
+        score: new Date(scheduledMessage.scheduledAt).getTime(),
+        value: String(scheduledMessage._id),
+      });
+    } catch (error) {
+      console.warn("⚠️ Indexation message programmé:", error.message);
+    }
+  }
+
+  async _unindex(scheduledMessageId) {
+    if (!this.redisClient) return;
+
+    try {
+      await this.redisClient.zRem(this.indexKey, String(scheduledMessageId));
+    } catch (error) {
+      console.warn("⚠️ Désindexation message programmé:", error.message);
+    }
+  }
+
+  async save(scheduledMessage) {
+    scheduledMessage.validate();
+    const { _id, ...data } = scheduledMessage.toObject();
+
+    const saved = this._toEntity(
+      await ScheduledMessageModel.create(_id ? { _id, ...data } : data),
+    );
+    await this._index(saved);
+    return saved;
+  }
+
+  async findById(scheduledMessageId) {
+    if (!mongoose.isValidObjectId(scheduledMessageId)) return null;
+    return this._toEntity(
+      await ScheduledMessageModel.findById(scheduledMessageId).lean(),
+    );
+  }
+
+  /**
+   * @param {string} senderId
+   * @param {Object} [options]
+   * @param {string} [options.status] - filtre de statut
+   * @param {string} [options.conversationId]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   */
+  async findBySender(
+    senderId,
+    { status = null, conversationId = null, page = 1, limit = 20 } = {},
+  ) {
+    const filter = { senderId };
+    if (status) filter.status = status;
+    if (conversationId) filter.conversationId = conversationId;
+
+    const [docs, total] = await Promise.all([
+      ScheduledMessageModel.find(filter)
+        .sort({ scheduledAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ScheduledMessageModel.countDocuments(filter),
+    ]);
+
+    return {
+      scheduledMessages: docs.map((doc) => this._toEntity(doc)),
+      total,
+    };
+  }
+
+  async countPending(senderId) {
+    return ScheduledMessageModel.countDocuments({
+      senderId,
+      status: STATUSES.PENDING,
+    });
+  }
+
+  /**
+   * Modification atomique tant que le message n'est pas parti
+   * @returns {Promise<ScheduledMessage|null>} null s'il n'est plus PENDING
+   */
+  async updatePending(scheduledMessageId, fields) {
+    const updated = this._toEntity(
+      await ScheduledMessageModel.findOneAndUpdate(
+        { _id: scheduledMessageId, status: STATUSES.PENDING },
+        { $set: fields },
+        { new: true, runValidators: true },
+      ).lean(),
+    );
+    await this._index(updated);
+    return updated;
+  }
+
+  /**
+   * @returns {Promise<ScheduledMessage|null>} null s'il n'est plus PENDING
+   */
+  async cancelPending(scheduledMessageId) {
+    const cancelled = this._toEntity(
+      await ScheduledMessageModel.findOneAndUpdate(
+        { _id: scheduledMessageId, status: STATUSES.PENDING },
+        {
+          $set: { status: STATUSES.CANCELLED, cancelledAt: new Date() },
+        },
+        { new: true },
+      ).lean(),
+    );
+    if (cancelled) await this._unindex(scheduledMessageId);
+    return cancelled;
+  }
+
+  /**
+   * Prise en charge d'un envoi. Premier essai : PENDING échu → SENDING.
+   * Rejeu n : reste SENDING, attempts sert de jeton (les instances lisent
+   * toutes le stream retry, une seule doit renvoyer).
+   * @returns {Promise<ScheduledMessage|null>} null si déjà pris, annulé ou
+   *   reprogrammé plus tard
+   */
+  async claim(scheduledMessageId, attempt, now = new Date()) {
+    const filter =
+      attempt <= 1
+        ? { status: STATUSES.PENDING, scheduledAt: { $lte: now } }
+        : { status: STATUSES.SENDING, attempts: attempt - 1 };
+
+    return this._toEntity(
+      await ScheduledMessageModel.findOneAndUpdate(
+        { _id: scheduledMessageId, ...filter },
+        { $set: { status: STATUSES.SENDING }, $inc: { attempts: 1 } },
+        { new: true },
+      ).lean(),
+    );
+  }
+
+  async markSent(scheduledMessageId, sentMessageId) {
+    return this._toEntity(
+      await ScheduledMessageModel.findOneAndUpdate(
+        { _id: scheduledMessageId, status: STATUSES.SENDING },
+        {
+          $set: {
+            status: STATUSES.SENT,
+            sentMessageId,
+            sentAt: new Date(),
+            lastError: null,
+          },
+        },
+        { new: true },
+      ).lean(),
+    );
+  }
+
+  /**
+   * @param {boolean} final - true : FAILED ; false : reste SENDING jusqu'au rejeu
+   */
+  async recordFailure(scheduledMessageId, errorMessage, final) {
+    return this._toEntity(
+      await ScheduledMessageModel.findOneAndUpdate(
+        { _id: scheduledMessageId, status: STATUSES.SENDING },
+        {
+          $set: {
+            lastError: String(errorMessage || "Erreur inconnue").substring(
+              0,
+              500,
+            ),
+            ...(final && { status: STATUSES.FAILED }),
+          },
+        },
+        { new: true },
+      ).lean(),
+    );
+  }
+
+  /**
+   * Réindexe tous les PENDING. Un SENDING resté sans nouvelles plus de
+   * staleAfterMs (instance arrêtée en plein envoi) repasse PENDING, essais
+   * remis à zéro pour que le jeton de claim() reparte du premier envoi.
+   * @returns {Promise<number>} nombre de messages indexés
+   */
+  async rebuildIndex({ staleAfterMs = 10 * 60 * 1000 } = {}) {
+    if (!this.redisClient) return 0;
+
+    await ScheduledMessageModel.updateMany(
+      {
+        status: STATUSES.SENDING,
+        updatedAt: { $lt: new Date(Date.now() - staleAfterMs) },
+      },
+      { $set: { status: STATUSES.PENDING, attempts: 0 } },
+    );
+
+    const pending = await ScheduledMessageModel.find(
+      { status: STATUSES.PENDING },
+      { _id: 1, scheduledAt: 1 },
+    ).lean();
+    if (pending.length === 0) return 0;
+
+    await this.redisClient.zAdd(
+      this.indexKey,
+      pending.map((doc) => ({
+        score: new Date(doc.scheduledAt).getTime(),
+        value: String(doc._id),
+      })),
+    );
+    return pending.length;
+  }
+}
+
+module.exports = MongoScheduledMessageRepository;
@@ -0,0 +1,69 @@
+/**
+ * ContactRequestNotifier - Notifications temps réel des demandes de contact
+ *
+ * Émis dans les rooms user_{id} (tous les appareils) :
+ * - contact_request:received  → destinataire
+ * - contact_request:sent      → demandeur
+ * - contact_request:accepted  → les deux (avec la conversation créée)
+ * - contact_request:declined  → les deux
+ * - contact_request:expired   → les deux
+ */
+class ContactRequestNotifier {
+  constructor(io = null) {
+    this.io = io;
+  }
+
+  _emit(userId, event, payload) {
+    if (!this.io || !userId) return;
+
+    try {
+      this.io.to(`user_${userId}`).emit(event, {
+        ...payload,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.warn(
+        `⚠️ [ContactRequestNotifier] Erreur émission ${event}:`,
+        error.message,
+      );
+    }
+  }
+
+  _emitBoth(request, event, payload) {
+    this._emit(request.requesterId, event, payload);
+    this._emit(request.targetId, event, payload);
+  }
+
+  requested(request) {
+    const payload = { request: request.toObject() };
+    this._emit(request.targetId, "contact_request:received", payload);
+    this._emit(request.requesterId, "contact_request:sent", payload);
+  }
+
+  accepted(request, conversation) {
+    this._emitBoth(request, "contact_request:accepted", {
+      request: request.toObject(),
+      conversation: {
+        id: String(conversation._id),
+        name: conversation.name,
+        type: conversation.type,
+        participants: conversation.participants,
+        createdBy: conversation.createdBy,
+      },
+    });
+  }
+
+  declined(request) {
+    this._emitBoth(request, "contact_request:declined", {
+      request: request.toObject(),
+    });
+  }
+
+  expired(request) {
+    this._emitBoth(request, "contact_request:expired", {
+      request: request.toObject(),
+    });
+  }
+}
+
+module.exports = ContactRequestNotifier;
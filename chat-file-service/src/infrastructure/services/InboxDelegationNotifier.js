@@ -0,0 +1,47 @@
+/**
+ * InboxDelegationNotifier - Notifications temps réel des délégations de boîte
+ *
+ * Émis dans les rooms user_{id} du titulaire et du délégué :
+ * - inbox_delegation:granted
+ * - inbox_delegation:updated  (droit de réponse, échéance, exclusions)
+ * - inbox_delegation:revoked
+ */
+class InboxDelegationNotifier {
+  constructor(io = null) {
+    this.io = io;
+  }
+
+  _emitBoth(delegation, event) {
+    if (!this.io) return;
+
+    const payload = {
+      delegation: delegation.toObject(),
+      timestamp: new Date().toISOString(),
+    };
+
+    [delegation.ownerId, delegation.delegateId].forEach((userId) => {
+      try {
+        this.io.to(`user_${userId}`).emit(event, payload);
+      } catch (error) {
+        console.warn(
+          `⚠️ [InboxDelegationNotifier] Erreur émission ${event}:`,
+          error.message,
+        );
+      }
+    });
+  }
+
+  granted(delegation) {
+    this._emitBoth(delegation, "inbox_delegation:granted");
+  }
+
+  updated(delegation) {
+    this._emitBoth(delegation, "inbox_delegation:updated");
+  }
+
+  revoked(delegation) {
+    this._emitBoth(delegation, "inbox_delegation:revoked");
+  }
+}
+
+module.exports = InboxDelegationNotifier;
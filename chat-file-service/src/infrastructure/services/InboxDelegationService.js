@@ -0,0 +1,77 @@
+const fail = (message, code, status = 403) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const ACTIONS = {
+  READ: "READ",
+  REPLY: "REPLY",
+};
+
+/**
+ * InboxDelegationService - Contrôle d'accès « de la part de »
+ *
+ * Utilisé par GetConversations / GetMessages / SendMessage quand onBehalfOf
+ * désigne un autre utilisateur que l'appelant.
+ */
+class InboxDelegationService {
+  constructor(inboxDelegationRepository) {
+    this.inboxDelegationRepository = inboxDelegationRepository;
+  }
+
+  /**
+   * @param {string} delegateId - utilisateur connecté
+   * @param {string} ownerId - titulaire de la boîte
+   * @param {Object} [options]
+   * @param {Object} [options.conversation] - conversation ciblée (participants, _id)
+   * @param {string} [options.action="READ"] - READ | REPLY
+   * @returns {Promise<InboxDelegation>}
+   */
+  async assertAccess(
+    delegateId,
+    ownerId,
+    { conversation = null, action = ACTIONS.READ } = {},
+  ) {
+    const delegation = await this.inboxDelegationRepository.findActive(
+      String(ownerId),
+      String(delegateId),
+    );
+    if (!delegation || !delegation.isActive()) {
+      throw fail(
+        `Aucune délégation active de ${ownerId} vers ${delegateId}`,
+        "INBOX_DELEGATION_REQUIRED",
+      );
+    }
+
+    if (conversation) {
+      const participants = (conversation.participants || []).map(String);
+      if (!participants.includes(String(ownerId))) {
+        throw fail(
+          "Conversation hors de la boîte du titulaire",
+          "NOT_OWNER_CONVERSATION",
+        );
+      }
+      if (delegation.isExcluded(conversation._id || conversation.id)) {
+        throw fail(
+          "Conversation exclue de la délégation",
+          "CONVERSATION_EXCLUDED",
+        );
+      }
+    }
+
+    if (action === ACTIONS.REPLY && !delegation.canReply) {
+      throw fail(
+        "La délégation n'autorise pas les réponses",
+        "REPLY_NOT_ALLOWED",
+      );
+    }
+
+    return delegation;
+  }
+}
+
+InboxDelegationService.ACTIONS = ACTIONS;
+
+module.exports = InboxDelegationService;
@@ -1060,14 +1060,22 @@ class MessageDeliveryService {
 
       // ✅ CAS 11 : RÉACTIONS
       case "reactions":
-        // Les réactions sont broadcastées à tous
-        await this.deliverReactionEvent(message);
+        if (
+          message.conversationId &&
+          (await this.isUserInConversation(userIdStr, message.conversationId))
+        ) {
+          await this.deliverReactionEvent(message, userIdStr);
+        }
         break;
 
       // ✅ CAS 12 : RÉPONSES
       case "replies":
-        // Les réponses sont broadcastées à tous
-        await this.deliverReplyEvent(message);
+        if (
+          message.conversationId &&
+          (await this.isUserInConversation(userIdStr, message.conversationId))
+        ) {
+          await this.deliverReplyEvent(message, userIdStr);
+        }
         break;
 
       // ✅ CAS 13 : ANALYTICS
@@ -1083,6 +1091,59 @@ class MessageDeliveryService {
   /**
    * ✅ LIVRER UN MESSAGE PRIVÉ
    */
+  /**
+   * ✅ MÉTADONNÉES CLIENT : les champs de stream sont plats (sentOnBehalfOf en JSON)
+   */
+  buildMessageMetadata(message) {
+    if (!message.sentOnBehalfOf) return message.metadata;
+
+    try {
+      return {
+        ...(message.metadata || {}),
+        sentOnBehalfOf: JSON.parse(message.sentOnBehalfOf),
+      };
+    } catch (error) {
+      return message.metadata;
+    }
+  }
+
+  /**
+   * ✅ RÉPONSE : replyTo + extrait cité (quotedMessage en JSON dans le stream)
+   */
+  buildReplyFields(message) {
+    if (!message.replyTo) return {};
+
+    try {
+      return {
+        replyTo: message.replyTo,
+        quotedMessage:
+          typeof message.quotedMessage === "string"
+            ? JSON.parse(message.quotedMessage)
+            : message.quotedMessage || null,
+      };
+    } catch (error) {
+      return { replyTo: message.replyTo, quotedMessage: null };
+    }
+  }
+
+  /**
+   * ✅ TRANSFERT : fichier réutilisé + origine (forwardedFrom en JSON dans le stream)
+   */
+  buildForwardFields(message) {
+    const fields = message.fileId ? { fileId: message.fileId } : {};
+    if (!message.forwardedFrom) return fields;
+
+    try {
+      fields.forwardedFrom =
+        typeof message.forwardedFrom === "string"
+          ? JSON.parse(message.forwardedFrom)
+          : message.forwardedFrom;
+    } catch (error) {
+      fields.forwardedFrom = null;
+    }
+    return fields;
+  }
+
   async deliverPrivateMessage(message, userId) {
     try {
       const socketIds = this.userSockets.get(userId);
@@ -1108,7 +1169,9 @@ class MessageDeliveryService {
             type: message.type,
             status: message.status || "SENT",
             timestamp: message.timestamp,
-            metadata: message.metadata,
+            metadata: this.buildMessageMetadata(message),
+            ...this.buildReplyFields(message),
+            ...this.buildForwardFields(message),
           });
         }
       }
@@ -1143,7 +1206,9 @@ class MessageDeliveryService {
         subType: message.subType,
         status: message.status || "DELIVERED",
         timestamp: message.timestamp || message.createdAt,
-        metadata: message.metadata,
+        metadata: this.buildMessageMetadata(message),
+        ...this.buildReplyFields(message),
+        ...this.buildForwardFields(message),
       };
 
       // ✅ ENVOYER À TOUTES LES CONNEXIONS DE L'UTILISATEUR
@@ -1349,7 +1414,9 @@ class MessageDeliveryService {
         type: message.type,
         status: message.status || "DELIVERED",
         timestamp: message.timestamp || message.createdAt,
-        metadata: message.metadata,
+        metadata: this.buildMessageMetadata(message),
+        ...this.buildReplyFields(message),
+        ...this.buildForwardFields(message),
       };
 
       // ✅ ENVOYER À TOUTES LES CONNEXIONS DE L'UTILISATEUR
@@ -1909,15 +1976,96 @@ class MessageDeliveryService {
     }
   }
 
+  /**
+   * ✅ LIVRER UNE NOTIFICATION CIBLÉE (message.userId)
+   * Les mentions partent en "mention", sourdine comprise : conversationMuted
+   * indique au client que l'alerte passe outre
+   */
+  async deliverNotification(message, userId) {
+    try {
+      const userIdStr = String(userId);
+      if (message.userId && String(message.userId) !== userIdStr) return;
+
+      const socketIds = this.userSockets.get(userIdStr);
+      if (!socketIds || socketIds.length === 0) {
+        return;
+      }
+
+      const payload =
+        message.type === "MENTION"
+          ? {
+              messageId: message.messageId,
+              conversationId: message.conversationId,
+              conversationName: message.title,
+              senderId: message.senderId,
+              content: message.message,
+              all: message.all === "true",
+              mentionCount: parseInt(message.mentionCount) || null,
+              conversationMuted: message.conversationMuted === "true",
+              timestamp: message.timestamp,
+            }
+          : {
+              title: message.title,
+              message: message.message,
+              type: message.type || "INFO",
+              timestamp: message.timestamp,
+            };
+      const eventName = message.type === "MENTION" ? "mention" : "notification";
+
+      for (const socketId of socketIds) {
+        const socket = this.io.sockets.sockets.get(socketId);
+        if (socket) {
+          socket.emit(eventName, payload);
+        }
+      }
+
+      console.log(`🔔 ${eventName} livrée à ${userIdStr}`);
+    } catch (error) {
+      console.error("❌ Erreur livraison notification:", error);
+    }
+  }
+
   /**
    * ✅ LIVRER UN ÉVÉNEMENT RÉACTION
+   * Aux participants de la conversation (tous leurs appareils), ou au seul
+   * targetUserId pour un événement en attente
    */
-  async deliverReactionEvent(message) {
+  async deliverReactionEvent(message, targetUserId = null) {
     try {
       const messageId = String(message.messageId);
+      const conversationId = String(message.conversationId);
 
-      // ✅ LIVRER À TOUS LES UTILISATEURS CONNECTÉS (broadcast)
-      for (const [userId, socketIds] of this.userSockets.entries()) {
+      let recipients = [];
+      if (targetUserId) {
+        recipients = [String(targetUserId)];
+      } else if (message.participants) {
+        try {
+          const parsedParticipants =
+            typeof message.participants === "string"
+              ? JSON.parse(message.participants)
+              : message.participants;
+          recipients = parsedParticipants.map(String);
+        } catch (parseErr) {
+          console.warn("⚠️ Erreur parsing participants:", parseErr.message);
+        }
+      }
+      if (recipients.length === 0) {
+        recipients = await this.getAllConversationParticipants(conversationId);
+      }
+
+      let reactions = [];
+      try {
+        reactions =
+          typeof message.reactions === "string"
+            ? JSON.parse(message.reactions)
+            : message.reactions || [];
+      } catch (parseErr) {
+        console.warn("⚠️ Erreur parsing agrégats réactions:", parseErr.message);
+      }
+
+      let delivered = 0;
+      for (const userId of recipients) {
+        const socketIds = this.userSockets.get(userId);
         if (!socketIds || socketIds.length === 0) continue;
 
         for (const socketId of socketIds) {
@@ -1925,49 +2073,85 @@ class MessageDeliveryService {
           if (socket) {
             socket.emit("message:reaction", {
               messageId: message.messageId,
+              conversationId: message.conversationId,
               userId: message.userId,
-              reaction: message.reaction,
-              action: message.action, // "add" ou "remove"
+              reaction: message.emoji || null,
+              previousReaction: message.previousEmoji || null,
+              action: message.action, // "add", "replace" ou "remove"
+              reactions, // [{ emoji, count }]
               timestamp: message.timestamp,
             });
+            delivered++;
           }
         }
       }
 
-      console.log(`😀 Réaction livrée pour message: ${messageId}`);
+      console.log(
+        `😀 Réaction livrée pour message ${messageId} (${delivered} socket(s))`,
+      );
     } catch (error) {
       console.error("❌ Erreur livraison réaction:", error);
     }
   }
 
   /**
-   * ✅ LIVRER UN ÉVÉNEMENT RÉPONSE
+   * ✅ LIVRER LA MISE À JOUR D'UN FIL (thread:updated)
+   * Aux participants de la conversation, ou au seul targetUserId
    */
-  async deliverReplyEvent(message) {
+  async deliverReplyEvent(message, targetUserId = null) {
     try {
       const messageId = String(message.messageId);
+      const conversationId = String(message.conversationId);
 
-      // ✅ LIVRER À TOUS LES UTILISATEURS CONNECTÉS (broadcast)
-      for (const [userId, socketIds] of this.userSockets.entries()) {
+      let recipients = [];
+      if (targetUserId) {
+        recipients = [String(targetUserId)];
+      } else if (message.participants) {
+        try {
+          const parsedParticipants =
+            typeof message.participants === "string"
+              ? JSON.parse(message.participants)
+              : message.participants;
+          recipients = parsedParticipants.map(String);
+        } catch (parseErr) {
+          console.warn("⚠️ Erreur parsing participants:", parseErr.message);
+        }
+      }
+      if (recipients.length === 0) {
+        recipients = await this.getAllConversationParticipants(conversationId);
+      }
+
+      let lastReply = null;
+      try {
+        lastReply =
+          typeof message.lastReply === "string"
+            ? JSON.parse(message.lastReply)
+            : message.lastReply || null;
+      } catch (parseErr) {
+        console.warn("⚠️ Erreur parsing dernière réponse:", parseErr.message);
+      }
+
+      for (const userId of recipients) {
+        const socketIds = this.userSockets.get(userId);
         if (!socketIds || socketIds.length === 0) continue;
 
         for (const socketId of socketIds) {
           const socket = this.io.sockets.sockets.get(socketId);
           if (socket) {
-            socket.emit("message:reply", {
+            socket.emit("thread:updated", {
               messageId: message.messageId,
-              replyId: message.replyId,
-              userId: message.userId,
-              content: message.content,
+              conversationId: message.conversationId,
+              replyCount: parseInt(message.replyCount, 10) || 0,
+              lastReply,
               timestamp: message.timestamp,
             });
           }
         }
       }
 
-      console.log(`💬 Réponse livrée pour message: ${messageId}`);
+      console.log(`🧵 Fil mis à jour livré pour message: ${messageId}`);
     } catch (error) {
-      console.error("❌ Erreur livraison réponse:", error);
+      console.error("❌ Erreur livraison fil:", error);
     }
   }
 
@@ -2554,10 +2738,18 @@ class MessageDeliveryService {
           eventJson = JSON.stringify({
             eventType: "notifications",
             userId: eventData.userId,
+            type: eventData.type,
             title: eventData.title,
             message: eventData.message,
             level: eventData.level,
             payload: eventData.payload,
+            // ✅ MENTION (livrée à la reconnexion, sourdine comprise)
+            messageId: eventData.messageId,
+            conversationId: eventData.conversationId,
+            senderId: eventData.senderId,
+            all: eventData.all,
+            mentionCount: eventData.mentionCount,
+            conversationMuted: eventData.conversationMuted,
             timestamp: eventData.timestamp,
           });
           break;
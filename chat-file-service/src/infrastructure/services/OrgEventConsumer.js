@@ -0,0 +1,254 @@
+const os = require("os");
+
+/**
+ * OrgEventConsumer - Événements de l'organigramme publiés par visibility-service
+ * ✅ Consumer groupe Redis Streams sur chat:stream:events:org
+ * ✅ visibility.invalidated → copies locales des listes visibles supprimées
+ * ✅ agent.* → cache utilisateur + userMetadata (departement, ministere)
+ * ✅ Unités touchées → resynchronisation des groupes d'unité gérés
+ *
+ * Les caches étant partagés dans Redis, un seul groupe suffit pour toutes les
+ * instances : chaque événement est traité une fois.
+ */
+class OrgEventConsumer {
+  constructor(
+    redis,
+    {
+      visibilityClient = null,
+      userCacheService = null,
+      conversationRepository = null,
+      syncUnitGroupsUseCase = null,
+    } = {},
+  ) {
+    this.redis = redis;
+    this.visibilityClient = visibilityClient;
+    this.userCacheService = userCacheService;
+    this.conversationRepository = conversationRepository;
+    this.syncUnitGroupsUseCase = syncUnitGroupsUseCase;
+
+    this.STREAM_NAME =
+      process.env.ORG_EVENTS_STREAM || "chat:stream:events:org";
+    this.CONSUMER_GROUP = "chat-file-service-org";
+    this.CONSUMER_NAME = `${os.hostname()}-${process.pid}`;
+    this.POLL_INTERVAL = 1000;
+    this.BATCH_SIZE = 50;
+
+    this.interval = null;
+    this.running = false;
+
+    console.log("✅ OrgEventConsumer initialisé");
+  }
+
+  /**
+   * ✅ INITIALISER LE CONSUMER GROUP
+   */
+  async initConsumerGroup() {
+    try {
+      await this.redis.xGroupCreate(
+        this.STREAM_NAME,
+        this.CONSUMER_GROUP,
+        "$",
+        {
+          MKSTREAM: true,
+        },
+      );
+      console.log(`✅ Consumer group créé: ${this.CONSUMER_GROUP}`);
+    } catch (err) {
+      if (err.message.includes("BUSYGROUP")) {
+        console.log(`ℹ️ Consumer group ${this.CONSUMER_GROUP} existe déjà`);
+      } else {
+        console.error(`❌ Erreur création consumer group:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * ✅ DÉMARRER LE CONSUMER DES ÉVÉNEMENTS ORGANIGRAMME
+   */
+  async startConsumer() {
+    if (this.interval) return;
+
+    await this.initConsumerGroup();
+    this.interval = setInterval(
+      () => this.consumeOrgEvents(),
+      this.POLL_INTERVAL,
+    );
+    console.log("✅ Consumer organigramme démarré");
+  }
+
+  stopConsumer() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * ✅ CONSOMMER LES ÉVÉNEMENTS ORGANIGRAMME
+   */
+  async consumeOrgEvents() {
+    // Un traitement peut dépasser l'intervalle (resynchronisation de groupes)
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const messages = await this.redis.xReadGroup(
+        this.CONSUMER_GROUP,
+        this.CONSUMER_NAME,
+        [{ key: this.STREAM_NAME, id: ">" }],
+        { COUNT: this.BATCH_SIZE },
+      );
+
+      const streamMessages = messages?.[0]?.messages || [];
+
+      for (const msg of streamMessages) {
+        try {
+          await this.processOrgEvent(msg);
+        } catch (err) {
+          console.error(
+            `❌ Erreur traitement événement organigramme ${msg.id}:`,
+            err.message,
+          );
+        }
+        // ✅ ACKNOWLEDGE MÊME EN ÉCHEC : les caches expirent d'eux-mêmes
+        await this.redis.xAck(this.STREAM_NAME, this.CONSUMER_GROUP, msg.id);
+      }
+    } catch (err) {
+      if (err.message.includes("NOGROUP")) {
+        // Stream supprimé : groupe recréé pour le prochain passage
+        await this.initConsumerGroup();
+      } else {
+        console.error("❌ Erreur consommation organigramme:", err.message);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * ✅ TRAITER UN ÉVÉNEMENT ORGANIGRAMME
+   */
+  async processOrgEvent(msg) {
+    const event = JSON.parse(msg.message.payload || "{}");
+    if (!event.event) {
+      console.warn(`⚠️ Événement organigramme incomplet:`, msg.message);
+      return;
+    }
+
+    if (event.event === "visibility.invalidated") {
+      await this.invalidateVisibleLists(event.matricules || []);
+      return;
+    }
+
+    if (event.event.startsWith("agent.")) {
+      await this.handleAgentEvent(event);
+    } else if (event.event === "unit.renamed") {
+      await this.handleUnitRenamed(event);
+    }
+
+    await this.syncUnitGroups(this.unitsOf(event));
+  }
+
+  /**
+   * ✅ COPIES LOCALES DES LISTES VISIBLES (VisibilityClient)
+   * visibility-service publie la liste exacte des agents concernés
+   */
+  async invalidateVisibleLists(matricules) {
+    if (!this.visibilityClient) return;
+
+    for (const matricule of matricules) {
+      await this.visibilityClient.invalidate(matricule);
+    }
+    if (matricules.length > 0) {
+      console.log(`🔄 ${matricules.length} liste(s) visible(s) invalidée(s)`);
+    }
+  }
+
+  /**
+   * ✅ AGENT CRÉÉ, DÉPLACÉ, MODIFIÉ OU SUPPRIMÉ
+   */
+  async handleAgentEvent(event) {
+    const { matricule } = event;
+    if (!matricule) return;
+
+    if (this.userCacheService) {
+      await this.userCacheService.invalidateUser(matricule);
+    }
+
+    const fields = {};
+    if (event.event === "agent.unit.moved" && event.toUnitName) {
+      fields.departement = event.toUnitName;
+    }
+    if (event.ministere) {
+      fields.ministere = event.ministere;
+    }
+    await this.updateProfile(matricule, fields);
+  }
+
+  /**
+   * ✅ UNITÉ RENOMMÉE : departement de chacun de ses membres
+   */
+  async handleUnitRenamed(event) {
+    if (!this.visibilityClient || !event.to) return;
+
+    const result = await this.visibilityClient.getUnitMembers(event.unitId);
+    for (const member of result?.members || []) {
+      await this.updateProfile(member.matricule, { departement: event.to });
+    }
+  }
+
+  async updateProfile(matricule, fields) {
+    if (!this.conversationRepository || Object.keys(fields).length === 0) {
+      return;
+    }
+
+    const conversations =
+      await this.conversationRepository.updateUserMetadataProfile(
+        matricule,
+        fields,
+      );
+    if (conversations.length > 0) {
+      console.log(
+        `👤 Profil de ${matricule} mis à jour dans ${conversations.length} conversation(s)`,
+      );
+    }
+  }
+
+  /**
+   * Unités dont les membres changent (groupes d'unité à resynchroniser)
+   */
+  unitsOf(event) {
+    if (event.event === "agent.unit.moved") {
+      return [event.fromUnitId, event.toUnitId];
+    }
+    if (
+      [
+        "agent.created",
+        "agent.removed",
+        "unit.renamed",
+        "unit.removed",
+      ].includes(event.event)
+    ) {
+      return [event.unitId];
+    }
+    return [];
+  }
+
+  async syncUnitGroups(unitIds) {
+    if (!this.syncUnitGroupsUseCase) return;
+
+    const units = [...new Set(unitIds.filter(Boolean).map(String))];
+    for (const unitId of units) {
+      try {
+        await this.syncUnitGroupsUseCase.syncUnit(unitId);
+      } catch (err) {
+        console.error(
+          `❌ Erreur synchronisation groupe d'unité ${unitId}:`,
+          err.message,
+        );
+      }
+    }
+  }
+}
+
+module.exports = OrgEventConsumer;
@@ -68,6 +68,8 @@ class ResilientMessageService {
       privateMessagesPublished: 0,
       groupMessagesPublished: 0,
       typingEventsPublished: 0,
+      reactionEventsPublished: 0,
+      mentionNotificationsPublished: 0,
     };
 
     this.memoryLimitMB = parseInt(process.env.REDIS_MEMORY_LIMIT_MB) || 512;
@@ -136,6 +138,21 @@ class ResilientMessageService {
     }
   }
 
+  // ✅ MESSAGES PROGRAMMÉS : ScheduledMessageWorker + RetryWorker (handler
+  // "scheduled"), démarrés aussitôt si les workers tournent déjà
+  enableScheduledMessages(dispatchScheduled) {
+    if (!this.workerManager) {
+      throw new Error("WorkerManager n'est pas initialisé");
+    }
+
+    this.workerManager.initializeScheduledMessages({
+      save: this.saveMessage.bind(this),
+      publish: this.publishMessage.bind(this),
+      dlq: this.addToDLQ.bind(this),
+      dispatchScheduled,
+    });
+  }
+
   // ✅ DÉMARRER TOUS LES WORKERS VIA WORKERMANAGER
   startAllWorkers() {
     if (this.isRunning) {
@@ -873,6 +890,20 @@ class ResilientMessageService {
         )?.toISOString(),
         source: options.source || "mongodb_write",
         publishedAt: Date.now().toString(),
+        // ✅ RÉPONSE DÉLÉGUÉE (secrétariat)
+        ...(savedMessage.metadata?.sentOnBehalfOf?.delegateId && {
+          sentOnBehalfOf: JSON.stringify(savedMessage.metadata.sentOnBehalfOf),
+        }),
+        // ✅ RÉPONSE À UN MESSAGE (extrait cité)
+        ...(savedMessage.replyTo && {
+          replyTo: savedMessage.replyTo.toString(),
+          quotedMessage: JSON.stringify(savedMessage.quotedMessage || null),
+        }),
+        // ✅ MESSAGE TRANSFÉRÉ (fichier réutilisé, origine)
+        ...(savedMessage.fileId && { fileId: String(savedMessage.fileId) }),
+        ...(savedMessage.forwardedFrom && {
+          forwardedFrom: JSON.stringify(savedMessage.forwardedFrom),
+        }),
       };
 
       // ✅ DÉTERMINER LE STREAM DE DESTINATION
@@ -949,6 +980,77 @@ class ResilientMessageService {
     }
   }
 
+  /**
+   * ✅ PUBLIER UN ÉVÉNEMENT RÉACTION (chat:stream:events:reactions)
+   * Livré par MessageDeliveryService à tous les participants connectés
+   */
+  async publishReactionEvent({
+    messageId,
+    conversationId,
+    userId,
+    emoji = null,
+    previousEmoji = null,
+    action,
+    reactions = [],
+    participants = [],
+  }) {
+    if (!this.redis) return null;
+
+    try {
+      const streamId = await this.addToStream(this.MESSAGE_STREAMS.REACTIONS, {
+        messageId: messageId.toString(),
+        conversationId: conversationId.toString(),
+        userId: userId.toString(),
+        emoji: emoji || "",
+        previousEmoji: previousEmoji || "",
+        action, // "add", "replace" ou "remove"
+        reactions: JSON.stringify(reactions),
+        participants: JSON.stringify(
+          participants.map((p) => String(p.userId || p)),
+        ),
+        event: "MESSAGE_REACTION",
+        timestamp: new Date().toISOString(),
+        publishedAt: Date.now().toString(),
+      });
+
+      this.metrics.reactionEventsPublished++;
+      console.log(`😀 Réaction publiée: ${streamId}`);
+      return streamId;
+    } catch (error) {
+      console.error("❌ Erreur publication réaction:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * ✅ PUBLIER LA MISE À JOUR D'UN FIL (chat:stream:events:replies)
+   * parent : message parent avec son résumé thread recalculé
+   */
+  async publishThreadUpdate(parent, participants = []) {
+    if (!this.redis) return null;
+
+    try {
+      const streamId = await this.addToStream(this.MESSAGE_STREAMS.REPLIES, {
+        messageId: parent._id.toString(),
+        conversationId: parent.conversationId.toString(),
+        replyCount: String(parent.thread?.replyCount || 0),
+        lastReply: JSON.stringify(parent.thread?.lastReply || null),
+        participants: JSON.stringify(
+          participants.map((p) => String(p.userId || p)),
+        ),
+        event: "THREAD_UPDATED",
+        timestamp: new Date().toISOString(),
+        publishedAt: Date.now().toString(),
+      });
+
+      console.log(`🧵 Mise à jour du fil publiée: ${streamId}`);
+      return streamId;
+    } catch (error) {
+      console.error("❌ Erreur publication fil:", error.message);
+      return null;
+    }
+  }
+
   /**
    * ✅ PUBLIER UN STATUT DE MESSAGE
    */
@@ -1536,6 +1638,43 @@ class ResilientMessageService {
     }
   }
 
+  /**
+   * ✅ PUBLIER UNE NOTIFICATION DE MENTION (ciblée, ignore la sourdine)
+   */
+  async publishMentionNotification(data) {
+    if (!this.redis) return null;
+
+    try {
+      const streamId = await this.addToStream(
+        this.EVENT_STREAMS.NOTIFICATIONS,
+        {
+          userId: String(data.userId),
+          type: "MENTION",
+          title: (data.conversationName || "Nouvelle mention").substring(
+            0,
+            100,
+          ),
+          message: (data.content || "").substring(0, 500),
+          messageId: String(data.messageId),
+          conversationId: String(data.conversationId),
+          senderId: String(data.senderId),
+          all: String(!!data.all),
+          mentionCount: String(data.mentionCount ?? ""),
+          conversationMuted: String(!!data.conversationMuted),
+          timestamp: new Date().toISOString(),
+          publishedAt: Date.now().toString(),
+        },
+      );
+
+      this.metrics.mentionNotificationsPublished++;
+      console.log(`📣 Mention publiée pour ${data.userId}: ${streamId}`);
+      return streamId;
+    } catch (error) {
+      console.error("❌ Erreur publication mention:", error.message);
+      return null;
+    }
+  }
+
   /**
    * ✅ PUBLIER UN MESSAGE SYSTÈME (groupe créé, membre ajouté, etc.)
    */
@@ -1980,6 +2119,9 @@ class ResilientMessageService {
           privateMessagesPublished: this.metrics.privateMessagesPublished,
           groupMessagesPublished: this.metrics.groupMessagesPublished,
           typingEventsPublished: this.metrics.typingEventsPublished,
+          reactionEventsPublished: this.metrics.reactionEventsPublished,
+          mentionNotificationsPublished:
+            this.metrics.mentionNotificationsPublished,
           lastReportTime: this.metrics.lastReportTime,
         },
         // Métriques des workers (orchestrées par WorkerManager)
@@ -2434,6 +2576,8 @@ class ResilientMessageService {
           privateMessagesPublished: 0,
           groupMessagesPublished: 0,
           typingEventsPublished: 0,
+          reactionEventsPublished: 0,
+          mentionNotificationsPublished: 0,
         };
       }
 
@@ -0,0 +1,53 @@
+/**
+ * ScheduledMessageNotifier - Notifications temps réel des messages programmés
+ *
+ * Émis dans la room user_{senderId} (tous les appareils de l'auteur) :
+ * - scheduled:created
+ * - scheduled:updated   (contenu ou date d'envoi)
+ * - scheduled:cancelled
+ * - scheduled:sent      (avec l'id du message créé)
+ * - scheduled:failed    (envoi abandonné, lastError renseigné)
+ */
+class ScheduledMessageNotifier {
+  constructor(io = null) {
+    this.io = io;
+  }
+
+  _emit(scheduledMessage, event) {
+    if (!this.io || !scheduledMessage?.senderId) return;
+
+    try {
+      this.io.to(`user_${scheduledMessage.senderId}`).emit(event, {
+        scheduledMessage: scheduledMessage.toObject(),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.warn(
+        `⚠️ [ScheduledMessageNotifier] Erreur émission ${event}:`,
+        error.message,
+      );
+    }
+  }
+
+  created(scheduledMessage) {
+    this._emit(scheduledMessage, "scheduled:created");
+  }
+
+  updated(scheduledMessage) {
+    this._emit(scheduledMessage, "scheduled:updated");
+  }
+
+  cancelled(scheduledMessage) {
+    this._emit(scheduledMessage, "scheduled:cancelled");
+  }
+
+  sent(scheduledMessage) {
+    this._emit(scheduledMessage, "scheduled:sent");
+  }
+
+  failed(scheduledMessage) {
+    this._emit(scheduledMessage, "scheduled:failed");
+  }
+}
+
+module.exports = ScheduledMessageNotifier;
@@ -0,0 +1,183 @@
+const axios = require("axios");
+const { CircuitBreaker, RedisManager } = require("../../../shared");
+
+/**
+ * VisibilityClient - Accès aux règles de visibilité (visibility-service)
+ *
+ * Stratégie :
+ * 1. Cache Redis : chat:visibility:visible:{matricule} (liste JSON des matricules visibles)
+ * 2. Cache miss → GET /agents/:matricule/visible (toutes les pages)
+ * 3. Appels HTTP protégés par un CircuitBreaker : service indisponible = échec
+ *    immédiat, la politique décide ensuite (VisibilityPolicyService)
+ *
+ * Authentification : jeton propre au service (X-Service-Token, VISIBILITY_SERVICE_TOKEN),
+ * jamais une identité utilisateur fabriquée par chat-file-service.
+ */
+class VisibilityClient {
+  constructor(options = {}) {
+    this.visibilityServiceUrl =
+      options.visibilityServiceUrl ||
+      process.env.VISIBILITY_SERVICE_URL ||
+      "http://localhost:8002";
+    this.serviceToken =
+      options.serviceToken || process.env.VISIBILITY_SERVICE_TOKEN || null;
+    this.timeout = options.timeout || 3000;
+    this.pageSize = 200; // maxPageSize côté visibility-service
+    this.prefix = options.prefix || "chat:visibility:visible:";
+    this.ttl =
+      options.ttl || parseInt(process.env.VISIBILITY_CACHE_TTL, 10) || 300;
+    this.redis = options.redisClient || null;
+
+    this.circuitBreaker = new CircuitBreaker({
+      failureThreshold: 5,
+      resetTimeout: 30000,
+    });
+  }
+
+  get _redis() {
+    return this.redis || RedisManager?.clients?.main || null;
+  }
+
+  /**
+   * Matricules visibles par un agent
+   * @param {string} matricule
+   * @returns {Promise<Set<string>|null>} null si l'agent est absent du graphe
+   * @throws {Error} service indisponible ou circuit ouvert (code CIRCUIT_OPEN)
+   */
+  async getVisibleMatricules(matricule) {
+    const key = `${this.prefix}${matricule}`;
+
+    try {
+      const cached = this._redis ? await this._redis.get(key) : null;
+      if (cached) {
+        return new Set(JSON.parse(cached));
+      }
+    } catch (error) {
+      console.warn(
+        `⚠️ [VisibilityClient] Erreur lecture cache:`,
+        error.message,
+      );
+    }
+
+    const visible = await this.circuitBreaker.execute(() =>
+      this._fetchAll(matricule),
+    );
+    if (visible === null) return null;
+
+    try {
+      if (this._redis) {
+        await this._redis.setEx(key, this.ttl, JSON.stringify(visible));
+      }
+    } catch (error) {
+      console.warn(
+        `⚠️ [VisibilityClient] Erreur écriture cache:`,
+        error.message,
+      );
+    }
+
+    return new Set(visible);
+  }
+
+  /**
+   * Invalide le cache d'un agent (ou de tous les agents sans argument)
+   * @param {string} [matricule]
+   */
+  async invalidate(matricule = null) {
+    const redis = this._redis;
+    if (!redis) return 0;
+
+    try {
+      if (matricule) {
+        return await redis.del(`${this.prefix}${matricule}`);
+      }
+
+      let deleted = 0;
+      for await (const keys of redis.scanIterator({
+        MATCH: `${this.prefix}*`,
+        COUNT: 100,
+      })) {
+        const batch = Array.isArray(keys) ? keys : [keys];
+        if (batch.length > 0) deleted += await redis.del(batch);
+      }
+      return deleted;
+    } catch (error) {
+      console.warn(`⚠️ [VisibilityClient] Erreur invalidation:`, error.message);
+      return 0;
+    }
+  }
+
+  _serviceHeaders() {
+    return this.serviceToken ? { "x-service-token": this.serviceToken } : {};
+  }
+
+  /**
+   * Membres d'une unité organisationnelle (GET /org-chart/units/:unitId/members)
+   * @param {string} unitId
+   * @returns {Promise<{unit: Object, members: Object[]}|null>} null si l'unité est absente du graphe
+   * @throws {Error} service indisponible ou circuit ouvert (code CIRCUIT_OPEN)
+   */
+  async getUnitMembers(unitId) {
+    return this.circuitBreaker.execute(async () => {
+      try {
+        const response = await axios.get(
+          `${this.visibilityServiceUrl}/org-chart/units/${encodeURIComponent(unitId)}/members`,
+          { headers: this._serviceHeaders(), timeout: this.timeout },
+        );
+        const { unit, members = [] } = response.data || {};
+        return { unit, members };
+      } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Parcourt toutes les pages de /agents/:matricule/visible
+   * @private
+   */
+  async _fetchAll(matricule) {
+    const matricules = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      let response;
+      try {
+        response = await axios.get(
+          `${this.visibilityServiceUrl}/agents/${encodeURIComponent(matricule)}/visible`,
+          {
+            params: { page, limit: this.pageSize },
+            headers: this._serviceHeaders(),
+            timeout: this.timeout,
+          },
+        );
+      } catch (error) {
+        // Agent absent du graphe : réponse valide, pas une panne du service
+        if (error.response?.status === 404) {
+          console.warn(
+            `⚠️ [VisibilityClient] ${matricule} absent du graphe de visibilité`,
+          );
+          return null;
+        }
+        throw error;
+      }
+
+      const { agents = [], pagination = {} } = response.data || {};
+      agents.forEach((agent) => matricules.push(String(agent.matricule)));
+      hasMore = pagination.hasMore === true;
+      page++;
+    }
+
+    return matricules;
+  }
+
+  getMetrics() {
+    return {
+      circuitBreaker: this.circuitBreaker.getMetrics(),
+      ttl: this.ttl,
+    };
+  }
+}
+
+module.exports = VisibilityClient;
@@ -0,0 +1,150 @@
+const VisibilityClient = require("./VisibilityClient");
+const UserCacheService = require("./UserCacheService");
+
+const MODES = ["enforce", "warn", "off"];
+
+/**
+ * VisibilityPolicyService - Applique la visibilité organisationnelle aux
+ * conversations privées, groupes, ajouts de participants et diffusions.
+ *
+ * Mode choisi selon le ministère de l'initiateur :
+ * - enforce : cibles hors visibilité refusées (403 VISIBILITY_DENIED)
+ * - warn    : autorisé, mais journalisé
+ * - off     : aucune vérification (aucun appel au visibility-service)
+ *
+ * VISIBILITY_POLICY_DEFAULT_MODE=warn
+ * VISIBILITY_POLICY_MINISTRIES=MINFI:enforce,MINSANTE:off
+ *
+ * visibility-service indisponible ou agent absent du graphe : autorisé avec
+ * avertissement, sauf VISIBILITY_FAIL_OPEN=false (503 VISIBILITY_UNAVAILABLE).
+ */
+class VisibilityPolicyService {
+  constructor(visibilityClient = null, userCacheService = null, options = {}) {
+    this.visibilityClient = visibilityClient || new VisibilityClient();
+    this.userCacheService = userCacheService || new UserCacheService();
+
+    this.defaultMode = this._parseMode(
+      options.defaultMode || process.env.VISIBILITY_POLICY_DEFAULT_MODE,
+      "warn",
+    );
+    this.ministryModes = this._parseMinistryModes(
+      options.ministryModes ?? process.env.VISIBILITY_POLICY_MINISTRIES,
+    );
+    this.failOpen =
+      options.failOpen ?? process.env.VISIBILITY_FAIL_OPEN !== "false";
+  }
+
+  _parseMode(value, fallback) {
+    const mode = String(value || "")
+      .trim()
+      .toLowerCase();
+    return MODES.includes(mode) ? mode : fallback;
+  }
+
+  _parseMinistryModes(value) {
+    const modes = new Map();
+    if (!value) return modes;
+
+    String(value)
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .forEach((entry) => {
+        const [ministere, mode] = entry.split(":").map((part) => part.trim());
+        const parsed = this._parseMode(mode, null);
+        if (ministere && parsed) {
+          modes.set(ministere.toUpperCase(), parsed);
+        } else {
+          console.warn(
+            `⚠️ [VisibilityPolicy] Entrée ignorée dans VISIBILITY_POLICY_MINISTRIES: "${entry}"`,
+          );
+        }
+      });
+
+    return modes;
+  }
+
+  /**
+   * Mode applicable à un initiateur (selon son ministère)
+   * @param {string} userId
+   * @returns {Promise<string>} enforce | warn | off
+   */
+  async getModeFor(userId) {
+    if (this.ministryModes.size === 0) return this.defaultMode;
+
+    const userInfo = await this.userCacheService.fetchUserInfo(userId);
+    const ministere = String(userInfo?.ministere || "").toUpperCase();
+
+    return this.ministryModes.get(ministere) || this.defaultMode;
+  }
+
+  /**
+   * Vérifie que l'initiateur voit toutes les cibles
+   * @param {string} userId - Initiateur
+   * @param {Array<string>} targetIds - Destinataire(s) / membres
+   * @param {Object} [context]
+   * @param {string} [context.action] - PRIVATE_CHAT | CREATE_GROUP | ADD_PARTICIPANT | CREATE_BROADCAST
+   * @returns {Promise<{mode: string, denied: Array<string>, degraded: boolean}>}
+   * @throws {Error} VISIBILITY_DENIED (403) en mode enforce
+   */
+  async assertCanReach(userId, targetIds, { action = "UNKNOWN" } = {}) {
+    const targets = [...new Set((targetIds || []).map(String))].filter(
+      (id) => id !== String(userId),
+    );
+    const mode = await this.getModeFor(userId);
+
+    if (mode === "off" || targets.length === 0) {
+      return { mode, denied: [], degraded: false };
+    }
+
+    let visible;
+    try {
+      visible = await this.visibilityClient.getVisibleMatricules(userId);
+    } catch (error) {
+      visible = null;
+      console.warn(
+        `⚠️ [VisibilityPolicy] visibility-service indisponible (${action}, ${userId}):`,
+        error.code || error.message,
+      );
+    }
+
+    if (visible === null) {
+      if (this.failOpen || mode === "warn") {
+        return { mode, denied: [], degraded: true };
+      }
+      const error = new Error(
+        "Vérification de visibilité impossible, réessayez plus tard",
+      );
+      error.code = "VISIBILITY_UNAVAILABLE";
+      error.status = 503;
+      throw error;
+    }
+
+    const denied = targets.filter((id) => !visible.has(id));
+    if (denied.length === 0) {
+      return { mode, denied, degraded: false };
+    }
+
+    if (mode === "warn") {
+      console.warn(
+        `⚠️ [VisibilityPolicy] ${action} hors visibilité toléré (mode warn): ${userId} → ${denied.join(", ")}`,
+      );
+      return { mode, denied, degraded: false };
+    }
+
+    console.warn(
+      `🚫 [VisibilityPolicy] ${action} refusé: ${userId} → ${denied.join(", ")}`,
+    );
+    const error = new Error(
+      `Utilisateurs hors de votre périmètre de visibilité: ${denied.join(", ")}`,
+    );
+    error.code = "VISIBILITY_DENIED";
+    error.status = 403;
+    error.deniedIds = denied;
+    throw error;
+  }
+}
+
+VisibilityPolicyService.MODES = MODES;
+
+module.exports = VisibilityPolicyService;
@@ -1,11 +1,73 @@
 const jwt = require("jsonwebtoken");
-
-const JWT_SECRET = process.env.JWT_SECRET;
+const {
+  TokenDenylist,
+  GatewayIdentity,
+  JwksClient,
+  requirePermission,
+} = require("../../../../shared");
 
 class AuthMiddleware {
+  /**
+   * Vérifie un access token : signature, type (refus des refresh tokens)
+   * et révocation (logout / logout-all) via la denylist partagée
+   * ✅ Signature vérifiée avec la clé publique du JWKS (kid du token) :
+   *    ce service ne peut pas émettre de token
+   * ✅ Utilisé par les routes HTTP et par l'authentification Socket.IO
+   */
+  static verifyToken = async (token) => {
+    const publicKey = await JwksClient.getKeyForToken(token);
+    const decoded = jwt.verify(token, publicKey, {
+      algorithms: JwksClient.ALGORITHMS,
+    });
+
+    if (decoded.type === "refresh") {
+      const error = new Error("Refresh token utilisé comme access token");
+      error.code = "INVALID_TOKEN";
+      throw error;
+    }
+
+    if (await TokenDenylist.isRevoked(decoded)) {
+      const error = new Error("Token révoqué");
+      error.code = "TOKEN_REVOKED";
+      throw error;
+    }
+
+    return decoded;
+  };
+
+  /**
+   * req.user / socket à partir des claims (token ou identité du gateway)
+   */
+  static toUser = (claims) => ({
+    id: claims.id || claims.matricule,
+    userId: claims.id || claims.matricule,
+    matricule: claims.matricule,
+    roles: claims.roles || [],
+    permissions: claims.permissions || [],
+    adminMinistere: claims.adminMinistere || null,
+    sessionId: claims.sid || null,
+  });
+
+  /**
+   * Identité déjà vérifiée par le gateway (en-têtes signés)
+   * @returns {Object|null} req.user, ou null si la requête ne vient pas du gateway
+   * @throws {Error} INVALID_IDENTITY si l'identité est falsifiée ou expirée
+   */
+  static fromGateway = (headers) => {
+    const identity = GatewayIdentity.verify(headers);
+    return identity ? AuthMiddleware.toUser(identity) : null;
+  };
+
   // Middleware pour valider le token JWT
-  static authenticate = (req, res, next) => {
+  static authenticate = async (req, res, next) => {
     try {
+      // ✅ Requête relayée par le gateway : JWT déjà vérifié
+      const gatewayUser = AuthMiddleware.fromGateway(req.headers);
+      if (gatewayUser) {
+        req.user = gatewayUser;
+        return next();
+      }
+
       const authHeader = req.headers.authorization;
       const bearerToken =
         authHeader && authHeader.startsWith("Bearer ")
@@ -32,18 +94,14 @@ class AuthMiddleware {
         });
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await AuthMiddleware.verifyToken(token);
       console.log("[AuthMiddleware] JWT décodé", {
         userId: decoded.id || decoded.matricule,
         matricule: decoded.matricule,
         hasNom: !!decoded.nom,
         hasPrenom: !!decoded.prenom,
       });
-      req.user = {
-        id: decoded.id || decoded.matricule,
-        userId: decoded.id || decoded.matricule,
-        matricule: decoded.matricule,
-      };
+      req.user = AuthMiddleware.toUser(decoded);
 
       return next();
     } catch (error) {
@@ -56,8 +114,13 @@ class AuthMiddleware {
       if (!res.headersSent) {
         return res.status(401).json({
           success: false,
-          message: "Token invalide ou expiré",
-          code: "INVALID_TOKEN",
+          message:
+            error.code === "TOKEN_REVOKED" || error.code === "INVALID_IDENTITY"
+              ? error.message
+              : "Token invalide ou expiré",
+          code: ["TOKEN_REVOKED", "INVALID_IDENTITY"].includes(error.code)
+            ? error.code
+            : "INVALID_TOKEN",
         });
       }
 
@@ -79,10 +142,10 @@ class AuthMiddleware {
         });
       }
 
-      const userRole = req.user.role || "user";
+      const userRoles = req.user.roles || [];
       const allowedRoles = Array.isArray(roles) ? roles : [roles];
 
-      if (!allowedRoles.includes(userRole)) {
+      if (!allowedRoles.some((role) => userRoles.includes(role))) {
         return res.status(403).json({
           success: false,
           message: "Permissions insuffisantes",
@@ -94,9 +157,22 @@ class AuthMiddleware {
     };
   };
 
+  // Middleware pour vérifier les permissions (claims du token, voir shared/auth/permissions)
+  static requirePermission = requirePermission;
+
   // Middleware optionnel (continue même sans token)
   static optional = async (req, res, next) => {
     try {
+      try {
+        const gatewayUser = AuthMiddleware.fromGateway(req.headers);
+        if (gatewayUser) {
+          req.user = gatewayUser;
+          return next();
+        }
+      } catch (identityError) {
+        // Identité invalide : on retombe sur le token éventuel
+      }
+
       const authHeader = req.headers.authorization;
       const bearerToken =
         authHeader && authHeader.startsWith("Bearer ")
@@ -107,11 +183,9 @@ class AuthMiddleware {
 
       if (token) {
         try {
-          const decoded = jwt.verify(token, JWT_SECRET);
+          const decoded = await AuthMiddleware.verifyToken(token);
           req.user = {
-            id: decoded.id || decoded.matricule,
-            userId: decoded.id || decoded.matricule,
-            matricule: decoded.matricule,
+            ...AuthMiddleware.toUser(decoded),
             nom: decoded.nom,
             prenom: decoded.prenom,
             ministere: decoded.ministere,
@@ -1,92 +1,71 @@
-const rateLimit = require("express-rate-limit");
+const { RateLimiter, GatewayIdentity } = require("../../../../shared");
 
-// Configuration de base
-const createLimiter = (windowMs, max, message) => {
-  return rateLimit({
-    windowMs,
-    max,
-    message: {
-      success: false,
-      message,
-      code: "RATE_LIMIT_EXCEEDED",
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    skip: (req) => {
-      // Exclure les requêtes de health check
-      return req.path === "/health" || req.path === "/api/health";
-    },
-  });
+// Politiques par type de route (fenêtre glissante, compteurs partagés dans Redis)
+const POLICIES = {
+  api: { max: 100, windowMs: 60000, message: "Limite API dépassée" },
+  create: { max: 10, windowMs: 60000, message: "Limite création dépassée" },
+  reaction: { max: 30, windowMs: 60000, message: "Limite réactions dépassée" },
+  health: {
+    max: 20,
+    windowMs: 60000,
+    message: "Limite health check dépassée",
+  },
+  admin: { max: 5, windowMs: 60000, message: "Limite admin dépassée" },
 };
 
-class RateLimitMiddleware {
-  constructor() {
-    this.requests = new Map();
+// Utilisateur : req.user si déjà authentifié, sinon identité signée du gateway
+const identify = (req) => {
+  if (req.user?.matricule) return req.user.matricule;
 
-    // Nettoyer toutes les 5 minutes
-    setInterval(() => {
-      this.cleanup();
-    }, 5 * 60 * 1000);
+  try {
+    return GatewayIdentity.verify(req.headers)?.matricule || null;
+  } catch (error) {
+    return null;
   }
+};
 
-  createLimiter(maxRequests, windowMs, message) {
-    return (req, res, next) => {
-      const key = req.ip || req.connection.remoteAddress || "unknown";
-      const now = Date.now();
-
-      if (!this.requests.has(key)) {
-        this.requests.set(key, []);
-      }
-
-      const userRequests = this.requests.get(key);
-      const validRequests = userRequests.filter(
-        (time) => now - time < windowMs
-      );
-
-      if (validRequests.length >= maxRequests) {
-        return res.status(429).json({
-          success: false,
-          message: message || "Trop de requêtes",
-          code: "RATE_LIMIT_EXCEEDED",
-        });
-      }
+class RateLimitMiddleware {
+  constructor() {
+    this.limiter = new RateLimiter({
+      keyPrefix: "chat:ratelimit",
+      policies: POLICIES,
+      identify,
+    });
+    this.middlewares = {};
+  }
 
-      validRequests.push(now);
-      this.requests.set(key, validRequests);
-      next();
-    };
+  /**
+   * Brancher les compteurs sur Redis (sinon compteurs locaux à l'instance)
+   */
+  initialize(RedisManager) {
+    this.limiter.initialize(RedisManager);
   }
 
-  cleanup() {
-    const now = Date.now();
-    for (const [key, requests] of this.requests.entries()) {
-      if (
-        requests.length === 0 ||
-        requests.every((time) => now - time > 60000)
-      ) {
-        this.requests.delete(key);
-      }
+  createLimiter(policyName) {
+    if (!this.middlewares[policyName]) {
+      this.middlewares[policyName] = this.limiter.middleware(policyName);
     }
+    return this.middlewares[policyName];
   }
 
   get apiLimit() {
-    return this.createLimiter(100, 60000, "Limite API dépassée");
+    return this.createLimiter("api");
   }
 
   get createLimit() {
-    return this.createLimiter(10, 60000, "Limite création dépassée");
+    return this.createLimiter("create");
   }
 
   get reactionLimit() {
-    return this.createLimiter(30, 60000, "Limite réactions dépassée");
+    return this.createLimiter("reaction");
   }
 
   get healthLimit() {
-    return this.createLimiter(20, 60000, "Limite health check dépassée");
+    return this.createLimiter("health");
   }
 
   get adminLimit() {
-    return this.createLimiter(5, 60000, "Limite admin dépassée");
+    return this.createLimiter("admin");
   }
 }
 
@@ -1,21 +1,34 @@
 const express = require("express");
+const { authMiddleware } = require("../middleware");
+const { Permissions } = require("../../../../shared");
 const router = express.Router();
 
 module.exports = function createBroadcastRoutes(createBroadcastUseCase) {
-  router.post("/", async (req, res) => {
-    try {
-      const { broadcastId, name, adminIds, recipientIds } = req.body;
-      const broadcast = await createBroadcastUseCase.execute({
-        broadcastId,
-        name,
-        adminIds,
-        recipientIds,
-      });
-      res.status(201).json({ success: true, data: broadcast });
-    } catch (error) {
-      res.status(400).json({ success: false, error: error.message });
-    }
-  });
+  // Création réservée aux administrateurs (ministère ou plateforme)
+  router.post(
+    "/",
+    authMiddleware.authenticate,
+    authMiddleware.requirePermission(Permissions.PERMISSIONS.BROADCASTS_CREATE),
+    async (req, res) => {
+      try {
+        const { broadcastId, name, adminIds, recipientIds } = req.body;
+        const broadcast = await createBroadcastUseCase.execute({
+          broadcastId,
+          name,
+          adminIds,
+          recipientIds,
+        });
+        res.status(201).json({ success: true, data: broadcast });
+      } catch (error) {
+        res.status(error.status || 400).json({
+          success: false,
+          error: error.message,
+          ...(error.code && { code: error.code }),
+          ...(error.deniedIds && { deniedIds: error.deniedIds }),
+        });
+      }
+    },
+  );
 
   /**
    * @api {get} /broadcasts/search Recherche globale messages/fichiers/conversations/groups/broadcast
@@ -0,0 +1,92 @@
+const express = require("express");
+const { authMiddleware } = require("../middleware");
+const ErrorHandler = require("../../../config/errorHandler");
+
+module.exports = function createContactRequestRoutes({
+  createContactRequestUseCase,
+  respondToContactRequestUseCase,
+  getContactRequestsUseCase,
+}) {
+  const router = express.Router();
+
+  /**
+   * @api {post} /contact-requests Demander à entrer en contact avec un agent
+   * @apiBody {String} targetId
+   * @apiBody {String} [motive] (500 caractères max)
+   */
+  router.post("/", authMiddleware.authenticate, async (req, res) => {
+    try {
+      const request = await createContactRequestUseCase.execute({
+        requesterId: req.user.id,
+        targetId: req.body.targetId,
+        motive: req.body.motive,
+      });
+      res.status(201).json({ success: true, data: request.toObject() });
+    } catch (error) {
+      ErrorHandler.handleControllerError(
+        error,
+        req,
+        res,
+        "createContactRequest",
+      );
+    }
+  });
+
+  /**
+   * @api {get} /contact-requests Demandes reçues ou envoyées
+   * @apiQuery {String} [direction=incoming] incoming | outgoing
+   * @apiQuery {String} [status] PENDING | ACCEPTED | DECLINED | EXPIRED
+   */
+  router.get("/", authMiddleware.authenticate, async (req, res) => {
+    try {
+      const result = await getContactRequestsUseCase.execute({
+        userId: req.user.id,
+        direction: req.query.direction,
+        status: req.query.status,
+        page: req.query.page,
+        limit: req.query.limit,
+      });
+      res.json({
+        success: true,
+        data: result.requests,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      ErrorHandler.handleControllerError(error, req, res, "getContactRequests");
+    }
+  });
+
+  const respond = (accept) => async (req, res) => {
+    try {
+      const { request, conversation } =
+        await respondToContactRequestUseCase.execute({
+          requestId: req.params.requestId,
+          userId: req.user.id,
+          accept,
+        });
+      res.json({
+        success: true,
+        data: {
+          request: request.toObject(),
+          conversationId: conversation ? String(conversation._id) : null,
+        },
+      });
+    } catch (error) {
+      ErrorHandler.handleControllerError(
+        error,
+        req,
+        res,
+        "respondToContactRequest",
+      );
+    }
+  };
+
+  router.post("/:requestId/accept", authMiddleware.authenticate, respond(true));
+  router.post(
+    "/:requestId/decline",
+    authMiddleware.authenticate,
+    respond(false),
+  );
+
+  return router;
+};
@@ -28,6 +28,7 @@ function createConversationRoutes(conversationController) {
     "getConversation",
     "createConversation",
     "markAsRead",
+    "updateForwardingSetting",
   ];
   const missingMethods = requiredMethods.filter(
     (method) => typeof conversationController[method] !== "function"
@@ -172,6 +173,37 @@ function createConversationRoutes(conversationController) {
       }
     );
 
+    /**
+     * @api {put} /conversations/:conversationId/settings/forwarding Autoriser ou interdire le transfert
+     * @apiName UpdateForwardingSetting
+     * @apiGroup Conversations
+     * @apiBody {Boolean} allowed
+     */
+    router.put(
+      "/:conversationId/settings/forwarding",
+      authMiddleware.authenticate,
+      rateLimitMiddleware.apiLimit,
+      validationMiddleware.validateMongoId("conversationId"),
+      async (req, res) => {
+        try {
+          await conversationController.updateForwardingSetting(req, res);
+        } catch (error) {
+          console.error(
+            "❌ Erreur route PUT /conversations/:id/settings/forwarding:",
+            error
+          );
+          res.status(500).json({
+            success: false,
+            message: "Erreur lors de la mise à jour du transfert",
+            error:
+              process.env.NODE_ENV === "development"
+                ? error.message
+                : "Erreur interne",
+          });
+        }
+      }
+    );
+
     /**
      * @api {get} /conversations/search Recherche globale messages/fichiers/conversations/groups/broadcast
      * @apiName SearchOccurrences
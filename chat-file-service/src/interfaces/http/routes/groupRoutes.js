@@ -13,7 +13,12 @@ module.exports = function createGroupRoutes(createGroupUseCase) {
       });
       res.status(201).json({ success: true, data: group });
     } catch (error) {
-      res.status(400).json({ success: false, error: error.message });
+      res.status(error.status || 400).json({
+        success: false,
+        error: error.message,
+        ...(error.code && { code: error.code }),
+        ...(error.deniedIds && { deniedIds: error.deniedIds }),
+      });
     }
   });
 
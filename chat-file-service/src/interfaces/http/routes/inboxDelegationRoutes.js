@@ -0,0 +1,144 @@
+const express = require("express");
+const { authMiddleware } = require("../middleware");
+const ErrorHandler = require("../../../config/errorHandler");
+
+module.exports = function createInboxDelegationRoutes({
+  grantInboxDelegationUseCase,
+  updateInboxDelegationUseCase,
+  revokeInboxDelegationUseCase,
+  getInboxDelegationsUseCase,
+}) {
+  const router = express.Router();
+
+  /**
+   * @api {post} /inbox-delegations Ouvrir sa boîte à un délégué (secrétariat)
+   * @apiBody {String} delegateId
+   * @apiBody {Boolean} [canReply=false] réponses « de la part de »
+   * @apiBody {String} [expiresAt] date ISO de fin
+   */
+  router.post("/", authMiddleware.authenticate, async (req, res) => {
+    try {
+      const delegation = await grantInboxDelegationUseCase.execute({
+        ownerId: req.user.id,
+        delegateId: req.body.delegateId,
+        canReply: req.body.canReply === true,
+        expiresAt: req.body.expiresAt || null,
+      });
+      res.status(201).json({ success: true, data: delegation.toObject() });
+    } catch (error) {
+      ErrorHandler.handleControllerError(
+        error,
+        req,
+        res,
+        "grantInboxDelegation",
+      );
+    }
+  });
+
+  /**
+   * @api {get} /inbox-delegations Délégations accordées et reçues
+   * @apiQuery {Boolean} [includeRevoked=false]
+   */
+  router.get("/", authMiddleware.authenticate, async (req, res) => {
+    try {
+      const result = await getInboxDelegationsUseCase.execute({
+        userId: req.user.id,
+        includeRevoked: req.query.includeRevoked === "true",
+      });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      ErrorHandler.handleControllerError(
+        error,
+        req,
+        res,
+        "getInboxDelegations",
+      );
+    }
+  });
+
+  /**
+   * @api {patch} /inbox-delegations/:delegationId Droit de réponse / échéance (titulaire)
+   */
+  router.patch(
+    "/:delegationId",
+    authMiddleware.authenticate,
+    async (req, res) => {
+      try {
+        const delegation = await updateInboxDelegationUseCase.execute({
+          delegationId: req.params.delegationId,
+          userId: req.user.id,
+          canReply: req.body.canReply,
+          expiresAt: req.body.expiresAt,
+        });
+        res.json({ success: true, data: delegation.toObject() });
+      } catch (error) {
+        ErrorHandler.handleControllerError(
+          error,
+          req,
+          res,
+          "updateInboxDelegation",
+        );
+      }
+    },
+  );
+
+  /**
+   * @api {put|delete} /inbox-delegations/:delegationId/exclusions/:conversationId
+   * Masquer (PUT) ou réintégrer (DELETE) un fil sensible
+   */
+  const setExclusion = (excluded) => async (req, res) => {
+    try {
+      const delegation = await updateInboxDelegationUseCase.setExclusion({
+        delegationId: req.params.delegationId,
+        userId: req.user.id,
+        conversationId: req.params.conversationId,
+        excluded,
+      });
+      res.json({ success: true, data: delegation.toObject() });
+    } catch (error) {
+      ErrorHandler.handleControllerError(
+        error,
+        req,
+        res,
+        "setInboxDelegationExclusion",
+      );
+    }
+  };
+
+  router.put(
+    "/:delegationId/exclusions/:conversationId",
+    authMiddleware.authenticate,
+    setExclusion(true),
+  );
+  router.delete(
+    "/:delegationId/exclusions/:conversationId",
+    authMiddleware.authenticate,
+    setExclusion(false),
+  );
+
+  /**
+   * @api {delete} /inbox-delegations/:delegationId Révoquer (titulaire ou délégué)
+   */
+  router.delete(
+    "/:delegationId",
+    authMiddleware.authenticate,
+    async (req, res) => {
+      try {
+        const delegation = await revokeInboxDelegationUseCase.execute({
+          delegationId: req.params.delegationId,
+          userId: req.user.id,
+        });
+        res.json({ success: true, data: delegation.toObject() });
+      } catch (error) {
+        ErrorHandler.handleControllerError(
+          error,
+          req,
+          res,
+          "revokeInboxDelegation",
+        );
+      }
+    },
+  );
+
+  return router;
+};
@@ -32,6 +32,10 @@ function createMessageRoutes(messageController) {
     "updateMessageStatus",
     "deleteMessage",
     "addReaction",
+    "removeReaction",
+    "getThread",
+    "forwardMessages",
+    "getMentionCounts",
   ];
   const missingMethods = requiredMethods.filter(
     (method) => typeof messageController[method] !== "function"
@@ -80,6 +84,31 @@ function createMessageRoutes(messageController) {
       }
     );
 
+    /**
+     * @api {post} /messages/forward Forward Messages
+     * @apiName ForwardMessages
+     * @apiGroup Messages
+     * @apiBody {String[]} messageIds Max 20
+     * @apiBody {String[]} targetConversationIds Max 10
+     */
+    router.post(
+      "/forward",
+      authMiddleware.authenticate,
+      rateLimitMiddleware.createLimit,
+      async (req, res) => {
+        try {
+          await messageController.forwardMessages(req, res);
+        } catch (error) {
+          console.error("❌ Erreur route POST /messages/forward:", error);
+          res.status(500).json({
+            success: false,
+            message: "Erreur lors du transfert des messages",
+            error: error.message,
+          });
+        }
+      }
+    );
+
     /**
      * @api {get} /messages Get Messages
      * @apiName GetMessages
@@ -103,6 +132,29 @@ function createMessageRoutes(messageController) {
       }
     );
 
+    /**
+     * @api {get} /messages/mentions/unread Mentions non lues par conversation
+     * @apiName GetMentionCounts
+     * @apiGroup Messages
+     */
+    router.get(
+      "/mentions/unread",
+      authMiddleware.authenticate,
+      rateLimitMiddleware.apiLimit,
+      async (req, res) => {
+        try {
+          await messageController.getMentionCounts(req, res);
+        } catch (error) {
+          console.error("❌ Erreur route GET /messages/mentions/unread:", error);
+          res.status(500).json({
+            success: false,
+            message: "Erreur lors de la récupération des mentions",
+            error: error.message,
+          });
+        }
+      }
+    );
+
     /**
      * @api {get} /messages/:messageId Get Single Message
      * @apiName GetMessage
@@ -183,6 +235,8 @@ function createMessageRoutes(messageController) {
      * @api {post} /messages/:messageId/reactions Add Reaction
      * @apiName AddReaction
      * @apiGroup Messages
+     * @apiBody {String} emoji
+     * @apiBody {Boolean} [toggle] Retire la réaction si c'est déjà cet emoji
      */
     router.post(
       "/:messageId/reactions",
@@ -207,6 +261,64 @@ function createMessageRoutes(messageController) {
       }
     );
 
+    /**
+     * @api {delete} /messages/:messageId/reactions Remove Reaction
+     * @apiName RemoveReaction
+     * @apiGroup Messages
+     */
+    router.delete(
+      "/:messageId/reactions",
+      authMiddleware.authenticate,
+      rateLimitMiddleware.reactionLimit,
+      validationMiddleware.validateMongoId("messageId"),
+      async (req, res) => {
+        try {
+          await messageController.removeReaction(req, res);
+        } catch (error) {
+          console.error(
+            "❌ Erreur route DELETE /messages/:messageId/reactions:",
+            error
+          );
+          res.status(500).json({
+            success: false,
+            message: "Erreur lors du retrait de la réaction",
+            error: error.message,
+          });
+        }
+      }
+    );
+
+    /**
+     * @api {get} /messages/:messageId/thread Get Message Thread
+     * @apiName GetMessageThread
+     * @apiGroup Messages
+     * @apiQuery {String} [cursor] createdAt (ISO) de la dernière réponse reçue
+     * @apiQuery {Number} [limit=50] Max 100
+     * @apiQuery {String="newer","older"} [direction=newer]
+     * @apiQuery {String} [onBehalfOf] Lecture d'une boîte déléguée
+     */
+    router.get(
+      "/:messageId/thread",
+      authMiddleware.authenticate,
+      rateLimitMiddleware.apiLimit,
+      validationMiddleware.validateMongoId("messageId"),
+      async (req, res) => {
+        try {
+          await messageController.getThread(req, res);
+        } catch (error) {
+          console.error(
+            "❌ Erreur route GET /messages/:messageId/thread:",
+            error
+          );
+          res.status(500).json({
+            success: false,
+            message: "Erreur lors de la récupération du fil de réponses",
+            error: error.message,
+          });
+        }
+      }
+    );
+
     /**
      * @api {get} /messages/search Recherche globale messages/fichiers/conversations/groups/broadcast
      * @apiName SearchOccurrences
@@ -0,0 +1,117 @@
+const express = require("express");
+const { authMiddleware } = require("../middleware");
+const ErrorHandler = require("../../../config/errorHandler");
+
+module.exports = function createScheduledMessageRoutes({
+  scheduleMessageUseCase,
+  getScheduledMessagesUseCase,
+  updateScheduledMessageUseCase,
+  cancelScheduledMessageUseCase,
+}) {
+  const router = express.Router();
+
+  /**
+   * @api {post} /scheduled-messages Programmer un message
+   * @apiBody {String} conversationId
+   * @apiBody {String} content
+   * @apiBody {String} scheduledAt date ISO avec fuseau (1 min à 30 jours)
+   * @apiBody {String} [replyTo]
+   */
+  router.post("/", authMiddleware.authenticate, async (req, res) => {
+    try {
+      const scheduled = await scheduleMessageUseCase.execute({
+        userId: req.user.id,
+        conversationId: req.body.conversationId,
+        content: req.body.content,
+        scheduledAt: req.body.scheduledAt,
+        replyTo: req.body.replyTo,
+      });
+      res.status(201).json({ success: true, data: scheduled.toObject() });
+    } catch (error) {
+      ErrorHandler.handleControllerError(error, req, res, "scheduleMessage");
+    }
+  });
+
+  /**
+   * @api {get} /scheduled-messages Mes messages programmés
+   * @apiQuery {String} [status] PENDING | SENDING | SENT | FAILED | CANCELLED
+   * @apiQuery {String} [conversationId]
+   */
+  router.get("/", authMiddleware.authenticate, async (req, res) => {
+    try {
+      const result = await getScheduledMessagesUseCase.execute({
+        userId: req.user.id,
+        status: req.query.status,
+        conversationId: req.query.conversationId,
+        page: req.query.page,
+        limit: req.query.limit,
+      });
+      res.json({
+        success: true,
+        data: result.scheduledMessages,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      ErrorHandler.handleControllerError(
+        error,
+        req,
+        res,
+        "getScheduledMessages",
+      );
+    }
+  });
+
+  /**
+   * @api {put} /scheduled-messages/:scheduledMessageId Modifier (PENDING)
+   * @apiBody {String} [content]
+   * @apiBody {String} [scheduledAt]
+   */
+  router.put(
+    "/:scheduledMessageId",
+    authMiddleware.authenticate,
+    async (req, res) => {
+      try {
+        const scheduled = await updateScheduledMessageUseCase.execute({
+          scheduledMessageId: req.params.scheduledMessageId,
+          userId: req.user.id,
+          content: req.body.content,
+          scheduledAt: req.body.scheduledAt,
+        });
+        res.json({ success: true, data: scheduled.toObject() });
+      } catch (error) {
+        ErrorHandler.handleControllerError(
+          error,
+          req,
+          res,
+          "updateScheduledMessage",
+        );
+      }
+    },
+  );
+
+  /**
+   * @api {delete} /scheduled-messages/:scheduledMessageId Annuler (PENDING)
+   */
+  router.delete(
+    "/:scheduledMessageId",
+    authMiddleware.authenticate,
+    async (req, res) => {
+      try {
+        const scheduled = await cancelScheduledMessageUseCase.execute({
+          scheduledMessageId: req.params.scheduledMessageId,
+          userId: req.user.id,
+        });
+        res.json({ success: true, data: scheduled.toObject() });
+      } catch (error) {
+        ErrorHandler.handleControllerError(
+          error,
+          req,
+          res,
+          "cancelScheduledMessage",
+        );
+      }
+    },
+  );
+
+  return router;
+};
@@ -0,0 +1,93 @@
+const express = require("express");
+const { authMiddleware } = require("../middleware");
+const { Permissions } = require("../../../../shared");
+const ErrorHandler = require("../../../config/errorHandler");
+
+module.exports = function createUnitGroupRoutes(syncUnitGroupsUseCase) {
+  const router = express.Router();
+  const canManage = authMiddleware.requirePermission(
+    Permissions.PERMISSIONS.UNIT_GROUPS_MANAGE,
+  );
+
+  /**
+   * @api {post} /unit-groups Activer le groupe d'une unité (membres = organigramme)
+   * @apiBody {String} unitId
+   */
+  router.post("/", authMiddleware.authenticate, canManage, async (req, res) => {
+    try {
+      const conversation = await syncUnitGroupsUseCase.enable({
+        unitId: req.body.unitId,
+        enabledBy: req.user.id,
+        actor: req.user,
+      });
+      res.status(201).json({ success: true, data: conversation });
+    } catch (error) {
+      ErrorHandler.handleControllerError(error, req, res, "enableUnitGroup");
+    }
+  });
+
+  /**
+   * @api {get} /unit-groups Groupes d'unité
+   * @apiQuery {Boolean} [managedOnly=false]
+   */
+  router.get("/", authMiddleware.authenticate, canManage, async (req, res) => {
+    try {
+      const groups = await syncUnitGroupsUseCase.list({
+        managedOnly: req.query.managedOnly === "true",
+      });
+      res.json({ success: true, data: groups });
+    } catch (error) {
+      ErrorHandler.handleControllerError(error, req, res, "listUnitGroups");
+    }
+  });
+
+  /**
+   * @api {post} /unit-groups/:unitId/sync Resynchroniser sans attendre le balayage
+   */
+  router.post(
+    "/:unitId/sync",
+    authMiddleware.authenticate,
+    canManage,
+    async (req, res) => {
+      try {
+        const report = await syncUnitGroupsUseCase.syncUnit(
+          req.params.unitId,
+          req.user,
+        );
+        if (!report) {
+          return res.status(404).json({
+            success: false,
+            message: `Aucun groupe géré pour l'unité ${req.params.unitId}`,
+            code: "UNIT_GROUP_NOT_FOUND",
+          });
+        }
+        res.json({ success: true, data: report });
+      } catch (error) {
+        ErrorHandler.handleControllerError(error, req, res, "syncUnitGroup");
+      }
+    },
+  );
+
+  /**
+   * @api {delete} /unit-groups/:unitId Désactiver la synchronisation (groupe conservé)
+   */
+  router.delete(
+    "/:unitId",
+    authMiddleware.authenticate,
+    canManage,
+    async (req, res) => {
+      try {
+        const conversation = await syncUnitGroupsUseCase.disable({
+          unitId: req.params.unitId,
+          disabledBy: req.user.id,
+          actor: req.user,
+        });
+        res.json({ success: true, data: conversation });
+      } catch (error) {
+        ErrorHandler.handleControllerError(error, req, res, "disableUnitGroup");
+      }
+    },
+  );
+
+  return router;
+};
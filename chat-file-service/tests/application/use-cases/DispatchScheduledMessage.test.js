@@ -0,0 +1,145 @@
+const DispatchScheduledMessage = require("../../../src/application/use-cases/DispatchScheduledMessage");
+const ScheduledMessage = require("../../../src/domain/entities/ScheduledMessage");
+
+const scheduled = (overrides = {}) =>
+  new ScheduledMessage({
+    _id: "sched-1",
+    senderId: "570479H",
+    conversationId: "conv-1",
+    content: "Réunion de service à 8h",
+    scheduledAt: new Date(Date.now() + 60 * 60 * 1000),
+    status: ScheduledMessage.STATUSES.SENDING,
+    attempts: 1,
+    ...overrides,
+  });
+
+const setup = ({ participants = ["570479H", "123456A"] } = {}) => {
+  const repository = {
+    claim: jest.fn().mockResolvedValue(scheduled()),
+    markSent: jest
+      .fn()
+      .mockResolvedValue(scheduled({ status: ScheduledMessage.STATUSES.SENT })),
+    recordFailure: jest
+      .fn()
+      .mockResolvedValue(
+        scheduled({ status: ScheduledMessage.STATUSES.FAILED }),
+      ),
+  };
+  const conversationRepository = {
+    findById: jest.fn().mockResolvedValue({ _id: "conv-1", participants }),
+  };
+  const sendMessage = {
+    execute: jest.fn().mockResolvedValue({ message: { id: "msg-42" } }),
+  };
+  const notifier = { sent: jest.fn(), failed: jest.fn() };
+
+  return {
+    repository,
+    conversationRepository,
+    sendMessage,
+    notifier,
+    useCase: new DispatchScheduledMessage(
+      repository,
+      conversationRepository,
+      sendMessage,
+      notifier,
+    ),
+  };
+};
+
+describe("DispatchScheduledMessage", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("ignore un message déjà pris, annulé ou reprogrammé", async () => {
+    const { useCase, repository, sendMessage } = setup();
+    repository.claim.mockResolvedValue(null);
+
+    await expect(useCase.execute("sched-1")).resolves.toBeNull();
+    expect(sendMessage.execute).not.toHaveBeenCalled();
+  });
+
+  it("réclame avec le numéro d'essai puis envoie via SendMessage", async () => {
+    const { useCase, repository, sendMessage, notifier } = setup();
+
+    const sent = await useCase.execute("sched-1", { attempt: 2 });
+
+    expect(repository.claim).toHaveBeenCalledWith("sched-1", 2);
+    expect(sendMessage.execute).toHaveBeenCalledWith({
+      content: "Réunion de service à 8h",
+      senderId: "570479H",
+      conversationId: "conv-1",
+      type: "TEXT",
+    });
+    expect(repository.markSent).toHaveBeenCalledWith("sched-1", "msg-42");
+    expect(notifier.sent).toHaveBeenCalledWith(sent);
+    expect(sent.status).toBe(ScheduledMessage.STATUSES.SENT);
+  });
+
+  it("transmet le message cité", async () => {
+    const { useCase, repository, sendMessage } = setup();
+    repository.claim.mockResolvedValue(scheduled({ replyTo: "msg-7" }));
+
+    await useCase.execute("sched-1");
+
+    expect(sendMessage.execute).toHaveBeenCalledWith(
+      expect.objectContaining({ replyTo: "msg-7" }),
+    );
+  });
+
+  it("auteur retiré : FAILED aussitôt, erreur non rejouable", async () => {
+    const { useCase, repository, sendMessage, notifier } = setup({
+      participants: ["123456A"],
+    });
+
+    const error = await useCase.execute("sched-1").catch((e) => e);
+
+    expect(error.code).toBe("NOT_PARTICIPANT");
+    expect(error.retryable).toBe(false);
+    expect(sendMessage.execute).not.toHaveBeenCalled();
+    expect(repository.recordFailure).toHaveBeenCalledWith(
+      "sched-1",
+      error.message,
+      true,
+    );
+    expect(notifier.failed).toHaveBeenCalled();
+    expect(repository.markSent).not.toHaveBeenCalled();
+  });
+
+  it("erreur technique : reste SENDING pour le rejeu", async () => {
+    const { useCase, repository, sendMessage, notifier } = setup();
+    sendMessage.execute.mockRejectedValue(new Error("MongoDB indisponible"));
+
+    const error = await useCase.execute("sched-1").catch((e) => e);
+
+    expect(error.message).toBe("MongoDB indisponible");
+    expect(error.retryable).toBeUndefined();
+    expect(repository.recordFailure).toHaveBeenCalledWith(
+      "sched-1",
+      "MongoDB indisponible",
+      false,
+    );
+    expect(notifier.failed).not.toHaveBeenCalled();
+  });
+
+  it("erreur technique au dernier essai : FAILED et notification", async () => {
+    const { useCase, repository, sendMessage, notifier } = setup();
+    sendMessage.execute.mockRejectedValue(new Error("MongoDB indisponible"));
+
+    await expect(
+      useCase.execute("sched-1", { attempt: 4, final: true }),
+    ).rejects.toThrow("MongoDB indisponible");
+
+    expect(repository.recordFailure).toHaveBeenCalledWith(
+      "sched-1",
+      "MongoDB indisponible",
+      true,
+    );
+    expect(notifier.failed).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,109 @@
+const SendMessage = require("../../../src/application/use-cases/SendMessage");
+
+const SENDER = "570479H";
+
+const setup = (usersInfo = []) => {
+  const userCacheService = {
+    fetchUsersInfo: jest.fn().mockResolvedValue(usersInfo),
+  };
+  return {
+    userCacheService,
+    useCase: new SendMessage({}, {}, null, null, userCacheService),
+  };
+};
+
+const conversation = (participants) => ({ _id: "conv-1", participants });
+
+describe("SendMessage.resolveMentions", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("sans mention : rien à notifier, aucun appel au cache utilisateurs", async () => {
+    const { useCase, userCacheService } = setup();
+
+    const mentions = await useCase.resolveMentions(
+      "Bonjour à tous",
+      conversation([SENDER, "123456A"]),
+      SENDER,
+    );
+
+    expect(mentions).toEqual({ stored: [], userIds: [], all: false });
+    expect(userCacheService.fetchUsersInfo).not.toHaveBeenCalled();
+  });
+
+  it("@all vise tous les autres participants", async () => {
+    const { useCase } = setup();
+
+    const mentions = await useCase.resolveMentions(
+      "@all réunion à 10h",
+      conversation([SENDER, "123456A", "654321B"]),
+      SENDER,
+    );
+
+    expect(mentions).toEqual({
+      stored: ["all"],
+      userIds: ["123456A", "654321B"],
+      all: true,
+    });
+  });
+
+  it("@matricule d'un participant, sans tenir compte de la casse", async () => {
+    const { useCase, userCacheService } = setup();
+
+    const mentions = await useCase.resolveMentions(
+      "Merci @123456a, et @123456A encore",
+      conversation([SENDER, "123456A", "654321B"]),
+      SENDER,
+    );
+
+    expect(mentions).toEqual({
+      stored: ["123456A"],
+      userIds: ["123456A"],
+      all: false,
+    });
+    expect(userCacheService.fetchUsersInfo).not.toHaveBeenCalled();
+  });
+
+  it("rapproche un matricule de l'identifiant du participant", async () => {
+    const { useCase, userCacheService } = setup([
+      { userId: "u-2", matricule: "654321B" },
+    ]);
+
+    const mentions = await useCase.resolveMentions(
+      "@654321B peux-tu relire ?",
+      conversation([SENDER, "u-2"]),
+      SENDER,
+    );
+
+    expect(userCacheService.fetchUsersInfo).toHaveBeenCalledWith(["u-2"]);
+    expect(mentions.userIds).toEqual(["u-2"]);
+  });
+
+  it("ignore adresses e-mail, non-participants et l'auteur", async () => {
+    const { useCase } = setup([]);
+
+    const mentions = await useCase.resolveMentions(
+      `Écrire à jean@123456A.cm, @999999Z et @${SENDER}`,
+      conversation([SENDER, "123456A"]),
+      SENDER,
+    );
+
+    expect(mentions).toEqual({ stored: [], userIds: [], all: false });
+  });
+
+  it("cache utilisateurs indisponible : mentions directes conservées", async () => {
+    const { useCase, userCacheService } = setup();
+    userCacheService.fetchUsersInfo.mockRejectedValue(new Error("Redis down"));
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    const mentions = await useCase.resolveMentions(
+      "@123456A et @654321B",
+      conversation([SENDER, "123456A", "u-3"]),
+      SENDER,
+    );
+
+    expect(mentions.userIds).toEqual(["123456A"]);
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+jest.mock(
+  "../../../src/infrastructure/mongodb/models/ScheduledMessageModel",
+  () => ({
+    findOneAndUpdate: jest.fn(),
+  }),
+);
+
+const ScheduledMessageModel = require("../../../src/infrastructure/mongodb/models/ScheduledMessageModel");
+const MongoScheduledMessageRepository = require("../../../src/infrastructure/repositories/MongoScheduledMessageRepository");
+const ScheduledMessage = require("../../../src/domain/entities/ScheduledMessage");
+
+const { STATUSES } = ScheduledMessage;
+
+const returning = (doc) => ({ lean: jest.fn().mockResolvedValue(doc) });
+
+describe("MongoScheduledMessageRepository.claim", () => {
+  const repository = new MongoScheduledMessageRepository();
+  const now = new Date("2026-03-02T08:00:00Z");
+
+  beforeEach(() => {
+    ScheduledMessageModel.findOneAndUpdate.mockReset();
+  });
+
+  it("premier envoi : PENDING arrivé à échéance → SENDING", async () => {
+    ScheduledMessageModel.findOneAndUpdate.mockReturnValue(
+      returning({
+        _id: "sched-1",
+        senderId: "570479H",
+        conversationId: "conv-1",
+        content: "Bonjour",
+        scheduledAt: now,
+        status: STATUSES.SENDING,
+        attempts: 1,
+      }),
+    );
+
+    const claimed = await repository.claim("sched-1", 1, now);
+
+    expect(ScheduledMessageModel.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        _id: "sched-1",
+        status: STATUSES.PENDING,
+        scheduledAt: { $lte: now },
+      },
+      { $set: { status: STATUSES.SENDING }, $inc: { attempts: 1 } },
+      { new: true },
+    );
+    expect(claimed).toBeInstanceOf(ScheduledMessage);
+    expect(claimed.status).toBe(STATUSES.SENDING);
+  });
+
+  it("rejeu : seul l'essai attendu (attempts = attempt - 1) réclame", async () => {
+    ScheduledMessageModel.findOneAndUpdate.mockReturnValue(returning(null));
+
+    await repository.claim("sched-1", 3, now);
+
+    expect(ScheduledMessageModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: "sched-1", status: STATUSES.SENDING, attempts: 2 },
+      expect.any(Object),
+      { new: true },
+    );
+  });
+
+  it("rien à réclamer (annulé, reprogrammé, déjà pris) : null", async () => {
+    ScheduledMessageModel.findOneAndUpdate.mockReturnValue(returning(null));
+
+    await expect(repository.claim("sched-1", 1, now)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,203 @@
+const RateLimiter = require("../../../shared/redis/managers/RateLimiter");
+
+const POLICIES = {
+  global: { windowMs: 60000, max: 3, message: "Trop de requêtes" },
+  auth: {
+    windowMs: 60000,
+    max: 2,
+    message: "Trop de tentatives",
+    identify: (req) =>
+      req.body?.matricule
+        ? `matricule:${req.body.matricule}:ip:${req.ip}`
+        : null,
+  },
+};
+
+const createLimiter = (options = {}) => {
+  const limiter = new RateLimiter({
+    keyPrefix: "test",
+    policies: POLICIES,
+    ...options,
+  });
+  clearInterval(limiter.cleanupInterval);
+  return limiter;
+};
+
+const mockResponse = () => {
+  const res = { headers: {} };
+  res.setHeader = jest.fn((name, value) => {
+    res.headers[name] = value;
+  });
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("RateLimiter", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("keyFor", () => {
+    it("matricule de l'utilisateur authentifié, sinon IP", () => {
+      const limiter = createLimiter();
+
+      expect(
+        limiter.keyFor({ ip: "10.0.0.1", user: { matricule: "570479H" } }),
+      ).toBe("user:570479H");
+      expect(limiter.keyFor({ ip: "10.0.0.1" })).toBe("ip:10.0.0.1");
+    });
+
+    it("identify de la politique en priorité (login : matricule + IP)", () => {
+      const limiter = createLimiter();
+      const req = { ip: "10.0.0.1", body: { matricule: "570479H" } };
+
+      expect(limiter.keyFor(req, POLICIES.auth)).toBe(
+        "matricule:570479H:ip:10.0.0.1",
+      );
+      expect(limiter.keyFor({ ip: "10.0.0.1", body: {} }, POLICIES.auth)).toBe(
+        "ip:10.0.0.1",
+      );
+    });
+  });
+
+  describe("mode dégradé (compteurs locaux)", () => {
+    it("refuse au-delà de max dans la fenêtre", async () => {
+      const limiter = createLimiter();
+
+      const results = [];
+      for (let i = 0; i < 4; i++) {
+        results.push(await limiter.hit("global", "ip:10.0.0.1"));
+      }
+
+      expect(results.map((r) => r.allowed)).toEqual([true, true, true, false]);
+      expect(results[2].remaining).toBe(0);
+      expect(results[3].resetMs).toBeGreaterThan(0);
+    });
+
+    it("compteurs séparés par sujet et par politique", async () => {
+      const limiter = createLimiter();
+
+      await limiter.hit("auth", "ip:10.0.0.1");
+      await limiter.hit("auth", "ip:10.0.0.1");
+
+      expect((await limiter.hit("auth", "ip:10.0.0.1")).allowed).toBe(false);
+      expect((await limiter.hit("auth", "ip:10.0.0.2")).allowed).toBe(true);
+      expect((await limiter.hit("global", "ip:10.0.0.1")).allowed).toBe(true);
+    });
+
+    it("politique inconnue : erreur", async () => {
+      await expect(createLimiter().hit("upload", "ip:1")).rejects.toThrow(
+        "Politique de rate limit inconnue: upload",
+      );
+    });
+  });
+
+  describe("Redis", () => {
+    it("utilise le script de fenêtre glissante", async () => {
+      const limiter = createLimiter();
+      const redis = {
+        isReady: true,
+        eval: jest.fn().mockResolvedValue([1, 2, 59000]),
+      };
+      limiter.initializeWithClient(redis);
+
+      const result = await limiter.hit("global", "user:570479H");
+
+      expect(redis.eval).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({
+          keys: ["test:global:user:570479H"],
+          arguments: expect.arrayContaining(["60000", "3"]),
+        }),
+      );
+      expect(result).toEqual({
+        allowed: true,
+        limit: 3,
+        remaining: 2,
+        resetMs: 59000,
+      });
+    });
+
+    it("erreur Redis : repli sur les compteurs locaux", async () => {
+      const limiter = createLimiter();
+      limiter.initializeWithClient({
+        isReady: true,
+        eval: jest.fn().mockRejectedValue(new Error("ECONNRESET")),
+      });
+
+      const result = await limiter.hit("global", "ip:10.0.0.1");
+
+      expect(result).toMatchObject({ allowed: true, remaining: 2 });
+      expect(limiter.localHits.size).toBe(1);
+    });
+  });
+
+  describe("middleware", () => {
+    it("429 avec Retry-After une fois la limite atteinte", async () => {
+      const limiter = createLimiter();
+      const middleware = limiter.middleware("auth");
+      const req = { ip: "10.0.0.1", body: { matricule: "570479H" } };
+
+      for (let i = 0; i < 2; i++) {
+        const next = jest.fn();
+        await middleware(req, mockResponse(), next);
+        expect(next).toHaveBeenCalled();
+      }
+
+      const res = mockResponse();
+      const next = jest.fn();
+      await middleware(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.headers["Retry-After"]).toBeGreaterThanOrEqual(1);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          code: "RATE_LIMIT_EXCEEDED",
+          message: "Trop de tentatives",
+        }),
+      );
+    });
+
+    it("même IP, autre matricule : compteur distinct (bureaux derrière NAT)", async () => {
+      const limiter = createLimiter();
+      const middleware = limiter.middleware("auth");
+
+      for (let i = 0; i < 2; i++) {
+        await middleware(
+          { ip: "10.0.0.1", body: { matricule: "570479H" } },
+          mockResponse(),
+          jest.fn(),
+        );
+      }
+
+      const next = jest.fn();
+      await middleware(
+        { ip: "10.0.0.1", body: { matricule: "123456A" } },
+        mockResponse(),
+        next,
+      );
+      expect(next).toHaveBeenCalled();
+    });
+
+    it("skip : requête non comptée", async () => {
+      const limiter = createLimiter({ skip: () => true });
+      const next = jest.fn();
+
+      await limiter.middleware("global")(
+        { ip: "10.0.0.1" },
+        mockResponse(),
+        next,
+      );
+
+      expect(next).toHaveBeenCalled();
+      expect(limiter.localHits.size).toBe(0);
+    });
+  });
+});
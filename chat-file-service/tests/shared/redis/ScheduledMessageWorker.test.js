@@ -0,0 +1,163 @@
+const ScheduledMessageWorker = require("../../../shared/redis/workers/ScheduledMessageWorker");
+
+const KEY = "chat:cache:scheduled_messages";
+
+// Sorted set en mémoire : zRem ne réclame qu'une fois chaque échéance
+const fakeRedis = (entries = {}) => {
+  const zset = new Map(Object.entries(entries));
+  return {
+    zRangeByScore: jest.fn(async (key, min, max, { LIMIT }) =>
+      [...zset.entries()]
+        .filter(([, score]) => score >= min && score <= max)
+        .sort((a, b) => a[1] - b[1])
+        .slice(LIMIT.offset, LIMIT.offset + LIMIT.count)
+        .map(([id]) => id),
+    ),
+    zRem: jest.fn(async (key, id) => (zset.delete(id) ? 1 : 0)),
+    zset,
+  };
+};
+
+const runningWorker = (redis, options = {}) => {
+  const worker = new ScheduledMessageWorker(redis, {
+    dispatchCallback: jest.fn().mockResolvedValue(undefined),
+    retryCallback: jest.fn().mockResolvedValue(undefined),
+    dlqCallback: jest.fn().mockResolvedValue(undefined),
+    ...options,
+  });
+  // process() sans l'intervalle de start()
+  worker.isRunning = true;
+  return worker;
+};
+
+describe("ScheduledMessageWorker", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("envoie les échéances passées seulement, une fois chacune", async () => {
+    const now = Date.now();
+    const redis = fakeRedis({
+      due1: now - 2000,
+      due2: now - 1000,
+      later: now + 60 * 60 * 1000,
+    });
+    const worker = runningWorker(redis);
+
+    await worker.process();
+    await worker.process();
+
+    expect(worker.dispatchCallback).toHaveBeenCalledTimes(2);
+    expect(worker.dispatchCallback).toHaveBeenNthCalledWith(1, "due1", {
+      attempt: 1,
+      final: false,
+    });
+    expect(worker.dispatchCallback).toHaveBeenNthCalledWith(2, "due2", {
+      attempt: 1,
+      final: false,
+    });
+    expect([...redis.zset.keys()]).toEqual(["later"]);
+    expect(worker.getMetrics()).toMatchObject({ processed: 2, dispatched: 2 });
+  });
+
+  it("n'envoie pas une échéance réclamée par une autre instance", async () => {
+    const redis = fakeRedis({ due: Date.now() - 1000 });
+    redis.zRem.mockResolvedValue(0);
+    const worker = runningWorker(redis);
+
+    await worker.process();
+
+    expect(worker.dispatchCallback).not.toHaveBeenCalled();
+    expect(worker.getMetrics().processed).toBe(0);
+  });
+
+  it("respecte batchSize", async () => {
+    const now = Date.now();
+    const redis = fakeRedis({ a: now - 3, b: now - 2, c: now - 1 });
+    const worker = runningWorker(redis, { batchSize: 2 });
+
+    await worker.process();
+
+    expect(worker.dispatchCallback).toHaveBeenCalledTimes(2);
+    expect([...redis.zset.keys()]).toEqual(["c"]);
+  });
+
+  it("ne fait rien tant qu'il n'est pas démarré", async () => {
+    const redis = fakeRedis({ due: Date.now() - 1000 });
+    const worker = runningWorker(redis);
+    worker.isRunning = false;
+
+    await worker.process();
+
+    expect(redis.zRangeByScore).not.toHaveBeenCalled();
+  });
+
+  it("erreur rejouable : confiée au RetryWorker", async () => {
+    const redis = fakeRedis({ due: Date.now() - 1000 });
+    const error = new Error("SendMessage indisponible");
+    const worker = runningWorker(redis, {
+      dispatchCallback: jest.fn().mockRejectedValue(error),
+    });
+
+    await worker.process();
+
+    expect(worker.retryCallback).toHaveBeenCalledWith(
+      { _id: "due", scheduledMessageId: "due" },
+      1,
+      error,
+    );
+    expect(worker.dlqCallback).not.toHaveBeenCalled();
+    expect(worker.getMetrics()).toMatchObject({ failed: 1, retried: 1 });
+  });
+
+  it("erreur non rejouable : DLQ directe (poison)", async () => {
+    const redis = fakeRedis({ due: Date.now() - 1000 });
+    const error = Object.assign(new Error("Auteur retiré"), {
+      retryable: false,
+    });
+    const worker = runningWorker(redis, {
+      dispatchCallback: jest.fn().mockRejectedValue(error),
+    });
+
+    await worker.process();
+
+    expect(worker.retryCallback).not.toHaveBeenCalled();
+    expect(worker.dlqCallback).toHaveBeenCalledWith(
+      { _id: "due", scheduledMessageId: "due" },
+      error,
+      1,
+      { operation: "ScheduledMessageWorker.dispatch", poison: true },
+    );
+    expect(worker.getMetrics().movedToDLQ).toBe(1);
+  });
+
+  it("sans RetryWorker, le premier essai est le dernier", async () => {
+    const redis = fakeRedis({ due: Date.now() - 1000 });
+    const error = new Error("SendMessage indisponible");
+    const worker = runningWorker(redis, {
+      retryCallback: null,
+      dispatchCallback: jest.fn().mockRejectedValue(error),
+    });
+
+    await worker.process();
+
+    expect(worker.dispatchCallback).toHaveBeenCalledWith("due", {
+      attempt: 1,
+      final: true,
+    });
+    expect(worker.dlqCallback).toHaveBeenCalledWith(
+      expect.anything(),
+      error,
+      1,
+      expect.objectContaining({ poison: false }),
+    );
+  });
+
+  it("utilise la clé par défaut de l'index", () => {
+    expect(new ScheduledMessageWorker(null).options.key).toBe(KEY);
+  });
+});
@@ -3,14 +3,88 @@ const cors = require("cors");
 const chalk = require("chalk");
 const httpProxy = require("http-proxy");
 const favicon = require("serve-favicon");
-const rateLimit = require("express-rate-limit");
 const helmet = require("helmet");
 const compression = require("compression");
 require("dotenv").config();
 const path = require("path");
+const StickyBalancer = require("./src/proxy/StickyBalancer");
+const createSocketProxy = require("./src/proxy/socketProxy");
+const { redactUrl } = require("./src/utils/logging");
+const UpstreamMonitor = require("./src/proxy/UpstreamMonitor");
+const createUpstreamProxy = require("./src/proxy/upstreamProxy");
+const createAuthGateway = require("./src/middleware/authGateway");
+const {
+  RedisManager,
+  TokenDenylist,
+  GatewayIdentity,
+  JwksClient,
+  RateLimiter,
+} = require("./shared");
 
 const app = express();
-const proxy = httpProxy.createProxyServer();
+// xfwd : IP client transmise aux services (X-Forwarded-For, suivi des sessions)
+const proxy = httpProxy.createProxyServer({ xfwd: true });
+
+// 🔌 Instances chat-file-service pour Socket.IO (routage collant)
+const chatInstances = (
+  process.env.CHAT_FILE_SERVICE_URLS ||
+  process.env.CHAT_FILE_SERVICE_URL ||
+  ""
+)
+  .split(",")
+  .map((url) => url.trim())
+  .filter(Boolean);
+
+// Routes proxy vers les services
+const routes = [
+  {
+    path: "/api/auth",
+    target: process.env.AUTH_USER_SERVICE_URL,
+    description: "Authentification",
+  },
+  {
+    path: "/api/users",
+    target: process.env.AUTH_USER_SERVICE_URL,
+    description: "Utilisateurs",
+  },
+  {
+    path: "/api/visibility",
+    target: process.env.VISIBILITY_SERVICE_URL,
+    description: "Visibilité",
+  },
+  {
+    path: "/api/chat",
+    target: process.env.CHAT_FILE_SERVICE_URL,
+    description: "Chat et Fichiers",
+  },
+];
+
+// 🩺 Sondes /health + circuit breaker par upstream
+const upstreamMonitor = new UpstreamMonitor(routes, {
+  intervalMs: parseInt(process.env.UPSTREAM_HEALTH_INTERVAL_MS) || 10000,
+  timeoutMs: parseInt(process.env.UPSTREAM_HEALTH_TIMEOUT_MS) || 3000,
+  failureThreshold: parseInt(process.env.UPSTREAM_FAILURE_THRESHOLD) || 5,
+  resetTimeout: parseInt(process.env.UPSTREAM_RESET_TIMEOUT_MS) || 30000,
+});
+chatInstances.forEach((target) =>
+  upstreamMonitor.register(target, "Socket.IO"),
+);
+const upstreamProxy = createUpstreamProxy({
+  proxy,
+  monitor: upstreamMonitor,
+  timeoutMs: parseInt(process.env.UPSTREAM_TIMEOUT_MS) || 30000,
+});
+
+const chatBalancer = new StickyBalancer(chatInstances, {
+  isHealthy: (target) => upstreamMonitor.isAvailable(target),
+});
+// Instance en échec de sonde : fermer ses WebSockets (reconnexion ailleurs)
+upstreamMonitor.on("down", ({ target }) => {
+  if (chatInstances.includes(target)) {
+    chatBalancer.markDown(target);
+  }
+});
+const socketProxy = createSocketProxy({ proxy, balancer: chatBalancer });
 
 app.use(
   cors({
@@ -56,32 +130,65 @@ app.use(
   }),
 );
 
-// 🚫 Rate limiting global
-const globalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // 1000 requêtes par IP
-  message: {
-    success: false,
-    message: "Trop de requêtes, veuillez patienter",
-    retryAfter: "15 minutes",
+// 🔑 Vérification centralisée des JWT + identité signée vers les services
+app.use(
+  createAuthGateway({
+    jwksClient: JwksClient,
+    tokenDenylist: TokenDenylist,
+    gatewayIdentity: GatewayIdentity,
+    protectedPrefixes: createAuthGateway.parseList(
+      process.env.GATEWAY_PROTECTED_PREFIXES,
+      createAuthGateway.DEFAULT_PROTECTED_PREFIXES,
+    ),
+    publicRoutes: createAuthGateway.parseList(
+      process.env.GATEWAY_PUBLIC_ROUTES,
+      createAuthGateway.DEFAULT_PUBLIC_ROUTES,
+    ),
+  }),
+);
+
+// 🚫 Rate limiting distribué (Redis, fenêtre glissante)
+// Après l'authentification : clé par utilisateur, IP pour les requêtes anonymes
+const rateLimiter = new RateLimiter({
+  keyPrefix: "gateway:ratelimit",
+  policies: {
+    global: {
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: 1000,
+      message: "Trop de requêtes, veuillez patienter",
+    },
+    auth: {
+      windowMs: 15 * 60 * 1000,
+      max: 10, // Seulement 10 tentatives de connexion
+      message: "Trop de tentatives de connexion, compte temporairement bloqué",
+      // Pas encore de req.user : matricule soumis + IP, pour qu'un ministère
+      // derrière un NAT ne partage pas 10 tentatives
+      identify: (req) => {
+        const matricule = req.body?.matricule;
+        if (!matricule || typeof matricule !== "string") return null;
+        return `matricule:${matricule.trim()}:ip:${req.ip || "unknown"}`;
+      },
+    },
   },
-  standardHeaders: true,
-  legacyHeaders: false,
 });
 
-// 🔐 Rate limiting strict pour l'authentification
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 10, // Seulement 10 tentatives de connexion
-  message: {
-    success: false,
-    message: "Trop de tentatives de connexion, compte temporairement bloqué",
+// Politiques par route (Socket.IO : polling et upgrade WebSocket)
+// parseBody : corps JSON lu avant le limiteur (identify de la politique)
+const rateLimitRoutes = [
+  { paths: ["/api/", "/socket.io/"], policy: "global" },
+  {
+    paths: ["/api/auth/login", "/api/auth/enrolment", "/api/auth/password"],
+    policy: "auth",
+    parseBody: true,
   },
-});
+];
 
-// Application des limiteurs
-app.use("/api/", globalLimiter);
-app.use("/api/auth/login", authLimiter);
+rateLimitRoutes.forEach(({ paths, policy, parseBody }) => {
+  if (parseBody) {
+    app.use(paths, express.json());
+  }
+  app.use(paths, rateLimiter.middleware(policy));
+});
 
 // Middleware de base
 
@@ -95,30 +202,6 @@ app.use(
   }),
 );
 
-// Routes proxy vers les services
-const routes = [
-  {
-    path: "/api/auth",
-    target: process.env.AUTH_USER_SERVICE_URL,
-    description: "Authentification",
-  },
-  {
-    path: "/api/users",
-    target: process.env.AUTH_USER_SERVICE_URL,
-    description: "Utilisateurs",
-  },
-  {
-    path: "/api/visibility",
-    target: process.env.VISIBILITY_SERVICE_URL,
-    description: "Visibilité",
-  },
-  {
-    path: "/api/chat",
-    target: process.env.CHAT_FILE_SERVICE_URL,
-    description: "Chat et Fichiers",
-  },
-];
-
 // Configuration du proxy avec logging
 proxy.on("proxyReq", (proxyReq, req, res) => {
   // Headers de sécurité
@@ -132,54 +215,67 @@ proxy.on("proxyReq", (proxyReq, req, res) => {
     proxyReq.write(bodyData);
   }
 
-  console.log(chalk.blue(`📤 ${req.method} ${req.url} → ${proxyReq.path}`));
+  console.log(
+    chalk.blue(
+      `📤 ${req.method} ${redactUrl(req.url)} → ${redactUrl(proxyReq.path)}`,
+    ),
+  );
 });
 
 proxy.on("proxyRes", (proxyRes, req, res) => {
   const statusColor = proxyRes.statusCode >= 400 ? chalk.red : chalk.green;
   console.log(
-    statusColor(`📥 ${proxyRes.statusCode} ${req.method} ${req.url}`),
+    statusColor(
+      `📥 ${proxyRes.statusCode} ${req.method} ${redactUrl(req.url)}`,
+    ),
   );
 });
 
-// Routes proxy vers les services
-routes.forEach(({ path, target, description }) => {
-  app.use(path, (req, res) => {
-    if (!target) {
-      return res.status(503).json({
-        success: false,
-        message: `Service ${description} non configuré`,
-      });
-    }
-
-    proxy.web(req, res, {
-      target,
-      changeOrigin: true,
-      secure: false,
-      timeout: 30000,
-    });
-  });
+// Routes proxy vers les services (échec immédiat si upstream indisponible)
+routes.forEach((route) => {
+  app.use(route.path, upstreamProxy.forward(route));
 });
 
-// Route de santé avec métriques
+// Socket.IO : polling HTTP + upgrade WebSocket (voir server.on("upgrade"))
+app.use("/socket.io", socketProxy.handler);
+
+// Route de santé : état réel de chaque upstream (dernière sonde)
 app.get("/api/health", (req, res) => {
-  res.json({
-    status: "UP",
+  const upstreams = upstreamMonitor.getReport();
+  const down = upstreams.filter((u) => u.status === "DOWN").length;
+  const status =
+    down === 0 ? "UP" : down === upstreams.length ? "DOWN" : "DEGRADED";
+
+  res.status(status === "DOWN" ? 503 : 200).json({
+    status,
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    services: routes.map((r) => ({
-      path: r.path,
-      target: r.target,
-      description: r.description,
-    })),
+    services: routes.map((r) => {
+      const upstream = upstreams.find((u) => u.target === r.target);
+      return {
+        path: r.path,
+        description: r.description,
+        target: r.target || null,
+        status: upstream ? upstream.status : "NOT_CONFIGURED",
+        latencyMs: upstream ? upstream.latencyMs : null,
+        circuit: upstream ? upstream.circuit.state : null,
+      };
+    }),
+    upstreams,
+    socketInstances: chatBalancer.getStats(),
   });
 });
 
-// Gestion des erreurs proxy
+// Gestion des erreurs proxy (Socket.IO ; les routes API ont leur propre handler)
 proxy.on("error", (err, req, res) => {
   console.error(chalk.red("❌ Erreur Proxy:"), err.message);
 
+  // Requêtes WebSocket : res est la socket brute
+  if (socketProxy.handleError(err, req, res)) {
+    return;
+  }
+
   if (!res.headersSent) {
     const isServiceDown = err.code === "ECONNREFUSED";
     res.status(isServiceDown ? 503 : 500).json({
@@ -195,19 +291,58 @@ proxy.on("error", (err, req, res) => {
 // Route 404 améliorée
 app.use((req, res) => {
   console.log(
-    chalk.yellow(`⚠️ Route non trouvée: ${req.method} ${req.originalUrl}`),
+    chalk.yellow(
+      `⚠️ Route non trouvée: ${req.method} ${redactUrl(req.originalUrl)}`,
+    ),
   );
   res.status(404).json({
     success: false,
     message: "Ressource non trouvée",
-    path: req.originalUrl,
+    path: redactUrl(req.originalUrl),
     availableRoutes: routes.map((r) => r.path),
   });
 });
 
 const PORT = process.env.GATEWAY_PORT || 8000;
 
-app.listen(PORT, () => {
+// 🔌 Redis : denylist des tokens révoqués + compteurs de rate limiting
+// (mode dégradé si indisponible)
+RedisManager.connect({
+  host: process.env.REDIS_HOST,
+  port: process.env.REDIS_PORT,
+  password: process.env.REDIS_PASSWORD,
+  db: process.env.REDIS_DB || 0,
+})
+  .then(() => {
+    TokenDenylist.initialize();
+    rateLimiter.initialize(RedisManager);
+  })
+  .catch((error) => {
+    console.warn(
+      chalk.yellow(
+        "⚠️ Redis indisponible, denylist désactivée et rate limiting local:",
+      ),
+      error.message,
+    );
+  });
+
+if (!JwksClient.isConfigured) {
+  console.warn(
+    chalk.yellow(
+      "⚠️ JWKS_URL / AUTH_USER_SERVICE_URL manquant : toutes les routes protégées refusées",
+    ),
+  );
+}
+
+if (!GatewayIdentity.canSign) {
+  console.warn(
+    chalk.yellow(
+      "⚠️ GATEWAY_IDENTITY_PRIVATE_KEY manquante : identité non relayée aux services",
+    ),
+  );
+}
+
+const server = app.listen(PORT, () => {
   console.log(
     chalk.yellow(`🚀 Gateway CENADI sécurisée démarrée sur le port ${PORT}`),
   );
@@ -222,4 +357,28 @@ app.listen(PORT, () => {
       `   ${status} ${route.path} → ${route.target || "NON CONFIGURÉ"}`,
     );
   });
+  console.log(
+    `   🔌 /socket.io → ${chatInstances.join(", ") || chalk.red("NON CONFIGURÉ")}`,
+  );
+
+  upstreamMonitor.start();
+  console.log(
+    chalk.blue(`🩺 Sondes /health toutes les ${upstreamMonitor.intervalMs}ms`),
+  );
 });
+
+// 🔌 Upgrade WebSocket Socket.IO (même chaîne de middlewares que le HTTP)
+server.on("upgrade", socketProxy.handleUpgrade(app));
+
+// 🛑 Arrêt propre : fermer les WebSockets avant de quitter
+const shutdown = (signal) => {
+  console.log(chalk.yellow(`🛑 ${signal} reçu, fermeture du gateway...`));
+  upstreamMonitor.stop();
+  const closed = chatBalancer.closeAll();
+  console.log(`   🔌 ${closed} WebSocket(s) fermée(s)`);
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 5000).unref();
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
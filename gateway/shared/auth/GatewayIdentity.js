@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+
+/**
+ * GatewayIdentity - Identité signée propagée par le gateway
+ *
+ * Le gateway vérifie le JWT une seule fois puis transmet aux services :
+ * - X-User-Identity           : base64url(JSON { matricule, id, roles, permissions, adminMinistere, sid, ts })
+ * - X-User-Identity-Signature : signature base64url de l'en-tête précédent
+ *
+ * Paire de clés asymétrique (Ed25519 recommandé, RSA/EC acceptés) :
+ * - GATEWAY_IDENTITY_PRIVATE_KEY : clé privée PEM, détenue par le gateway seul
+ * - GATEWAY_IDENTITY_PUBLIC_KEY  : clé publique PEM, déployée sur les services
+ * Un service peut vérifier une identité mais pas en fabriquer.
+ * Les services font confiance à une identité dont la signature est valide
+ * et récente ; une identité présente mais invalide est refusée.
+ */
+const IDENTITY_HEADER = "x-user-identity";
+const SIGNATURE_HEADER = "x-user-identity-signature";
+
+// PEM sur une seule ligne dans les fichiers .env : "\n" échappés
+const readPem = (value) => (value ? value.replace(/\\n/g, "\n") : null);
+
+class GatewayIdentity {
+  constructor(options = {}) {
+    this._privateKey = options.privateKey || null;
+    this._publicKey = options.publicKey || null;
+    this.maxAgeMs = options.maxAgeMs || 5 * 60 * 1000;
+    this._keyCache = new Map();
+  }
+
+  // Lues à l'appel : dotenv est chargé après le require du module shared
+  get privateKey() {
+    return (
+      this._privateKey || readPem(process.env.GATEWAY_IDENTITY_PRIVATE_KEY)
+    );
+  }
+
+  get publicKey() {
+    return this._publicKey || readPem(process.env.GATEWAY_IDENTITY_PUBLIC_KEY);
+  }
+
+  /**
+   * Signature possible (gateway uniquement)
+   */
+  get canSign() {
+    return !!this.privateKey;
+  }
+
+  /**
+   * Vérification possible (la clé publique se dérive de la clé privée)
+   */
+  get isConfigured() {
+    return !!(this.publicKey || this.privateKey);
+  }
+
+  _key(pem, create) {
+    if (!this._keyCache.has(pem)) {
+      this._keyCache.set(pem, create(pem));
+    }
+    return this._keyCache.get(pem);
+  }
+
+  // Ed25519/Ed448 : pas d'algorithme de hachage séparé
+  _algorithm(key) {
+    return ["ed25519", "ed448"].includes(key.asymmetricKeyType)
+      ? null
+      : "sha256";
+  }
+
+  _signature(encoded) {
+    const key = this._key(this.privateKey, crypto.createPrivateKey);
+    return crypto
+      .sign(this._algorithm(key), Buffer.from(encoded), key)
+      .toString("base64url");
+  }
+
+  _isValidSignature(encoded, signature) {
+    const key = this._key(
+      this.publicKey || this.privateKey,
+      crypto.createPublicKey,
+    );
+    try {
+      return crypto.verify(
+        this._algorithm(key),
+        Buffer.from(encoded),
+        key,
+        Buffer.from(String(signature), "base64url"),
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  _fail(message) {
+    const error = new Error(message);
+    error.code = "INVALID_IDENTITY";
+    error.status = 401;
+    return error;
+  }
+
+  /**
+   * Retire les en-têtes d'identité (ne jamais relayer ceux fournis par le client)
+   */
+  strip(headers) {
+    delete headers[IDENTITY_HEADER];
+    delete headers[SIGNATURE_HEADER];
+  }
+
+  /**
+   * Construit les en-têtes signés pour une identité vérifiée
+   * @param {Object} identity - { matricule, id, roles, permissions, adminMinistere, sid }
+   * @returns {Object} En-têtes à ajouter à la requête relayée
+   */
+  sign(identity) {
+    if (!this.canSign) {
+      throw new Error(
+        "GATEWAY_IDENTITY_PRIVATE_KEY manquante : signature réservée au gateway",
+      );
+    }
+
+    const encoded = Buffer.from(
+      JSON.stringify({
+        matricule: identity.matricule,
+        id: identity.id ?? identity.matricule,
+        roles: identity.roles || [],
+        permissions: identity.permissions || [],
+        adminMinistere: identity.adminMinistere || null,
+        sid: identity.sid || null,
+        ts: Date.now(),
+      }),
+    ).toString("base64url");
+
+    return {
+      [IDENTITY_HEADER]: encoded,
+      [SIGNATURE_HEADER]: this._signature(encoded),
+    };
+  }
+
+  /**
+   * Vérifie l'identité transmise par le gateway
+   * @param {Object} headers - En-têtes de la requête (noms en minuscules)
+   * @returns {Object|null} Identité, ou null si aucune identité n'est transmise
+   * @throws {Error} INVALID_IDENTITY si l'identité est falsifiée ou expirée
+   */
+  verify(headers = {}) {
+    const encoded = headers[IDENTITY_HEADER];
+    const signature = headers[SIGNATURE_HEADER];
+
+    if (!encoded) return null;
+
+    if (!this.isConfigured || !signature) {
+      throw this._fail("Identité gateway non vérifiable");
+    }
+
+    if (!this._isValidSignature(encoded, signature)) {
+      throw this._fail("Signature d'identité invalide");
+    }
+
+    let identity;
+    try {
+      identity = JSON.parse(Buffer.from(encoded, "base64url").toString());
+    } catch (error) {
+      throw this._fail("Identité gateway illisible");
+    }
+
+    if (!identity.ts || Date.now() - identity.ts > this.maxAgeMs) {
+      throw this._fail("Identité gateway expirée");
+    }
+
+    return identity;
+  }
+}
+
+// Export singleton
+module.exports = new GatewayIdentity();
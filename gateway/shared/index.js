@@ -0,0 +1,65 @@
+/**
+ * Export centralisé du module shared
+ * @chatapp-ngomna/shared
+ */
+
+// Redis
+const redis = require("./redis");
+
+// Resilience
+const resilience = require("./resilience");
+
+// User
+const user = require("./user");
+
+// Auth
+const auth = require("./auth");
+
+module.exports = {
+  // Redis exports
+
+  RedisManager: redis.RedisManager,
+
+  DEFAULT_CONFIG: redis.DEFAULT_CONFIG,
+
+  // ✅ MANAGERS REDIS
+  CacheService: redis.CacheService,
+  OnlineUserManager: redis.OnlineUserManager,
+  RoomManager: redis.RoomManager,
+  UnreadMessageManager: redis.UnreadMessageManager,
+  MentionUnreadManager: redis.MentionUnreadManager,
+  RateLimiter: redis.RateLimiter,
+
+  // Resilience exports
+  CircuitBreaker: resilience.CircuitBreaker,
+  StreamManager: resilience.StreamManager,
+
+  // Workers
+  WorkerManager: redis.WorkerManager,
+  RetryWorker: redis.RetryWorker,
+  FallbackWorker: redis.FallbackWorker,
+  WALRecoveryWorker: redis.WALRecoveryWorker,
+  DLQMonitorWorker: redis.DLQMonitorWorker,
+  MemoryMonitorWorker: redis.MemoryMonitorWorker,
+  StreamMonitorWorker: redis.StreamMonitorWorker,
+  ScheduledMessageWorker: redis.ScheduledMessageWorker,
+
+  // ✅ USER CACHE & STREAMS
+  UserCache: user.UserCache,
+  UserStreamConsumer: user.UserStreamConsumer,
+
+  // ✅ AUTH (révocation des tokens)
+  TokenDenylist: auth.TokenDenylist,
+  GatewayIdentity: auth.GatewayIdentity,
+  JwksClient: auth.JwksClient,
+  SessionRevocation: auth.SessionRevocation,
+  Permissions: auth.Permissions,
+  requirePermission: auth.requirePermission,
+  requireSocketPermission: auth.requireSocketPermission,
+
+  // Namespaces
+  redis,
+  resilience,
+  user,
+  auth,
+};
@@ -0,0 +1,140 @@
+/**
+ * ScheduledMessageWorker - Envoi des messages programmés ("envoyer plus tard")
+ * ✅ Lit le sorted set des messages programmés (score = date d'envoi en ms)
+ * ✅ Réclame chaque échéance par ZREM : une seule instance l'envoie
+ * ✅ Échec → stream RETRY (handler "scheduled") ou DLQ si définitif
+ */
+
+class ScheduledMessageWorker {
+  constructor(redisClient, options = {}) {
+    this.redis = redisClient;
+
+    this.options = {
+      ...options,
+      key: options.key || "chat:cache:scheduled_messages",
+      batchSize: options.batchSize || 20,
+      processingDelayMs: options.processingDelayMs || 5000,
+    };
+
+    // Callbacks injectés
+    this.dispatchCallback = options.dispatchCallback || null;
+    this.retryCallback = options.retryCallback || null;
+    this.dlqCallback = options.dlqCallback || null;
+
+    this.interval = null;
+    this.isRunning = false;
+
+    this.metrics = {
+      processed: 0,
+      dispatched: 0,
+      failed: 0,
+      retried: 0,
+      movedToDLQ: 0,
+    };
+  }
+
+  /**
+   * Démarrer le worker
+   */
+  start() {
+    if (this.isRunning) {
+      console.warn("⚠️ ScheduledMessageWorker déjà en cours");
+      return;
+    }
+
+    this.isRunning = true;
+    this.interval = setInterval(
+      () =>
+        this.process().catch((err) =>
+          console.error("❌ ScheduledMessageWorker:", err.message)
+        ),
+      this.options.processingDelayMs
+    );
+
+    console.log("✅ ScheduledMessageWorker démarré");
+  }
+
+  /**
+   * Arrêter le worker
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+    console.log("✅ ScheduledMessageWorker arrêté");
+  }
+
+  /**
+   * Envoyer les messages arrivés à échéance
+   */
+  async process() {
+    if (!this.redis || !this.isRunning || !this.dispatchCallback) return;
+
+    const dueIds = await this.redis.zRangeByScore(
+      this.options.key,
+      0,
+      Date.now(),
+      { LIMIT: { offset: 0, count: this.options.batchSize } }
+    );
+
+    for (const scheduledMessageId of dueIds) {
+      // Une autre instance a déjà pris cette échéance
+      const claimed = await this.redis.zRem(
+        this.options.key,
+        scheduledMessageId
+      );
+      if (!claimed) continue;
+
+      this.metrics.processed++;
+      await this.dispatch(scheduledMessageId);
+    }
+  }
+
+  async dispatch(scheduledMessageId) {
+    const data = { _id: scheduledMessageId, scheduledMessageId };
+
+    try {
+      // Sans retry disponible, ce premier essai est le dernier
+      await this.dispatchCallback(scheduledMessageId, {
+        attempt: 1,
+        final: !this.retryCallback,
+      });
+      this.metrics.dispatched++;
+    } catch (error) {
+      this.metrics.failed++;
+      console.error(
+        `❌ Message programmé ${scheduledMessageId} non envoyé:`,
+        error.message
+      );
+
+      try {
+        if (error.retryable !== false && this.retryCallback) {
+          await this.retryCallback(data, 1, error);
+          this.metrics.retried++;
+        } else if (this.dlqCallback) {
+          await this.dlqCallback(data, error, 1, {
+            operation: "ScheduledMessageWorker.dispatch",
+            poison: error.retryable === false,
+          });
+          this.metrics.movedToDLQ++;
+        }
+      } catch (queueError) {
+        console.error(
+          "❌ ScheduledMessageWorker retry/DLQ:",
+          queueError.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Obtenir les métriques
+   */
+  getMetrics() {
+    return { ...this.metrics, isRunning: this.isRunning };
+  }
+}
+
+module.exports = ScheduledMessageWorker;
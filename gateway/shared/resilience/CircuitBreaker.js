@@ -0,0 +1,130 @@
+/**
+ * CircuitBreaker - Pattern de résilience pour protéger les appels externes
+ * ✅ États : CLOSED → OPEN → HALF_OPEN → CLOSED
+ * ✅ Fallback automatique quand le circuit est ouvert
+ */
+
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.fallback = options.fallback || null;
+
+    this.failureCount = 0;
+    this.lastFailureTime = null;
+    this.state = "CLOSED"; // CLOSED | OPEN | HALF_OPEN
+
+    this.metrics = {
+      totalCalls: 0,
+      successfulCalls: 0,
+      failedCalls: 0,
+      fallbackCalls: 0,
+      stateChanges: [],
+    };
+  }
+
+  /**
+   * Exécuter une opération avec protection du circuit breaker
+   */
+  async execute(operation) {
+    this.metrics.totalCalls++;
+
+    if (this.state === "OPEN") {
+      if (Date.now() - this.lastFailureTime > this.resetTimeout) {
+        this._changeState("HALF_OPEN");
+      } else {
+        if (this.fallback) {
+          this.metrics.fallbackCalls++;
+          console.warn("⚠️ Circuit ouvert, utilisation du fallback");
+          return await this.fallback();
+        }
+        const error = new Error("Circuit breaker ouvert");
+        error.code = "CIRCUIT_OPEN";
+        throw error;
+      }
+    }
+
+    try {
+      const result = await operation();
+
+      if (this.state === "HALF_OPEN") {
+        this._changeState("CLOSED");
+      }
+      // Seuls les échecs consécutifs ouvrent le circuit
+      this.failureCount = 0;
+
+      this.metrics.successfulCalls++;
+      return result;
+    } catch (error) {
+      // Erreur métier (4xx, ex. VISIBILITY_DENIED) : le service protégé répond bien
+      if (error.status >= 400 && error.status < 500) {
+        throw error;
+      }
+
+      this.failureCount++;
+      this.lastFailureTime = Date.now();
+      this.metrics.failedCalls++;
+
+      if (this.failureCount >= this.failureThreshold) {
+        this._changeState("OPEN");
+        console.error(
+          `❌ Circuit breaker ouvert après ${this.failureCount} échecs`
+        );
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Temps restant avant la prochaine tentative (circuit ouvert), en ms
+   */
+  getRetryAfter() {
+    if (this.state !== "OPEN" || !this.lastFailureTime) return 0;
+    return Math.max(0, this.resetTimeout - (Date.now() - this.lastFailureTime));
+  }
+
+  /**
+   * Changer l'état du circuit
+   */
+  _changeState(newState) {
+    const oldState = this.state;
+    this.state = newState;
+    this.metrics.stateChanges.push({
+      from: oldState,
+      to: newState,
+      timestamp: new Date().toISOString(),
+    });
+    console.log(`🔌 Circuit breaker: ${oldState} → ${newState}`);
+  }
+
+  /**
+   * Réinitialiser le circuit breaker
+   */
+  reset() {
+    this.failureCount = 0;
+    this.lastFailureTime = null;
+    this._changeState("CLOSED");
+  }
+
+  /**
+   * Obtenir l'état actuel
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Obtenir les métriques
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      currentState: this.state,
+      failureCount: this.failureCount,
+      lastFailureTime: this.lastFailureTime,
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,11 @@
+/**
+ * Export centralisé du module Resilience
+ */
+
+const CircuitBreaker = require("./CircuitBreaker");
+const StreamManager = require("./StreamManager");
+
+module.exports = {
+  CircuitBreaker,
+  StreamManager,
+};
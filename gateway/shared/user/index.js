@@ -0,0 +1,7 @@
+const UserCache = require("./UserCache");
+const UserStreamConsumer = require("./UserStreamConsumer");
+
+module.exports = {
+  UserCache,
+  UserStreamConsumer,
+};
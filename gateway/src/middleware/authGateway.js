@@ -0,0 +1,165 @@
+const jwt = require("jsonwebtoken");
+const chalk = require("chalk");
+const { readCookie } = require("../utils/cookies");
+
+// Préfixes exigeant un access token valide
+const DEFAULT_PROTECTED_PREFIXES = [
+  "/api/auth",
+  "/api/users",
+  "/api/visibility",
+  "/api/chat",
+  "/socket.io",
+];
+
+// Routes accessibles sans token ("*" final = préfixe)
+const DEFAULT_PUBLIC_ROUTES = [
+  "/api/auth/login",
+  "/api/auth/refresh",
+  "/api/auth/validate",
+  "/api/auth/.well-known/jwks.json",
+  "/api/auth/enrolment*",
+  "/api/auth/password/reset*",
+  "/api/health",
+];
+
+const parseList = (value, fallback) =>
+  value
+    ? value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : fallback;
+
+const matchesPrefix = (path, prefix) =>
+  path === prefix || path.startsWith(`${prefix}/`);
+
+const matchesRoute = (path, route) =>
+  route.endsWith("*")
+    ? path.startsWith(route.slice(0, -1))
+    : path === route || path === `${route}/`;
+
+/**
+ * Vérification centralisée des JWT
+ *
+ * - Les en-têtes d'identité envoyés par le client sont toujours retirés
+ * - Préfixe protégé sans token valide → 401
+ * - Token valide → en-têtes X-User-Identity signés relayés aux services
+ *
+ * Signature vérifiée avec les clés publiques du JWKS d'auth-user-service
+ * (le gateway ne détient aucun secret permettant d'émettre un token).
+ *
+ * Token accepté : Authorization Bearer, cookie accessToken,
+ * ou paramètre ?token= sur les seuls upgrades WebSocket /socket.io/
+ * (les navigateurs ne peuvent pas y poser d'en-tête)
+ */
+const createAuthGateway = ({
+  jwksClient,
+  tokenDenylist,
+  gatewayIdentity,
+  protectedPrefixes = DEFAULT_PROTECTED_PREFIXES,
+  publicRoutes = DEFAULT_PUBLIC_ROUTES,
+}) => {
+  const extractToken = (req, path) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith("Bearer ")) {
+      return authHeader.substring(7);
+    }
+
+    const cookieToken = readCookie(req, "accessToken");
+    if (cookieToken) return cookieToken;
+
+    // Token en query string : uniquement pour l'upgrade WebSocket Socket.IO
+    if (req.wsUpgrade && path.startsWith("/socket.io/")) {
+      return req.query?.token || null;
+    }
+    return null;
+  };
+
+  const isProtected = (path) =>
+    protectedPrefixes.some((prefix) => matchesPrefix(path, prefix)) &&
+    !publicRoutes.some((route) => matchesRoute(path, route));
+
+  const verify = async (token) => {
+    const publicKey = await jwksClient.getKeyForToken(token);
+    const payload = jwt.verify(token, publicKey, {
+      algorithms: jwksClient.ALGORITHMS,
+    });
+
+    if (payload.type === "refresh") {
+      const error = new Error("Refresh token utilisé comme access token");
+      error.code = "INVALID_TOKEN";
+      throw error;
+    }
+
+    if (tokenDenylist && (await tokenDenylist.isRevoked(payload))) {
+      const error = new Error("Token révoqué");
+      error.code = "TOKEN_REVOKED";
+      throw error;
+    }
+
+    return payload;
+  };
+
+  const reject = (res, code, message) =>
+    res.status(401).json({
+      success: false,
+      message,
+      code,
+    });
+
+  return async (req, res, next) => {
+    try {
+      gatewayIdentity.strip(req.headers);
+
+      const path = req.originalUrl.split("?")[0];
+      const required = isProtected(path);
+      const token = extractToken(req, path);
+
+      if (!token) {
+        return required
+          ? reject(res, "MISSING_TOKEN", "Token d'authentification requis")
+          : next();
+      }
+
+      let payload;
+      try {
+        payload = await verify(token);
+      } catch (error) {
+        if (!required) return next();
+
+        console.warn(
+          chalk.yellow(
+            `🔒 Token refusé (${error.code || error.name}): ${path}`,
+          ),
+        );
+        return error.code === "TOKEN_REVOKED"
+          ? reject(res, "TOKEN_REVOKED", "Token révoqué")
+          : reject(res, "INVALID_TOKEN", "Token invalide ou expiré");
+      }
+
+      req.user = {
+        id: payload.id || payload.matricule,
+        matricule: payload.matricule,
+        roles: payload.roles || [],
+        permissions: payload.permissions || [],
+        adminMinistere: payload.adminMinistere || null,
+        sid: payload.sid || null,
+      };
+
+      // ✅ Identité signée relayée (http-proxy transmet req.headers, y compris en WebSocket)
+      if (gatewayIdentity.canSign) {
+        Object.assign(req.headers, gatewayIdentity.sign(req.user));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+createAuthGateway.parseList = parseList;
+createAuthGateway.DEFAULT_PROTECTED_PREFIXES = DEFAULT_PROTECTED_PREFIXES;
+createAuthGateway.DEFAULT_PUBLIC_ROUTES = DEFAULT_PUBLIC_ROUTES;
+
+module.exports = createAuthGateway;
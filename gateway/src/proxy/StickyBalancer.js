@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+const { readCookie } = require("../utils/cookies");
+
+// Codes de fermeture WebSocket (RFC 6455 / IANA)
+const CLOSE_GOING_AWAY = 1001;
+const CLOSE_SERVICE_RESTART = 1012;
+
+// Trame Close WebSocket côté serveur (non masquée) avec code de statut
+const closeFrame = (code) => Buffer.from([0x88, 0x02, code >> 8, code & 0xff]);
+
+/**
+ * StickyBalancer - Répartition collante des clients Socket.IO
+ *
+ * Une session Socket.IO (polling puis upgrade WebSocket) doit toujours
+ * atteindre la même instance chat-file-service.
+ *
+ * Choix de l'instance :
+ * 1. Cookie d'affinité (posé sur les réponses polling) si l'instance est disponible
+ * 2. Sinon hachage de l'IP cliente (stable même sans cookie, ex: clients mobiles)
+ * 3. Les instances marquées indisponibles (ou en échec de sonde /health) sont sautées
+ */
+class StickyBalancer {
+  constructor(targets = [], options = {}) {
+    this.targets = targets.filter(Boolean);
+    this.cookieName = options.cookieName || "chat_node";
+    this.downTimeMs = options.downTimeMs || 10000;
+    this.isHealthy = options.isHealthy || (() => true); // (target) => boolean
+    this.downUntil = new Map(); // target → timestamp
+    this.sockets = new Map(); // target → Set<net.Socket>
+  }
+
+  _hash(value) {
+    return crypto.createHash("md5").update(String(value)).digest();
+  }
+
+  _nodeId(target) {
+    return this._hash(target).toString("hex").substring(0, 8);
+  }
+
+  _clientKey(req) {
+    const forwarded = req.headers["x-forwarded-for"];
+    return forwarded
+      ? forwarded.split(",")[0].trim()
+      : req.ip || req.socket?.remoteAddress || "unknown";
+  }
+
+  isAvailable(target) {
+    if (!this.isHealthy(target)) return false;
+
+    const until = this.downUntil.get(target);
+    if (!until) return true;
+    if (until <= Date.now()) {
+      this.downUntil.delete(target);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Choisit l'instance pour une requête Socket.IO
+   * @returns {string|null} URL de l'instance
+   */
+  pick(req) {
+    if (this.targets.length === 0) return null;
+
+    const nodeId = readCookie(req, this.cookieName);
+    if (nodeId) {
+      const pinned = this.targets.find((t) => this._nodeId(t) === nodeId);
+      if (pinned && this.isAvailable(pinned)) return pinned;
+    }
+
+    const start =
+      this._hash(this._clientKey(req)).readUInt32BE(0) % this.targets.length;
+    for (let i = 0; i < this.targets.length; i++) {
+      const target = this.targets[(start + i) % this.targets.length];
+      if (this.isAvailable(target)) return target;
+    }
+
+    // Toutes indisponibles : on tente quand même l'instance naturelle
+    return this.targets[start];
+  }
+
+  affinityCookie(target) {
+    return `${this.cookieName}=${this._nodeId(target)}; Path=/socket.io; HttpOnly; SameSite=Lax`;
+  }
+
+  /**
+   * Marque une instance indisponible et ferme ses connexions WebSocket
+   * (les clients Socket.IO se reconnectent vers une autre instance)
+   */
+  markDown(target) {
+    if (!target || this.downUntil.get(target) > Date.now()) return;
+
+    this.downUntil.set(target, Date.now() + this.downTimeMs);
+    const closed = this.closeAll(target, CLOSE_SERVICE_RESTART);
+    console.warn(
+      `⚠️ [StickyBalancer] ${target} indisponible, ${closed} connexion(s) fermée(s)`,
+    );
+  }
+
+  track(target, socket) {
+    if (!this.sockets.has(target)) {
+      this.sockets.set(target, new Set());
+    }
+    const sockets = this.sockets.get(target);
+    sockets.add(socket);
+    socket.once("close", () => sockets.delete(socket));
+  }
+
+  /**
+   * Ferme proprement les WebSockets : trame Close (non masquée, côté serveur)
+   * puis fin de la connexion TCP
+   */
+  closeAll(target = null, code = CLOSE_GOING_AWAY) {
+    const targets = target ? [target] : [...this.sockets.keys()];
+    let closed = 0;
+
+    for (const t of targets) {
+      for (const socket of this.sockets.get(t) || []) {
+        if (socket.writable) {
+          socket.end(closeFrame(code));
+        } else {
+          socket.destroy();
+        }
+        closed++;
+      }
+      this.sockets.delete(t);
+    }
+    return closed;
+  }
+
+  getStats() {
+    return this.targets.map((target) => ({
+      target,
+      available: this.isAvailable(target),
+      connections: this.sockets.get(target)?.size || 0,
+    }));
+  }
+}
+
+StickyBalancer.CLOSE_GOING_AWAY = CLOSE_GOING_AWAY;
+StickyBalancer.CLOSE_SERVICE_RESTART = CLOSE_SERVICE_RESTART;
+StickyBalancer.closeFrame = closeFrame;
+
+module.exports = StickyBalancer;
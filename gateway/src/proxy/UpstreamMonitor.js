@@ -0,0 +1,191 @@
+const http = require("http");
+const https = require("https");
+const EventEmitter = require("events");
+const { CircuitBreaker } = require("../../shared");
+
+/**
+ * UpstreamMonitor - Santé des services en amont du gateway
+ *
+ * - Sonde active GET {target}/health à intervalle régulier (latence mesurée)
+ * - Un CircuitBreaker par upstream alimenté par le trafic proxifié
+ * - Un upstream DOWN ou un circuit OPEN → échec immédiat (pas d'attente du timeout)
+ *
+ * Événements : "down" / "up" ({ target, status }) lors des changements d'état
+ */
+class UpstreamMonitor extends EventEmitter {
+  constructor(upstreams = [], options = {}) {
+    super();
+    this.intervalMs = options.intervalMs || 10000;
+    this.timeoutMs = options.timeoutMs || 3000;
+    this.healthPath = options.healthPath || "/health";
+    this.breakerOptions = {
+      failureThreshold: options.failureThreshold || 5,
+      resetTimeout: options.resetTimeout || 30000,
+    };
+
+    // target → { target, services, breaker, status, latencyMs, ... }
+    this.upstreams = new Map();
+    upstreams
+      .filter((u) => u.target)
+      .forEach(({ target, description }) => this.register(target, description));
+
+    this.timer = null;
+  }
+
+  register(target, description) {
+    if (!this.upstreams.has(target)) {
+      this.upstreams.set(target, {
+        target,
+        services: [],
+        breaker: new CircuitBreaker(this.breakerOptions),
+        status: "UNKNOWN",
+        httpStatus: null,
+        latencyMs: null,
+        lastCheck: null,
+        lastError: null,
+      });
+    }
+
+    const upstream = this.upstreams.get(target);
+    if (description && !upstream.services.includes(description)) {
+      upstream.services.push(description);
+    }
+    return upstream;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.checkAll();
+    this.timer = setInterval(() => this.checkAll(), this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Sonde GET /health d'un upstream
+   * @returns {Promise<{ok: boolean, httpStatus: number|null, latencyMs: number, error: string|null}>}
+   */
+  probe(target) {
+    return new Promise((resolve) => {
+      const started = Date.now();
+      let url;
+      try {
+        url = new URL(this.healthPath, target);
+      } catch (error) {
+        return resolve({
+          ok: false,
+          httpStatus: null,
+          latencyMs: 0,
+          error: `URL invalide: ${target}`,
+        });
+      }
+
+      const client = url.protocol === "https:" ? https : http;
+      const req = client.get(
+        url,
+        { timeout: this.timeoutMs, headers: { Accept: "application/json" } },
+        (res) => {
+          res.resume();
+          resolve({
+            ok: res.statusCode >= 200 && res.statusCode < 300,
+            httpStatus: res.statusCode,
+            latencyMs: Date.now() - started,
+            error: res.statusCode < 300 ? null : `HTTP ${res.statusCode}`,
+          });
+        },
+      );
+
+      req.on("timeout", () => {
+        req.destroy(new Error(`Timeout après ${this.timeoutMs}ms`));
+      });
+      req.on("error", (error) => {
+        resolve({
+          ok: false,
+          httpStatus: null,
+          latencyMs: Date.now() - started,
+          error: error.code || error.message,
+        });
+      });
+    });
+  }
+
+  async check(target) {
+    const upstream = this.upstreams.get(target);
+    if (!upstream) return null;
+
+    const result = await this.probe(target);
+    const previous = upstream.status;
+
+    upstream.status = result.ok ? "UP" : "DOWN";
+    upstream.httpStatus = result.httpStatus;
+    upstream.latencyMs = result.latencyMs;
+    upstream.lastCheck = new Date().toISOString();
+    upstream.lastError = result.error;
+
+    if (previous !== upstream.status) {
+      if (upstream.status === "DOWN") {
+        console.warn(`⚠️ [UpstreamMonitor] ${target} DOWN (${result.error})`);
+        this.emit("down", { target, status: upstream.status });
+      } else {
+        console.log(
+          `✅ [UpstreamMonitor] ${target} UP (${result.latencyMs}ms)`,
+        );
+        // Rétabli : inutile d'attendre la fin du resetTimeout
+        if (upstream.breaker.getState() !== "CLOSED") {
+          upstream.breaker.reset();
+        }
+        if (previous !== "UNKNOWN") {
+          this.emit("up", { target, status: upstream.status });
+        }
+      }
+    }
+
+    return upstream;
+  }
+
+  checkAll() {
+    return Promise.all([...this.upstreams.keys()].map((t) => this.check(t)));
+  }
+
+  /**
+   * Upstream joignable ? (statut inconnu = on tente)
+   */
+  isAvailable(target) {
+    const upstream = this.upstreams.get(target);
+    return !upstream || upstream.status !== "DOWN";
+  }
+
+  getBreaker(target) {
+    return this.upstreams.get(target)?.breaker || null;
+  }
+
+  /**
+   * Délai conseillé avant de réessayer (secondes)
+   */
+  retryAfter(target) {
+    const breakerMs = this.getBreaker(target)?.getRetryAfter() || 0;
+    return Math.max(1, Math.ceil((breakerMs || this.intervalMs) / 1000));
+  }
+
+  getReport() {
+    return [...this.upstreams.values()].map((upstream) => ({
+      target: upstream.target,
+      services: upstream.services,
+      status: upstream.status,
+      httpStatus: upstream.httpStatus,
+      latencyMs: upstream.latencyMs,
+      lastCheck: upstream.lastCheck,
+      error: upstream.lastError,
+      circuit: {
+        state: upstream.breaker.getState(),
+        failureCount: upstream.breaker.failureCount,
+      },
+    }));
+  }
+}
+
+module.exports = UpstreamMonitor;
@@ -0,0 +1,110 @@
+const http = require("http");
+const chalk = require("chalk");
+const StickyBalancer = require("./StickyBalancer");
+
+/**
+ * Proxy Socket.IO (polling HTTP + upgrade WebSocket) vers chat-file-service
+ *
+ * Les requêtes d'upgrade traversent la même chaîne Express que le HTTP
+ * (CORS, helmet, rate limiting...) : une réponse d'erreur écrite par un
+ * middleware est envoyée sur la socket brute, qui est ensuite fermée.
+ */
+const createSocketProxy = ({ proxy, balancer, pathPrefix = "/socket.io" }) => {
+  const proxyOptions = {
+    changeOrigin: true,
+    secure: false,
+    timeout: 0, // long-polling et WebSocket : pas de timeout côté gateway
+  };
+
+  // Route Express : dernier maillon de la chaîne pour /socket.io
+  const handler = (req, res) => {
+    const target = balancer.pick(req);
+
+    if (!target) {
+      return res.status(503).json({
+        success: false,
+        message: "Service Chat et Fichiers non configuré",
+      });
+    }
+
+    // Express retire le préfixe de montage, Socket.IO en a besoin
+    req.url = req.originalUrl;
+    req.chatTarget = target;
+
+    if (req.wsUpgrade) {
+      const { socket, head } = req.wsUpgrade;
+      res.detachSocket(socket);
+      balancer.track(target, socket);
+      proxy.ws(req, socket, head, { ...proxyOptions, target });
+      return;
+    }
+
+    res.setHeader("Set-Cookie", balancer.affinityCookie(target));
+    proxy.web(req, res, { ...proxyOptions, target });
+  };
+
+  // Événement "upgrade" du serveur HTTP
+  const handleUpgrade = (app) => (req, socket, head) => {
+    if (!req.url.startsWith(`${pathPrefix}/`)) {
+      socket.end("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+      return;
+    }
+
+    socket.on("error", (err) => {
+      console.warn(chalk.yellow(`⚠️ Socket client WebSocket: ${err.message}`));
+    });
+
+    req.wsUpgrade = { socket, head };
+    const res = new http.ServerResponse(req);
+    res.assignSocket(socket);
+    // Requête refusée par un middleware (CORS, rate limit...) → fermeture
+    res.on("finish", () => socket.end());
+
+    app(req, res);
+  };
+
+  // Connexion WebSocket établie : suivre la fin côté backend
+  proxy.on("proxyReqWs", (proxyReq, req, socket) => {
+    proxyReq.setHeader("X-Forwarded-For", req.ip);
+
+    proxyReq.on("upgrade", (proxyRes, proxySocket) => {
+      req.wsUpgraded = true;
+      console.log(chalk.blue(`🔌 WebSocket ouvert → ${req.chatTarget}`));
+
+      proxySocket.on("close", () => {
+        // Fermeture brutale du backend (crash, redémarrage) : trame Close 1012
+        if (socket.writable) {
+          socket.end(
+            StickyBalancer.closeFrame(StickyBalancer.CLOSE_SERVICE_RESTART),
+          );
+        }
+      });
+    });
+  });
+
+  /**
+   * Gestion des erreurs proxy des requêtes Socket.IO
+   * @returns {boolean} true si l'erreur concernait une WebSocket (réponse déjà gérée)
+   */
+  const handleError = (err, req, socket) => {
+    if (
+      req.chatTarget &&
+      ["ECONNREFUSED", "ECONNRESET", "EHOSTUNREACH"].includes(err.code)
+    ) {
+      balancer.markDown(req.chatTarget);
+    }
+
+    if (!req.wsUpgrade || socket !== req.wsUpgrade.socket) return false;
+
+    if (!req.wsUpgraded && socket.writable) {
+      socket.end(
+        "HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\nContent-Length: 0\r\n\r\n",
+      );
+    }
+    return true;
+  };
+
+  return { handler, handleUpgrade, handleError };
+};
+
+module.exports = createSocketProxy;
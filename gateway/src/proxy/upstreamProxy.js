@@ -0,0 +1,126 @@
+const chalk = require("chalk");
+
+// Erreurs réseau : upstream injoignable
+const UNAVAILABLE_ERRORS = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ECONNABORTED",
+  "EHOSTUNREACH",
+  "ENOTFOUND",
+  "ETIMEDOUT",
+];
+
+// Réponses upstream comptées comme des échecs par le circuit breaker
+const FAILURE_STATUSES = [502, 503, 504];
+
+/**
+ * Proxy HTTP protégé par les circuit breakers de l'UpstreamMonitor
+ *
+ * Upstream DOWN (sonde /health) ou circuit OPEN → 503 immédiat avec un
+ * corps structuré et Retry-After, sans solliciter le service.
+ */
+const createUpstreamProxy = ({ proxy, monitor, timeoutMs = 30000 }) => {
+  const unavailable = (res, { target, description }, reason) => {
+    const retryAfter = monitor.retryAfter(target);
+    res.setHeader("Retry-After", retryAfter);
+    return res.status(503).json({
+      success: false,
+      message: `Service ${description} temporairement indisponible`,
+      code: "SERVICE_UNAVAILABLE",
+      service: description,
+      reason,
+      retryAfter,
+      timestamp: new Date().toISOString(),
+    });
+  };
+
+  // Relais d'une requête ; rejetée si l'upstream a échoué
+  const relay = (req, res, route) =>
+    new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+        error ? reject(error) : resolve();
+      };
+
+      res.once("finish", () => {
+        if (FAILURE_STATUSES.includes(res.statusCode)) {
+          const error = new Error(`HTTP ${res.statusCode}`);
+          error.status = res.statusCode;
+          settle(error);
+        } else {
+          settle();
+        }
+      });
+      // Client parti avant la réponse : pas un échec de l'upstream
+      res.once("close", () => settle());
+
+      proxy.web(
+        req,
+        res,
+        {
+          target: route.target,
+          changeOrigin: true,
+          secure: false,
+          timeout: timeoutMs,
+          proxyTimeout: timeoutMs,
+        },
+        (err) => {
+          console.error(
+            chalk.red(`❌ Erreur Proxy (${route.description}):`),
+            err.message,
+          );
+
+          if (!res.headersSent) {
+            if (UNAVAILABLE_ERRORS.includes(err.code)) {
+              unavailable(res, route, "UPSTREAM_UNREACHABLE");
+            } else {
+              res.status(502).json({
+                success: false,
+                message: "Erreur de communication avec le service",
+                code: "UPSTREAM_ERROR",
+                service: route.description,
+                timestamp: new Date().toISOString(),
+              });
+            }
+          }
+          settle(err);
+        },
+      );
+    });
+
+  /**
+   * Handler Express pour une route proxifiée
+   * @param {Object} route - { target, description }
+   */
+  const forward = (route) => (req, res) => {
+    if (!route.target) {
+      return res.status(503).json({
+        success: false,
+        message: `Service ${route.description} non configuré`,
+        code: "SERVICE_NOT_CONFIGURED",
+        service: route.description,
+      });
+    }
+
+    if (!monitor.isAvailable(route.target)) {
+      return unavailable(res, route, "HEALTH_CHECK_FAILED");
+    }
+
+    const breaker = monitor.getBreaker(route.target);
+    breaker
+      .execute(() => relay(req, res, route))
+      .catch((error) => {
+        if (error.code === "CIRCUIT_OPEN" && !res.headersSent) {
+          unavailable(res, route, "CIRCUIT_OPEN");
+        }
+      });
+  };
+
+  return { forward };
+};
+
+createUpstreamProxy.UNAVAILABLE_ERRORS = UNAVAILABLE_ERRORS;
+
+module.exports = createUpstreamProxy;
@@ -0,0 +1,23 @@
+/**
+ * Lecture d'un cookie sans cookie-parser
+ * (utilisable aussi sur les requêtes d'upgrade WebSocket)
+ */
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) {
+      try {
+        return decodeURIComponent(rest.join("="));
+      } catch (error) {
+        // Encodage invalide (URIError) : cookie ignoré
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+module.exports = { readCookie };
@@ -0,0 +1,8 @@
+/**
+ * Masque les tokens passés en query string avant journalisation
+ * (ex. /socket.io/?EIO=4&token=eyJ... → /socket.io/?EIO=4&token=[REDACTED])
+ */
+const redactUrl = (url = "") =>
+  String(url).replace(/([?&]token=)[^&#]*/gi, "$1[REDACTED]");
+
+module.exports = { redactUrl };
@@ -0,0 +1,148 @@
+const crypto = require("crypto");
+
+/**
+ * JwksClient - Clés publiques de signature des JWT (JWKS d'auth-user-service)
+ *
+ * Les services vérificateurs (gateway, chat-file) ne détiennent plus aucun
+ * secret capable d'émettre un token : ils récupèrent les clés publiques
+ * publiées sur /.well-known/jwks.json et les sélectionnent par "kid".
+ *
+ * - Cache mémoire (TTL 10 min), rechargé à l'apparition d'un kid inconnu
+ *   (rotation), au plus une fois toutes les 30 s
+ * - JWKS injoignable : les clés déjà en cache restent utilisées
+ *
+ * URL : JWKS_URL, sinon {AUTH_USER_SERVICE_URL}/.well-known/jwks.json
+ */
+const ALGORITHMS = ["RS256", "ES256"];
+
+class JwksClient {
+  constructor(options = {}) {
+    this._url = options.url || null;
+    this.cacheTTL = options.cacheTTL || 10 * 60 * 1000;
+    this.minRefreshInterval = options.minRefreshInterval || 30 * 1000;
+    this.timeoutMs = options.timeoutMs || 5000;
+
+    this.keys = new Map(); // kid → PEM (clé publique)
+    this.fetchedAt = 0;
+    this.lastAttempt = 0;
+    this.pending = null;
+  }
+
+  // Lu à l'appel : dotenv est chargé après le require du module shared
+  get url() {
+    if (this._url) return this._url;
+    if (process.env.JWKS_URL) return process.env.JWKS_URL;
+    return process.env.AUTH_USER_SERVICE_URL
+      ? `${process.env.AUTH_USER_SERVICE_URL}/.well-known/jwks.json`
+      : null;
+  }
+
+  get isConfigured() {
+    return !!this.url;
+  }
+
+  configure(options = {}) {
+    if (options.url) this._url = options.url;
+    return this;
+  }
+
+  _fail(message, code = "INVALID_TOKEN") {
+    const error = new Error(message);
+    error.code = code;
+    error.status = 401;
+    return error;
+  }
+
+  /**
+   * Télécharge le JWKS et remplace le cache
+   */
+  async refresh() {
+    if (this.pending) return this.pending;
+
+    this.lastAttempt = Date.now();
+    this.pending = (async () => {
+      try {
+        const response = await fetch(this.url, {
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const { keys = [] } = await response.json();
+        const next = new Map();
+        for (const jwk of keys) {
+          if (!jwk.kid || (jwk.use && jwk.use !== "sig")) continue;
+          next.set(
+            jwk.kid,
+            crypto
+              .createPublicKey({ key: jwk, format: "jwk" })
+              .export({ type: "spki", format: "pem" }),
+          );
+        }
+
+        this.keys = next;
+        this.fetchedAt = Date.now();
+        return true;
+      } catch (error) {
+        console.warn(`⚠️ [JwksClient] JWKS indisponible: ${error.message}`);
+        return false;
+      } finally {
+        this.pending = null;
+      }
+    })();
+
+    return this.pending;
+  }
+
+  /**
+   * Clé publique associée à un kid
+   * @param {string} kid
+   * @returns {Promise<string>} Clé publique PEM
+   */
+  async getKey(kid) {
+    if (!this.isConfigured) {
+      throw this._fail("JWKS non configuré (JWKS_URL)", "JWKS_UNAVAILABLE");
+    }
+
+    const expired = Date.now() - this.fetchedAt > this.cacheTTL;
+    const unknown = !this.keys.has(kid);
+    if (
+      (expired || unknown) &&
+      Date.now() - this.lastAttempt > this.minRefreshInterval
+    ) {
+      await this.refresh();
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw this._fail(`Clé de signature inconnue: ${kid}`);
+    }
+    return key;
+  }
+
+  /**
+   * Clé publique pour vérifier un token (d'après son en-tête kid/alg)
+   * Usage : jwt.verify(token, await JwksClient.getKeyForToken(token), { algorithms: JwksClient.ALGORITHMS })
+   */
+  async getKeyForToken(token) {
+    let header;
+    try {
+      header = JSON.parse(
+        Buffer.from(String(token).split(".")[0], "base64url").toString(),
+      );
+    } catch (error) {
+      throw this._fail("Token illisible");
+    }
+
+    if (!ALGORITHMS.includes(header.alg) || !header.kid) {
+      throw this._fail(`Algorithme de signature refusé: ${header.alg}`);
+    }
+
+    return this.getKey(header.kid);
+  }
+}
+
+// Export singleton
+module.exports = new JwksClient();
+module.exports.ALGORITHMS = ALGORITHMS;
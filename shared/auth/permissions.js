@@ -0,0 +1,162 @@
+/**
+ * Rôles et permissions de la plateforme
+ *
+ * Les rôles sont attribués par auth-user-service ; les permissions qui en
+ * découlent sont embarquées dans le token (claims roles / permissions /
+ * adminMinistere) puis relayées par le gateway (identité signée).
+ *
+ * - agent          : messagerie, aucun droit d'administration
+ * - ministry_admin : administration limitée à son ministère (adminMinistere),
+ *                    groupes d'unité gérés automatiquement
+ * - helpdesk       : support, diagnostic de la visibilité entre agents
+ *                    (y compris la liste des agents visibles par un autre agent)
+ * - super_admin    : toutes les permissions, tous ministères (dont l'export
+ *                    de l'organigramme complet)
+ */
+const ROLES = {
+  AGENT: "agent",
+  MINISTRY_ADMIN: "ministry_admin",
+  HELPDESK: "helpdesk",
+  SUPER_ADMIN: "super_admin",
+};
+
+const PERMISSIONS = {
+  USERS_CREATE: "users:create",
+  USERS_DELETE: "users:delete",
+  ROLES_MANAGE: "roles:manage",
+  BROADCASTS_CREATE: "broadcasts:create",
+  CACHE_READ: "system:cache:read",
+  CACHE_FLUSH: "system:cache:flush",
+  VISIBILITY_EXPLAIN: "visibility:explain",
+  VISIBILITY_READ_ANY: "visibility:read_any",
+  ORG_CHART_EXPORT: "org_chart:export",
+  UNIT_GROUPS_MANAGE: "unit_groups:manage",
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.AGENT]: [],
+  [ROLES.MINISTRY_ADMIN]: [
+    PERMISSIONS.USERS_CREATE,
+    PERMISSIONS.USERS_DELETE,
+    PERMISSIONS.BROADCASTS_CREATE,
+    PERMISSIONS.UNIT_GROUPS_MANAGE,
+  ],
+  [ROLES.HELPDESK]: [
+    PERMISSIONS.VISIBILITY_EXPLAIN,
+    PERMISSIONS.VISIBILITY_READ_ANY,
+  ],
+  [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+};
+
+/**
+ * Permissions accordées par un ensemble de rôles
+ * @param {string[]} roles
+ * @returns {string[]}
+ */
+const permissionsFor = (roles = []) => [
+  ...new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] || [])),
+];
+
+/**
+ * Vérifie une permission (claims du token, sinon déduite des rôles)
+ * @param {Object} user - { roles, permissions }
+ * @param {string} permission
+ */
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  const granted = Array.isArray(user.permissions)
+    ? user.permissions
+    : permissionsFor(user.roles || []);
+  return granted.includes(permission);
+};
+
+/**
+ * Portée ministérielle : super_admin partout, ministry_admin sur son ministère
+ * @param {Object} user - { roles, adminMinistere }
+ * @param {string} ministere - Ministère de la ressource visée
+ */
+const canAdministerMinistry = (user, ministere) => {
+  const roles = user?.roles || [];
+  if (roles.includes(ROLES.SUPER_ADMIN)) return true;
+
+  return (
+    roles.includes(ROLES.MINISTRY_ADMIN) &&
+    !!user.adminMinistere &&
+    user.adminMinistere === ministere
+  );
+};
+
+/**
+ * Middleware Express : exige toutes les permissions listées sur req.user
+ * (req.user posé en amont par l'authentification ou l'identité du gateway)
+ */
+const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentification requise",
+        code: "AUTH_REQUIRED",
+      });
+    }
+
+    const missing = permissions.filter((p) => !hasPermission(req.user, p));
+    if (missing.length > 0) {
+      console.warn(
+        `🚫 Permission refusée (${missing.join(", ")}) pour ${req.user.matricule}: ${req.method} ${req.originalUrl}`,
+      );
+      return res.status(403).json({
+        success: false,
+        message: "Permission insuffisante",
+        code: "FORBIDDEN",
+        required: missing,
+      });
+    }
+
+    next();
+  };
+
+/**
+ * Handler Socket.IO protégé par une permission
+ * (socket.roles / socket.permissions posés lors de l'authentification)
+ *
+ * @example
+ * socket.on("createBroadcast",
+ *   requireSocketPermission(socket, PERMISSIONS.BROADCASTS_CREATE, handler, "broadcast:error"));
+ */
+const requireSocketPermission =
+  (socket, permission, handler, errorEvent = "error") =>
+  async (...args) => {
+    if (!socket.isAuthenticated) {
+      return socket.emit(errorEvent, {
+        error: "Authentification requise",
+        code: "AUTH_REQUIRED",
+      });
+    }
+
+    const user = { roles: socket.roles, permissions: socket.permissions };
+    if (!hasPermission(user, permission)) {
+      console.warn(
+        `🚫 Permission socket refusée (${permission}) pour ${socket.matricule}`,
+      );
+      return socket.emit(errorEvent, {
+        error: "Permission insuffisante",
+        code: "FORBIDDEN",
+        required: [permission],
+      });
+    }
+
+    return handler(...args);
+  };
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  permissionsFor,
+  hasPermission,
+  canAdministerMinistry,
+  requirePermission,
+  requireSocketPermission,
+};
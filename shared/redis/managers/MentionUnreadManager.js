@@ -0,0 +1,131 @@
+/**
+ * MentionUnreadManager - Compteurs de mentions non lues (@matricule, @all)
+ * ✅ Pendant de UnreadMessageManager, limité aux messages qui citent l'utilisateur
+ * ✅ Un hash par utilisateur : champ = conversationId, valeur = mentions non lues
+ */
+
+class MentionUnreadManager {
+  constructor(options = {}) {
+    this.redis = null;
+    this.redisManager = null;
+
+    this.keyPrefix = options.keyPrefix || "chat:cache:mentions";
+    this.defaultTTL = options.defaultTTL || 7 * 24 * 3600; // 7 jours
+
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialiser avec RedisManager
+   */
+  async initialize(RedisManager) {
+    if (this.isInitialized) return;
+
+    this.redisManager = RedisManager;
+    await this.redisManager.connect();
+    this.redis = this.redisManager.getCacheClient();
+    this.isInitialized = true;
+
+    console.log("✅ MentionUnreadManager initialisé via RedisManager");
+  }
+
+  /**
+   * Initialiser avec un client Redis direct (compatibilité)
+   */
+  initializeWithClient(redisClient) {
+    this.redis = redisClient;
+    this.isInitialized = true;
+    console.log("✅ MentionUnreadManager initialisé avec client direct");
+  }
+
+  getUserKey(userId) {
+    return `${this.keyPrefix}:${userId}`;
+  }
+
+  async incrementMentionCount(conversationId, userId) {
+    if (!this.redis) return 0;
+
+    try {
+      const key = this.getUserKey(userId);
+      const count = await this.redis.hIncrBy(key, String(conversationId), 1);
+      await this.redis.expire(key, this.defaultTTL);
+
+      console.log(
+        `📣 Mention comptée pour ${userId} dans ${conversationId}: ${count}`,
+      );
+      return count;
+    } catch (error) {
+      console.error("❌ Erreur incrementMentionCount:", error);
+      return 0;
+    }
+  }
+
+  async resetMentionCount(conversationId, userId) {
+    if (!this.redis) return false;
+
+    try {
+      await this.redis.hDel(this.getUserKey(userId), String(conversationId));
+      return true;
+    } catch (error) {
+      console.error("❌ Erreur resetMentionCount:", error);
+      return false;
+    }
+  }
+
+  async getMentionCount(conversationId, userId) {
+    if (!this.redis) return 0;
+
+    try {
+      const count = await this.redis.hGet(
+        this.getUserKey(userId),
+        String(conversationId),
+      );
+      return parseInt(count) || 0;
+    } catch (error) {
+      console.error("❌ Erreur getMentionCount:", error);
+      return 0;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} { total, conversations: { [conversationId]: count } }
+   */
+  async getUserMentionCounts(userId) {
+    if (!this.redis) return { total: 0, conversations: {} };
+
+    try {
+      const raw = (await this.redis.hGetAll(this.getUserKey(userId))) || {};
+      const conversations = {};
+      let total = 0;
+
+      for (const [conversationId, value] of Object.entries(raw)) {
+        const count = parseInt(value) || 0;
+        if (count > 0) {
+          conversations[conversationId] = count;
+          total += count;
+        }
+      }
+
+      return { total, conversations };
+    } catch (error) {
+      console.error("❌ Erreur getUserMentionCounts:", error);
+      return { total: 0, conversations: {} };
+    }
+  }
+
+  /**
+   * ✅ MÉTHODE UTILITAIRE POUR VÉRIFIER L'ÉTAT
+   */
+  getStatus() {
+    return {
+      isInitialized: this.isInitialized,
+      hasRedis: !!this.redis,
+      config: {
+        keyPrefix: this.keyPrefix,
+        defaultTTL: this.defaultTTL,
+      },
+    };
+  }
+}
+
+module.exports = MentionUnreadManager;
@@ -0,0 +1,241 @@
+/**
+ * RateLimiter - Limitation de débit distribuée (fenêtre glissante Redis)
+ * ✅ Compteurs partagés entre toutes les instances d'un service
+ * ✅ Clé par utilisateur authentifié, IP en repli (bureaux derrière NAT)
+ * ✅ Politiques nommées par route (max / fenêtre / message)
+ * ✅ En-têtes RateLimit-* et Retry-After
+ * ✅ Repli en mémoire locale si Redis est indisponible
+ *
+ * Clé: {keyPrefix}:{policy}:user:{matricule} ou {keyPrefix}:{policy}:ip:{ip},
+ *      ou le sujet renvoyé par policy.identify(req) (ex. matricule + IP au login)
+ * Structure: Sorted Set (score = horodatage ms de chaque requête)
+ */
+
+// Horloge Redis (TIME) : cohérente entre instances
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local window = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+redis.call('ZREMRANGEBYSCORE', key, 0, now - window)
+local count = redis.call('ZCARD', key)
+local allowed = 0
+
+if count < limit then
+  redis.call('ZADD', key, now, now .. '-' .. ARGV[3])
+  redis.call('PEXPIRE', key, window)
+  count = count + 1
+  allowed = 1
+end
+
+local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+local resetMs = window
+if oldest[2] then
+  resetMs = tonumber(oldest[2]) + window - now
+end
+
+return {allowed, limit - count, resetMs}
+`;
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.redisManager = null;
+    this.redis = null;
+
+    this.options = {
+      keyPrefix: options.keyPrefix || "ratelimit",
+      policies: options.policies || {},
+      identify: options.identify || null, // (req) => matricule | null
+      skip: options.skip || null, // (req) => boolean
+    };
+
+    // Repli local (mode dégradé)
+    this.localHits = new Map();
+    this.cleanupInterval = setInterval(() => this.cleanupLocal(), 60000);
+    this.cleanupInterval.unref?.();
+
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialiser avec RedisManager (client principal)
+   */
+  initialize(RedisManager) {
+    this.redisManager = RedisManager;
+    this.redis = RedisManager?.clients?.main || null;
+    this.isInitialized = !!this.redis;
+
+    if (this.redis) {
+      console.log(
+        `✅ RateLimiter initialisé via RedisManager (${this.options.keyPrefix})`,
+      );
+    } else {
+      console.warn(
+        `⚠️ RateLimiter (${this.options.keyPrefix}) : Redis indisponible, compteurs locaux`,
+      );
+    }
+  }
+
+  /**
+   * Initialiser avec un client Redis direct (compatibilité)
+   */
+  initializeWithClient(redisClient) {
+    this.redis = redisClient;
+    this.isInitialized = !!redisClient;
+  }
+
+  /**
+   * Ajouter ou remplacer une politique
+   * @param {string} name
+   * @param {Object} policy - { max, windowMs, message, identify? }
+   */
+  setPolicy(name, policy) {
+    this.options.policies[name] = policy;
+  }
+
+  /**
+   * Identité limitée : clé propre à la politique, utilisateur authentifié, sinon IP
+   * @param {Object} req
+   * @param {Object} [policy] - policy.identify(req) => sujet | null
+   */
+  keyFor(req, policy = null) {
+    const subject = policy?.identify && policy.identify(req);
+    if (subject) {
+      return subject;
+    }
+
+    const matricule =
+      (this.options.identify && this.options.identify(req)) ||
+      req.user?.matricule;
+
+    if (matricule) {
+      return `user:${matricule}`;
+    }
+
+    // req.ip respecte "trust proxy" : X-Forwarded-For n'est pas lu directement
+    // (falsifiable par le client)
+    return `ip:${req.ip || req.socket?.remoteAddress || "unknown"}`;
+  }
+
+  /**
+   * Enregistre une requête et indique si elle est autorisée
+   * @param {string} policyName
+   * @param {string} subject - Résultat de keyFor()
+   * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetMs: number}>}
+   */
+  async hit(policyName, subject) {
+    const policy = this.options.policies[policyName];
+    if (!policy) {
+      throw new Error(`Politique de rate limit inconnue: ${policyName}`);
+    }
+
+    const key = `${this.options.keyPrefix}:${policyName}:${subject}`;
+
+    if (this.redis && this.redis.isReady !== false) {
+      try {
+        const [allowed, remaining, resetMs] = await this.redis.eval(
+          SLIDING_WINDOW_SCRIPT,
+          {
+            keys: [key],
+            arguments: [
+              String(policy.windowMs),
+              String(policy.max),
+              Math.random().toString(36).substring(2, 10),
+            ],
+          },
+        );
+
+        return {
+          allowed: Number(allowed) === 1,
+          limit: policy.max,
+          remaining: Math.max(0, Number(remaining)),
+          resetMs: Math.max(0, Number(resetMs)),
+        };
+      } catch (error) {
+        console.warn(`⚠️ RateLimiter Redis: ${error.message} (repli local)`);
+      }
+    }
+
+    return this.hitLocal(key, policy);
+  }
+
+  hitLocal(key, policy) {
+    const now = Date.now();
+    const hits = (this.localHits.get(key) || []).filter(
+      (time) => now - time < policy.windowMs,
+    );
+
+    const allowed = hits.length < policy.max;
+    if (allowed) {
+      hits.push(now);
+    }
+    this.localHits.set(key, hits);
+
+    return {
+      allowed,
+      limit: policy.max,
+      remaining: Math.max(0, policy.max - hits.length),
+      resetMs: hits.length > 0 ? hits[0] + policy.windowMs - now : 0,
+    };
+  }
+
+  cleanupLocal() {
+    const now = Date.now();
+    const maxWindow = Math.max(
+      60000,
+      ...Object.values(this.options.policies).map((p) => p.windowMs),
+    );
+
+    for (const [key, hits] of this.localHits.entries()) {
+      if (hits.length === 0 || now - hits[hits.length - 1] > maxWindow) {
+        this.localHits.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Middleware Express pour une politique
+   * @param {string} policyName
+   */
+  middleware(policyName) {
+    return async (req, res, next) => {
+      if (this.options.skip && this.options.skip(req)) {
+        return next();
+      }
+
+      let result;
+      try {
+        result = await this.hit(
+          policyName,
+          this.keyFor(req, this.options.policies[policyName]),
+        );
+      } catch (error) {
+        console.error(`❌ RateLimiter (${policyName}):`, error.message);
+        return next();
+      }
+
+      const resetSeconds = Math.ceil(result.resetMs / 1000);
+      res.setHeader("RateLimit-Limit", result.limit);
+      res.setHeader("RateLimit-Remaining", result.remaining);
+      res.setHeader("RateLimit-Reset", resetSeconds);
+
+      if (result.allowed) {
+        return next();
+      }
+
+      const retryAfter = Math.max(1, resetSeconds);
+      res.setHeader("Retry-After", retryAfter);
+      return res.status(429).json({
+        success: false,
+        message:
+          this.options.policies[policyName].message || "Trop de requêtes",
+        code: "RATE_LIMIT_EXCEEDED",
+        retryAfter,
+      });
+    };
+  }
+}
+
+module.exports = RateLimiter;
@@ -3,6 +3,9 @@
  * ✅ Lit le stream RETRY
  * ✅ Réexécute les opérations échouées
  * ✅ Déplace vers DLQ après max retries
+ * ✅ Handlers nommés : une entrée portant `handler` est rejouée par ce
+ *    handler au lieu de saveCallback (ex. "scheduled" pour les messages
+ *    programmés)
  */
 
 class RetryWorker {
@@ -22,6 +25,7 @@ class RetryWorker {
     this.publishCallback = options.publishCallback || null;
     this.dlqCallback = options.dlqCallback || null;
     this.notifyCallback = options.notifyCallback || null;
+    this.handlers = { ...(options.handlers || {}) };
 
     this.interval = null;
     this.isRunning = false;
@@ -31,9 +35,17 @@ class RetryWorker {
       successful: 0,
       failed: 0,
       movedToDLQ: 0,
+      retryCount: 0,
     };
   }
 
+  /**
+   * Enregistrer un handler de rejeu (appelé avec messageData, attempt)
+   */
+  registerHandler(name, handler) {
+    this.handlers[name] = handler;
+  }
+
   /**
    * Démarrer le worker
    */
@@ -117,12 +129,29 @@ class RetryWorker {
             continue;
           }
 
+          const handler = message.handler
+            ? this.handlers[message.handler]
+            : null;
+          if (message.handler && !handler) {
+            console.warn(`⚠️ Handler de retry inconnu: ${message.handler}`);
+            continue;
+          }
+
           console.log(`🔄 Retry #${attempt} pour ${message.messageId}...`);
           this.metrics.processed++;
 
           try {
-            // Callback de sauvegarde
-            if (this.saveCallback) {
+            if (handler) {
+              await handler(messageData, attempt);
+              console.log(`✅ Retry réussi: ${message.messageId}`);
+              this.metrics.successful++;
+
+              await this.streamManager.deleteFromStream(
+                this.streamManager.STREAMS.RETRY,
+                id
+              );
+            } else if (this.saveCallback) {
+              // Callback de sauvegarde
               const savedMessage = await this.saveCallback(messageData);
               console.log(`✅ Retry réussi: ${message.messageId}`);
               this.metrics.successful++;
@@ -154,7 +183,11 @@ class RetryWorker {
           } catch (saveError) {
             this.metrics.failed++;
 
-            if (attempt >= this.options.maxRetries) {
+            // retryable = false : échec définitif, inutile de réessayer
+            if (
+              attempt >= this.options.maxRetries ||
+              saveError.retryable === false
+            ) {
               console.error(`❌ Max retries atteint pour ${message.messageId}`);
               this.metrics.movedToDLQ++;
 
@@ -175,7 +208,12 @@ class RetryWorker {
               const nextAttempt = attempt + 1;
               console.warn(`⚠️ Retry échoué. Tentative ${nextAttempt}...`);
 
-              await this.addRetry(messageData, nextAttempt, saveError);
+              await this.addRetry(
+                messageData,
+                nextAttempt,
+                saveError,
+                message.handler || null
+              );
               await this.streamManager.deleteFromStream(
                 this.streamManager.STREAMS.RETRY,
                 id
@@ -193,8 +231,9 @@ class RetryWorker {
 
   /**
    * Ajouter un message au stream retry
+   * @param {string} [handler] - handler nommé chargé du rejeu
    */
-  async addRetry(messageData, attempt, error) {
+  async addRetry(messageData, attempt, error, handler = null) {
     if (!this.redis || !messageData) {
       console.warn("⚠️ addRetry: messageData est undefined ou Redis absent");
       return;
@@ -221,6 +260,7 @@ class RetryWorker {
           timestamp: Date.now().toString(),
           nextRetryAt: (Date.now() + 100 * Math.pow(2, attempt - 1)).toString(),
           data: dataStr,
+          ...(handler && { handler }),
         }
       );
 
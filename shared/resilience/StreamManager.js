@@ -224,9 +224,11 @@ class StreamManager {
       const count = options.count || 10;
       const id = options.id || "0";
 
+      // BLOCK 0 attendrait indéfiniment sur un stream vide et bloquerait
+      // le client partagé : lecture bloquante seulement si demandée
       const messages = await this.redis.xRead([{ key: streamName, id }], {
         COUNT: count,
-        BLOCK: options.block || 0,
+        ...(options.block && { BLOCK: options.block }),
       });
 
       if (!messages || messages.length === 0) return [];
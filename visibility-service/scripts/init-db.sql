@@ -0,0 +1,90 @@
+-- Organisational units and agent assignments (source of the Neo4j graph, see npm run sync:org)
+
+CREATE TABLE IF NOT EXISTS units (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  acronyme VARCHAR(50),
+  parent_id INTEGER REFERENCES units(id) ON DELETE SET NULL,
+  head_matricule VARCHAR(32),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_units_parent_id ON units(parent_id);
+
+CREATE TABLE IF NOT EXISTS personnel (
+  id SERIAL PRIMARY KEY,
+  agt_id INTEGER,
+  matricule VARCHAR(32) UNIQUE NOT NULL,
+  nom VARCHAR(255),
+  prenom VARCHAR(255),
+  sexe VARCHAR(1),
+  mmnaissance VARCHAR(2),
+  aanaissance VARCHAR(4),
+  lieunaissance VARCHAR(255),
+  ministere VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Assignment columns on an existing personnel table
+ALTER TABLE personnel ADD COLUMN IF NOT EXISTS unit_id INTEGER REFERENCES units(id) ON DELETE SET NULL;
+ALTER TABLE personnel ADD COLUMN IF NOT EXISTS role VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_personnel_unit_id ON personnel(unit_id);
+
+-- Self-service unit moves, applied once the head of the target unit approves
+CREATE TABLE IF NOT EXISTS unit_move_requests (
+  id SERIAL PRIMARY KEY,
+  matricule VARCHAR(32) NOT NULL,
+  from_unit_id INTEGER REFERENCES units(id) ON DELETE SET NULL,
+  to_unit_id INTEGER NOT NULL REFERENCES units(id) ON DELETE CASCADE,
+  reason TEXT,
+  status VARCHAR(16) NOT NULL DEFAULT 'pending',
+  requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  decided_by VARCHAR(32),
+  decided_at TIMESTAMPTZ,
+  decision_comment TEXT
+);
+
+-- At most one pending request per agent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unit_move_requests_pending
+  ON unit_move_requests(matricule) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_unit_move_requests_to_unit
+  ON unit_move_requests(to_unit_id, status);
+
+-- Interim / delegated roles: the delegate acts with the delegator's role and unit visibility
+-- between starts_at and ends_at (active rows past ends_at are marked expired by the sweep job)
+CREATE TABLE IF NOT EXISTS role_delegations (
+  id SERIAL PRIMARY KEY,
+  delegator_matricule VARCHAR(32) NOT NULL,
+  delegate_matricule VARCHAR(32) NOT NULL,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  reason TEXT,
+  status VARCHAR(16) NOT NULL DEFAULT 'active',
+  granted_by VARCHAR(32) NOT NULL,
+  granted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revoked_by VARCHAR(32),
+  revoked_at TIMESTAMPTZ,
+  CHECK (ends_at > starts_at),
+  CHECK (delegator_matricule <> delegate_matricule)
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_delegations_delegate
+  ON role_delegations(delegate_matricule, status);
+CREATE INDEX IF NOT EXISTS idx_role_delegations_delegator
+  ON role_delegations(delegator_matricule, status);
+CREATE INDEX IF NOT EXISTS idx_role_delegations_active_ends
+  ON role_delegations(ends_at) WHERE status = 'active';
+
+-- Who granted, revoked or let each delegation expire (actor 'system' for the sweep job)
+CREATE TABLE IF NOT EXISTS role_delegation_audit (
+  id SERIAL PRIMARY KEY,
+  delegation_id INTEGER NOT NULL REFERENCES role_delegations(id) ON DELETE CASCADE,
+  action VARCHAR(16) NOT NULL,
+  actor_matricule VARCHAR(32) NOT NULL,
+  details JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_delegation_audit_delegation
+  ON role_delegation_audit(delegation_id, created_at);
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Admin command: sync the org graph from Postgres and print what moved.
+ *
+ *   npm run sync:org              apply changes
+ *   npm run sync:org -- --dry-run report only
+ *   npm run sync:org -- --json    full JSON report
+ */
+const syncOrgGraph = require('../src/application/useCases/syncOrgGraph');
+const neo4jDriver = require('../src/infrastructure/database/neo4jDriver');
+const pgPool = require('../src/infrastructure/database/postgresDriver');
+const redisClient = require('../src/infrastructure/database/redisClient');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const asJson = args.includes('--json');
+
+const printSection = (title, items, format) => {
+  if (items.length === 0) return;
+  console.log(`\n${title} (${items.length})`);
+  items.slice(0, 50).forEach((item) => console.log(`  ${format(item)}`));
+  if (items.length > 50) console.log(`  ... ${items.length - 50} more`);
+};
+
+const printReport = (result) => {
+  const { report } = result;
+  console.log(
+    `${dryRun ? '[dry run] ' : ''}${result.totals.units} units, ${result.totals.agents} agents in Postgres (${result.durationMs} ms)`
+  );
+
+  if (!result.hasChanges) {
+    console.log('Graph already up to date.');
+    return;
+  }
+
+  printSection(
+    'Units created',
+    report.units.created,
+    (u) => `+ ${u.id} ${u.name}`
+  );
+  printSection(
+    'Units renamed',
+    report.units.renamed,
+    (u) => `~ ${u.id} ${u.from} → ${u.to}`
+  );
+  printSection(
+    'Units moved',
+    report.units.moved,
+    (u) => `↪ ${u.id} ${u.name}: parent ${u.from} → ${u.to}`
+  );
+  printSection(
+    'Units removed',
+    report.units.removed,
+    (u) => `- ${u.id} ${u.name}`
+  );
+  printSection(
+    'Heads changed',
+    report.heads.changed,
+    (h) => `★ ${h.unitId} ${h.name}: ${h.from} → ${h.to}`
+  );
+  printSection(
+    'Agents created',
+    report.agents.created,
+    (a) => `+ ${a.matricule} → unit ${a.unitId}`
+  );
+  printSection(
+    'Agents moved',
+    report.agents.moved,
+    (a) => `↪ ${a.matricule}: unit ${a.from} → ${a.to}`
+  );
+  printSection(
+    'Agents updated',
+    report.agents.updated,
+    (a) => `~ ${a.matricule} (${a.role})`
+  );
+  printSection(
+    'Agents removed',
+    report.agents.removed,
+    (a) => `- ${a.matricule}`
+  );
+
+  if (!dryRun) {
+    console.log(
+      `\nOrg chart cache entries invalidated: ${result.invalidatedCacheEntries}`
+    );
+    console.log(`Org events published: ${result.publishedEvents}`);
+  }
+};
+
+const main = async () => {
+  let exitCode = 0;
+  try {
+    const result = await syncOrgGraph.execute({ dryRun });
+    if (asJson) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      printReport(result);
+    }
+  } catch (error) {
+    console.error(`Org sync failed: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    await Promise.allSettled([
+      neo4jDriver.close(),
+      pgPool.end(),
+      redisClient.quit(),
+    ]);
+  }
+  process.exit(exitCode);
+};
+
+main();
@@ -0,0 +1,169 @@
+const orgChartService = require('../../domain/services/orgChartService');
+const neo4jRepository = require('../../infrastructure/repositories/neo4jRepository');
+const redisRepository = require('../../infrastructure/repositories/redisRepository');
+const getVisibleAgents = require('./getVisibleAgents');
+const { orgChart } = require('../../config/settings');
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  graphml: {
+    contentType: 'application/graphml+xml; charset=utf-8',
+    extension: 'graphml',
+  },
+};
+
+/**
+ * Read-only org chart on the graph: unit tree loaded level by level, unit members
+ * and subtree export. Graph reads are cached under visibility:orgchart:*,
+ * cleared by the org sync and approved unit moves.
+ */
+class BrowseOrgChart {
+  fail(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+
+  cacheKey(...parts) {
+    return `visibility:orgchart:${parts.join(':')}`;
+  }
+
+  async cached(key, load) {
+    try {
+      const value = await redisRepository.get(key);
+      if (value) return { value, fromCache: true };
+    } catch (error) {
+      console.warn(`Org chart cache read failed for ${key}:`, error.message);
+    }
+
+    const value = await load();
+    // Unknown units are not cached: a sync may create them at any time
+    if (!value || (Array.isArray(value) && value.length === 0)) {
+      return { value, fromCache: false };
+    }
+
+    try {
+      await redisRepository.set(key, value, orgChart.cacheTtlSeconds);
+    } catch (error) {
+      console.warn(`Org chart cache write failed for ${key}:`, error.message);
+    }
+    return { value, fromCache: false };
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.rootId] - unit to expand, top-level units when omitted
+   * @param {number} [options.depth] - levels below the root (0 = the root only)
+   */
+  async getTree({ rootId = null, depth = orgChart.defaultDepth } = {}) {
+    const levels = Math.min(Math.max(depth, 0), orgChart.maxDepth);
+    const root = rootId ? String(rootId) : null;
+
+    const { value: rows, fromCache } = await this.cached(
+      this.cacheKey('tree', root || 'all', levels),
+      () => neo4jRepository.getUnitTree(root, levels)
+    );
+    if (root && rows.length === 0) {
+      throw this.fail(`Unit ${root} not found`, 'UNIT_NOT_FOUND', 404);
+    }
+
+    return {
+      rootId: root,
+      depth: levels,
+      units: orgChartService.buildTree(
+        rows,
+        (row) => ({
+          head: row.head || null,
+          childCount: row.childCount,
+          memberCount: row.memberCount,
+        }),
+        levels
+      ),
+      fromCache,
+    };
+  }
+
+  /**
+   * @param {string} unitId
+   * @param {Object} [options]
+   * @param {string} [options.viewer] - only members visible to this agent (and the agent);
+   *   every member when omitted
+   */
+  async getMembers(unitId, { viewer = null } = {}) {
+    const { value: record, fromCache } = await this.cached(
+      this.cacheKey('members', unitId),
+      () => neo4jRepository.getUnitMembers(String(unitId))
+    );
+    if (!record) {
+      throw this.fail(`Unit ${unitId} not found`, 'UNIT_NOT_FOUND', 404);
+    }
+
+    let members = record.members;
+    if (viewer) {
+      const visible = await this.visibleTo(viewer);
+      members = members.filter((member) => visible.has(member.matricule));
+    }
+    members = orgChartService.sortMembers(members);
+    return {
+      unit: record.unit,
+      members,
+      count: members.length,
+      fromCache,
+    };
+  }
+
+  // Same rules as GET /agents/:matricule/visible; an agent outside the graph sees no one
+  async visibleTo(viewer) {
+    let agents = [];
+    try {
+      ({ agents } = await getVisibleAgents.loadVisibleAgents(viewer));
+    } catch (error) {
+      if (error.code !== 'AGENT_NOT_FOUND') throw error;
+    }
+    return new Set([viewer, ...agents.map((agent) => agent.matricule)]);
+  }
+
+  /**
+   * @returns {Promise<{contentType: string, filename: string, body: string}>}
+   */
+  async export({ rootId = null, format = 'json' } = {}) {
+    const type = EXPORT_FORMATS[String(format).toLowerCase()];
+    if (!type) {
+      throw this.fail(
+        `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+        'INVALID_FORMAT',
+        400
+      );
+    }
+    const root = rootId ? String(rootId) : null;
+
+    const { value: rows } = await this.cached(
+      this.cacheKey('subtree', root || 'all'),
+      () => neo4jRepository.getOrgSubtree(root)
+    );
+    if (root && rows.length === 0) {
+      throw this.fail(`Unit ${root} not found`, 'UNIT_NOT_FOUND', 404);
+    }
+
+    const serializers = {
+      json: () =>
+        JSON.stringify(
+          { rootId: root, units: orgChartService.toJson(rows) },
+          null,
+          2
+        ),
+      csv: () => orgChartService.toCsv(rows),
+      graphml: () => orgChartService.toGraphML(rows),
+    };
+
+    return {
+      contentType: type.contentType,
+      filename: `org-chart-${root || 'all'}.${type.extension}`,
+      body: serializers[type.extension](),
+    };
+  }
+}
+
+module.exports = new BrowseOrgChart();
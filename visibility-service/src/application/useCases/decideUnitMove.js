@@ -0,0 +1,100 @@
+const UnitMoveRequest = require('../../domain/entities/unitMoveRequest');
+const postgresRepository = require('../../infrastructure/repositories/postgresRepository');
+const neo4jRepository = require('../../infrastructure/repositories/neo4jRepository');
+const redisRepository = require('../../infrastructure/repositories/redisRepository');
+const { orgEvents } = require('../../config/settings');
+
+/**
+ * Approval or rejection of a move request by the head of the target unit.
+ * Approval updates personnel.unit_id, the graph and the org chart cache, then
+ * emits agent.unit.moved on the org events stream (visible lists are refreshed
+ * by the org events consumer).
+ */
+class DecideUnitMove {
+  fail(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+
+  async execute(requestId, { approved, approverMatricule, comment = null }) {
+    const request = await postgresRepository.getMoveRequest(requestId);
+    if (!request)
+      throw this.fail('Move request not found', 'REQUEST_NOT_FOUND', 404);
+
+    if (request.status !== UnitMoveRequest.STATUS.PENDING) {
+      throw this.fail(
+        `Move request already ${request.status}`,
+        'ALREADY_DECIDED',
+        409
+      );
+    }
+
+    const unit = await postgresRepository.getUnitById(request.to_unit_id);
+    if (!unit || unit.head_matricule !== String(approverMatricule)) {
+      throw this.fail(
+        'Only the head of the target unit can decide',
+        'NOT_UNIT_HEAD',
+        403
+      );
+    }
+
+    const decided = await postgresRepository.decideMoveRequest(requestId, {
+      approved,
+      decidedBy: String(approverMatricule),
+      comment: comment ? String(comment).slice(0, 1000) : null,
+    });
+    if (!decided) {
+      throw this.fail('Move request already decided', 'ALREADY_DECIDED', 409);
+    }
+
+    if (approved) {
+      await this.propagate(decided, unit);
+    }
+
+    return new UnitMoveRequest(decided);
+  }
+
+  // Postgres is committed: graph, cache and event failures are logged, the next sync catches up
+  async propagate(request, toUnit) {
+    try {
+      const moved = await neo4jRepository.moveAgent(
+        request.matricule,
+        request.to_unit_id
+      );
+      if (!moved) {
+        console.warn(
+          `Agent ${request.matricule} not in graph yet, applied at next org sync`
+        );
+      }
+      await redisRepository.deleteByPattern('visibility:orgchart:*');
+    } catch (error) {
+      console.error(
+        `Graph update failed for move ${request.id}:`,
+        error.message
+      );
+    }
+
+    try {
+      await redisRepository.addStreamEvent(orgEvents.stream, {
+        event: 'agent.unit.moved',
+        requestId: request.id,
+        matricule: request.matricule,
+        fromUnitId: request.from_unit_id,
+        toUnitId: request.to_unit_id,
+        toUnitName: toUnit.name,
+        approvedBy: request.decided_by,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      console.error(`Org event failed for move ${request.id}:`, error.message);
+    }
+
+    console.log(
+      `Move ${request.id} approved: ${request.matricule} → unit ${request.to_unit_id}`
+    );
+  }
+}
+
+module.exports = new DecideUnitMove();
@@ -0,0 +1,37 @@
+const postgresRepository = require('../../infrastructure/repositories/postgresRepository');
+const redisRepository = require('../../infrastructure/repositories/redisRepository');
+const { orgEvents } = require('../../config/settings');
+
+/**
+ * Delegation boundaries: marks ended delegations as expired (audited as 'system')
+ * and emits an org event for each delegation that ended or started since the last run
+ * (the org events consumer refreshes the affected visible lists).
+ */
+class ExpireDelegations {
+  async execute({ since }) {
+    const expired = await postgresRepository.expireDelegations();
+    const started = await postgresRepository.getDelegationsStartedSince(since);
+
+    if (expired.length === 0 && started.length === 0) {
+      return { expired: 0, started: 0 };
+    }
+
+    const events = [
+      ...expired.map((row) => ({ row, event: 'role.delegation.expired' })),
+      ...started.map((row) => ({ row, event: 'role.delegation.started' })),
+    ];
+    for (const { row, event } of events) {
+      await redisRepository.addStreamEvent(orgEvents.stream, {
+        event,
+        delegationId: row.id,
+        delegatorMatricule: row.delegator_matricule,
+        delegateMatricule: row.delegate_matricule,
+        timestamp: Date.now(),
+      });
+    }
+
+    return { expired: expired.length, started: started.length };
+  }
+}
+
+module.exports = new ExpireDelegations();
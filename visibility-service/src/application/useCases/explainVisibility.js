@@ -0,0 +1,161 @@
+const visibilityService = require('../../domain/services/visibilityService');
+const neo4jRepository = require('../../infrastructure/repositories/neo4jRepository');
+const getVisibleAgents = require('./getVisibleAgents');
+
+const { RELATIONS } = visibilityService;
+
+const agentNode = ({ agent, unit, isHead }) => ({
+  type: 'AGENT',
+  matricule: agent.matricule,
+  nom: agent.nom || null,
+  prenom: agent.prenom || null,
+  role: agent.role || null,
+  link: unit ? (isHead ? 'HEADS' : 'BELONGS_TO') : null,
+});
+
+const unitSummary = (unit) => ({
+  id: unit.id,
+  name: unit.name || null,
+  acronyme: unit.acronyme || null,
+});
+
+const unitNode = (unit, step = null) => ({
+  type: 'UNIT',
+  ...unitSummary(unit),
+  step,
+});
+
+/**
+ * Why an agent does or does not see another one (helpdesk diagnosis).
+ * Computed from the live graph and delegations, never from the visibility cache.
+ */
+class ExplainVisibility {
+  fail(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+
+  async execute(fromMatricule, toMatricule) {
+    if (!fromMatricule || !toMatricule) {
+      throw this.fail('from and to are required', 'MISSING_PARAMS', 400);
+    }
+    const from = String(fromMatricule);
+    const to = String(toMatricule);
+    if (from === to) {
+      throw this.fail(
+        'from and to must be different agents',
+        'SAME_AGENT',
+        400
+      );
+    }
+
+    const [fromGraph, toGraph] = await Promise.all([
+      neo4jRepository.getVisibilityGraph(from),
+      neo4jRepository.getVisibilityGraph(to),
+    ]);
+    const missing = [
+      [from, fromGraph],
+      [to, toGraph],
+    ].find(([, graph]) => !graph);
+    if (missing) {
+      const error = this.fail(
+        `Agent ${missing[0]} not found in organisational graph`,
+        'AGENT_NOT_FOUND',
+        404
+      );
+      error.matricule = missing[0];
+      throw error;
+    }
+
+    const path = await this.buildPath(fromGraph, toGraph);
+    const { agents, delegationsChecked } = await this.loadVisibleAgents(
+      from,
+      fromGraph
+    );
+    const entry = agents.find((agent) => agent.matricule === to);
+
+    return {
+      from: this.describe(fromGraph),
+      to: this.describe(toGraph),
+      visible: !!entry,
+      rules: entry
+        ? entry.reasons.map((reason) => visibilityService.describeRule(reason))
+        : [],
+      blockingRule: entry
+        ? null
+        : visibilityService.explainDenial(fromGraph, toGraph, path),
+      path: {
+        relation: path.relation,
+        nodes: path.nodes,
+      },
+      delegationsChecked,
+    };
+  }
+
+  describe({ agent, unit, isHead }) {
+    return {
+      matricule: agent.matricule,
+      nom: agent.nom || null,
+      prenom: agent.prenom || null,
+      ...visibilityService.describeRole(agent.role),
+      unit: unit ? unitSummary(unit) : null,
+      isHead: !!(unit && isHead),
+    };
+  }
+
+  /**
+   * Agent → own unit → … SUB_UNIT_OF steps … → target unit → target.
+   */
+  async buildPath(fromGraph, toGraph) {
+    const fromUnit = fromGraph.unit;
+    const toUnit = toGraph.unit;
+
+    let unitPath = null;
+    if (fromUnit && toUnit && fromUnit.id !== toUnit.id) {
+      unitPath = await neo4jRepository.getUnitPath(fromUnit.id, toUnit.id);
+    }
+
+    const relation = visibilityService.relationBetween(
+      fromUnit,
+      toUnit,
+      unitPath?.steps || null
+    );
+
+    let units = [];
+    if (relation === RELATIONS.SAME_UNIT) {
+      units = [unitNode(fromUnit)];
+    } else if (unitPath) {
+      units = unitPath.units.map((unit, i) =>
+        unitNode(unit, i > 0 ? unitPath.steps[i - 1] : null)
+      );
+    }
+
+    return {
+      relation,
+      units: unitPath?.units || [],
+      steps: unitPath?.steps || [],
+      nodes: [agentNode(fromGraph), ...units, agentNode(toGraph)],
+    };
+  }
+
+  // Same rules as GET /agents/:matricule/visible; without Postgres, graph rules only
+  async loadVisibleAgents(matricule, graph) {
+    const ownAgents = getVisibleAgents.rulesFor(graph);
+
+    try {
+      const agents = visibilityService.applyDelegations(
+        graph.agent,
+        ownAgents,
+        await getVisibleAgents.loadDelegations(matricule, ownAgents)
+      );
+      return { agents, delegationsChecked: true };
+    } catch (error) {
+      console.warn(`Delegations unavailable for ${matricule}:`, error.message);
+      return { agents: ownAgents, delegationsChecked: false };
+    }
+  }
+}
+
+module.exports = new ExplainVisibility();
@@ -0,0 +1,155 @@
+const visibilityService = require('../../domain/services/visibilityService');
+const neo4jRepository = require('../../infrastructure/repositories/neo4jRepository');
+const redisRepository = require('../../infrastructure/repositories/redisRepository');
+const postgresRepository = require('../../infrastructure/repositories/postgresRepository');
+const invalidateVisibility = require('./invalidateVisibility');
+const { visibility } = require('../../config/settings');
+
+class GetVisibleAgents {
+  cacheKey(matricule) {
+    return `visibility:visible:${matricule}`;
+  }
+
+  /**
+   * Full visible list is computed once per agent and cached; pages are sliced from it.
+   */
+  async execute(
+    matricule,
+    { page = 1, limit = visibility.defaultPageSize } = {}
+  ) {
+    const { agents, fromCache } = await this.loadVisibleAgents(matricule);
+
+    const pageSize = Math.min(Math.max(limit, 1), visibility.maxPageSize);
+    const currentPage = Math.max(page, 1);
+    const start = (currentPage - 1) * pageSize;
+
+    return {
+      matricule,
+      agents: agents.slice(start, start + pageSize),
+      pagination: {
+        page: currentPage,
+        limit: pageSize,
+        total: agents.length,
+        totalPages: Math.ceil(agents.length / pageSize),
+        hasMore: start + pageSize < agents.length,
+      },
+      fromCache,
+    };
+  }
+
+  async loadVisibleAgents(matricule) {
+    const key = this.cacheKey(matricule);
+
+    try {
+      const cached = await redisRepository.get(key);
+      if (cached) return { agents: cached, fromCache: true };
+    } catch (error) {
+      console.warn(
+        `Visibility cache read failed for ${matricule}:`,
+        error.message
+      );
+    }
+
+    const graph = await neo4jRepository.getVisibilityGraph(matricule);
+    if (!graph) {
+      const error = new Error(
+        `Agent ${matricule} not found in organisational graph`
+      );
+      error.code = 'AGENT_NOT_FOUND';
+      error.status = 404;
+      throw error;
+    }
+
+    const ownAgents = this.rulesFor(graph);
+
+    let agents = ownAgents;
+    try {
+      agents = visibilityService.applyDelegations(
+        graph.agent,
+        ownAgents,
+        await this.loadDelegations(matricule, ownAgents)
+      );
+    } catch (error) {
+      // Without Postgres the list falls back to the graph rules, and is not cached
+      console.warn(`Delegations unavailable for ${matricule}:`, error.message);
+      return { agents, fromCache: false };
+    }
+
+    try {
+      await redisRepository.set(key, agents, visibility.cacheTtlSeconds);
+      await invalidateVisibility.track(matricule, graph, agents);
+    } catch (error) {
+      console.warn(
+        `Visibility cache write failed for ${matricule}:`,
+        error.message
+      );
+    }
+
+    return { agents, fromCache: false };
+  }
+
+  rulesFor(graph) {
+    return visibilityService.getVisibleAgents(
+      graph.agent,
+      graph.colleagues,
+      graph.subUnitHeads,
+      graph.parentHead,
+      graph.peerHeads
+    );
+  }
+
+  /**
+   * Delegations in force: those the agent holds (with each delegator's own list)
+   * and the interims acting for agents already visible.
+   */
+  async loadDelegations(matricule, ownAgents) {
+    const held =
+      await postgresRepository.getDelegationsInForceForDelegate(matricule);
+
+    const acting = [];
+    for (const delegation of held) {
+      const graph = await neo4jRepository.getVisibilityGraph(
+        delegation.delegator_matricule
+      );
+      if (!graph) continue;
+
+      acting.push({
+        delegator: {
+          ...graph.agent,
+          unitId: graph.unit?.id ?? null,
+          unitName: graph.unit?.name || null,
+        },
+        visibleAgents: this.rulesFor(graph),
+      });
+    }
+
+    const visibleMatricules = [
+      ...ownAgents,
+      ...acting.flatMap(({ delegator, visibleAgents }) => [
+        delegator,
+        ...visibleAgents,
+      ]),
+    ].map((agent) => agent.matricule);
+
+    const interims = await postgresRepository.getInterimsInForceFor([
+      ...new Set(visibleMatricules),
+    ]);
+
+    return {
+      acting,
+      interims: interims.map((row) => ({
+        delegatorMatricule: row.delegator_matricule,
+        interim: {
+          matricule: row.matricule,
+          nom: row.nom,
+          prenom: row.prenom,
+          role: row.role,
+          unitId: row.unit_id,
+          unitName: row.unit_name,
+        },
+      })),
+    };
+  }
+}
+
+module.exports = new GetVisibleAgents();
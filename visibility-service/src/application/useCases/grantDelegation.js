@@ -0,0 +1,147 @@
+const RoleDelegation = require('../../domain/entities/roleDelegation');
+const postgresRepository = require('../../infrastructure/repositories/postgresRepository');
+const redisRepository = require('../../infrastructure/repositories/redisRepository');
+const { delegations, orgEvents } = require('../../config/settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Time-bounded interim: the delegate acts with the delegator's role and unit
+ * visibility between startsAt and endsAt.
+ * Granted by the delegator, the head of their unit or the head of the parent unit.
+ */
+class GrantDelegation {
+  fail(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+
+  parseDate(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  async execute(
+    granterMatricule,
+    { delegatorMatricule, delegateMatricule, startsAt, endsAt, reason = null }
+  ) {
+    const granter = String(granterMatricule);
+    const delegator = String(delegatorMatricule || granter);
+    const delegate = delegateMatricule ? String(delegateMatricule) : null;
+
+    if (!delegate || delegate === delegator) {
+      throw this.fail(
+        'A delegate other than the delegator is required',
+        'INVALID_DELEGATE',
+        400
+      );
+    }
+
+    const now = new Date();
+    const start = this.parseDate(startsAt, now);
+    const end = this.parseDate(endsAt, null);
+    if (!start || !end || end <= start || end <= now) {
+      throw this.fail(
+        'endsAt must be a future date after startsAt',
+        'INVALID_DATES',
+        400
+      );
+    }
+    if (end - start > delegations.maxDurationDays * DAY_MS) {
+      throw this.fail(
+        `A delegation cannot exceed ${delegations.maxDurationDays} days`,
+        'DELEGATION_TOO_LONG',
+        400
+      );
+    }
+
+    const authority =
+      await postgresRepository.getDelegationAuthority(delegator);
+    if (!authority) {
+      throw this.fail('Delegator not found', 'AGENT_NOT_FOUND', 404);
+    }
+    if (!authority.role) {
+      throw this.fail(
+        'The delegator holds no role to delegate',
+        'NO_ROLE_TO_DELEGATE',
+        409
+      );
+    }
+
+    const canGrant =
+      granter === delegator ||
+      granter === authority.parent_head ||
+      (granter === authority.unit_head && authority.unit_head !== delegator);
+    if (!canGrant) {
+      throw this.fail(
+        'Only the delegator or their unit heads can grant this delegation',
+        'NOT_ALLOWED_TO_DELEGATE',
+        403
+      );
+    }
+
+    const delegateAgent = await postgresRepository
+      .getAgentByMatricule(delegate)
+      .catch(() => null);
+    if (!delegateAgent) {
+      throw this.fail('Delegate not found', 'DELEGATE_NOT_FOUND', 404);
+    }
+
+    const overlapping = await postgresRepository.findOverlappingDelegation(
+      delegator,
+      start,
+      end
+    );
+    if (overlapping) {
+      const error = this.fail(
+        'The delegator already has an interim over this period',
+        'DELEGATION_OVERLAP',
+        409
+      );
+      error.delegationId = overlapping.id;
+      throw error;
+    }
+
+    const row = await postgresRepository.createDelegation({
+      delegatorMatricule: delegator,
+      delegateMatricule: delegate,
+      startsAt: start,
+      endsAt: end,
+      reason: reason ? String(reason).slice(0, 1000) : null,
+      grantedBy: granter,
+    });
+    const delegation = new RoleDelegation(row);
+
+    await this.propagate(delegation);
+    console.log(
+      `Delegation ${delegation.id}: ${delegate} acts for ${delegator} until ${end.toISOString()} (granted by ${granter})`
+    );
+    return delegation;
+  }
+
+  // The delegation is committed: an event failure is only logged
+  async propagate(delegation) {
+    try {
+      await redisRepository.addStreamEvent(orgEvents.stream, {
+        event: 'role.delegation.granted',
+        delegationId: delegation.id,
+        delegatorMatricule: delegation.delegator.matricule,
+        delegateMatricule: delegation.delegate.matricule,
+        startsAt: delegation.startsAt,
+        endsAt: delegation.endsAt,
+        grantedBy: delegation.grantedBy,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      console.error(
+        `Propagation failed for delegation ${delegation.id}:`,
+        error.message
+      );
+    }
+  }
+}
+
+module.exports = new GrantDelegation();
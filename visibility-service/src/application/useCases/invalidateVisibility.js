@@ -0,0 +1,126 @@
+const neo4jRepository = require('../../infrastructure/repositories/neo4jRepository');
+const redisRepository = require('../../infrastructure/repositories/redisRepository');
+const { visibility, orgEvents } = require('../../config/settings');
+
+const INVALIDATED_EVENT = 'visibility.invalidated';
+
+const ids = (...values) => [
+  ...new Set(
+    values
+      .flat()
+      .filter((value) => value !== null && value !== undefined)
+      .map(String)
+  ),
+];
+
+/**
+ * Targeted invalidation of cached visible lists from org events.
+ *
+ * Each cached list registers its agent under visibility:deps:unit:{unitId} for
+ * the units it was computed from: own unit, parent unit and the unit of every
+ * visible agent. An event then only clears the agents depending on the units it
+ * touches, and announces them with visibility.invalidated for the copies kept by
+ * other services.
+ */
+class InvalidateVisibility {
+  depsKey(unitId) {
+    return `visibility:deps:unit:${unitId}`;
+  }
+
+  visibleKey(matricule) {
+    return `visibility:visible:${matricule}`;
+  }
+
+  /**
+   * @param {string} matricule
+   * @param {Object} graph - getVisibilityGraph record
+   * @param {Array} agents - cached visible list
+   */
+  async track(matricule, graph, agents) {
+    const unitIds = ids(
+      graph.unit?.id,
+      graph.parentUnitId,
+      agents.map((agent) => agent.unitId)
+    );
+    // chat-file-service keeps its own copy up to one more TTL
+    await redisRepository.addToSets(
+      unitIds.map((unitId) => this.depsKey(unitId)),
+      String(matricule),
+      visibility.cacheTtlSeconds * 2
+    );
+  }
+
+  /**
+   * Agents and units whose cached lists an event makes stale.
+   * @returns {Promise<{matricules: string[], unitIds: string[]}>}
+   */
+  async affectedBy(event) {
+    if (event.event === 'agent.unit.moved') {
+      return {
+        matricules: ids(event.matricule),
+        unitIds: ids(event.fromUnitId, event.toUnitId),
+      };
+    }
+    if (event.event.startsWith('agent.')) {
+      // Role changes alter equivalences with sibling heads: parent unit too
+      return {
+        matricules: ids(event.matricule),
+        unitIds: ids(event.unitId, event.parentUnitId),
+      };
+    }
+    if (event.event === 'unit.head.changed') {
+      return {
+        matricules: ids(event.fromMatricule, event.toMatricule),
+        unitIds: ids(event.unitId, event.parentId),
+      };
+    }
+    if (event.event === 'unit.moved') {
+      return {
+        matricules: [],
+        unitIds: ids(event.unitId, event.fromParentId, event.toParentId),
+      };
+    }
+    if (event.event.startsWith('unit.')) {
+      return { matricules: [], unitIds: ids(event.unitId, event.parentId) };
+    }
+    if (event.event.startsWith('role.delegation.')) {
+      // Whoever sees the delegator sees the interim (INTERIM)
+      return {
+        matricules: ids(event.delegatorMatricule, event.delegateMatricule),
+        unitIds: await neo4jRepository.getAgentUnitIds(
+          event.delegatorMatricule
+        ),
+      };
+    }
+    return { matricules: [], unitIds: [] };
+  }
+
+  /**
+   * @param {Object} event - org stream event ({ event, ... })
+   * @returns {Promise<string[]>} agents whose cached list was cleared
+   */
+  async execute(event) {
+    if (!event?.event || event.event === INVALIDATED_EVENT) return [];
+
+    const { matricules, unitIds } = await this.affectedBy(event);
+    const dependents = await redisRepository.popSetMembers(
+      unitIds.map((unitId) => this.depsKey(unitId))
+    );
+    const invalidated = ids(matricules, dependents);
+    if (invalidated.length === 0) return [];
+
+    await redisRepository.del(
+      invalidated.map((matricule) => this.visibleKey(matricule))
+    );
+    await redisRepository.addStreamEvent(orgEvents.stream, {
+      event: INVALIDATED_EVENT,
+      cause: event.event,
+      matricules: invalidated,
+      timestamp: Date.now(),
+    });
+
+    return invalidated;
+  }
+}
+
+module.exports = new InvalidateVisibility();
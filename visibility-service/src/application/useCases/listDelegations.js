@@ -0,0 +1,75 @@
+const RoleDelegation = require('../../domain/entities/roleDelegation');
+const postgresRepository = require('../../infrastructure/repositories/postgresRepository');
+
+/**
+ * Delegations given, held or granted by an agent, and a single delegation with its audit trail.
+ */
+class ListDelegations {
+  fail(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+
+  async execute(matricule, { status = null, page = 1, limit = 20 } = {}) {
+    if (status && !Object.values(RoleDelegation.STATUS).includes(status)) {
+      throw this.fail(
+        `status must be one of ${Object.values(RoleDelegation.STATUS).join(', ')}`,
+        'INVALID_STATUS',
+        400
+      );
+    }
+
+    const pageSize = Math.min(Math.max(limit, 1), 100);
+    const currentPage = Math.max(page, 1);
+
+    const { delegations, total } = await postgresRepository.listDelegationsFor(
+      String(matricule),
+      {
+        status,
+        limit: pageSize,
+        offset: (currentPage - 1) * pageSize,
+      }
+    );
+
+    return {
+      delegations: delegations.map((row) => new RoleDelegation(row)),
+      pagination: {
+        page: currentPage,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+      },
+    };
+  }
+
+  // Visible to the delegator, the delegate and the granter only
+  async getWithAudit(delegationId, matricule) {
+    const row = await postgresRepository.getDelegation(delegationId);
+    const viewer = String(matricule);
+    if (
+      !row ||
+      ![
+        row.delegator_matricule,
+        row.delegate_matricule,
+        row.granted_by,
+      ].includes(viewer)
+    ) {
+      throw this.fail('Delegation not found', 'DELEGATION_NOT_FOUND', 404);
+    }
+
+    const audit = await postgresRepository.getDelegationAudit(delegationId);
+    return {
+      delegation: new RoleDelegation(row),
+      audit: audit.map((entry) => ({
+        action: entry.action,
+        actor: entry.actor_matricule,
+        details: entry.details || null,
+        at: entry.created_at,
+      })),
+    };
+  }
+}
+
+module.exports = new ListDelegations();
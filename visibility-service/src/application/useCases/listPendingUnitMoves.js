@@ -0,0 +1,30 @@
+const UnitMoveRequest = require('../../domain/entities/unitMoveRequest');
+const postgresRepository = require('../../infrastructure/repositories/postgresRepository');
+
+/**
+ * Pending move requests awaiting the given unit head.
+ */
+class ListPendingUnitMoves {
+  async execute(headMatricule, { page = 1, limit = 20 } = {}) {
+    const pageSize = Math.min(Math.max(limit, 1), 100);
+    const currentPage = Math.max(page, 1);
+
+    const { requests, total } =
+      await postgresRepository.listPendingMoveRequestsForHead(headMatricule, {
+        limit: pageSize,
+        offset: (currentPage - 1) * pageSize,
+      });
+
+    return {
+      requests: requests.map((row) => new UnitMoveRequest(row)),
+      pagination: {
+        page: currentPage,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+      },
+    };
+  }
+}
+
+module.exports = new ListPendingUnitMoves();
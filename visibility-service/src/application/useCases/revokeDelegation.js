@@ -0,0 +1,74 @@
+const RoleDelegation = require('../../domain/entities/roleDelegation');
+const postgresRepository = require('../../infrastructure/repositories/postgresRepository');
+const redisRepository = require('../../infrastructure/repositories/redisRepository');
+const { orgEvents } = require('../../config/settings');
+
+/**
+ * Early end of a delegation, by the delegator, the delegate or whoever granted it.
+ */
+class RevokeDelegation {
+  fail(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+
+  async execute(delegationId, { revokedBy, comment = null }) {
+    const row = await postgresRepository.getDelegation(delegationId);
+    if (!row)
+      throw this.fail('Delegation not found', 'DELEGATION_NOT_FOUND', 404);
+
+    const actor = String(revokedBy);
+    if (
+      ![
+        row.delegator_matricule,
+        row.delegate_matricule,
+        row.granted_by,
+      ].includes(actor)
+    ) {
+      throw this.fail(
+        'Only the delegator, the delegate or the granter can revoke',
+        'NOT_ALLOWED_TO_REVOKE',
+        403
+      );
+    }
+    if (row.status !== RoleDelegation.STATUS.ACTIVE) {
+      throw this.fail(
+        `Delegation already ${row.status}`,
+        'DELEGATION_ENDED',
+        409
+      );
+    }
+
+    const revoked = await postgresRepository.revokeDelegation(delegationId, {
+      revokedBy: actor,
+      comment: comment ? String(comment).slice(0, 1000) : null,
+    });
+    if (!revoked) {
+      throw this.fail('Delegation already ended', 'DELEGATION_ENDED', 409);
+    }
+
+    const delegation = new RoleDelegation(revoked);
+    try {
+      await redisRepository.addStreamEvent(orgEvents.stream, {
+        event: 'role.delegation.revoked',
+        delegationId: delegation.id,
+        delegatorMatricule: delegation.delegator.matricule,
+        delegateMatricule: delegation.delegate.matricule,
+        revokedBy: actor,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      console.error(
+        `Propagation failed for delegation ${delegation.id}:`,
+        error.message
+      );
+    }
+
+    console.log(`Delegation ${delegation.id} revoked by ${actor}`);
+    return delegation;
+  }
+}
+
+module.exports = new RevokeDelegation();
@@ -0,0 +1,31 @@
+const Unit = require('../../domain/entities/unit');
+const postgresRepository = require('../../infrastructure/repositories/postgresRepository');
+
+// Same folding as the SQL side: lower case, accents stripped
+const fold = (value) =>
+  value
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[œæ]/g, '')
+    .trim();
+
+class SearchUnits {
+  async execute(query, { limit = 20 } = {}) {
+    const term = fold(String(query || ''));
+    if (term.length < 2) {
+      const error = new Error('Search term must be at least 2 characters');
+      error.code = 'QUERY_TOO_SHORT';
+      error.status = 400;
+      throw error;
+    }
+
+    const rows = await postgresRepository.searchUnits(
+      term,
+      Math.min(Math.max(limit, 1), 50)
+    );
+    return rows.map((row) => new Unit(row));
+  }
+}
+
+module.exports = new SearchUnits();
@@ -0,0 +1,131 @@
+const Unit = require('../../domain/entities/unit');
+const orgDiffService = require('../../domain/services/orgDiffService');
+const postgresRepository = require('../../infrastructure/repositories/postgresRepository');
+const neo4jRepository = require('../../infrastructure/repositories/neo4jRepository');
+const redisRepository = require('../../infrastructure/repositories/redisRepository');
+const { orgEvents } = require('../../config/settings');
+
+const LOCK_KEY = 'visibility:sync:lock';
+const LOCK_TTL_SECONDS = 15 * 60;
+
+/**
+ * Postgres (units + personnel.unit_id/role) → Neo4j org graph.
+ * Only the differences are written, so re-running on unchanged data is a no-op.
+ * Each difference is emitted on the org events stream.
+ */
+class SyncOrgGraph {
+  async loadTarget() {
+    const [unitRows, personnel] = await Promise.all([
+      postgresRepository.getUnits(),
+      postgresRepository.getAssignedPersonnel(),
+    ]);
+
+    return {
+      units: unitRows.map((row) => new Unit(row)),
+      agents: personnel.map((row) => ({
+        matricule: row.matricule,
+        nom: row.nom,
+        prenom: row.prenom,
+        role: row.role,
+        ministere: row.ministere,
+        unitId: row.unit_id,
+      })),
+    };
+  }
+
+  async apply(changes) {
+    // Order matters: units before relationships, agents before HEADS
+    await neo4jRepository.upsertUnits(changes.upsertUnits);
+    await neo4jRepository.setUnitParents(changes.setUnitParents);
+    await neo4jRepository.removeAgents(changes.removeAgents);
+    await neo4jRepository.upsertAgents(changes.upsertAgents);
+    await neo4jRepository.setUnitHeads(changes.setUnitHeads);
+    await neo4jRepository.removeUnits(changes.removeUnits);
+  }
+
+  // The graph is written: an event failure is logged, the cached lists expire on their TTL
+  async publish(report) {
+    let published = 0;
+    for (const event of orgDiffService.events(report, 'org-sync')) {
+      try {
+        await redisRepository.addStreamEvent(orgEvents.stream, {
+          ...event,
+          timestamp: Date.now(),
+        });
+        published++;
+      } catch (error) {
+        console.error(`Org event ${event.event} failed:`, error.message);
+      }
+    }
+    return published;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Compute the report without writing
+   * @returns {Promise<Object>} Diff report
+   */
+  async execute({ dryRun = false } = {}) {
+    const startedAt = new Date();
+
+    if (!(await redisRepository.acquireLock(LOCK_KEY, LOCK_TTL_SECONDS))) {
+      const error = new Error('An org sync is already running');
+      error.code = 'SYNC_IN_PROGRESS';
+      error.status = 409;
+      throw error;
+    }
+
+    try {
+      await neo4jRepository.ensureOrgConstraints();
+
+      const [target, current] = await Promise.all([
+        this.loadTarget(),
+        neo4jRepository.getOrgSnapshot(),
+      ]);
+      const { changes, report, hasChanges } = orgDiffService.diff(
+        current,
+        target
+      );
+
+      let invalidatedCacheEntries = 0;
+      let publishedEvents = 0;
+      if (hasChanges && !dryRun) {
+        await this.apply(changes);
+        invalidatedCacheEntries = await redisRepository
+          .deleteByPattern('visibility:orgchart:*')
+          .catch(() => 0);
+        // Visible lists are refreshed per event by the org events consumer
+        publishedEvents = await this.publish(report);
+      }
+
+      return {
+        dryRun,
+        hasChanges,
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        totals: {
+          units: target.units.length,
+          agents: target.agents.length,
+        },
+        summary: {
+          unitsCreated: report.units.created.length,
+          unitsRenamed: report.units.renamed.length,
+          unitsMoved: report.units.moved.length,
+          unitsRemoved: report.units.removed.length,
+          agentsCreated: report.agents.created.length,
+          agentsMoved: report.agents.moved.length,
+          agentsUpdated: report.agents.updated.length,
+          agentsRemoved: report.agents.removed.length,
+          headsChanged: report.heads.changed.length,
+        },
+        invalidatedCacheEntries,
+        publishedEvents,
+        report,
+      };
+    } finally {
+      await redisRepository.releaseLock(LOCK_KEY).catch(() => {});
+    }
+  }
+}
+
+module.exports = new SyncOrgGraph();
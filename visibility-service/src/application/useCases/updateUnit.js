@@ -0,0 +1,66 @@
+const UnitMoveRequest = require('../../domain/entities/unitMoveRequest');
+const postgresRepository = require('../../infrastructure/repositories/postgresRepository');
+
+/**
+ * Self-service unit change: records a pending move request.
+ * The agent's unit only changes once the head of the target unit approves (decideUnitMove).
+ */
+class UpdateUnit {
+  fail(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+
+  async execute(matricule, { toUnitId, reason = null }) {
+    const agent = await postgresRepository
+      .getAgentByMatricule(matricule)
+      .catch(() => null);
+    if (!agent) throw this.fail('Agent not found', 'AGENT_NOT_FOUND', 404);
+
+    const unit = toUnitId
+      ? await postgresRepository.getUnitById(toUnitId)
+      : null;
+    if (!unit) throw this.fail('Unit not found', 'UNIT_NOT_FOUND', 404);
+
+    if (String(agent.unit_id) === String(unit.id)) {
+      throw this.fail(
+        'Agent already belongs to this unit',
+        'ALREADY_IN_UNIT',
+        409
+      );
+    }
+    if (!unit.head_matricule) {
+      throw this.fail(
+        'Target unit has no head to approve the move',
+        'NO_UNIT_HEAD',
+        409
+      );
+    }
+
+    const pending =
+      await postgresRepository.getPendingMoveRequestByMatricule(matricule);
+    if (pending) {
+      throw this.fail(
+        'A move request is already pending',
+        'MOVE_ALREADY_PENDING',
+        409
+      );
+    }
+
+    const row = await postgresRepository.createMoveRequest({
+      matricule,
+      fromUnitId: agent.unit_id || null,
+      toUnitId: unit.id,
+      reason: reason ? String(reason).slice(0, 1000) : null,
+    });
+
+    console.log(
+      `Move request ${row.id}: ${matricule} → unit ${unit.id} (awaiting ${unit.head_matricule})`
+    );
+    return new UnitMoveRequest(row);
+  }
+}
+
+module.exports = new UpdateUnit();
@@ -16,4 +16,51 @@ module.exports = {
     user: process.env.POSTGRES_USER || 'postgres',
     password: process.env.POSTGRES_PASSWORD || '',
   },
-};
\ No newline at end of file
+  redis: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+  },
+  visibility: {
+    cacheTtlSeconds: parseInt(process.env.VISIBILITY_CACHE_TTL, 10) || 300,
+    defaultPageSize: 50,
+    maxPageSize: 200,
+  },
+  orgChart: {
+    cacheTtlSeconds: parseInt(process.env.ORG_CHART_CACHE_TTL, 10) || 600,
+    defaultDepth: 1,
+    maxDepth: 5,
+  },
+  gatewayIdentity: {
+    // PEM public key of the gateway ("\n" escapes allowed in .env)
+    publicKey: process.env.GATEWAY_IDENTITY_PUBLIC_KEY
+      ? process.env.GATEWAY_IDENTITY_PUBLIC_KEY.replace(/\\n/g, '\n')
+      : null,
+    maxAgeMs: 5 * 60 * 1000,
+  },
+  // Service-to-service credentials: SERVICE_TOKENS=chat-file-service:<token>,...
+  // A service token only grants the read endpoints that accept services
+  serviceTokens: (process.env.SERVICE_TOKENS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, ...token] = entry.split(':');
+      return { name, token: token.join(':') };
+    })
+    .filter(({ name, token }) => name && token),
+  orgEvents: {
+    stream: process.env.ORG_EVENTS_STREAM || 'chat:stream:events:org',
+    consumerGroup: 'visibility-service',
+    pollIntervalMs:
+      parseInt(process.env.ORG_EVENTS_POLL_INTERVAL_MS, 10) || 1000,
+    batchSize: 50,
+  },
+  orgSync: {
+    intervalMinutes: parseInt(process.env.ORG_SYNC_INTERVAL_MINUTES, 10) || 0,
+  },
+  delegations: {
+    maxDurationDays: parseInt(process.env.DELEGATION_MAX_DAYS, 10) || 180,
+    sweepIntervalSeconds:
+      parseInt(process.env.DELEGATION_SWEEP_INTERVAL_SECONDS, 10) || 60,
+  },
+};
@@ -0,0 +1,64 @@
+class RoleDelegation {
+  constructor({
+    id,
+    delegator_matricule,
+    delegator_nom,
+    delegator_prenom,
+    delegator_role,
+    delegate_matricule,
+    delegate_nom,
+    delegate_prenom,
+    starts_at,
+    ends_at,
+    reason,
+    status,
+    granted_by,
+    granted_at,
+    revoked_by,
+    revoked_at,
+  }) {
+    this.id = id;
+    this.delegator = {
+      matricule: delegator_matricule,
+      nom: delegator_nom || null,
+      prenom: delegator_prenom || null,
+      role: delegator_role || null,
+    };
+    this.delegate = {
+      matricule: delegate_matricule,
+      nom: delegate_nom || null,
+      prenom: delegate_prenom || null,
+    };
+    this.startsAt = starts_at;
+    this.endsAt = ends_at;
+    this.reason = reason || null;
+    this.status = status;
+    this.grantedBy = granted_by;
+    this.grantedAt = granted_at;
+    this.revokedBy = revoked_by || null;
+    this.revokedAt = revoked_at || null;
+  }
+
+  // In force right now (an active delegation may still be scheduled for later)
+  isInForce(now = new Date()) {
+    return (
+      this.status === RoleDelegation.STATUS.ACTIVE &&
+      new Date(this.startsAt) <= now &&
+      new Date(this.endsAt) > now
+    );
+  }
+}
+
+RoleDelegation.STATUS = {
+  ACTIVE: 'active',
+  REVOKED: 'revoked',
+  EXPIRED: 'expired',
+};
+
+RoleDelegation.AUDIT_ACTIONS = {
+  GRANTED: 'granted',
+  REVOKED: 'revoked',
+  EXPIRED: 'expired',
+};
+
+module.exports = RoleDelegation;
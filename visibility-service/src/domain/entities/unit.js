@@ -1,9 +1,11 @@
 class Unit {
-  constructor({ id, name, acronyme }) {
+  constructor({ id, name, acronyme, parent_id, head_matricule }) {
     this.id = id;
     this.name = name;
     this.acronyme = acronyme;
+    this.parentId = parent_id ?? null;
+    this.headMatricule = head_matricule || null;
   }
 }
 
-module.exports = Unit;
\ No newline at end of file
+module.exports = Unit;
@@ -0,0 +1,41 @@
+class UnitMoveRequest {
+  constructor({
+    id,
+    matricule,
+    nom,
+    prenom,
+    from_unit_id,
+    from_unit_name,
+    to_unit_id,
+    to_unit_name,
+    reason,
+    status,
+    requested_at,
+    decided_by,
+    decided_at,
+    decision_comment,
+  }) {
+    this.id = id;
+    this.matricule = matricule;
+    this.nom = nom || null;
+    this.prenom = prenom || null;
+    this.fromUnit = from_unit_id
+      ? { id: from_unit_id, name: from_unit_name }
+      : null;
+    this.toUnit = { id: to_unit_id, name: to_unit_name };
+    this.reason = reason || null;
+    this.status = status;
+    this.requestedAt = requested_at;
+    this.decidedBy = decided_by || null;
+    this.decidedAt = decided_at || null;
+    this.decisionComment = decision_comment || null;
+  }
+}
+
+UnitMoveRequest.STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+module.exports = UnitMoveRequest;
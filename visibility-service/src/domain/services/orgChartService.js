@@ -0,0 +1,192 @@
+const visibilityService = require('./visibilityService');
+
+const CSV_COLUMNS = [
+  'unit_id',
+  'unit_name',
+  'unit_acronyme',
+  'parent_id',
+  'level',
+  'matricule',
+  'nom',
+  'prenom',
+  'role',
+  'is_head',
+];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const xmlEscape = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Shapes the org chart read from the graph: nested tree, sorted members and
+ * subtree exports (JSON, CSV, GraphML).
+ *
+ * Rows: { unit: { id, name, acronyme }, parentId, level, ...extra } ordered by level.
+ */
+class OrgChartService {
+  // Head first, then highest rank, then alphabetical
+  sortMembers(members = []) {
+    return members
+      .map((member) => ({
+        ...member,
+        isHead: !!member.isHead,
+        rank: visibilityService.describeRole(member.role).rank,
+      }))
+      .sort(
+        (a, b) =>
+          Number(b.isHead) - Number(a.isHead) ||
+          b.rank - a.rank ||
+          `${a.nom || ''} ${a.prenom || ''}`.localeCompare(
+            `${b.nom || ''} ${b.prenom || ''}`
+          )
+      );
+  }
+
+  /**
+   * @param {Array} rows
+   * @param {Function} toNode - row → node fields (children are added here)
+   * @param {number} [depth] - units at this level get children: null when they have some (loaded on demand)
+   */
+  buildTree(rows, toNode, depth = Infinity) {
+    const nodes = new Map();
+    const roots = [];
+
+    rows.forEach((row) => {
+      const node = {
+        id: row.unit.id,
+        name: row.unit.name || null,
+        acronyme: row.unit.acronyme || null,
+        parentId: row.parentId ?? null,
+        level: row.level,
+        ...toNode(row),
+        children: [],
+      };
+      if (row.level >= depth && row.childCount > 0) node.children = null;
+      nodes.set(node.id, node);
+
+      const parent = row.level > 0 ? nodes.get(node.parentId) : null;
+      if (parent && parent.children) parent.children.push(node);
+      else roots.push(node);
+    });
+
+    return roots;
+  }
+
+  toJson(rows) {
+    return this.buildTree(rows, (row) => ({
+      members: this.sortMembers(row.members),
+    }));
+  }
+
+  // One line per member; units without members keep a line with empty agent columns
+  toCsv(rows) {
+    const lines = [CSV_COLUMNS.join(',')];
+
+    rows.forEach(({ unit, parentId, level, members }) => {
+      const unitCells = [unit.id, unit.name, unit.acronyme, parentId, level];
+      const sorted = this.sortMembers(members);
+
+      if (sorted.length === 0) {
+        lines.push([...unitCells, '', '', '', '', ''].map(csvCell).join(','));
+        return;
+      }
+      sorted.forEach((member) =>
+        lines.push(
+          [
+            ...unitCells,
+            member.matricule,
+            member.nom,
+            member.prenom,
+            member.role,
+            member.isHead,
+          ]
+            .map(csvCell)
+            .join(',')
+        )
+      );
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Units and agents as nodes; SUB_UNIT_OF (unit → parent), HEADS and BELONGS_TO (agent → unit) as edges.
+   */
+  toGraphML(rows) {
+    const unitIds = new Set(rows.map((row) => String(row.unit.id)));
+    const nodes = [];
+    const edges = [];
+    const agents = new Set();
+
+    rows.forEach(({ unit, parentId, members }) => {
+      const unitNode = `u:${unit.id}`;
+      nodes.push(
+        [
+          `    <node id="${xmlEscape(unitNode)}">`,
+          '      <data key="kind">unit</data>',
+          `      <data key="name">${xmlEscape(unit.name)}</data>`,
+          `      <data key="acronyme">${xmlEscape(unit.acronyme)}</data>`,
+          '    </node>',
+        ].join('\n')
+      );
+
+      // The root parent is outside the export
+      if (parentId !== null && unitIds.has(String(parentId))) {
+        edges.push(['SUB_UNIT_OF', unitNode, `u:${parentId}`]);
+      }
+
+      this.sortMembers(members).forEach((member) => {
+        const agentNode = `a:${member.matricule}`;
+        if (!agents.has(agentNode)) {
+          agents.add(agentNode);
+          nodes.push(
+            [
+              `    <node id="${xmlEscape(agentNode)}">`,
+              '      <data key="kind">agent</data>',
+              `      <data key="name">${xmlEscape(
+                [member.prenom, member.nom].filter(Boolean).join(' ')
+              )}</data>`,
+              `      <data key="role">${xmlEscape(member.role)}</data>`,
+              '    </node>',
+            ].join('\n')
+          );
+        }
+        edges.push([
+          member.isHead ? 'HEADS' : 'BELONGS_TO',
+          agentNode,
+          unitNode,
+        ]);
+      });
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      '  <key id="kind" for="node" attr.name="kind" attr.type="string"/>',
+      '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+      '  <key id="acronyme" for="node" attr.name="acronyme" attr.type="string"/>',
+      '  <key id="role" for="node" attr.name="role" attr.type="string"/>',
+      '  <key id="type" for="edge" attr.name="type" attr.type="string"/>',
+      '  <graph id="org-chart" edgedefault="directed">',
+      ...nodes,
+      ...edges.map(
+        ([type, source, target], i) =>
+          `    <edge id="e${i}" source="${xmlEscape(source)}" target="${xmlEscape(target)}"><data key="type">${type}</data></edge>`
+      ),
+      '  </graph>',
+      '</graphml>',
+      '',
+    ].join('\n');
+  }
+}
+
+module.exports = new OrgChartService();
@@ -0,0 +1,224 @@
+/**
+ * Compares the organisation read from Postgres (target) with the graph (current)
+ * and returns the minimal set of changes, plus a report of what moved.
+ *
+ * Units:  { id, name, acronyme, parentId, headMatricule }
+ * Agents: { matricule, nom, prenom, role, ministere, unitId }
+ * Ids are compared as strings (the graph stores them as strings).
+ */
+const key = (value) =>
+  value === null || value === undefined ? null : String(value);
+
+const indexBy = (items, field) =>
+  new Map(items.map((item) => [key(item[field]), item]));
+
+class OrgDiffService {
+  diff(current, target) {
+    const currentUnits = indexBy(current.units, 'id');
+    const targetUnits = indexBy(target.units, 'id');
+    const currentAgents = indexBy(current.agents, 'matricule');
+    const targetAgents = indexBy(target.agents, 'matricule');
+
+    const changes = {
+      upsertUnits: [],
+      setUnitParents: [],
+      setUnitHeads: [],
+      upsertAgents: [],
+      removeAgents: [],
+      removeUnits: [],
+    };
+    const report = {
+      units: { created: [], renamed: [], moved: [], removed: [] },
+      agents: { created: [], moved: [], updated: [], removed: [] },
+      heads: { changed: [] },
+    };
+
+    for (const [id, unit] of targetUnits) {
+      const existing = currentUnits.get(id);
+      const parentId = key(unit.parentId);
+      // A head missing from personnel cannot be linked: treated as no head
+      const headMatricule = targetAgents.has(key(unit.headMatricule))
+        ? key(unit.headMatricule)
+        : null;
+
+      if (!existing) {
+        report.units.created.push({ id, name: unit.name, parentId });
+        changes.upsertUnits.push({
+          id,
+          name: unit.name,
+          acronyme: unit.acronyme || null,
+        });
+      } else if (
+        existing.name !== unit.name ||
+        (existing.acronyme || null) !== (unit.acronyme || null)
+      ) {
+        report.units.renamed.push({ id, from: existing.name, to: unit.name });
+        changes.upsertUnits.push({
+          id,
+          name: unit.name,
+          acronyme: unit.acronyme || null,
+        });
+      }
+
+      if (key(existing?.parentId) !== parentId) {
+        if (existing) {
+          report.units.moved.push({
+            id,
+            name: unit.name,
+            from: key(existing.parentId),
+            to: parentId,
+          });
+        }
+        changes.setUnitParents.push({ id, parentId });
+      }
+
+      if (key(existing?.headMatricule) !== headMatricule) {
+        report.heads.changed.push({
+          unitId: id,
+          name: unit.name,
+          parentId,
+          from: key(existing?.headMatricule),
+          to: headMatricule,
+        });
+        changes.setUnitHeads.push({ id, headMatricule });
+      }
+    }
+
+    for (const [id, unit] of currentUnits) {
+      if (!targetUnits.has(id)) {
+        report.units.removed.push({
+          id,
+          name: unit.name,
+          parentId: key(unit.parentId),
+        });
+        changes.removeUnits.push(id);
+      }
+    }
+
+    for (const [matricule, agent] of targetAgents) {
+      const existing = currentAgents.get(matricule);
+      const unitId = key(agent.unitId);
+      const unit = targetUnits.get(unitId);
+      const row = {
+        matricule,
+        nom: agent.nom || null,
+        prenom: agent.prenom || null,
+        role: agent.role || null,
+        ministere: agent.ministere || null,
+        unitId,
+      };
+
+      if (!existing) {
+        report.agents.created.push({ matricule, unitId });
+        changes.upsertAgents.push(row);
+        continue;
+      }
+
+      const moved = key(existing.unitId) !== unitId;
+      const updated = ['nom', 'prenom', 'role', 'ministere'].some(
+        (field) => (existing[field] || null) !== row[field]
+      );
+
+      if (moved) {
+        report.agents.moved.push({
+          matricule,
+          from: key(existing.unitId),
+          to: unitId,
+          unitName: unit?.name || null,
+          ministere: row.ministere,
+        });
+      } else if (updated) {
+        report.agents.updated.push({
+          matricule,
+          role: row.role,
+          ministere: row.ministere,
+          unitId,
+          parentUnitId: key(unit?.parentId),
+        });
+      }
+      if (moved || updated) changes.upsertAgents.push(row);
+    }
+
+    for (const [matricule, agent] of currentAgents) {
+      if (!targetAgents.has(matricule)) {
+        report.agents.removed.push({ matricule, unitId: key(agent.unitId) });
+        changes.removeAgents.push(matricule);
+      }
+    }
+
+    const changeCount = Object.values(changes).reduce(
+      (sum, list) => sum + list.length,
+      0
+    );
+
+    return { changes, report, hasChanges: changeCount > 0 };
+  }
+
+  /**
+   * Org stream events for a diff report, agent moves tagged with the source.
+   */
+  events(report, source) {
+    const { units, agents, heads } = report;
+    return [
+      ...units.created.map((unit) => ({
+        event: 'unit.created',
+        unitId: unit.id,
+        name: unit.name,
+        parentId: unit.parentId,
+      })),
+      ...units.renamed.map((unit) => ({
+        event: 'unit.renamed',
+        unitId: unit.id,
+        from: unit.from,
+        to: unit.to,
+      })),
+      ...units.moved.map((unit) => ({
+        event: 'unit.moved',
+        unitId: unit.id,
+        fromParentId: unit.from,
+        toParentId: unit.to,
+      })),
+      ...units.removed.map((unit) => ({
+        event: 'unit.removed',
+        unitId: unit.id,
+        parentId: unit.parentId,
+      })),
+      ...heads.changed.map((head) => ({
+        event: 'unit.head.changed',
+        unitId: head.unitId,
+        parentId: head.parentId,
+        fromMatricule: head.from,
+        toMatricule: head.to,
+      })),
+      ...agents.created.map((agent) => ({
+        event: 'agent.created',
+        matricule: agent.matricule,
+        unitId: agent.unitId,
+      })),
+      ...agents.moved.map((agent) => ({
+        event: 'agent.unit.moved',
+        matricule: agent.matricule,
+        fromUnitId: agent.from,
+        toUnitId: agent.to,
+        toUnitName: agent.unitName,
+        ministere: agent.ministere,
+        source,
+      })),
+      ...agents.updated.map((agent) => ({
+        event: 'agent.updated',
+        matricule: agent.matricule,
+        role: agent.role,
+        ministere: agent.ministere,
+        unitId: agent.unitId,
+        parentUnitId: agent.parentUnitId,
+      })),
+      ...agents.removed.map((agent) => ({
+        event: 'agent.removed',
+        matricule: agent.matricule,
+        unitId: agent.unitId,
+      })),
+    ];
+  }
+}
+
+module.exports = new OrgDiffService();
@@ -1,8 +1,301 @@
+const Role = require('../valueObjects/role');
+const { ROLE_EQUIVALENCIES } = require('../../config/roleHierarchy');
+
+const REASONS = {
+  SAME_UNIT: 'SAME_UNIT',
+  SUB_UNIT_HEAD: 'SUB_UNIT_HEAD',
+  PARENT_UNIT_HEAD: 'PARENT_UNIT_HEAD',
+  EQUIVALENT_RANK: 'EQUIVALENT_RANK',
+  DELEGATOR: 'DELEGATOR',
+  DELEGATED: 'DELEGATED',
+  INTERIM: 'INTERIM',
+};
+
+const RULE_DESCRIPTIONS = {
+  SAME_UNIT:
+    'Everyone in the unit the agent heads, otherwise the unit they belong to',
+  SUB_UNIT_HEAD: 'Heads of the direct sub-units of the unit',
+  PARENT_UNIT_HEAD: 'Head of the parent unit',
+  EQUIVALENT_RANK:
+    'Heads of sibling units with the same rank (ROLE_HIERARCHY, ROLE_EQUIVALENCIES), for unit heads',
+  DELEGATOR: 'Agent the viewer is acting for under an interim delegation',
+  DELEGATED: 'Agents seen by the delegator the viewer is acting for',
+  INTERIM: 'Interim acting for an agent the viewer already sees',
+  NO_UNIT: 'Agents outside any unit only see themselves',
+  NOT_CONNECTED: 'Units outside the org tree are not linked by any rule',
+  NO_RULE: 'No rule links units in different branches of the org tree',
+};
+
+// Position of the target unit relative to the viewer unit
+const RELATIONS = {
+  SAME_UNIT: 'SAME_UNIT',
+  CHILD_UNIT: 'CHILD_UNIT',
+  DESCENDANT_UNIT: 'DESCENDANT_UNIT',
+  PARENT_UNIT: 'PARENT_UNIT',
+  ANCESTOR_UNIT: 'ANCESTOR_UNIT',
+  SIBLING_UNIT: 'SIBLING_UNIT',
+  OTHER_BRANCH: 'OTHER_BRANCH',
+  NOT_CONNECTED: 'NOT_CONNECTED',
+  NO_UNIT: 'NO_UNIT',
+};
+
+// Unknown or missing roles rank 0 instead of failing the whole list
+const rankOf = (roleName) => {
+  try {
+    return roleName ? new Role(roleName).getRank() : 0;
+  } catch {
+    return 0;
+  }
+};
+
+const addCandidate = (visible, agent, candidate, reason) => {
+  if (!candidate || candidate.matricule === agent.matricule) return;
+
+  const existing = visible.get(candidate.matricule);
+  if (existing) {
+    if (!existing.reasons.includes(reason)) existing.reasons.push(reason);
+    return;
+  }
+
+  visible.set(candidate.matricule, {
+    matricule: candidate.matricule,
+    nom: candidate.nom || null,
+    prenom: candidate.prenom || null,
+    role: candidate.role || null,
+    rank: rankOf(candidate.role),
+    unitId: candidate.unitId ?? null,
+    unitName: candidate.unitName || null,
+    reasons: [reason],
+  });
+};
+
+// Highest rank first, then alphabetical
+const sortVisible = (visible) =>
+  [...visible.values()].sort(
+    (a, b) =>
+      b.rank - a.rank ||
+      `${a.nom || ''} ${a.prenom || ''}`.localeCompare(
+        `${b.nom || ''} ${b.prenom || ''}`
+      )
+  );
+
+const labelOf = (agent) =>
+  [agent.prenom, agent.nom].filter(Boolean).join(' ') || agent.matricule;
+
+const unitLabel = (unit) => unit.acronyme || unit.name || String(unit.id);
+
+/**
+ * Rank and equivalence group of a role, as read from config/roleHierarchy.js.
+ */
+const describeRole = (roleName) => {
+  const canonical = Object.keys(ROLE_EQUIVALENCIES).find(
+    (key) => key === roleName || ROLE_EQUIVALENCIES[key].includes(roleName)
+  );
+  const group = canonical ? [canonical, ...ROLE_EQUIVALENCIES[canonical]] : [];
+
+  return {
+    role: roleName || null,
+    rank: rankOf(roleName),
+    equivalents: group.filter((role) => role !== roleName),
+  };
+};
+
+/**
+ * Visibility rules. An agent sees:
+ * - everyone in their own unit (the unit they head, otherwise the unit they belong to)
+ * - the heads of the direct sub-units of that unit
+ * - the head of the parent unit
+ * - heads of sibling units holding an equivalent rank (ROLE_EQUIVALENCIES)
+ * Interim delegations (applyDelegations) extend the list for a limited period.
+ */
 class VisibilityService {
-  getVisibleAgents(agent, agentsInUnit, agentsInSubUnits, bossInParentUnit) {
-    // Stub: Implement visibility logic later
-    return [];
+  getVisibleAgents(
+    agent,
+    agentsInUnit = [],
+    agentsInSubUnits = [],
+    bossInParentUnit = null,
+    peerHeads = []
+  ) {
+    const agentRank = rankOf(agent.role);
+    const visible = new Map();
+
+    const add = (candidate, reason) =>
+      addCandidate(visible, agent, candidate, reason);
+
+    agentsInUnit.forEach((colleague) => add(colleague, REASONS.SAME_UNIT));
+    agentsInSubUnits.forEach((head) => add(head, REASONS.SUB_UNIT_HEAD));
+    add(bossInParentUnit, REASONS.PARENT_UNIT_HEAD);
+    peerHeads
+      .filter((peer) => agentRank > 0 && rankOf(peer.role) === agentRank)
+      .forEach((peer) => add(peer, REASONS.EQUIVALENT_RANK));
+
+    return sortVisible(visible);
+  }
+
+  /**
+   * Interim rules on top of an agent's own list:
+   * - acting for a delegator, the agent sees the delegator (DELEGATOR) and
+   *   everyone the delegator sees (DELEGATED)
+   * - interims acting for someone already visible are visible too (INTERIM)
+   *
+   * @param {Object} agent
+   * @param {Array} visibleAgents - result of getVisibleAgents for the agent
+   * @param {Object} delegations
+   * @param {Array} delegations.acting - [{ delegator, visibleAgents }] for delegations held by the agent
+   * @param {Array} delegations.interims - [{ delegatorMatricule, interim }] in force for visible agents
+   */
+  applyDelegations(agent, visibleAgents, { acting = [], interims = [] } = {}) {
+    const visible = new Map(
+      visibleAgents.map((entry) => [
+        entry.matricule,
+        { ...entry, reasons: [...entry.reasons] },
+      ])
+    );
+
+    acting.forEach(({ delegator, visibleAgents: delegated }) => {
+      addCandidate(visible, agent, delegator, REASONS.DELEGATOR);
+      delegated.forEach((candidate) =>
+        addCandidate(visible, agent, candidate, REASONS.DELEGATED)
+      );
+    });
+
+    interims
+      .filter(({ delegatorMatricule }) => visible.has(delegatorMatricule))
+      .forEach(({ interim }) =>
+        addCandidate(visible, agent, interim, REASONS.INTERIM)
+      );
+
+    return sortVisible(visible);
+  }
+
+  /**
+   * @param {Object|null} fromUnit
+   * @param {Object|null} toUnit
+   * @param {Array<'UP'|'DOWN'>|null} steps - SUB_UNIT_OF steps between the two units
+   */
+  relationBetween(fromUnit, toUnit, steps) {
+    if (!fromUnit || !toUnit) return RELATIONS.NO_UNIT;
+    if (fromUnit.id === toUnit.id) return RELATIONS.SAME_UNIT;
+    if (!steps) return RELATIONS.NOT_CONNECTED;
+
+    if (steps.every((step) => step === 'DOWN')) {
+      return steps.length === 1
+        ? RELATIONS.CHILD_UNIT
+        : RELATIONS.DESCENDANT_UNIT;
+    }
+    if (steps.every((step) => step === 'UP')) {
+      return steps.length === 1
+        ? RELATIONS.PARENT_UNIT
+        : RELATIONS.ANCESTOR_UNIT;
+    }
+    if (steps.length === 2 && steps[0] === 'UP') return RELATIONS.SIBLING_UNIT;
+    return RELATIONS.OTHER_BRANCH;
+  }
+
+  describeRule(rule) {
+    return { rule, description: RULE_DESCRIPTIONS[rule] || null };
+  }
+
+  describeRole(roleName) {
+    return describeRole(roleName);
+  }
+
+  /**
+   * Closest rule that would have made the target visible, and why it does not apply.
+   *
+   * @param {Object} from - { agent, unit, isHead } as returned by the graph
+   * @param {Object} to - same shape, for the target
+   * @param {Object} unitPath - { relation, units, steps }
+   */
+  explainDenial(from, to, { relation, units = [], steps = [] }) {
+    const viewer = labelOf(from.agent);
+    const target = labelOf(to.agent);
+    const block = (rule, message, details = {}) => ({
+      ...this.describeRule(rule),
+      message,
+      details,
+    });
+
+    if (relation === RELATIONS.NO_UNIT) {
+      return block(
+        'NO_UNIT',
+        `${from.unit ? target : viewer} is not attached to any unit`,
+        { matricule: from.unit ? to.agent.matricule : from.agent.matricule }
+      );
+    }
+
+    if (relation === RELATIONS.NOT_CONNECTED) {
+      return block(
+        'NOT_CONNECTED',
+        `${unitLabel(from.unit)} and ${unitLabel(to.unit)} are not connected in the org graph`
+      );
+    }
+
+    if (relation === RELATIONS.CHILD_UNIT) {
+      return block(
+        'SUB_UNIT_HEAD',
+        `${target} belongs to ${unitLabel(to.unit)}, a direct sub-unit of ${unitLabel(from.unit)}, but does not head it`
+      );
+    }
+
+    if (relation === RELATIONS.DESCENDANT_UNIT) {
+      return block(
+        'SUB_UNIT_HEAD',
+        `${unitLabel(to.unit)} is ${steps.length} levels below ${unitLabel(from.unit)}: only heads of direct sub-units are visible`,
+        { levels: steps.length }
+      );
+    }
+
+    if (relation === RELATIONS.PARENT_UNIT) {
+      return block(
+        'PARENT_UNIT_HEAD',
+        `${target} belongs to the parent unit ${unitLabel(to.unit)} but does not head it`
+      );
+    }
+
+    if (relation === RELATIONS.ANCESTOR_UNIT) {
+      return block(
+        'PARENT_UNIT_HEAD',
+        `${unitLabel(to.unit)} is ${steps.length} levels above ${unitLabel(from.unit)}: only the head of the parent unit is visible`,
+        { levels: steps.length }
+      );
+    }
+
+    if (relation === RELATIONS.SIBLING_UNIT) {
+      const roles = {
+        from: describeRole(from.agent.role),
+        to: describeRole(to.agent.role),
+      };
+      let message;
+      if (!from.isHead) {
+        message = `${viewer} does not head ${unitLabel(from.unit)}: sibling unit heads are visible to unit heads only`;
+      } else if (!to.isHead) {
+        message = `${target} does not head the sibling unit ${unitLabel(to.unit)}`;
+      } else if (roles.from.rank === 0 || roles.to.rank === 0) {
+        message = `Role ${(roles.from.rank === 0 ? roles.from : roles.to).role || '(none)'} is not in ROLE_HIERARCHY`;
+      } else {
+        message = `${roles.from.role} (rank ${roles.from.rank}) and ${roles.to.role} (rank ${roles.to.rank}) are not equivalent`;
+      }
+      return block('EQUIVALENT_RANK', message, { roles });
+    }
+
+    if (relation === RELATIONS.OTHER_BRANCH) {
+      const common = units[steps.filter((step) => step === 'UP').length];
+      return block(
+        'NO_RULE',
+        `${unitLabel(from.unit)} and ${unitLabel(to.unit)} only meet at ${unitLabel(common)}`,
+        { commonUnit: common, levels: steps.length }
+      );
+    }
+
+    // Same unit: visible unless the graph changed since the list was computed
+    return block(
+      'SAME_UNIT',
+      `${viewer} and ${target} are both in ${unitLabel(from.unit)}`
+    );
   }
 }
 
-module.exports = new VisibilityService();
\ No newline at end of file
+module.exports = new VisibilityService();
+module.exports.REASONS = REASONS;
+module.exports.RELATIONS = RELATIONS;
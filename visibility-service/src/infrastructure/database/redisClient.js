@@ -1,12 +1,13 @@
 const redis = require('redis');
-const { REDIS_HOST, REDIS_PORT } = require('../../config/settings');
+const { redis: redisConfig } = require('../../config/settings');
 
 const client = redis.createClient({
-  url: `redis://${REDIS_HOST}:${REDIS_PORT}`,
+  url: `redis://${redisConfig.host}:${redisConfig.port}`,
 });
 
 client.on('error', (err) => console.error('Redis Client Error', err));
 
-client.connect();
+// Cache only: the service keeps answering from Neo4j while Redis is down
+client.connect().catch((err) => console.error('Redis connection failed', err));
 
-module.exports = client;
\ No newline at end of file
+module.exports = client;
@@ -0,0 +1,45 @@
+const expireDelegations = require('../../application/useCases/expireDelegations');
+
+/**
+ * Periodic delegation sweep (DELEGATION_SWEEP_INTERVAL_SECONDS, default 60).
+ * Reads already ignore ended delegations; the sweep records the expiry and refreshes the cache.
+ */
+class DelegationSweepJob {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastRunAt = new Date();
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    const startedAt = new Date();
+    try {
+      const result = await expireDelegations.execute({ since: this.lastRunAt });
+      this.lastRunAt = startedAt;
+      if (result.expired > 0 || result.started > 0) {
+        console.log('Delegation sweep', result);
+      }
+    } catch (error) {
+      console.error('Delegation sweep failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  start(intervalSeconds) {
+    if (!intervalSeconds || this.timer) return;
+
+    this.timer = setInterval(() => this.run(), intervalSeconds * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new DelegationSweepJob();
@@ -0,0 +1,82 @@
+const os = require('os');
+const invalidateVisibility = require('../../application/useCases/invalidateVisibility');
+const redisRepository = require('../repositories/redisRepository');
+const { orgEvents } = require('../../config/settings');
+
+/**
+ * Org events consumer (ORG_EVENTS_STREAM, consumer group visibility-service):
+ * clears the cached visible lists each event makes stale.
+ * When an event cannot be handled, the whole visibility cache is cleared instead.
+ */
+class OrgEventsJob {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.groupReady = false;
+    this.consumer = `${os.hostname()}-${process.pid}`;
+  }
+
+  async handle({ id, message }) {
+    try {
+      const event = JSON.parse(message.payload);
+      const invalidated = await invalidateVisibility.execute(event);
+      if (invalidated.length > 0) {
+        console.log(
+          `Org event ${event.event}: ${invalidated.length} visible list(s) invalidated`
+        );
+      }
+    } catch (error) {
+      console.error(`Org event ${id} failed:`, error.message);
+      await redisRepository.deleteByPattern('visibility:visible:*');
+    }
+    await redisRepository.ackStreamEvent(
+      orgEvents.stream,
+      orgEvents.consumerGroup,
+      id
+    );
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      if (!this.groupReady) {
+        this.groupReady = await redisRepository.createStreamGroup(
+          orgEvents.stream,
+          orgEvents.consumerGroup
+        );
+      }
+
+      const messages = await redisRepository.readStreamGroup(
+        orgEvents.stream,
+        orgEvents.consumerGroup,
+        this.consumer,
+        orgEvents.batchSize
+      );
+      for (const message of messages) {
+        await this.handle(message);
+      }
+    } catch (error) {
+      // Stream or group deleted: recreated on the next run
+      if (error.message.includes('NOGROUP')) this.groupReady = false;
+      else console.error('Org events read failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  start(intervalMs) {
+    if (!intervalMs || this.timer) return;
+
+    this.timer = setInterval(() => this.run(), intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new OrgEventsJob();
@@ -0,0 +1,41 @@
+const syncOrgGraph = require('../../application/useCases/syncOrgGraph');
+
+/**
+ * Periodic Postgres → Neo4j org sync (ORG_SYNC_INTERVAL_MINUTES, 0 = disabled).
+ * Runs once at start-up, then on every interval; overlapping runs are skipped by the sync lock.
+ */
+class OrgSyncJob {
+  constructor() {
+    this.timer = null;
+    this.lastReport = null;
+  }
+
+  async run() {
+    try {
+      const result = await syncOrgGraph.execute();
+      this.lastReport = result;
+      if (result.hasChanges) {
+        console.log('Org sync applied', result.summary);
+      }
+    } catch (error) {
+      if (error.code === 'SYNC_IN_PROGRESS') return;
+      console.error('Org sync failed:', error.message);
+    }
+  }
+
+  start(intervalMinutes) {
+    if (!intervalMinutes || this.timer) return;
+
+    this.run();
+    this.timer = setInterval(() => this.run(), intervalMinutes * 60 * 1000);
+    this.timer.unref();
+    console.log(`Org sync scheduled every ${intervalMinutes} min`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new OrgSyncJob();
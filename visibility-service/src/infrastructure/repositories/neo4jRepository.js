@@ -1,9 +1,340 @@
+const neo4j = require('neo4j-driver');
 const driver = require('../database/neo4jDriver');
 
+/**
+ * Organisational graph:
+ *   (:Agent {matricule, nom, prenom, role})-[:BELONGS_TO]->(:Unit {id, name, acronyme})
+ *   (:Agent)-[:HEADS]->(:Unit)
+ *   (:Unit)-[:SUB_UNIT_OF]->(:Unit)
+ */
+const VISIBILITY_GRAPH_QUERY = `
+  MATCH (a:Agent {matricule: $matricule})
+  OPTIONAL MATCH (a)-[:HEADS]->(headed:Unit)
+  OPTIONAL MATCH (a)-[:BELONGS_TO]->(member:Unit)
+  WITH a, coalesce(headed, member) AS unit, headed IS NOT NULL AS isHead
+  LIMIT 1
+
+  OPTIONAL MATCH (colleague:Agent)-[:BELONGS_TO|HEADS]->(unit)
+  WHERE colleague <> a
+  WITH a, unit, isHead,
+       collect(DISTINCT colleague { .*, unitId: unit.id, unitName: unit.name }) AS colleagues
+
+  OPTIONAL MATCH (subHead:Agent)-[:HEADS]->(sub:Unit)-[:SUB_UNIT_OF]->(unit)
+  WHERE subHead <> a
+  WITH a, unit, isHead, colleagues,
+       collect(DISTINCT subHead { .*, unitId: sub.id, unitName: sub.name }) AS subUnitHeads
+
+  OPTIONAL MATCH (unit)-[:SUB_UNIT_OF]->(parent:Unit)
+  OPTIONAL MATCH (boss:Agent)-[:HEADS]->(parent)
+  WITH a, unit, isHead, colleagues, subUnitHeads, parent,
+       head(collect(boss { .*, unitId: parent.id, unitName: parent.name })) AS parentHead
+
+  OPTIONAL MATCH (peer:Agent)-[:HEADS]->(sibling:Unit)-[:SUB_UNIT_OF]->(parent)
+  WHERE isHead AND sibling <> unit AND peer <> a
+  RETURN a { .* } AS agent,
+         unit { .* } AS unit,
+         parent.id AS parentUnitId,
+         isHead,
+         colleagues,
+         subUnitHeads,
+         parentHead,
+         collect(DISTINCT peer { .*, unitId: sibling.id, unitName: sibling.name }) AS peerHeads
+`;
+
+const AGENT_UNITS_QUERY = `
+  MATCH (a:Agent {matricule: $matricule})-[:HEADS|BELONGS_TO]->(u:Unit)
+  RETURN collect(DISTINCT u.id) AS unitIds
+`;
+
+// Units between two units along SUB_UNIT_OF, each step UP (towards the parent) or DOWN
+const UNIT_PATH_QUERY = `
+  MATCH (from:Unit {id: $fromUnitId}), (to:Unit {id: $toUnitId})
+  MATCH path = shortestPath((from)-[:SUB_UNIT_OF*1..]-(to))
+  RETURN [unit IN nodes(path) | unit { .id, .name, .acronyme }] AS units,
+         [i IN range(0, length(path) - 1) |
+           CASE WHEN startNode(relationships(path)[i]) = nodes(path)[i]
+                THEN 'UP' ELSE 'DOWN' END] AS steps
+`;
+
+// Org chart: units under a root (every top-level unit when rootId is null)
+const ORG_CHART_QUERIES = {
+  tree: `
+    MATCH (root:Unit)
+    WHERE ($rootId IS NULL AND NOT (root)-[:SUB_UNIT_OF]->()) OR root.id = $rootId
+    MATCH path = (unit:Unit)-[:SUB_UNIT_OF*0..]->(root)
+    WHERE length(path) <= $depth
+    OPTIONAL MATCH (unit)-[:SUB_UNIT_OF]->(parent:Unit)
+    OPTIONAL MATCH (unitHead:Agent)-[:HEADS]->(unit)
+    RETURN unit { .id, .name, .acronyme } AS unit,
+           parent.id AS parentId,
+           length(path) AS level,
+           head(collect(unitHead { .matricule, .nom, .prenom, .role })) AS head,
+           size([(child:Unit)-[:SUB_UNIT_OF]->(unit) | child]) AS childCount,
+           size([(member:Agent)-[:BELONGS_TO]->(unit) | member]) AS memberCount
+    ORDER BY level, unit.name
+  `,
+  members: `
+    MATCH (unit:Unit {id: $unitId})
+    OPTIONAL MATCH (agent:Agent)-[:BELONGS_TO|HEADS]->(unit)
+    WITH unit, agent, size([(agent)-[:HEADS]->(unit) | 1]) > 0 AS isHead
+    RETURN unit { .id, .name, .acronyme } AS unit,
+           collect(DISTINCT agent { .matricule, .nom, .prenom, .role, isHead: isHead }) AS members
+  `,
+  subtree: `
+    MATCH (root:Unit)
+    WHERE ($rootId IS NULL AND NOT (root)-[:SUB_UNIT_OF]->()) OR root.id = $rootId
+    MATCH path = (unit:Unit)-[:SUB_UNIT_OF*0..]->(root)
+    OPTIONAL MATCH (unit)-[:SUB_UNIT_OF]->(parent:Unit)
+    WITH unit, parent, length(path) AS level
+    OPTIONAL MATCH (agent:Agent)-[:BELONGS_TO|HEADS]->(unit)
+    WITH unit, parent, level, agent, size([(agent)-[:HEADS]->(unit) | 1]) > 0 AS isHead
+    RETURN unit { .id, .name, .acronyme } AS unit,
+           parent.id AS parentId,
+           level,
+           collect(DISTINCT agent { .matricule, .nom, .prenom, .role, isHead: isHead }) AS members
+    ORDER BY level, unit.name
+  `,
+};
+
+// Neo4j integers → JS numbers (ids imported from Postgres fit in 53 bits)
+const toPlain = (value) => {
+  if (neo4j.isInt(value)) return value.toNumber();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toPlain(item)])
+    );
+  }
+  return value;
+};
+
+const SYNC_BATCH_SIZE = 1000;
+
+const SYNC_QUERIES = {
+  constraints: [
+    'CREATE CONSTRAINT unit_id IF NOT EXISTS FOR (u:Unit) REQUIRE u.id IS UNIQUE',
+    'CREATE CONSTRAINT agent_matricule IF NOT EXISTS FOR (a:Agent) REQUIRE a.matricule IS UNIQUE',
+  ],
+  units: `
+    MATCH (u:Unit)
+    OPTIONAL MATCH (u)-[:SUB_UNIT_OF]->(p:Unit)
+    OPTIONAL MATCH (h:Agent)-[:HEADS]->(u)
+    RETURN u.id AS id, u.name AS name, u.acronyme AS acronyme,
+           p.id AS parentId, h.matricule AS headMatricule
+  `,
+  agents: `
+    MATCH (a:Agent)
+    OPTIONAL MATCH (a)-[:BELONGS_TO]->(u:Unit)
+    RETURN a.matricule AS matricule, a.nom AS nom, a.prenom AS prenom,
+           a.role AS role, a.ministere AS ministere, u.id AS unitId
+  `,
+  upsertUnits: `
+    UNWIND $rows AS row
+    MERGE (u:Unit {id: row.id})
+    SET u.name = row.name, u.acronyme = row.acronyme
+  `,
+  setParents: `
+    UNWIND $rows AS row
+    MATCH (u:Unit {id: row.id})
+    OPTIONAL MATCH (u)-[old:SUB_UNIT_OF]->()
+    DELETE old
+    WITH DISTINCT u, row
+    MATCH (p:Unit {id: row.parentId})
+    MERGE (u)-[:SUB_UNIT_OF]->(p)
+  `,
+  upsertAgents: `
+    UNWIND $rows AS row
+    MERGE (a:Agent {matricule: row.matricule})
+    SET a.nom = row.nom, a.prenom = row.prenom,
+        a.role = row.role, a.ministere = row.ministere
+    WITH a, row
+    OPTIONAL MATCH (a)-[old:BELONGS_TO]->(previous:Unit)
+    WHERE previous.id <> row.unitId
+    DELETE old
+    WITH DISTINCT a, row
+    MATCH (u:Unit {id: row.unitId})
+    MERGE (a)-[:BELONGS_TO]->(u)
+  `,
+  setHeads: `
+    UNWIND $rows AS row
+    MATCH (u:Unit {id: row.id})
+    OPTIONAL MATCH ()-[old:HEADS]->(u)
+    DELETE old
+    WITH DISTINCT u, row
+    MATCH (h:Agent {matricule: row.headMatricule})
+    MERGE (h)-[:HEADS]->(u)
+  `,
+  moveAgent: `
+    MATCH (a:Agent {matricule: $matricule})
+    MATCH (u:Unit {id: $unitId})
+    OPTIONAL MATCH (a)-[old:BELONGS_TO]->()
+    DELETE old
+    WITH DISTINCT a, u
+    MERGE (a)-[:BELONGS_TO]->(u)
+    RETURN a.matricule AS matricule
+  `,
+  removeAgents: `
+    UNWIND $ids AS matricule
+    MATCH (a:Agent {matricule: matricule})
+    DETACH DELETE a
+  `,
+  removeUnits: `
+    UNWIND $ids AS id
+    MATCH (u:Unit {id: id})
+    DETACH DELETE u
+  `,
+};
+
 class Neo4jRepository {
   async getSession() {
     return driver.session();
   }
+
+  async read(query, params = {}) {
+    const session = driver.session({ defaultAccessMode: neo4j.session.READ });
+    try {
+      const result = await session.executeRead((tx) => tx.run(query, params));
+      return result.records.map((record) => toPlain(record.toObject()));
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Agent's position in the graph and every candidate the visibility rules look at.
+   * @returns {Promise<Object|null>} null when the agent is not in the graph
+   */
+  async getVisibilityGraph(matricule) {
+    const [record] = await this.read(VISIBILITY_GRAPH_QUERY, {
+      matricule: String(matricule),
+    });
+    return record || null;
+  }
+
+  // Units the agent heads or belongs to (empty when not in the graph)
+  async getAgentUnitIds(matricule) {
+    const [record] = await this.read(AGENT_UNITS_QUERY, {
+      matricule: String(matricule),
+    });
+    return record?.unitIds || [];
+  }
+
+  /**
+   * Path between two distinct units of the org tree.
+   * @returns {Promise<{units: Array, steps: Array<'UP'|'DOWN'>}|null>} null when not connected
+   */
+  async getUnitPath(fromUnitId, toUnitId) {
+    const [record] = await this.read(UNIT_PATH_QUERY, { fromUnitId, toUnitId });
+    return record || null;
+  }
+
+  // ---- Org chart ----
+
+  /**
+   * Units down to `depth` levels under the root, with head and child/member counts.
+   * @returns {Promise<Array>} rows { unit, parentId, level, head, childCount, memberCount }
+   */
+  async getUnitTree(rootId, depth) {
+    return this.read(ORG_CHART_QUERIES.tree, {
+      rootId: rootId ?? null,
+      depth: neo4j.int(depth),
+    });
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { unit, members } or null when the unit is not in the graph
+   */
+  async getUnitMembers(unitId) {
+    const [record] = await this.read(ORG_CHART_QUERIES.members, { unitId });
+    return record || null;
+  }
+
+  /**
+   * Whole subtree under the root with every member (export).
+   * @returns {Promise<Array>} rows { unit, parentId, level, members }
+   */
+  async getOrgSubtree(rootId) {
+    return this.read(ORG_CHART_QUERIES.subtree, { rootId: rootId ?? null });
+  }
+
+  async write(query, params = {}) {
+    const session = driver.session({ defaultAccessMode: neo4j.session.WRITE });
+    try {
+      await session.executeWrite((tx) => tx.run(query, params));
+    } finally {
+      await session.close();
+    }
+  }
+
+  async writeInBatches(query, key, items) {
+    for (let i = 0; i < items.length; i += SYNC_BATCH_SIZE) {
+      await this.write(query, { [key]: items.slice(i, i + SYNC_BATCH_SIZE) });
+    }
+  }
+
+  // ---- Org sync (Postgres → graph) ----
+
+  async ensureOrgConstraints() {
+    for (const constraint of SYNC_QUERIES.constraints) {
+      await this.write(constraint);
+    }
+  }
+
+  /**
+   * Current graph state, in the shape compared by orgDiffService.
+   */
+  async getOrgSnapshot() {
+    const [units, agents] = await Promise.all([
+      this.read(SYNC_QUERIES.units),
+      this.read(SYNC_QUERIES.agents),
+    ]);
+    return { units, agents };
+  }
+
+  async upsertUnits(rows) {
+    await this.writeInBatches(SYNC_QUERIES.upsertUnits, 'rows', rows);
+  }
+
+  // rows: [{ id, parentId }] — parentId null detaches the unit
+  async setUnitParents(rows) {
+    await this.writeInBatches(SYNC_QUERIES.setParents, 'rows', rows);
+  }
+
+  async upsertAgents(rows) {
+    await this.writeInBatches(SYNC_QUERIES.upsertAgents, 'rows', rows);
+  }
+
+  // rows: [{ id, headMatricule }] — headMatricule null leaves the unit without head
+  async setUnitHeads(rows) {
+    await this.writeInBatches(SYNC_QUERIES.setHeads, 'rows', rows);
+  }
+
+  /**
+   * Applies an approved move right away (the next sync finds it already in place).
+   * @returns {Promise<boolean>} false when the agent or unit is not in the graph yet
+   */
+  async moveAgent(matricule, unitId) {
+    const session = driver.session({ defaultAccessMode: neo4j.session.WRITE });
+    try {
+      const result = await session.executeWrite((tx) =>
+        tx.run(SYNC_QUERIES.moveAgent, {
+          matricule: String(matricule),
+          unitId: String(unitId),
+        })
+      );
+      return result.records.length > 0;
+    } finally {
+      await session.close();
+    }
+  }
+
+  async removeAgents(matricules) {
+    await this.writeInBatches(SYNC_QUERIES.removeAgents, 'ids', matricules);
+  }
+
+  async removeUnits(ids) {
+    await this.writeInBatches(SYNC_QUERIES.removeUnits, 'ids', ids);
+  }
 }
 
-module.exports = new Neo4jRepository();
\ No newline at end of file
+module.exports = new Neo4jRepository();
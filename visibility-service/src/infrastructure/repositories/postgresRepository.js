@@ -1,5 +1,33 @@
 const pool = require('../database/postgresDriver');
 
+// Accent folding without the unaccent extension (the search term is folded the same way in JS)
+const ACCENTED = 'àâäáãåçéèêëíìîïñóòôöõúùûüýÿ';
+const PLAIN = 'aaaaaaceeeeiiiinooooouuuuyy';
+const fold = (column) =>
+  `translate(lower(${column}), '${ACCENTED}', '${PLAIN}')`;
+
+const MOVE_REQUEST_COLUMNS = `r.id, r.matricule, r.from_unit_id, r.to_unit_id, r.reason, r.status,
+  r.requested_at, r.decided_by, r.decided_at, r.decision_comment,
+  p.nom, p.prenom, fu.name AS from_unit_name, tu.name AS to_unit_name`;
+
+const MOVE_REQUEST_JOINS = `FROM unit_move_requests r
+  LEFT JOIN personnel p ON p.matricule = r.matricule
+  LEFT JOIN units fu ON fu.id = r.from_unit_id
+  LEFT JOIN units tu ON tu.id = r.to_unit_id`;
+
+const DELEGATION_COLUMNS = `d.id, d.delegator_matricule, d.delegate_matricule, d.starts_at, d.ends_at,
+  d.reason, d.status, d.granted_by, d.granted_at, d.revoked_by, d.revoked_at,
+  dr.nom AS delegator_nom, dr.prenom AS delegator_prenom, dr.role AS delegator_role,
+  de.nom AS delegate_nom, de.prenom AS delegate_prenom`;
+
+const DELEGATION_JOINS = `FROM role_delegations d
+  LEFT JOIN personnel dr ON dr.matricule = d.delegator_matricule
+  LEFT JOIN personnel de ON de.matricule = d.delegate_matricule`;
+
+// Status alone is not enough: the sweep job may not have run yet
+const DELEGATION_IN_FORCE = `d.status = 'active'
+  AND d.starts_at <= NOW() AND d.ends_at > NOW()`;
+
 class PostgresRepository {
   async getAgentByMatricule(matricule) {
     const query = 'SELECT * FROM personnel WHERE matricule = $1';
@@ -9,6 +37,379 @@ class PostgresRepository {
     }
     return result.rows[0];
   }
+
+  async getUnits() {
+    const result = await pool.query(
+      'SELECT id, name, acronyme, parent_id, head_matricule FROM units ORDER BY id'
+    );
+    return result.rows;
+  }
+
+  /**
+   * Agents assigned to a unit, read in keyset-paginated batches.
+   */
+  async getAssignedPersonnel(batchSize = 5000) {
+    const rows = [];
+    let lastId = 0;
+
+    for (;;) {
+      const result = await pool.query(
+        `SELECT id, matricule, nom, prenom, ministere, unit_id, role
+         FROM personnel
+         WHERE unit_id IS NOT NULL AND id > $1
+         ORDER BY id
+         LIMIT $2`,
+        [lastId, batchSize]
+      );
+      rows.push(...result.rows);
+      if (result.rows.length < batchSize) return rows;
+      lastId = result.rows[result.rows.length - 1].id;
+    }
+  }
+
+  /**
+   * Units whose name or acronym contains the (already folded) term, acronym matches first.
+   */
+  async searchUnits(foldedTerm, limit) {
+    const result = await pool.query(
+      `SELECT id, name, acronyme, parent_id, head_matricule
+       FROM units
+       WHERE ${fold('name')} LIKE $1 OR ${fold('acronyme')} LIKE $1
+       ORDER BY (${fold('acronyme')} = $2) IS TRUE DESC, length(name), name
+       LIMIT $3`,
+      [`%${foldedTerm}%`, foldedTerm, limit]
+    );
+    return result.rows;
+  }
+
+  async getUnitById(id) {
+    const result = await pool.query(
+      'SELECT id, name, acronyme, parent_id, head_matricule FROM units WHERE id = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  async createMoveRequest({ matricule, fromUnitId, toUnitId, reason }) {
+    const result = await pool.query(
+      `INSERT INTO unit_move_requests (matricule, from_unit_id, to_unit_id, reason)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [matricule, fromUnitId, toUnitId, reason]
+    );
+    return this.getMoveRequest(result.rows[0].id);
+  }
+
+  async getMoveRequest(id) {
+    const result = await pool.query(
+      `SELECT ${MOVE_REQUEST_COLUMNS} ${MOVE_REQUEST_JOINS} WHERE r.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getPendingMoveRequestByMatricule(matricule) {
+    const result = await pool.query(
+      `SELECT ${MOVE_REQUEST_COLUMNS} ${MOVE_REQUEST_JOINS}
+       WHERE r.matricule = $1 AND r.status = 'pending'`,
+      [matricule]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Pending requests targeting units headed by headMatricule.
+   */
+  async listPendingMoveRequestsForHead(headMatricule, { limit, offset }) {
+    const where = `WHERE r.status = 'pending' AND tu.head_matricule = $1`;
+    // Separate count: a page past the end still reports the real total
+    const [result, count] = await Promise.all([
+      pool.query(
+        `SELECT ${MOVE_REQUEST_COLUMNS} ${MOVE_REQUEST_JOINS}
+         ${where}
+         ORDER BY r.requested_at
+         LIMIT $2 OFFSET $3`,
+        [headMatricule, limit, offset]
+      ),
+      pool.query(`SELECT count(*) AS total ${MOVE_REQUEST_JOINS} ${where}`, [
+        headMatricule,
+      ]),
+    ]);
+    return {
+      requests: result.rows,
+      total: parseInt(count.rows[0].total, 10),
+    };
+  }
+
+  /**
+   * Records the decision; on approval the agent's unit changes in the same transaction.
+   * @returns {Promise<Object|null>} null when the request is no longer pending
+   */
+  async decideMoveRequest(id, { approved, decidedBy, comment }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const updated = await client.query(
+        `UPDATE unit_move_requests
+         SET status = $2, decided_by = $3, decided_at = NOW(), decision_comment = $4
+         WHERE id = $1 AND status = 'pending'
+         RETURNING matricule, to_unit_id`,
+        [id, approved ? 'approved' : 'rejected', decidedBy, comment]
+      );
+      if (updated.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (approved) {
+        const { matricule, to_unit_id: toUnitId } = updated.rows[0];
+        await client.query(
+          'UPDATE personnel SET unit_id = $2 WHERE matricule = $1',
+          [matricule, toUnitId]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getMoveRequest(id);
+  }
+
+  // ---- Role delegations (interim) ----
+
+  /**
+   * Agent's role and the heads allowed to hand their role over (own unit head, parent unit head).
+   */
+  async getDelegationAuthority(matricule) {
+    const result = await pool.query(
+      `SELECT p.matricule, p.role, p.unit_id,
+              u.head_matricule AS unit_head, pu.head_matricule AS parent_head
+       FROM personnel p
+       LEFT JOIN units u ON u.id = p.unit_id
+       LEFT JOIN units pu ON pu.id = u.parent_id
+       WHERE p.matricule = $1`,
+      [matricule]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Active delegation of the same delegator overlapping [startsAt, endsAt).
+   */
+  async findOverlappingDelegation(delegatorMatricule, startsAt, endsAt) {
+    const result = await pool.query(
+      `SELECT ${DELEGATION_COLUMNS} ${DELEGATION_JOINS}
+       WHERE d.delegator_matricule = $1 AND d.status = 'active'
+         AND d.starts_at < $3 AND d.ends_at > $2
+       LIMIT 1`,
+      [delegatorMatricule, startsAt, endsAt]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getDelegation(id) {
+    const result = await pool.query(
+      `SELECT ${DELEGATION_COLUMNS} ${DELEGATION_JOINS} WHERE d.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Records the delegation and its 'granted' audit entry in one transaction.
+   */
+  async createDelegation({
+    delegatorMatricule,
+    delegateMatricule,
+    startsAt,
+    endsAt,
+    reason,
+    grantedBy,
+  }) {
+    const client = await pool.connect();
+    let id;
+    try {
+      await client.query('BEGIN');
+      const inserted = await client.query(
+        `INSERT INTO role_delegations
+           (delegator_matricule, delegate_matricule, starts_at, ends_at, reason, granted_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [
+          delegatorMatricule,
+          delegateMatricule,
+          startsAt,
+          endsAt,
+          reason,
+          grantedBy,
+        ]
+      );
+      id = inserted.rows[0].id;
+      await client.query(
+        `INSERT INTO role_delegation_audit (delegation_id, action, actor_matricule, details)
+         VALUES ($1, 'granted', $2, $3)`,
+        [id, grantedBy, { startsAt, endsAt, reason }]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getDelegation(id);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} null when the delegation is no longer active
+   */
+  async revokeDelegation(id, { revokedBy, comment }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const updated = await client.query(
+        `UPDATE role_delegations
+         SET status = 'revoked', revoked_by = $2, revoked_at = NOW()
+         WHERE id = $1 AND status = 'active'
+         RETURNING id`,
+        [id, revokedBy]
+      );
+      if (updated.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      await client.query(
+        `INSERT INTO role_delegation_audit (delegation_id, action, actor_matricule, details)
+         VALUES ($1, 'revoked', $2, $3)`,
+        [id, revokedBy, { comment }]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getDelegation(id);
+  }
+
+  /**
+   * Marks active delegations past their end date as expired, audited as the 'system' actor.
+   * @returns {Promise<Array<Object>>} expired rows
+   */
+  async expireDelegations() {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const expired = await client.query(
+        `UPDATE role_delegations
+         SET status = 'expired'
+         WHERE status = 'active' AND ends_at <= NOW()
+         RETURNING id, delegator_matricule, delegate_matricule, ends_at`
+      );
+      if (expired.rows.length > 0) {
+        await client.query(
+          `INSERT INTO role_delegation_audit (delegation_id, action, actor_matricule)
+           SELECT unnest($1::int[]), 'expired', 'system'`,
+          [expired.rows.map((row) => row.id)]
+        );
+      }
+      await client.query('COMMIT');
+      return expired.rows;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Active delegations whose start date falls in (since, now].
+   */
+  async getDelegationsStartedSince(since) {
+    const result = await pool.query(
+      `SELECT id, delegator_matricule, delegate_matricule, starts_at, ends_at
+       FROM role_delegations
+       WHERE status = 'active' AND starts_at > $1 AND starts_at <= NOW()`,
+      [since]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Delegations the agent currently holds (acts as interim for the delegator).
+   */
+  async getDelegationsInForceForDelegate(matricule) {
+    const result = await pool.query(
+      `SELECT ${DELEGATION_COLUMNS} ${DELEGATION_JOINS}
+       WHERE d.delegate_matricule = $1 AND ${DELEGATION_IN_FORCE}`,
+      [matricule]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Interims currently acting for any of the given agents, with the delegate's unit.
+   */
+  async getInterimsInForceFor(delegatorMatricules) {
+    if (delegatorMatricules.length === 0) return [];
+    const result = await pool.query(
+      `SELECT d.id, d.delegator_matricule, d.ends_at,
+              p.matricule, p.nom, p.prenom, p.role,
+              u.id AS unit_id, u.name AS unit_name
+       FROM role_delegations d
+       JOIN personnel p ON p.matricule = d.delegate_matricule
+       LEFT JOIN units u ON u.id = p.unit_id
+       WHERE d.delegator_matricule = ANY($1) AND ${DELEGATION_IN_FORCE}`,
+      [delegatorMatricules]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Delegations where the agent is delegator, delegate or granter.
+   */
+  async listDelegationsFor(matricule, { status, limit, offset }) {
+    const where = `WHERE (d.delegator_matricule = $1 OR d.delegate_matricule = $1 OR d.granted_by = $1)
+         AND ($2::text IS NULL OR d.status = $2)`;
+    const [result, count] = await Promise.all([
+      pool.query(
+        `SELECT ${DELEGATION_COLUMNS} ${DELEGATION_JOINS}
+         ${where}
+         ORDER BY d.starts_at DESC
+         LIMIT $3 OFFSET $4`,
+        [matricule, status, limit, offset]
+      ),
+      pool.query(`SELECT count(*) AS total ${DELEGATION_JOINS} ${where}`, [
+        matricule,
+        status,
+      ]),
+    ]);
+    return {
+      delegations: result.rows,
+      total: parseInt(count.rows[0].total, 10),
+    };
+  }
+
+  async getDelegationAudit(id) {
+    const result = await pool.query(
+      `SELECT action, actor_matricule, details, created_at
+       FROM role_delegation_audit
+       WHERE delegation_id = $1
+       ORDER BY created_at, id`,
+      [id]
+    );
+    return result.rows;
+  }
 }
 
-module.exports = new PostgresRepository();
\ No newline at end of file
+module.exports = new PostgresRepository();
@@ -1,14 +1,112 @@
 const client = require('../database/redisClient');
 
 class RedisRepository {
+  // Commands are skipped while disconnected instead of piling up in the offline queue
+  get isReady() {
+    return client.isReady;
+  }
+
   async set(key, value, ttlSeconds) {
+    if (!this.isReady) return;
     await client.setEx(key, ttlSeconds, JSON.stringify(value));
   }
 
   async get(key) {
+    if (!this.isReady) return null;
     const value = await client.get(key);
     return value ? JSON.parse(value) : null;
   }
+
+  async del(keys) {
+    if (!this.isReady) return 0;
+    return client.del(keys);
+  }
+
+  async deleteByPattern(pattern) {
+    if (!this.isReady) return 0;
+
+    let deleted = 0;
+    for await (const batch of client.scanIterator({
+      MATCH: pattern,
+      COUNT: 500,
+    })) {
+      const keys = Array.isArray(batch) ? batch : [batch];
+      if (keys.length > 0) deleted += await client.del(keys);
+    }
+    return deleted;
+  }
+
+  /**
+   * Appends an event to a stream, in the { payload: JSON } format read by the other services.
+   */
+  async addStreamEvent(stream, event) {
+    if (!this.isReady) return null;
+    return client.xAdd(stream, '*', { payload: JSON.stringify(event) });
+  }
+
+  // Adds the member to every set, each set living ttlSeconds after its last write
+  async addToSets(keys, member, ttlSeconds) {
+    if (!this.isReady || keys.length === 0) return;
+    const multi = client.multi();
+    keys.forEach((key) => {
+      multi.sAdd(key, member);
+      multi.expire(key, ttlSeconds);
+    });
+    await multi.exec();
+  }
+
+  // Union of the sets, which are deleted
+  async popSetMembers(keys) {
+    if (!this.isReady || keys.length === 0) return [];
+    const members = await client.sUnion(keys);
+    await client.del(keys);
+    return members;
+  }
+
+  /**
+   * Consumer group from the end of the stream (created with the stream when missing).
+   */
+  async createStreamGroup(stream, group) {
+    if (!this.isReady) return false;
+    try {
+      await client.xGroupCreate(stream, group, '$', { MKSTREAM: true });
+    } catch (error) {
+      if (!error.message.includes('BUSYGROUP')) throw error;
+    }
+    return true;
+  }
+
+  // Non-blocking read: the client is shared with the cache
+  async readStreamGroup(stream, group, consumer, count) {
+    if (!this.isReady) return [];
+    const result = await client.xReadGroup(
+      group,
+      consumer,
+      { key: stream, id: '>' },
+      { COUNT: count }
+    );
+    return result?.[0]?.messages || [];
+  }
+
+  async ackStreamEvent(stream, group, id) {
+    if (!this.isReady) return 0;
+    return client.xAck(stream, group, id);
+  }
+
+  // Returns false when the lock is held elsewhere; true without Redis (single instance)
+  async acquireLock(key, ttlSeconds) {
+    if (!this.isReady) return true;
+    const result = await client.set(key, String(process.pid), {
+      NX: true,
+      EX: ttlSeconds,
+    });
+    return result === 'OK';
+  }
+
+  async releaseLock(key) {
+    if (!this.isReady) return;
+    await client.del(key);
+  }
 }
 
-module.exports = new RedisRepository();
\ No newline at end of file
+module.exports = new RedisRepository();
@@ -2,6 +2,16 @@ require('express-async-errors');
 const express = require('express');
 const path = require('path');
 const agentRoutes = require('./routes/agents');
+const unitRoutes = require('./routes/units');
+const delegationRoutes = require('./routes/delegations');
+const visibilityRoutes = require('./routes/visibility');
+const orgChartRoutes = require('./routes/orgChart');
+const neo4jDriver = require('../database/neo4jDriver');
+const pgPool = require('../database/postgresDriver');
+const orgSyncJob = require('../jobs/orgSyncJob');
+const delegationSweepJob = require('../jobs/delegationSweepJob');
+const orgEventsJob = require('../jobs/orgEventsJob');
+const { orgSync, delegations, orgEvents } = require('../../config/settings');
 
 const app = express();
 
@@ -18,6 +28,32 @@ app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/agents', agentRoutes);
+app.use('/units', unitRoutes);
+app.use('/delegations', delegationRoutes);
+app.use('/visibility', visibilityRoutes);
+app.use('/org-chart', orgChartRoutes);
+
+// Health check (probed by the gateway)
+app.get('/health', async (req, res) => {
+  const [neo4j, postgres] = await Promise.all([
+    neo4jDriver
+      .verifyConnectivity()
+      .then(() => 'UP')
+      .catch(() => 'DOWN'),
+    pgPool
+      .query('SELECT 1')
+      .then(() => 'UP')
+      .catch(() => 'DOWN'),
+  ]);
+  const isUp = neo4j === 'UP' && postgres === 'UP';
+
+  res.status(isUp ? 200 : 503).json({
+    status: isUp ? 'UP' : 'DOWN',
+    service: 'visibility-service',
+    checks: { neo4j, postgres },
+    timestamp: new Date().toISOString(),
+  });
+});
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -28,4 +64,7 @@ app.get('/', (req, res) => {
 const port = process.env.PORT || 3000;
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
-});
\ No newline at end of file
+  orgSyncJob.start(orgSync.intervalMinutes);
+  delegationSweepJob.start(delegations.sweepIntervalSeconds);
+  orgEventsJob.start(orgEvents.pollIntervalMs);
+});
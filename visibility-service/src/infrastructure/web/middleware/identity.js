@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { gatewayIdentity, serviceTokens } = require('../../../config/settings');
+
+/**
+ * Identity relayed by the gateway once the JWT is verified (same format as shared/auth/GatewayIdentity):
+ *   X-User-Identity           base64url(JSON { matricule, id, roles, permissions, sid, ts })
+ *   X-User-Identity-Signature base64url signature of the header above, made with the
+ *                             gateway private key; verified here with GATEWAY_IDENTITY_PUBLIC_KEY
+ */
+const IDENTITY_HEADER = 'x-user-identity';
+const SIGNATURE_HEADER = 'x-user-identity-signature';
+const SERVICE_TOKEN_HEADER = 'x-service-token';
+
+const isConfigured = () => !!gatewayIdentity.publicKey;
+
+let publicKey = null;
+const getPublicKey = () => {
+  if (!publicKey) publicKey = crypto.createPublicKey(gatewayIdentity.publicKey);
+  return publicKey;
+};
+
+const isValidSignature = (encoded, signature) => {
+  const key = getPublicKey();
+  // Ed25519/Ed448 keys take no separate digest
+  const algorithm = ['ed25519', 'ed448'].includes(key.asymmetricKeyType)
+    ? null
+    : 'sha256';
+  try {
+    return crypto.verify(
+      algorithm,
+      Buffer.from(encoded),
+      key,
+      Buffer.from(String(signature), 'base64url')
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+const verify = (headers) => {
+  const encoded = headers[IDENTITY_HEADER];
+  const signature = headers[SIGNATURE_HEADER];
+  if (!encoded) return null;
+
+  if (!isConfigured() || !signature) {
+    throw new Error('Gateway identity cannot be verified');
+  }
+
+  if (!isValidSignature(encoded, signature)) {
+    throw new Error('Invalid gateway identity signature');
+  }
+
+  const identity = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+  if (!identity.ts || Date.now() - identity.ts > gatewayIdentity.maxAgeMs) {
+    throw new Error('Gateway identity expired');
+  }
+  return identity;
+};
+
+const reject = (res, message) =>
+  res.status(401).json({ success: false, message, code: 'INVALID_IDENTITY' });
+
+// req.identity when the request comes through the gateway, null otherwise
+const optionalIdentity = (req, res, next) => {
+  try {
+    req.identity = verify(req.headers);
+  } catch (error) {
+    return reject(res, error.message);
+  }
+  next();
+};
+
+const requireIdentity = (req, res, next) => {
+  optionalIdentity(req, res, () => {
+    if (!req.identity) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+      });
+    }
+    next();
+  });
+};
+
+// Permissions are those carried by the token (shared/auth/permissions.js)
+const requirePermission = (permission) => (req, res, next) => {
+  requireIdentity(req, res, () => {
+    if (!(req.identity.permissions || []).includes(permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permission',
+        code: 'FORBIDDEN',
+        required: [permission],
+      });
+    }
+    next();
+  });
+};
+
+// Fixed-length digests so the comparison does not leak the token length
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Name of the service owning the X-Service-Token, null if none matches
+const authenticateService = (headers) => {
+  const provided = headers[SERVICE_TOKEN_HEADER];
+  if (!provided) return null;
+
+  const received = digest(String(provided));
+  const match = serviceTokens.find(({ token }) =>
+    crypto.timingSafeEqual(digest(token), received)
+  );
+  return match ? match.name : null;
+};
+
+/**
+ * Gateway identity, or a service calling with its own token (X-Service-Token).
+ * Sets req.service to the service name; services never get a user identity.
+ */
+const requireIdentityOrService = (req, res, next) => {
+  req.service = authenticateService(req.headers);
+  if (req.service) return next();
+  requireIdentity(req, res, next);
+};
+
+module.exports = {
+  optionalIdentity,
+  requireIdentity,
+  requirePermission,
+  requireIdentityOrService,
+  isConfigured,
+};
@@ -0,0 +1,78 @@
+/* eslint-env browser */
+// Unit search + move request for the updateUnit view
+(function () {
+  const form = document.getElementById('move-form');
+  const search = document.getElementById('unit-search');
+  const results = document.getElementById('unit-results');
+  const toUnitId = document.getElementById('to-unit-id');
+  const submit = document.getElementById('submit-move');
+  const status = document.getElementById('move-status');
+  let debounce = null;
+
+  const showStatus = (message, isError) => {
+    status.textContent = message;
+    status.className = `text-center text-sm ${isError ? 'text-red-600' : 'text-green-700'}`;
+  };
+
+  const selectUnit = (unit) => {
+    toUnitId.value = unit.id;
+    search.value = unit.acronyme
+      ? `${unit.name} (${unit.acronyme})`
+      : unit.name;
+    results.innerHTML = '';
+    submit.disabled = false;
+  };
+
+  search.addEventListener('input', () => {
+    toUnitId.value = '';
+    submit.disabled = true;
+    clearTimeout(debounce);
+
+    const q = search.value.trim();
+    if (q.length < 2) {
+      results.innerHTML = '';
+      return;
+    }
+
+    debounce = setTimeout(async () => {
+      const response = await fetch(`/units/search?q=${encodeURIComponent(q)}`);
+      const data = await response.json();
+      results.innerHTML = '';
+      (data.units || []).forEach((unit) => {
+        const item = document.createElement('li');
+        item.className = 'py-2 px-1 cursor-pointer hover:bg-blue-50';
+        item.textContent = unit.acronyme
+          ? `${unit.name} (${unit.acronyme})`
+          : unit.name;
+        item.addEventListener('click', () => selectUnit(unit));
+        results.appendChild(item);
+      });
+    }, 250);
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    submit.disabled = true;
+
+    const response = await fetch('/units/move-requests', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        matricule: form.dataset.matricule,
+        toUnitId: toUnitId.value,
+        reason: document.getElementById('reason').value,
+      }),
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      showStatus(
+        `Request sent to the head of ${data.request.toUnit.name}.`,
+        false
+      );
+    } else {
+      showStatus(data.message, true);
+      submit.disabled = false;
+    }
+  });
+})();
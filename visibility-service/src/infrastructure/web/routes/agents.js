@@ -1,5 +1,7 @@
 const express = require('express');
 const verifyAgent = require('../../../application/useCases/verifyAgent');
+const getVisibleAgents = require('../../../application/useCases/getVisibleAgents');
+const { requireIdentityOrService } = require('../middleware/identity');
 
 const router = express.Router();
 
@@ -17,4 +19,46 @@ router.post('/verify', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// An agent reads their own list; anyone else's needs visibility:read_any
+const canReadVisibility = (identity, matricule) =>
+  String(identity.matricule) === String(matricule) ||
+  (identity.permissions || []).includes('visibility:read_any');
+
+// Agents visible to :matricule (?page=1&limit=50), also readable by services (SERVICE_TOKENS)
+router.get(
+  '/:matricule/visible',
+  requireIdentityOrService,
+  async (req, res) => {
+    if (
+      !req.service &&
+      !canReadVisibility(req.identity, req.params.matricule)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permission',
+        code: 'FORBIDDEN',
+        required: ['visibility:read_any'],
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || undefined;
+
+    try {
+      const result = await getVisibleAgents.execute(req.params.matricule, {
+        page,
+        limit,
+      });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      if (!error.status) throw error;
+      res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+  }
+);
+
+module.exports = router;
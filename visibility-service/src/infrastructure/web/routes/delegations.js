@@ -0,0 +1,77 @@
+const express = require('express');
+const grantDelegation = require('../../../application/useCases/grantDelegation');
+const revokeDelegation = require('../../../application/useCases/revokeDelegation');
+const listDelegations = require('../../../application/useCases/listDelegations');
+const { requireIdentity } = require('../middleware/identity');
+
+const router = express.Router();
+
+// Known use-case errors carry a status; anything else goes to the default handler
+const sendError = (res, error) => {
+  if (!error.status) throw error;
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    ...(error.delegationId && { delegationId: error.delegationId }),
+  });
+};
+
+router.use(requireIdentity);
+
+// Grant an interim (body: { delegateMatricule, delegatorMatricule?, startsAt?, endsAt, reason })
+router.post('/', async (req, res) => {
+  try {
+    const delegation = await grantDelegation.execute(req.identity.matricule, {
+      delegatorMatricule: req.body.delegatorMatricule,
+      delegateMatricule: req.body.delegateMatricule,
+      startsAt: req.body.startsAt,
+      endsAt: req.body.endsAt,
+      reason: req.body.reason,
+    });
+    res.status(201).json({ success: true, delegation });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delegations given, held or granted by the caller (?status=active&page=1&limit=20)
+router.get('/', async (req, res) => {
+  try {
+    const result = await listDelegations.execute(req.identity.matricule, {
+      status: req.query.status || null,
+      page: parseInt(req.query.page, 10) || 1,
+      limit: parseInt(req.query.limit, 10) || undefined,
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// One delegation with its audit trail (granted / revoked / expired)
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await listDelegations.getWithAudit(
+      parseInt(req.params.id, 10) || 0,
+      req.identity.matricule
+    );
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    const delegation = await revokeDelegation.execute(
+      parseInt(req.params.id, 10) || 0,
+      { revokedBy: req.identity.matricule, comment: req.body.comment }
+    );
+    res.json({ success: true, delegation });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
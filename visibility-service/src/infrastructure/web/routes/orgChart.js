@@ -0,0 +1,78 @@
+const express = require('express');
+const browseOrgChart = require('../../../application/useCases/browseOrgChart');
+const {
+  requireIdentity,
+  requireIdentityOrService,
+  requirePermission,
+} = require('../middleware/identity');
+
+const router = express.Router();
+
+// Known use-case errors carry a status; anything else goes to the default handler
+const sendError = (res, error) => {
+  if (!error.status) throw error;
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+  });
+};
+
+const parseDepth = (value) => {
+  const depth = parseInt(value, 10);
+  return Number.isNaN(depth) ? undefined : depth;
+};
+
+// Unit tree (?root=12&depth=1); units at the last level have children: null when they have sub-units
+router.get('/units', requireIdentity, async (req, res) => {
+  try {
+    const result = await browseOrgChart.getTree({
+      rootId: req.query.root || null,
+      depth: parseDepth(req.query.depth),
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Members of a unit with their role, head first; agents only get the members they see
+// (visibility rules), visibility:read_any holders and services (SERVICE_TOKENS) get all of them
+router.get(
+  '/units/:unitId/members',
+  requireIdentityOrService,
+  async (req, res) => {
+    const readAny =
+      !!req.service ||
+      (req.identity.permissions || []).includes('visibility:read_any');
+    try {
+      const result = await browseOrgChart.getMembers(req.params.unitId, {
+        viewer: readAny ? null : String(req.identity.matricule),
+      });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// Subtree download (?root=12&format=json|csv|graphml), whole organisation without root
+router.get(
+  '/export',
+  requirePermission('org_chart:export'),
+  async (req, res) => {
+    try {
+      const { contentType, filename, body } = await browseOrgChart.export({
+        rootId: req.query.root || null,
+        format: req.query.format || 'json',
+      });
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(body);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+module.exports = router;
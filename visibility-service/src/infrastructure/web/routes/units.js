@@ -0,0 +1,95 @@
+const express = require('express');
+const searchUnits = require('../../../application/useCases/searchUnits');
+const updateUnit = require('../../../application/useCases/updateUnit');
+const listPendingUnitMoves = require('../../../application/useCases/listPendingUnitMoves');
+const decideUnitMove = require('../../../application/useCases/decideUnitMove');
+const {
+  optionalIdentity,
+  requireIdentity,
+  isConfigured,
+} = require('../middleware/identity');
+
+const router = express.Router();
+
+// Known use-case errors carry a status; anything else goes to the default handler
+const sendError = (res, error) => {
+  if (!error.status) throw error;
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+  });
+};
+
+// Unit search by name or acronym, case and accent insensitive (?q=finances&limit=20)
+router.get('/search', async (req, res) => {
+  try {
+    const units = await searchUnits.execute(req.query.q, {
+      limit: parseInt(req.query.limit, 10) || undefined,
+    });
+    res.json({ success: true, units, count: units.length });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Move request for the authenticated agent (body: { toUnitId, reason })
+router.post('/move-requests', optionalIdentity, async (req, res) => {
+  const requester = req.identity?.matricule;
+
+  // Without the gateway (local setup only) the verified matricule from the form is used
+  if (!requester && isConfigured()) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+      code: 'AUTH_REQUIRED',
+    });
+  }
+  if (requester && req.body.matricule && req.body.matricule !== requester) {
+    return res.status(403).json({
+      success: false,
+      message: 'Agents can only request their own move',
+      code: 'FORBIDDEN',
+    });
+  }
+
+  try {
+    const request = await updateUnit.execute(requester || req.body.matricule, {
+      toUnitId: parseInt(req.body.toUnitId, 10) || null,
+      reason: req.body.reason,
+    });
+    res.status(201).json({ success: true, request });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Requests awaiting the caller's approval (caller heads the target unit)
+router.get('/move-requests/pending', requireIdentity, async (req, res) => {
+  const result = await listPendingUnitMoves.execute(req.identity.matricule, {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || undefined,
+  });
+  res.json({ success: true, ...result });
+});
+
+const decide = (approved) => async (req, res) => {
+  try {
+    const request = await decideUnitMove.execute(
+      parseInt(req.params.id, 10) || 0,
+      {
+        approved,
+        approverMatricule: req.identity.matricule,
+        comment: req.body.comment,
+      }
+    );
+    res.json({ success: true, request });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+router.post('/move-requests/:id/approve', requireIdentity, decide(true));
+router.post('/move-requests/:id/reject', requireIdentity, decide(false));
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const explainVisibility = require('../../../application/useCases/explainVisibility');
+const { requirePermission } = require('../middleware/identity');
+
+const router = express.Router();
+
+// Helpdesk: why :from does or does not see :to (?from=123456A&to=654321B)
+router.get(
+  '/explain',
+  requirePermission('visibility:explain'),
+  async (req, res) => {
+    try {
+      const result = await explainVisibility.execute(
+        req.query.from,
+        req.query.to
+      );
+      res.json({ success: true, ...result });
+    } catch (error) {
+      if (!error.status) throw error;
+      res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        ...(error.matricule && { matricule: error.matricule }),
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const visibilityService = require('../../../src/domain/services/visibilityService');
+
+const { REASONS, RELATIONS } = visibilityService;
+
+const agent = (matricule, role, extra = {}) => ({
+  matricule,
+  nom: matricule,
+  prenom: null,
+  role,
+  unitId: 1,
+  ...extra,
+});
+
+const matricules = (list) => list.map((entry) => entry.matricule);
+
+describe('visibilityService', () => {
+  describe('getVisibleAgents', () => {
+    const viewer = agent('DIR', 'DIRECTEUR');
+
+    it('sees own unit, sub-unit heads and the parent unit head', () => {
+      const visible = visibilityService.getVisibleAgents(
+        viewer,
+        [viewer, agent('CAD', 'CADRE')],
+        [agent('SD', 'SOUS_DIRECTEUR', { unitId: 2 })],
+        agent('DG', 'DIRECTEUR_GENERAL', { unitId: 0 })
+      );
+
+      expect(matricules(visible)).toEqual(['DG', 'SD', 'CAD']);
+      expect(visible.find((a) => a.matricule === 'SD').reasons).toEqual([
+        REASONS.SUB_UNIT_HEAD,
+      ]);
+    });
+
+    it('never lists the viewer themselves', () => {
+      const visible = visibilityService.getVisibleAgents(viewer, [viewer]);
+
+      expect(visible).toEqual([]);
+    });
+
+    it('merges reasons when an agent matches several rules', () => {
+      const boss = agent('DG', 'DIRECTEUR_GENERAL');
+
+      const [entry] = visibilityService.getVisibleAgents(
+        viewer,
+        [boss],
+        [],
+        boss
+      );
+
+      expect(entry.reasons).toEqual([
+        REASONS.SAME_UNIT,
+        REASONS.PARENT_UNIT_HEAD,
+      ]);
+    });
+
+    it('sees sibling unit heads of an equivalent rank only', () => {
+      const subDirector = agent('SD1', 'SOUS_DIRECTEUR');
+
+      const visible = visibilityService.getVisibleAgents(
+        subDirector,
+        [],
+        [],
+        null,
+        [
+          agent('DIV', 'CHEF_DE_DIVISION', { unitId: 3 }),
+          agent('SD2', 'SOUS_DIRECTEUR', { unitId: 4 }),
+          agent('SRV', 'CHEF_DE_SERVICE', { unitId: 5 }),
+        ]
+      );
+
+      expect(matricules(visible).sort()).toEqual(['DIV', 'SD2']);
+      expect(visible.every((a) => a.rank === 4)).toBe(true);
+    });
+
+    it('an unknown role ranks 0 and sees no peer heads', () => {
+      const visible = visibilityService.getVisibleAgents(
+        agent('X', 'STAGIAIRE'),
+        [agent('Y', 'STAGIAIRE')],
+        [],
+        null,
+        [agent('Z', 'STAGIAIRE', { unitId: 9 })]
+      );
+
+      expect(visible).toEqual([
+        expect.objectContaining({ matricule: 'Y', rank: 0 }),
+      ]);
+    });
+  });
+
+  describe('applyDelegations', () => {
+    const viewer = agent('SRV', 'CHEF_DE_SERVICE');
+    const own = visibilityService.getVisibleAgents(viewer, [
+      agent('CAD', 'CADRE'),
+    ]);
+
+    it('acting for a delegator adds the delegator and their list', () => {
+      const visible = visibilityService.applyDelegations(viewer, own, {
+        acting: [
+          {
+            delegator: agent('DIR', 'DIRECTEUR'),
+            visibleAgents: [agent('DG', 'DIRECTEUR_GENERAL'), viewer],
+          },
+        ],
+      });
+
+      expect(matricules(visible)).toEqual(['DG', 'DIR', 'CAD']);
+      expect(visible[1].reasons).toEqual([REASONS.DELEGATOR]);
+      expect(visible[0].reasons).toEqual([REASONS.DELEGATED]);
+    });
+
+    it('adds interims only for agents already visible', () => {
+      const visible = visibilityService.applyDelegations(viewer, own, {
+        interims: [
+          { delegatorMatricule: 'CAD', interim: agent('INT1', 'CADRE') },
+          { delegatorMatricule: 'OTHER', interim: agent('INT2', 'CADRE') },
+        ],
+      });
+
+      expect(matricules(visible).sort()).toEqual(['CAD', 'INT1']);
+    });
+
+    it('does not mutate the list it was given', () => {
+      visibilityService.applyDelegations(viewer, own, {
+        acting: [{ delegator: own[0], visibleAgents: [] }],
+      });
+
+      expect(own[0].reasons).toEqual([REASONS.SAME_UNIT]);
+    });
+  });
+
+  describe('relationBetween', () => {
+    const unit = (id) => ({ id });
+
+    it.each([
+      [null, null, RELATIONS.NO_UNIT],
+      [unit(2), null, RELATIONS.SAME_UNIT],
+      [unit(3), null, RELATIONS.NOT_CONNECTED],
+      [unit(3), ['DOWN'], RELATIONS.CHILD_UNIT],
+      [unit(3), ['DOWN', 'DOWN'], RELATIONS.DESCENDANT_UNIT],
+      [unit(3), ['UP'], RELATIONS.PARENT_UNIT],
+      [unit(3), ['UP', 'UP'], RELATIONS.ANCESTOR_UNIT],
+      [unit(3), ['UP', 'DOWN'], RELATIONS.SIBLING_UNIT],
+      [unit(3), ['UP', 'UP', 'DOWN'], RELATIONS.OTHER_BRANCH],
+    ])('to %p via %p: %s', (toUnit, steps, relation) => {
+      expect(visibilityService.relationBetween(unit(2), toUnit, steps)).toBe(
+        relation
+      );
+    });
+  });
+
+  describe('explainDenial', () => {
+    const side = (matricule, role, unit, isHead) => ({
+      agent: agent(matricule, role),
+      unit,
+      isHead,
+    });
+
+    it('sibling heads of different ranks: EQUIVALENT_RANK with both roles', () => {
+      const denial = visibilityService.explainDenial(
+        side('SD', 'SOUS_DIRECTEUR', { id: 2, acronyme: 'SDA' }, true),
+        side('SRV', 'CHEF_DE_SERVICE', { id: 3, acronyme: 'SB' }, true),
+        { relation: RELATIONS.SIBLING_UNIT, steps: ['UP', 'DOWN'] }
+      );
+
+      expect(denial.rule).toBe('EQUIVALENT_RANK');
+      expect(denial.message).toBe(
+        'SOUS_DIRECTEUR (rank 4) and CHEF_DE_SERVICE (rank 3) are not equivalent'
+      );
+      expect(denial.details.roles.from.equivalents).toEqual([
+        'CHEF_DE_DIVISION',
+      ]);
+    });
+
+    it('units in other branches: NO_RULE with the common ancestor', () => {
+      const root = { id: 1, acronyme: 'MIN' };
+
+      const denial = visibilityService.explainDenial(
+        side('A', 'CADRE', { id: 2, acronyme: 'DA' }, false),
+        side('B', 'CADRE', { id: 5, acronyme: 'DB' }, false),
+        {
+          relation: RELATIONS.OTHER_BRANCH,
+          units: [{ id: 2 }, { id: 4 }, root, { id: 6 }, { id: 5 }],
+          steps: ['UP', 'UP', 'DOWN', 'DOWN'],
+        }
+      );
+
+      expect(denial.rule).toBe('NO_RULE');
+      expect(denial.details).toEqual({ commonUnit: root, levels: 4 });
+    });
+  });
+});